@@ -5,9 +5,19 @@ import chalk from 'chalk';
 import { installProfile } from './commands/install.js';
 import { listProfiles } from './commands/list.js';
 import { testMCPServers } from './commands/test.js';
+import { inspectServer } from './commands/inspect.js';
+import { callCommand } from './commands/call.js';
+import { replayCommand, diffCommand } from './commands/cassette.js';
+import { gatewayCommand } from './commands/gateway.js';
+import { lintProfile, budgetProfile } from './commands/profile.js';
+import { extractCommand } from './commands/capabilities.js';
+import { benchmarkServers, showBenchmarkHistory } from './commands/benchmark.js';
+import { daemonStart, daemonStop, daemonStatus, daemonRun } from './commands/daemon.js';
+import { psCommand, logsCommand, controlServer } from './commands/servers.js';
 import { applyConfig } from './commands/apply.js';
 import { authSetup, authList, authTest, authRemove, authInfo } from './commands/auth.js';
 import { securityStatus, toggleSafeMode, manageServerPermissions, performSecurityAudit } from './commands/security.js';
+import { policyTest, policyApprove } from './commands/policy.js';
 import { discoverCommand } from './commands/discover.js';
 import { searchCommand } from './commands/search.js';
 import { installCommunityServer, listCommunityServers, removeCommunityServer } from './commands/community.js';
@@ -27,6 +37,7 @@ program
   .option('-c, --config <config>', 'Install from configuration file')
   .option('--dry-run', 'Show what would be installed without actually installing')
   .option('--safe-mode [enabled]', 'Enable or disable safe mode during installation')
+  .option('--gateway', 'Configure Amp to run the servers behind a single AmpGI gateway')
   .action(async (options) => {
     try {
       await installProfile(options);
@@ -64,6 +75,333 @@ program
     }
   });
 
+program
+  .command('inspect')
+  .description('Show the live tool, resource and prompt catalog of an MCP server')
+  .argument('<server>', 'Server ID to inspect')
+  .option('--json', 'Output the catalog as JSON')
+  .option('--timeout <ms>', 'Request timeout in milliseconds', '30000')
+  .option('--record <file>', 'Record the session traffic to a cassette file')
+  .action(async (server, options) => {
+    try {
+      await inspectServer(server, {
+        json: options.json,
+        timeout: parseInt(options.timeout),
+        record: options.record
+      });
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('call')
+  .description('Call a tool on a sandboxed MCP server, or start an interactive REPL')
+  .argument('<server>', 'Server ID to start')
+  .argument('[tool]', 'Tool to call (omit for interactive mode)')
+  .option('-a, --args <json>', 'Tool arguments as JSON or key=value pairs')
+  .option('--json', 'Print the raw tool result as JSON')
+  .option('--timeout <ms>', 'Request timeout in milliseconds', '30000')
+  .option('--record <file>', 'Record the session traffic to a cassette file')
+  .action(async (server, tool, options) => {
+    try {
+      await callCommand(server, tool, {
+        args: options.args,
+        json: options.json,
+        timeout: parseInt(options.timeout),
+        record: options.record
+      });
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+const cassetteCommand = program
+  .command('cassette')
+  .description('Replay and compare recorded MCP sessions');
+
+cassetteCommand
+  .command('replay <cassette>')
+  .description('Replay a recorded session against the current server and show changed responses')
+  .option('-s, --server <server>', 'Server ID to replay against (defaults to the recorded server)')
+  .option('--json', 'Output the comparison as JSON')
+  .option('--timeout <ms>', 'Request timeout in milliseconds', '30000')
+  .action(async (cassette, options) => {
+    try {
+      await replayCommand(cassette, {
+        server: options.server,
+        json: options.json,
+        timeout: parseInt(options.timeout)
+      });
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+cassetteCommand
+  .command('diff <before> <after>')
+  .description('Compare the responses recorded in two cassettes')
+  .option('--json', 'Output the comparison as JSON')
+  .action(async (before, after, options) => {
+    try {
+      await diffCommand(before, after, { json: options.json });
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('gateway')
+  .description('Serve several MCP servers as one sandboxed MCP server on stdio (launched by Amp)')
+  .option('-p, --profile <profile>', 'Serve the servers of a profile')
+  .option('-s, --servers <servers...>', 'Serve specific MCP servers')
+  .option('--project <dir>', 'Project directory to read config, installed servers and policy from (default: current directory)')
+  .option('--timeout <ms>', 'Request timeout in milliseconds', '30000')
+  .option('-v, --verbose', 'Log every routed tool call to stderr')
+  .action(async (options) => {
+    try {
+      await gatewayCommand({
+        profile: options.profile,
+        servers: options.servers,
+        project: options.project,
+        timeout: parseInt(options.timeout),
+        verbose: options.verbose
+      });
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+const profileCommand = program
+  .command('profile')
+  .description('Check profiles as a whole');
+
+profileCommand
+  .command('lint <profile>')
+  .description('Start every server in a profile and flag colliding or near-duplicate tools')
+  .option('--json', 'Output the report as JSON')
+  .option('--threshold <ratio>', 'Description similarity (0-1) that counts as a near duplicate', '0.6')
+  .option('--timeout <ms>', 'Request timeout in milliseconds', '30000')
+  .action(async (profile, options) => {
+    try {
+      await lintProfile(profile, {
+        json: options.json,
+        threshold: parseFloat(options.threshold),
+        timeout: parseInt(options.timeout)
+      });
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+profileCommand
+  .command('budget <profile>')
+  .description('Estimate the context tokens each server and tool of a profile costs')
+  .option('-b, --budget <tokens>', 'Token budget to warn above (default: tokenBudget in .ampgi-config.json, or 8000)')
+  .option('--top <number>', 'Number of heaviest tools to list', '10')
+  .option('--json', 'Output the report as JSON')
+  .option('--timeout <ms>', 'Request timeout in milliseconds', '30000')
+  .action(async (profile, options) => {
+    try {
+      await budgetProfile(profile, {
+        budget: options.budget ? parseInt(options.budget) : undefined,
+        top: parseInt(options.top),
+        json: options.json,
+        timeout: parseInt(options.timeout)
+      });
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+const capabilitiesCommand = program
+  .command('capabilities')
+  .description('Derive server capabilities from their live tool catalogs');
+
+capabilitiesCommand
+  .command('extract [servers...]')
+  .description('Map the tools servers expose to registry capabilities and save them with confidence scores')
+  .option('-a, --all', 'Extract for every discovered (dynamic) server')
+  .option('--json', 'Output the extracted capabilities as JSON')
+  .option('--no-save', 'Show the result without updating the dynamic registry')
+  .option('--timeout <ms>', 'Request timeout in milliseconds', '30000')
+  .action(async (servers, options) => {
+    try {
+      await extractCommand(servers, {
+        all: options.all,
+        json: options.json,
+        save: options.save,
+        timeout: parseInt(options.timeout)
+      });
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+const benchmarkCommand = program
+  .command('benchmark')
+  .description('Measure server startup, latency and memory, and compare releases');
+
+benchmarkCommand
+  .command('run <servers...>')
+  .description('Benchmark servers and save the results under each server version')
+  .option('-n, --iterations <number>', 'Requests per measured method', '20')
+  .option('-t, --tool <tool>', 'Tool to time with tools/call (defaults to the first read-only tool)')
+  .option('-a, --args <json>', 'Arguments for the timed tool as JSON or key=value pairs')
+  .option('--json', 'Output the results as JSON')
+  .option('--no-save', 'Do not save the results')
+  .option('--timeout <ms>', 'Request timeout in milliseconds', '30000')
+  .action(async (servers, options) => {
+    try {
+      await benchmarkServers(servers, {
+        iterations: parseInt(options.iterations),
+        tool: options.tool,
+        args: options.args,
+        json: options.json,
+        save: options.save,
+        timeout: parseInt(options.timeout)
+      });
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+benchmarkCommand
+  .command('history <server>')
+  .description('Show saved benchmarks of a server, each version compared with the previous one')
+  .option('--json', 'Output the saved results as JSON')
+  .action(async (server, options) => {
+    try {
+      await showBenchmarkHistory(server, { json: options.json });
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+const daemonCommand = program
+  .command('daemon')
+  .description('Keep managed servers running in a background daemon between commands');
+
+daemonCommand
+  .command('start')
+  .description('Start the daemon, and optionally servers in it')
+  .option('-p, --profile <profile>', 'Start the servers of a profile')
+  .option('-s, --servers <servers...>', 'Start specific MCP servers')
+  .option('--timeout <ms>', 'Request timeout in milliseconds', '30000')
+  .action(async (options) => {
+    try {
+      await daemonStart({
+        profile: options.profile,
+        servers: options.servers,
+        timeout: parseInt(options.timeout)
+      });
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+daemonCommand
+  .command('stop')
+  .description('Stop the daemon and every server it runs')
+  .action(async () => {
+    try {
+      await daemonStop();
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+daemonCommand
+  .command('status')
+  .description('Show whether the daemon is running and the servers it manages')
+  .option('--json', 'Output the status as JSON')
+  .action(async (options) => {
+    try {
+      await daemonStatus({ json: options.json });
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+daemonCommand
+  .command('run', { hidden: true })
+  .description('Run the daemon in the foreground')
+  .option('--timeout <ms>', 'Request timeout in milliseconds', '30000')
+  .action(async (options) => {
+    try {
+      await daemonRun({ timeout: parseInt(options.timeout) });
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('ps')
+  .description('List servers managed by the daemon with their pid, tier, uptime and health')
+  .option('--json', 'Output the statuses as JSON')
+  .action(async (options) => {
+    try {
+      await psCommand({ json: options.json });
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+program
+  .command('logs')
+  .description('Show the captured stdout and stderr of a managed server')
+  .argument('<server>', 'Server ID')
+  .option('-f, --follow', 'Keep streaming new output')
+  .option('-n, --lines <number>', 'Only show the last lines of each stream')
+  .option('--json', 'Output as JSON (one object per line when following)')
+  .action(async (server, options) => {
+    try {
+      await logsCommand(server, {
+        follow: options.follow,
+        lines: options.lines ? parseInt(options.lines) : undefined,
+        json: options.json
+      });
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+for (const [action, description] of [
+  ['stop', 'Stop a managed server'],
+  ['restart', 'Restart a managed server'],
+  ['kill', 'Kill a managed server immediately (SIGKILL)']
+]) {
+  program
+    .command(action)
+    .description(description)
+    .argument('<server>', 'Server ID')
+    .option('--json', 'Output the result as JSON')
+    .action(async (server, options) => {
+      try {
+        await controlServer(action, server, { json: options.json });
+      } catch (error) {
+        console.error(chalk.red(`Error: ${error.message}`));
+        process.exit(1);
+      }
+    });
+}
+
 program
   .command('apply')
   .description('Apply configuration from file')
@@ -268,6 +606,55 @@ securityCommand
     }
   });
 
+// Policy commands
+const policyCommand = program
+  .command('policy')
+  .description('Check servers against the ampgi-policy.json or ampgi-policy.yaml policy file');
+
+policyCommand
+  .command('test <server>')
+  .description('Show which policy rule decides an operation of a server, and why')
+  .option('-o, --operation <operation>', 'install, start, file_read, file_write, network_access, subprocess_spawn or environment_access', 'start')
+  .option('--domain <domain>', 'Domain of a network_access')
+  .option('--port <port>', 'Port of a network_access', '443')
+  .option('--path <path>', 'Path of a file_read or file_write')
+  .option('--env <variable>', 'Variable of an environment_access')
+  .option('--capability <capability>', 'Capability the operation exercises, e.g. file:delete')
+  .option('--tier <tier>', 'Permission tier to assume instead of the server\'s')
+  .option('-f, --file <path>', 'Policy file to use instead of the one in the current directory')
+  .option('--json', 'Output the decision as JSON')
+  .action(async (server, options) => {
+    try {
+      await policyTest(server, {
+        operation: options.operation,
+        domain: options.domain,
+        port: parseInt(options.port),
+        path: options.path,
+        env: options.env,
+        capability: options.capability,
+        tier: options.tier,
+        file: options.file,
+        json: options.json
+      });
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
+policyCommand
+  .command('approve <server>')
+  .description('Approve a server that a require-approval policy rule holds back')
+  .option('-f, --file <path>', 'Policy file to use instead of the one in the current directory')
+  .action(async (server, options) => {
+    try {
+      await policyApprove(server, { file: options.file });
+    } catch (error) {
+      console.error(chalk.red(`Error: ${error.message}`));
+      process.exit(1);
+    }
+  });
+
 // Community commands
 const communityCommand = program
   .command('community')
@@ -279,12 +666,16 @@ communityCommand
   .option('--no-test', 'Skip compatibility testing')
   .option('--no-validate', 'Skip security validation')
   .option('-f, --force', 'Force installation despite security warnings')
+  .option('--fuzz', 'Also fuzz the server\'s tools in a throwaway sandbox when testing')
+  .option('--fuzz-unconfined', 'Fuzz even where the sandbox can\'t confine the server to its paths')
   .action(async (repo, options) => {
     try {
       await installCommunityServer(repo, {
         test: options.test,
         validate: options.validate,
-        force: options.force
+        force: options.force,
+        fuzz: options.fuzz,
+        fuzzUnconfined: options.fuzzUnconfined
       });
     } catch (error) {
       console.error(chalk.red(`Error: ${error.message}`));
@@ -31,6 +31,16 @@ export async function applyConfig(configPath, options) {
     return;
   }
   
+  // Every server needs either a command to spawn or a remote URL
+  const incomplete = Object.entries(config['amp.mcpServers'])
+    .filter(([, serverConfig]) => !serverConfig.command && !serverConfig.url)
+    .map(([serverId]) => serverId);
+  
+  if (incomplete.length > 0) {
+    console.log(chalk.red(`Invalid configuration: ${incomplete.join(', ')} must define "command" or "url"`));
+    return;
+  }
+  
   // Detect Amp installation
   const ampSpinner = ora('Detecting Amp installation...').start();
   const ampInstall = await detectAmpInstallation();
@@ -54,7 +64,15 @@ export async function applyConfig(configPath, options) {
   for (const serverId of serverIds) {
     const serverConfig = mcpServers[serverId];
     console.log(chalk.green(`  ✓ ${serverId}`));
-    console.log(chalk.gray(`    Command: ${serverConfig.command} ${serverConfig.args?.join(' ') || ''}`));
+    if (serverConfig.url) {
+      console.log(chalk.gray(`    URL: ${serverConfig.url}${serverConfig.transport ? ` (${serverConfig.transport})` : ''}`));
+    } else {
+      console.log(chalk.gray(`    Command: ${serverConfig.command} ${serverConfig.args?.join(' ') || ''}`));
+    }
+    
+    if (serverConfig.headers) {
+      console.log(chalk.gray(`    Headers: ${Object.keys(serverConfig.headers).join(', ')}`));
+    }
     
     if (serverConfig.env) {
       const envKeys = Object.keys(serverConfig.env);
@@ -88,15 +106,18 @@ export async function applyConfig(configPath, options) {
   // Show authentication reminders
   const authServers = serverIds.filter(serverId => {
     const serverConfig = mcpServers[serverId];
-    return serverConfig.env && Object.keys(serverConfig.env).length > 0;
+    return (serverConfig.env && Object.keys(serverConfig.env).length > 0) ||
+      JSON.stringify(serverConfig.headers || {}).includes('${');
   });
   
   if (authServers.length > 0) {
     console.log(chalk.yellow('\n🔐 Authentication Required:'));
     for (const serverId of authServers) {
       const serverConfig = mcpServers[serverId];
-      const envKeys = Object.keys(serverConfig.env);
-      console.log(chalk.gray(`  ${serverId}: Configure ${envKeys.join(', ')}`));
+      const envKeys = Object.keys(serverConfig.env || {});
+      const headerVars = Object.values(serverConfig.headers || {})
+        .flatMap(value => [...String(value).matchAll(/\$\{(\w+)\}/g)].map(match => match[1]));
+      console.log(chalk.gray(`  ${serverId}: Configure ${[...envKeys, ...headerVars].join(', ')}`));
     }
   }
 }
@@ -0,0 +1,138 @@
+/**
+ * Benchmark Command
+ *
+ * Measure cold start, request latency and peak memory of servers, save the
+ * results per server version, and compare them against earlier releases.
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import {
+  benchmarkServer,
+  loadBenchmarks,
+  saveBenchmark,
+  compareBenchmarks,
+  benchmarkHistory,
+  BENCHMARK_FILE
+} from '../utils/benchmark.js';
+import { loadDynamicRegistry } from '../registry.js';
+import { parseToolArguments } from './call.js';
+
+/**
+ * Benchmark servers and compare each with its previously saved version
+ */
+export async function benchmarkServers(serverIds, options = {}) {
+  const { iterations, tool, args, timeout, json = false, save = true, file = BENCHMARK_FILE } = options;
+  const toolArgs = args === undefined ? undefined : parseToolArguments(args);
+  const results = {};
+
+  await loadDynamicRegistry();
+
+  for (const serverId of serverIds) {
+    const spinner = ora({ text: `Benchmarking ${serverId}...`, isSilent: json }).start();
+
+    try {
+      const result = await benchmarkServer(serverId, { iterations, tool, args: toolArgs, timeout });
+      results[serverId] = result;
+      spinner.succeed(`${serverId} ${result.version}: ${result.iterations} iterations`);
+
+      // The most recent saved run of another version is the release to compare with
+      const previous = benchmarkHistory(await loadBenchmarks(file), serverId)
+        .filter(entry => entry.version !== result.version)
+        .pop();
+
+      if (!json) {
+        printResult(result);
+        if (previous) {
+          printComparison(previous, result);
+        }
+      }
+
+      if (save) {
+        const savedTo = await saveBenchmark(result, file);
+        if (!json) {
+          console.log(chalk.gray(`  Saved to ${savedTo}`));
+        }
+      }
+    } catch (error) {
+      results[serverId] = { error: error.message };
+      spinner.fail(`${serverId}: ${error.message}`);
+    }
+  }
+
+  if (json) {
+    console.log(JSON.stringify(results, null, 2));
+  }
+
+  if (Object.values(results).some(result => result.error)) {
+    process.exitCode = 1;
+  }
+  return results;
+}
+
+/**
+ * Show every saved version of a server, each compared with the one before
+ */
+export async function showBenchmarkHistory(serverId, options = {}) {
+  const { json = false, file = BENCHMARK_FILE } = options;
+  const history = benchmarkHistory(await loadBenchmarks(file), serverId);
+
+  if (json) {
+    console.log(JSON.stringify(history, null, 2));
+    return history;
+  }
+
+  if (history.length === 0) {
+    console.log(chalk.yellow(`No saved benchmarks for ${serverId}. Run: ampgi benchmark run ${serverId}`));
+    return history;
+  }
+
+  console.log(chalk.blue.bold(`\n📈 Benchmarks for ${serverId}\n`));
+  history.forEach((result, index) => {
+    console.log(chalk.bold(`${result.version}`) + chalk.gray(` (${new Date(result.measuredAt).toLocaleString()})`));
+    printResult(result);
+    if (index > 0) {
+      printComparison(history[index - 1], result);
+    }
+    console.log();
+  });
+
+  return history;
+}
+
+function printResult(result) {
+  const { coldStart, listTools, callTool, memory } = result;
+
+  console.log(`  Cold start:  ${formatMs(coldStart.ms)}`);
+  console.log(`  tools/list:  ${formatLatency(listTools)}`);
+  if (callTool.tool) {
+    console.log(`  tools/call:  ${formatLatency(callTool)}` + chalk.gray(` (${callTool.tool}${callTool.errors ? `, ${callTool.errors} errors` : ''})`));
+  } else {
+    console.log(chalk.gray(`  tools/call:  skipped (${callTool.skipped})`));
+  }
+  console.log(`  Peak RSS:    ${memory.peakRss === null ? chalk.gray('not measured') : `${formatBytes(memory.peakRss)} across ${memory.processes} process(es)`}`);
+}
+
+function printComparison(previous, result) {
+  console.log(chalk.blue(`  Compared with ${previous.version}:`));
+
+  for (const { metric, before, after, change } of compareBenchmarks(previous, result)) {
+    const format = metric === 'peak RSS' ? formatBytes : formatMs;
+    const color = change === null || Math.abs(change) < 10 ? chalk.gray : change > 0 ? chalk.red : chalk.green;
+    const delta = change === null ? '' : ` (${change > 0 ? '+' : ''}${change}%)`;
+    console.log(color(`    ${metric}: ${format(before)} → ${format(after)}${delta}`));
+  }
+}
+
+function formatLatency(stats) {
+  return `p50 ${formatMs(stats.p50)}, p95 ${formatMs(stats.p95)}, p99 ${formatMs(stats.p99)}` +
+    chalk.gray(` (${stats.throughput} req/s)`);
+}
+
+function formatMs(ms) {
+  return ms >= 1000 ? `${(ms / 1000).toFixed(2)}s` : `${ms.toFixed(1)}ms`;
+}
+
+function formatBytes(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(1)}MB`;
+}
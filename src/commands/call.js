@@ -0,0 +1,411 @@
+/**
+ * Call Command
+ *
+ * Invoke tools on a sandboxed MCP server, either once from the command line
+ * or interactively through a REPL that keeps one session alive across calls.
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import readline from 'readline';
+import { loadDynamicRegistry } from '../registry.js';
+import { openMCPSession } from '../utils/mcp.js';
+import { MCPError } from '../utils/mcp-client.js';
+
+const REPL_COMMANDS = ['.tools', '.schema', '.help', '.exit'];
+
+/**
+ * Call a tool once, or start a REPL when no tool is given
+ */
+export async function callCommand(serverId, toolName, options = {}) {
+  const { timeout, json = false, record } = options;
+
+  await loadDynamicRegistry();
+
+  const spinner = ora({ text: `Starting ${serverId} in sandbox...`, isSilent: json }).start();
+  let session;
+
+  try {
+    session = await openMCPSession(serverId, { timeout, record });
+    const tools = await session.client.listTools();
+    const access = session.permissionTier ? `${session.permissionTier} privilege` : `remote, ${session.transport}`;
+    spinner.succeed(`Connected to ${session.serverConfig.name} (${access}, ${tools.length} tools)`);
+
+    attachNotificationPrinter(session.client, json);
+
+    if (toolName) {
+      const tool = findTool(tools, toolName);
+      const args = parseToolArguments(options.args || '', tool.inputSchema);
+      const succeeded = await invokeTool(session.client, tool.name, args, { timeout, json });
+      if (!succeeded) {
+        process.exitCode = 1;
+      }
+    } else {
+      await runRepl(session, tools, { timeout });
+    }
+
+  } catch (error) {
+    if (!session) {
+      spinner.fail(`Failed to connect to ${serverId}`);
+    }
+    throw error;
+  } finally {
+    if (session) {
+      await session.close('call_complete');
+      if (record && !json) {
+        console.log(chalk.gray(`📼 Session recorded to ${record}`));
+      }
+    }
+  }
+}
+
+/**
+ * Interactive loop reading tool invocations from stdin
+ */
+async function runRepl(session, tools, options) {
+  const { client, serverId } = session;
+
+  console.log(chalk.gray('\nType a tool name followed by JSON or key=value arguments. Tab completes tools and fields.'));
+  console.log(chalk.gray('Commands: .tools, .schema <tool>, .help, .exit\n'));
+
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    prompt: chalk.cyan(`${serverId}> `),
+    completer: (line) => completeLine(line, tools)
+  });
+
+  // Keep the catalog current when the server announces changes
+  const onListChanged = async (message) => {
+    if (message.method === 'notifications/tools/list_changed') {
+      try {
+        tools.splice(0, tools.length, ...await client.listTools());
+        console.log(chalk.gray(`\n[tools updated: ${tools.length} available]`));
+      } catch (error) {
+        console.log(chalk.red(`\nFailed to refresh tools: ${error.message}`));
+      }
+    }
+  };
+  client.on('notification', onListChanged);
+
+  let onClose;
+  const serverClosed = new Promise((resolve) => {
+    onClose = ({ reason }) => {
+      console.log(chalk.red(`\nSession ended: ${reason}`));
+      resolve();
+    };
+    client.once('close', onClose);
+  });
+
+  const done = new Promise((resolve) => rl.once('close', resolve));
+
+  // Run lines one at a time so piped input doesn't overlap calls
+  let queue = Promise.resolve();
+  let exiting = false;
+
+  rl.on('line', (line) => {
+    queue = queue.then(async () => {
+      if (exiting || client.closed) {
+        return;
+      }
+      try {
+        const keepGoing = await handleReplLine(line.trim(), client, tools, options);
+        if (!keepGoing) {
+          exiting = true;
+          rl.close();
+          return;
+        }
+      } catch (error) {
+        printError(error);
+      }
+      rl.prompt();
+    });
+  });
+
+  rl.prompt();
+
+  await Promise.race([done, serverClosed]);
+  await queue;
+  client.off('notification', onListChanged);
+  client.off('close', onClose);
+  rl.close();
+}
+
+/**
+ * Handle one line of REPL input, returning false to exit
+ */
+async function handleReplLine(line, client, tools, options) {
+  if (!line) {
+    return true;
+  }
+
+  const [command, ...rest] = line.split(/\s+/);
+
+  switch (command) {
+    case '.exit':
+    case '.quit':
+      return false;
+
+    case '.help':
+      console.log(chalk.gray('  <tool> {"key": "value"}   Call a tool with JSON arguments'));
+      console.log(chalk.gray('  <tool> key=value ...      Call a tool with field arguments'));
+      console.log(chalk.gray('  .tools                    List available tools'));
+      console.log(chalk.gray('  .schema <tool>            Show a tool\'s input schema'));
+      console.log(chalk.gray('  .exit                     Stop the server and exit'));
+      return true;
+
+    case '.tools':
+      for (const tool of tools) {
+        console.log(chalk.green(`  ${tool.name}`) + chalk.gray(tool.description ? ` - ${tool.description}` : ''));
+      }
+      return true;
+
+    case '.schema': {
+      const tool = findTool(tools, rest[0]);
+      console.log(JSON.stringify(tool.inputSchema || {}, null, 2));
+      return true;
+    }
+
+    default: {
+      const tool = findTool(tools, command);
+      const args = parseToolArguments(line.slice(command.length).trim(), tool.inputSchema);
+      await invokeTool(client, tool.name, args, options);
+      return true;
+    }
+  }
+}
+
+/**
+ * Call a tool and print its result, returning whether it succeeded
+ */
+async function invokeTool(client, toolName, args, options = {}) {
+  const startTime = Date.now();
+
+  try {
+    const result = await client.callTool(toolName, args, {
+      timeout: options.timeout,
+      onProgress: options.json ? undefined : printProgress
+    });
+
+    if (options.json) {
+      console.log(JSON.stringify(result, null, 2));
+    } else {
+      printToolResult(result, Date.now() - startTime);
+    }
+    return !result?.isError;
+
+  } catch (error) {
+    if (options.json) {
+      console.log(JSON.stringify({ error: { code: error.code, message: error.message, data: error.data } }, null, 2));
+    } else {
+      printError(error);
+    }
+    return false;
+  }
+}
+
+/**
+ * Find a tool by name with a helpful error
+ */
+function findTool(tools, toolName) {
+  if (!toolName) {
+    throw new Error('Tool name is required');
+  }
+
+  const tool = tools.find(t => t.name === toolName);
+  if (!tool) {
+    const available = tools.map(t => t.name).join(', ') || 'none';
+    throw new Error(`Unknown tool "${toolName}". Available tools: ${available}`);
+  }
+  return tool;
+}
+
+/**
+ * Parse tool arguments given as JSON or key=value pairs
+ */
+export function parseToolArguments(input, schema = {}) {
+  if (!input) {
+    return {};
+  }
+
+  if (input.startsWith('{') || input.startsWith('[')) {
+    let parsed;
+    try {
+      parsed = JSON.parse(input);
+    } catch (error) {
+      throw new Error(`Invalid JSON arguments: ${error.message}`);
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw new Error('Tool arguments must be a JSON object');
+    }
+    return parsed;
+  }
+
+  const properties = schema?.properties || {};
+  const args = {};
+
+  for (const pair of splitArguments(input)) {
+    const separator = pair.indexOf('=');
+    if (separator <= 0) {
+      throw new Error(`Invalid argument "${pair}" - use key=value or a JSON object`);
+    }
+
+    const key = pair.slice(0, separator);
+    const rawValue = pair.slice(separator + 1);
+    args[key] = coerceValue(rawValue, properties[key]);
+  }
+
+  return args;
+}
+
+/**
+ * Split key=value arguments on whitespace, honouring quotes
+ */
+function splitArguments(input) {
+  const parts = input.match(/(?:[^\s"']+|"[^"]*"|'[^']*')+/g) || [];
+  return parts.map(part => part.replace(/^(\w+=)?(["'])(.*)\2$/, '$1$3'));
+}
+
+/**
+ * Convert a string value to the type its schema expects
+ */
+function coerceValue(rawValue, propertySchema = {}) {
+  const types = [].concat(propertySchema.type || []);
+
+  if (types.includes('number') || types.includes('integer')) {
+    const number = Number(rawValue);
+    if (!Number.isNaN(number)) {
+      return number;
+    }
+  }
+
+  if (types.includes('boolean') && (rawValue === 'true' || rawValue === 'false')) {
+    return rawValue === 'true';
+  }
+
+  if (types.includes('object') || types.includes('array') || types.includes('null')) {
+    try {
+      return JSON.parse(rawValue);
+    } catch (error) {
+      throw new Error(`Expected JSON for ${types.join('|')} value, got "${rawValue}"`);
+    }
+  }
+
+  return rawValue;
+}
+
+/**
+ * Tab completion for tool names, REPL commands and argument fields
+ */
+export function completeLine(line, tools) {
+  const tokens = line.split(/\s+/);
+
+  // Completing the first word: tools and REPL commands
+  if (tokens.length === 1) {
+    const candidates = [...tools.map(t => t.name), ...REPL_COMMANDS];
+    const hits = candidates.filter(candidate => candidate.startsWith(tokens[0]));
+    return [hits.length ? hits : candidates, tokens[0]];
+  }
+
+  const current = tokens[tokens.length - 1];
+
+  if (tokens[0] === '.schema') {
+    const hits = tools.map(t => t.name).filter(name => name.startsWith(current));
+    return [hits, current];
+  }
+
+  const tool = tools.find(t => t.name === tokens[0]);
+  if (!tool || line.slice(tokens[0].length).trim().startsWith('{')) {
+    return [[], current];
+  }
+
+  // Completing an argument field that hasn't been supplied yet
+  const used = new Set(tokens.slice(1, -1).map(token => token.split('=')[0]));
+  const fields = Object.keys(tool.inputSchema?.properties || {})
+    .filter(field => !used.has(field))
+    .map(field => `${field}=`);
+  const hits = fields.filter(field => field.startsWith(current));
+
+  return [hits, current];
+}
+
+/**
+ * Print server notifications while a session is open
+ */
+function attachNotificationPrinter(client, json) {
+  if (json) {
+    return;
+  }
+
+  client.on('notification', (message) => {
+    if (message.method === 'notifications/message') {
+      const { level = 'info', data, logger } = message.params || {};
+      const text = typeof data === 'string' ? data : JSON.stringify(data);
+      console.log(chalk.gray(`  [${level}${logger ? ` ${logger}` : ''}] ${text}`));
+    } else if (message.method !== 'notifications/progress' &&
+               message.method !== 'notifications/tools/list_changed') {
+      console.log(chalk.gray(`  [${message.method}]`));
+    }
+  });
+}
+
+/**
+ * Print a progress notification
+ */
+function printProgress(params) {
+  const total = params.total ? `/${params.total}` : '';
+  const message = params.message ? ` ${params.message}` : '';
+  console.log(chalk.yellow(`  ⏳ ${params.progress}${total}${message}`));
+}
+
+/**
+ * Pretty-print a tools/call result
+ */
+function printToolResult(result, duration) {
+  const header = result?.isError ?
+    chalk.red(`✗ Tool returned an error (${duration}ms)`) :
+    chalk.green(`✓ Result (${duration}ms)`);
+  console.log(header);
+
+  for (const item of result?.content || []) {
+    switch (item.type) {
+      case 'text':
+        console.log(result.isError ? chalk.red(item.text) : item.text);
+        break;
+      case 'image':
+      case 'audio':
+        console.log(chalk.gray(`  [${item.type} ${item.mimeType}, ${Math.round((item.data?.length || 0) * 3 / 4)} bytes]`));
+        break;
+      case 'resource':
+        console.log(chalk.gray(`  [resource ${item.resource?.uri}]`));
+        if (item.resource?.text) {
+          console.log(item.resource.text);
+        }
+        break;
+      case 'resource_link':
+        console.log(chalk.gray(`  [resource link ${item.uri}]`));
+        break;
+      default:
+        console.log(JSON.stringify(item, null, 2));
+    }
+  }
+
+  if (result?.structuredContent) {
+    console.log(chalk.gray('Structured content:'));
+    console.log(JSON.stringify(result.structuredContent, null, 2));
+  }
+}
+
+/**
+ * Print a protocol or usage error
+ */
+function printError(error) {
+  if (error instanceof MCPError) {
+    console.log(chalk.red(`✗ Error ${error.code}: ${error.message}`));
+    if (error.data !== undefined) {
+      console.log(chalk.gray(JSON.stringify(error.data, null, 2)));
+    }
+  } else {
+    console.log(chalk.red(`✗ ${error.message}`));
+  }
+}
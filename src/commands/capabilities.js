@@ -0,0 +1,90 @@
+/**
+ * Capabilities Command
+ *
+ * Start servers in their sandboxes, map their tools/list output to registry
+ * capabilities, and save the result (with confidence scores) in the dynamic
+ * registry so capability search reflects what servers actually do.
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import { getAllServers, getServerConfigExtended, loadDynamicRegistry, saveDynamicRegistry } from '../registry.js';
+import { extractServerCapabilities } from '../utils/capabilities.js';
+
+/**
+ * Extract capabilities for the given servers (or every dynamic server)
+ */
+export async function extractCommand(serverIds = [], options = {}) {
+  const { all = false, json = false, save = true, timeout } = options;
+
+  await loadDynamicRegistry();
+
+  if (all) {
+    serverIds = Object.entries(getAllServers())
+      .filter(([, config]) => config.isDynamic)
+      .map(([serverId]) => serverId);
+  }
+
+  if (serverIds.length === 0) {
+    throw new Error('Specify servers to inspect, or --all for every discovered server');
+  }
+
+  const results = {};
+
+  for (const serverId of serverIds) {
+    const spinner = ora({ text: `Listing tools of ${serverId}...`, isSilent: json }).start();
+
+    try {
+      const extraction = await extractServerCapabilities(serverId, { timeout, save });
+      results[serverId] = extraction;
+      spinner.succeed(`${serverId}: ${extraction.capabilities.length} capabilities from ${extraction.toolCount} tools`);
+
+      if (!json) {
+        printExtraction(serverId, extraction);
+      }
+    } catch (error) {
+      results[serverId] = { error: error.message };
+      spinner.fail(`${serverId}: ${error.message}`);
+    }
+  }
+
+  if (save && Object.values(results).some(result => !result.error)) {
+    const registryFile = await saveDynamicRegistry();
+    if (!json) {
+      console.log(chalk.gray(`\nSaved to ${registryFile}`));
+    }
+  }
+
+  if (json) {
+    console.log(JSON.stringify(results, null, 2));
+  }
+
+  if (Object.values(results).some(result => result.error)) {
+    process.exitCode = 1;
+  }
+  return results;
+}
+
+/**
+ * Print extracted capabilities next to the ones the registry declares
+ */
+function printExtraction(serverId, extraction) {
+  const declared = getServerConfigExtended(serverId).capabilities || [];
+  const extracted = extraction.capabilities.map(entry => entry.capability);
+
+  for (const entry of extraction.capabilities) {
+    const color = entry.confidence >= 0.8 ? chalk.green : entry.confidence >= 0.6 ? chalk.yellow : chalk.gray;
+    const isNew = !declared.includes(entry.capability);
+    console.log(color(`  ${isNew ? '+' : '✓'} ${entry.capability}`) +
+      chalk.gray(` (${Math.round(entry.confidence * 100)}%: ${entry.tools.join(', ')})`));
+  }
+
+  for (const capability of declared.filter(name => !extracted.includes(name))) {
+    console.log(chalk.red(`  - ${capability}`) + chalk.gray(' (declared, no matching tool)'));
+  }
+
+  if (extraction.unmapped.length > 0) {
+    console.log(chalk.gray(`  Unmapped tools: ${extraction.unmapped.join(', ')}`));
+  }
+  console.log(chalk.blue(`  Confidence: ${Math.round(extraction.confidence * 100)}%`));
+}
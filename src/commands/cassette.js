@@ -0,0 +1,129 @@
+/**
+ * Cassette Command
+ *
+ * Replay recorded MCP sessions against the currently configured server, or
+ * compare two cassettes, and print what changed in tool results and schemas.
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import { loadDynamicRegistry } from '../registry.js';
+import { openMCPSession } from '../utils/mcp.js';
+import { loadCassette, replayCassette, diffCassettes } from '../utils/cassettes.js';
+
+/**
+ * Replay a cassette against a live server and report differences
+ */
+export async function replayCommand(cassettePath, options = {}) {
+  const { json = false, timeout } = options;
+  const cassette = await loadCassette(cassettePath);
+  const serverId = options.server || cassette.server?.id;
+
+  if (!serverId) {
+    throw new Error('Cassette does not name its server; pass --server <id>');
+  }
+
+  await loadDynamicRegistry();
+
+  const spinner = ora({ text: `Starting ${serverId} in sandbox...`, isSilent: json }).start();
+  let session;
+
+  try {
+    session = await openMCPSession(serverId, { timeout });
+    spinner.text = `Replaying ${cassette.interactions.length} recorded requests...`;
+
+    const report = await replayCassette(cassette, session.client, { timeout });
+    spinner.succeed(`Replayed ${cassettePath} against ${session.serverConfig.name}`);
+
+    printReport(report, json);
+    if (report.summary.changed > 0) {
+      process.exitCode = 1;
+    }
+    return report;
+
+  } catch (error) {
+    spinner.fail(`Failed to replay ${cassettePath}`);
+    throw error;
+  } finally {
+    if (session) {
+      await session.close('replay_complete');
+    }
+  }
+}
+
+/**
+ * Compare two recorded cassettes offline
+ */
+export async function diffCommand(beforePath, afterPath, options = {}) {
+  const before = await loadCassette(beforePath);
+  const after = await loadCassette(afterPath);
+
+  const report = diffCassettes(before, after);
+  printReport(report, options.json);
+
+  if (report.summary.changed > 0) {
+    process.exitCode = 1;
+  }
+  return report;
+}
+
+/**
+ * Print a replay or diff report
+ */
+function printReport(report, json) {
+  if (json) {
+    console.log(JSON.stringify(report, null, 2));
+    return;
+  }
+
+  const version = (info) => info ? `${info.name} v${info.version || '?'}` : 'unknown';
+  console.log(chalk.blue(`\n📼 ${version(report.recordedServerInfo)} (recorded ${report.recordedAt}) → ${version(report.replayedServerInfo)}\n`));
+
+  for (const entry of report.entries) {
+    if (entry.status === 'unchanged') {
+      console.log(chalk.green(`  ✓ ${entry.label}`));
+      continue;
+    }
+
+    if (entry.status === 'missing') {
+      console.log(chalk.yellow(`  ? ${entry.label}`) + chalk.gray(' - not present in the other cassette'));
+      continue;
+    }
+
+    const count = entry.changes.length;
+    console.log(chalk.red(`  ✗ ${entry.label}`) + chalk.gray(` (${count} change${count === 1 ? '' : 's'})`));
+    for (const change of entry.changes) {
+      console.log(formatChange(change));
+    }
+  }
+
+  const { unchanged, changed, total } = report.summary;
+  console.log(chalk.blue('\n📊 Summary:'));
+  console.log(chalk.green(`  ✓ Unchanged: ${unchanged}`));
+  console.log((changed > 0 ? chalk.red : chalk.gray)(`  ✗ Changed: ${changed}`));
+  console.log(chalk.gray(`  Total: ${total}`));
+}
+
+/**
+ * Format one structural change as a diff line
+ */
+function formatChange(change) {
+  const target = change.path || '(response)';
+
+  switch (change.kind) {
+    case 'added':
+      return chalk.green(`      + ${target}: ${preview(change.after)}`);
+    case 'removed':
+      return chalk.red(`      - ${target}: ${preview(change.before)}`);
+    default:
+      return chalk.yellow(`      ~ ${target}: ${preview(change.before)} → ${preview(change.after)}`);
+  }
+}
+
+/**
+ * Compact single-line JSON, truncated for long values
+ */
+function preview(value) {
+  const text = JSON.stringify(value) ?? 'undefined';
+  return text.length > 120 ? `${text.slice(0, 117)}...` : text;
+}
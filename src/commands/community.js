@@ -14,7 +14,7 @@ import fs from 'fs-extra';
 import path from 'path';
 import fetch from 'node-fetch';
 import { testServerCompatibility, TEST_LEVELS } from '../utils/compatibility.js';
-import { addDynamicServer, saveDynamicRegistry } from '../registry.js';
+import { addDynamicServer, setProtocolMatrix, saveDynamicRegistry } from '../registry.js';
 
 const execAsync = promisify(exec);
 
@@ -22,7 +22,7 @@ const execAsync = promisify(exec);
  * Install community server from GitHub repository
  */
 export async function installCommunityServer(repoUrl, options = {}) {
-  const { test = true, validate = true, force = false } = options;
+  const { test = true, validate = true, force = false, fuzz = false, fuzzUnconfined = false } = options;
   
   console.log(chalk.blue(`📦 Installing Community MCP Server\n`));
   console.log(chalk.gray(`Repository: ${repoUrl}\n`));
@@ -117,13 +117,19 @@ export async function installCommunityServer(repoUrl, options = {}) {
     const serverConfig = await performInstallation(repoInfo, packageInfo, installMethod);
 
     // Test compatibility if requested
+    let testResult = null;
     if (test) {
       console.log(chalk.blue('\n🧪 Testing server compatibility...\n'));
-      const testResult = await testServerCompatibility(serverConfig, {
-        level: TEST_LEVELS.BASIC,
-        includeSecurity: true
+      testResult = await testServerCompatibility(serverConfig, {
+        level: fuzz ? TEST_LEVELS.ROBUSTNESS : TEST_LEVELS.BASIC,
+        includeSecurity: true,
+        fuzzUnconfined
       });
 
+      for (const finding of testResult.fuzz?.findings || []) {
+        console.log(chalk.red(`  ✗ ${finding.tool} (${finding.case}): ${finding.message}`));
+      }
+
       if (testResult.passed) {
         console.log(chalk.green(`✓ Compatibility test passed (${testResult.score}/${testResult.maxScore})`));
       } else {
@@ -141,6 +147,9 @@ export async function installCommunityServer(repoUrl, options = {}) {
       installMethod,
       installedAt: new Date().toISOString()
     });
+    if (testResult?.protocolMatrix) {
+      setProtocolMatrix(serverId, testResult.protocolMatrix);
+    }
 
     // Save registry
     await saveDynamicRegistry();
@@ -0,0 +1,111 @@
+/**
+ * Daemon Command
+ *
+ * Start, stop and inspect the background daemon that keeps managed servers
+ * running between CLI invocations.
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import { getProfileConfig } from '../registry.js';
+import { startDaemon, stopDaemon, requestDaemon, runDaemon, getDaemonPaths } from '../utils/daemon.js';
+import { printServerTable, formatUptime } from './servers.js';
+
+/**
+ * Start the daemon (unless it is running) and the requested servers in it
+ */
+export async function daemonStart(options = {}) {
+  const serverIds = resolveDaemonServers(options);
+  const spinner = ora('Starting AmpGI daemon...').start();
+
+  let status = await requestDaemon('daemon/status');
+  if (status) {
+    spinner.info(`Daemon already running (pid ${status.pid})`);
+  } else {
+    status = await startDaemon({ timeout: options.timeout });
+    spinner.succeed(`Daemon running (pid ${status.pid})`);
+    console.log(chalk.gray(`  Socket: ${status.socketPath}`));
+    console.log(chalk.gray(`  Log:    ${status.logFile}`));
+  }
+
+  let failed = 0;
+  for (const serverId of serverIds) {
+    const serverSpinner = ora(`Starting ${serverId}...`).start();
+    try {
+      const server = await requestDaemon('servers/start', { serverId });
+      serverSpinner.succeed(`${serverId} (pid ${server.pid}, ${server.permissionTier})`);
+    } catch (error) {
+      failed++;
+      serverSpinner.fail(`${serverId}: ${error.message}`);
+    }
+  }
+
+  if (failed > 0) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Stop the daemon and every server it runs
+ */
+export async function daemonStop() {
+  const spinner = ora('Stopping AmpGI daemon...').start();
+  const result = await stopDaemon();
+
+  if (!result) {
+    spinner.info('Daemon is not running');
+    return;
+  }
+  spinner.succeed(`Daemon stopped${result.stopping.length > 0 ? ` with ${result.stopping.join(', ')}` : ''}`);
+}
+
+/**
+ * Show whether the daemon runs and which servers it manages
+ */
+export async function daemonStatus(options = {}) {
+  const status = await requestDaemon('daemon/status');
+  const servers = status ? (await requestDaemon('servers/list')).servers : {};
+
+  if (options.json) {
+    console.log(JSON.stringify({ running: !!status, ...status, servers }, null, 2));
+  } else if (!status) {
+    console.log(chalk.yellow('Daemon is not running. Start it with: ampgi daemon start'));
+    console.log(chalk.gray(`  Socket: ${getDaemonPaths().socketPath}`));
+  } else {
+    console.log(chalk.green(`● Daemon running (pid ${status.pid}, up ${formatUptime(status.uptime)})`));
+    console.log(chalk.gray(`  Socket: ${status.socketPath}`));
+    console.log(chalk.gray(`  Directory: ${status.cwd}`));
+
+    const rows = Object.entries(servers).map(([serverId, server]) => ({ serverId, ...server }));
+    console.log(chalk.yellow(`\nManaged Servers: ${rows.length}`));
+    if (rows.length > 0) {
+      printServerTable(rows);
+    }
+  }
+
+  if (!status) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Run the daemon in the foreground (what `daemon start` spawns)
+ */
+export async function daemonRun(options = {}) {
+  await runDaemon({ timeout: options.timeout });
+}
+
+/**
+ * Server IDs from --profile and/or --servers; none just starts the daemon
+ */
+function resolveDaemonServers(options) {
+  const serverIds = [];
+
+  if (options.profile) {
+    serverIds.push(...getProfileConfig(options.profile).servers);
+  }
+  if (options.servers) {
+    serverIds.push(...options.servers);
+  }
+  return [...new Set(serverIds)];
+}
@@ -346,7 +346,8 @@ async function testServerInteractive(servers) {
       choices: [
         { name: 'Basic (Installation & Startup)', value: TEST_LEVELS.BASIC },
         { name: 'Functional (Tools & Features)', value: TEST_LEVELS.FUNCTIONAL },
-        { name: 'Full Protocol Compliance', value: TEST_LEVELS.PROTOCOL }
+        { name: 'Full Protocol Compliance', value: TEST_LEVELS.PROTOCOL },
+        { name: 'Robustness (Protocol + Fuzzed Tool Calls)', value: TEST_LEVELS.ROBUSTNESS }
       ]
     }
   ]);
@@ -383,11 +384,21 @@ function displayTestResult(result) {
     displayTestGroup(result.tests.functional);
   }
   
+  if (result.tests.schema) {
+    console.log(chalk.blue.bold('\nSchema Tests:'));
+    displayTestGroup(result.tests.schema);
+  }
+  
   if (result.tests.protocol) {
     console.log(chalk.blue.bold('\nProtocol Tests:'));
     displayTestGroup(result.tests.protocol);
   }
   
+  if (result.tests.robustness) {
+    console.log(chalk.blue.bold('\nRobustness Tests:'));
+    displayTestGroup(result.tests.robustness);
+  }
+  
   if (result.tests.security) {
     console.log(chalk.blue.bold('\nSecurity Tests:'));
     displayTestGroup(result.tests.security);
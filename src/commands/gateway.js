@@ -0,0 +1,83 @@
+/**
+ * Gateway Command
+ *
+ * Run a profile's servers behind one MCP endpoint on stdin/stdout, so Amp
+ * launches a single server and every tool call goes through AmpGI's sandbox
+ * and permission checks. Stdout carries only protocol messages; all status
+ * output goes to stderr.
+ */
+
+import chalk from 'chalk';
+import path from 'path';
+import { getProfileConfig, loadDynamicRegistry } from '../registry.js';
+import { MCPGateway, namespaceName } from '../utils/gateway.js';
+
+/**
+ * Start the gateway and serve until the client disconnects
+ */
+export async function gatewayCommand(options = {}) {
+  // Config, installed servers and the policy file are all read from the project
+  if (options.project) {
+    process.chdir(path.resolve(options.project));
+  }
+
+  const serverIds = resolveGatewayServers(options);
+  const log = (message) => console.error(chalk.gray(`[ampgi-gateway] ${message}`));
+
+  // Anything printed to stdout would corrupt the protocol stream
+  const originalLog = console.log;
+  console.log = console.error;
+
+  try {
+    await loadDynamicRegistry();
+
+    const gateway = new MCPGateway(serverIds, { timeout: options.timeout });
+
+    gateway.on('memberStarted', ({ serverId, permissionTier, tools }) =>
+      log(`✓ ${serverId} (${permissionTier || 'remote'}, ${tools} tools)`));
+    gateway.on('memberFailed', ({ serverId, error }) =>
+      console.error(chalk.yellow(`[ampgi-gateway] ✗ ${serverId}: ${error.message}`)));
+    gateway.on('memberClosed', ({ serverId, reason }) =>
+      console.error(chalk.yellow(`[ampgi-gateway] ${serverId} stopped: ${reason}`)));
+    gateway.on('toolCall', (call) => {
+      if (!call.allowed) {
+        console.error(chalk.red(`[ampgi-gateway] blocked ${namespaceName(call.serverId, call.tool)}: ${call.reason}`));
+      } else if (options.verbose) {
+        log(`${namespaceName(call.serverId, call.tool)} ${call.error ? `failed: ${call.error}` : `(${call.durationMs}ms)`}`);
+      }
+    });
+
+    const closed = new Promise(resolve => gateway.once('close', resolve));
+    const shutdown = () => gateway.close('signal');
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+
+    const { started, failed } = await gateway.start();
+    log(`Serving ${started.length} server(s)${failed.length > 0 ? `, ${failed.length} failed to start` : ''}`);
+
+    await closed;
+    process.off('SIGINT', shutdown);
+    process.off('SIGTERM', shutdown);
+  } finally {
+    console.log = originalLog;
+  }
+}
+
+/**
+ * Server IDs from --profile and/or --servers
+ */
+function resolveGatewayServers(options) {
+  const serverIds = [];
+
+  if (options.profile) {
+    serverIds.push(...getProfileConfig(options.profile).servers);
+  }
+  if (options.servers) {
+    serverIds.push(...options.servers);
+  }
+
+  if (serverIds.length === 0) {
+    throw new Error('Specify servers with --profile <profile> or --servers <servers...>');
+  }
+  return [...new Set(serverIds)];
+}
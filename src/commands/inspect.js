@@ -0,0 +1,164 @@
+/**
+ * Inspect Command
+ *
+ * Start a registry server in its sandbox and print the live catalog of
+ * tools, resources, resource templates and prompts it exposes.
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import { loadDynamicRegistry } from '../registry.js';
+import { openMCPSession } from '../utils/mcp.js';
+
+/**
+ * Inspect a server's live MCP catalog
+ */
+export async function inspectServer(serverId, options = {}) {
+  const { json = false, timeout, record } = options;
+
+  await loadDynamicRegistry();
+
+  const spinner = ora({ text: `Starting ${serverId} in sandbox...`, isSilent: json }).start();
+  let session;
+
+  try {
+    session = await openMCPSession(serverId, { timeout, record });
+    spinner.text = `Reading catalog from ${serverId}...`;
+
+    const catalog = await session.client.getCatalog();
+    const report = buildInspectionReport(session, catalog);
+
+    const access = session.permissionTier ? `${session.permissionTier} privilege` : `remote, ${session.transport}`;
+    spinner.succeed(`Inspected ${session.serverConfig.name} (${access})`);
+
+    if (json) {
+      console.log(JSON.stringify(report, null, 2));
+    } else {
+      printInspectionReport(report);
+    }
+
+    return report;
+
+  } catch (error) {
+    spinner.fail(`Failed to inspect ${serverId}`);
+    throw error;
+  } finally {
+    if (session) {
+      await session.close('inspect_complete');
+      if (record && !json) {
+        console.log(chalk.gray(`\n📼 Session recorded to ${record}`));
+      }
+    }
+  }
+}
+
+/**
+ * Build a stable, diffable report from a session and its catalog
+ */
+export function buildInspectionReport(session, catalog) {
+  const { client } = session;
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  const byUri = (a, b) => (a.uri || a.uriTemplate).localeCompare(b.uri || b.uriTemplate);
+
+  return {
+    server: session.serverId,
+    serverInfo: client.serverInfo,
+    protocolVersion: client.protocolVersion,
+    capabilities: client.serverCapabilities,
+    ...(client.instructions && { instructions: client.instructions }),
+    permissionTier: session.permissionTier,
+    ...(session.transport && { transport: session.transport }),
+    tools: [...catalog.tools].sort(byName).map(tool => ({
+      name: tool.name,
+      ...(tool.title && { title: tool.title }),
+      description: tool.description || '',
+      inputSchema: tool.inputSchema || {},
+      ...(tool.outputSchema && { outputSchema: tool.outputSchema }),
+      ...(tool.annotations && { annotations: tool.annotations })
+    })),
+    resources: [...catalog.resources].sort(byUri),
+    resourceTemplates: [...catalog.resourceTemplates].sort(byUri),
+    prompts: [...catalog.prompts].sort(byName).map(prompt => ({
+      name: prompt.name,
+      description: prompt.description || '',
+      arguments: prompt.arguments || []
+    }))
+  };
+}
+
+/**
+ * Print an inspection report for humans
+ */
+function printInspectionReport(report) {
+  const serverName = report.serverInfo?.name || report.server;
+  const serverVersion = report.serverInfo?.version ? ` v${report.serverInfo.version}` : '';
+
+  console.log(chalk.blue(`\n🔎 ${serverName}${serverVersion}`));
+  console.log(chalk.gray(`  Protocol: ${report.protocolVersion || 'unknown'}`));
+  if (report.transport) {
+    console.log(chalk.gray(`  Transport: ${report.transport}`));
+  }
+  console.log(chalk.gray(`  Capabilities: ${Object.keys(report.capabilities || {}).join(', ') || 'none'}`));
+
+  if (report.instructions) {
+    console.log(chalk.gray(`  Instructions: ${report.instructions}`));
+  }
+
+  console.log(chalk.blue(`\n🛠️  Tools (${report.tools.length}):`));
+  if (report.tools.length === 0) {
+    console.log(chalk.gray('  No tools exposed'));
+  }
+  for (const tool of report.tools) {
+    console.log(chalk.green(`  ${tool.name}`));
+    if (tool.description) {
+      console.log(chalk.gray(`    ${tool.description}`));
+    }
+    console.log(chalk.gray('    Input schema:'));
+    console.log(chalk.gray(indent(JSON.stringify(tool.inputSchema, null, 2), 6)));
+  }
+
+  console.log(chalk.blue(`\n📚 Resources (${report.resources.length}):`));
+  if (report.resources.length === 0) {
+    console.log(chalk.gray('  No resources exposed'));
+  }
+  for (const resource of report.resources) {
+    const mimeType = resource.mimeType ? ` (${resource.mimeType})` : '';
+    console.log(chalk.green(`  ${resource.uri}`) + chalk.gray(` - ${resource.name || ''}${mimeType}`));
+    if (resource.description) {
+      console.log(chalk.gray(`    ${resource.description}`));
+    }
+  }
+
+  if (report.resourceTemplates.length > 0) {
+    console.log(chalk.blue(`\n📐 Resource Templates (${report.resourceTemplates.length}):`));
+    for (const template of report.resourceTemplates) {
+      console.log(chalk.green(`  ${template.uriTemplate}`) + chalk.gray(` - ${template.name || ''}`));
+      if (template.description) {
+        console.log(chalk.gray(`    ${template.description}`));
+      }
+    }
+  }
+
+  console.log(chalk.blue(`\n💬 Prompts (${report.prompts.length}):`));
+  if (report.prompts.length === 0) {
+    console.log(chalk.gray('  No prompts exposed'));
+  }
+  for (const prompt of report.prompts) {
+    console.log(chalk.green(`  ${prompt.name}`));
+    if (prompt.description) {
+      console.log(chalk.gray(`    ${prompt.description}`));
+    }
+    for (const arg of prompt.arguments) {
+      const required = arg.required ? chalk.yellow(' (required)') : '';
+      console.log(chalk.gray(`    • ${arg.name}`) + required + chalk.gray(arg.description ? ` - ${arg.description}` : ''));
+    }
+  }
+}
+
+/**
+ * Indent every line of a block of text
+ */
+function indent(text, spaces) {
+  const padding = ' '.repeat(spaces);
+  return text.split('\n').map(line => padding + line).join('\n');
+}
@@ -1,8 +1,16 @@
 import chalk from 'chalk';
 import ora from 'ora';
 import readline from 'readline';
-import { getProfileConfig, getServerConfig, generateAmpConfig } from '../registry.js';
+import {
+  getProfileConfig,
+  getServerConfig,
+  generateAmpConfig,
+  generateGatewayConfig,
+  getProtocolWarnings,
+  loadDynamicRegistry
+} from '../registry.js';
 import { detectAmpInstallation, updateAmpConfig } from '../utils/amp.js';
+import { LATEST_PROTOCOL_VERSION } from '../utils/mcp-client.js';
 import { installMCPServer } from '../utils/mcp.js';
 import { setupMultipleServerAuth, requiresAuth, generateCredentialEnvVars } from '../utils/auth.js';
 import { 
@@ -12,6 +20,7 @@ import {
   requestPermissionEscalation 
 } from '../utils/permissions.js';
 import { PERMISSION_TIERS } from '../utils/sandbox.js';
+import { analyzeServers, printToolOverlapReport } from './profile.js';
 
 // Helper function to get color for permission tier
 function getTierColor(tier) {
@@ -171,7 +180,9 @@ export async function installProfile(options) {
       console.log(chalk.red(`  ✗ ${blocked.serverName}`));
       console.log(chalk.gray(`    Reason: ${blocked.reason}`));
       
-      if (blocked.requiresEscalation) {
+      if (blocked.requiresApproval) {
+        console.log(chalk.gray(`    Use: ampgi policy approve ${blocked.serverId} (to approve it)`));
+      } else if (blocked.requiresEscalation) {
         console.log(chalk.gray(`    Use: ampgi security safe-mode off (to disable safe mode)`));
       }
     }
@@ -197,6 +208,14 @@ export async function installProfile(options) {
   }
   
   if (options.dryRun) {
+    if (options.profile && serverIds.length > 1) {
+      console.log(chalk.blue('\n🔍 Checking for overlapping tools...'));
+      try {
+        printToolOverlapReport(await analyzeServers(serverIds));
+      } catch (error) {
+        console.log(chalk.yellow(`Could not check tool overlap: ${error.message}`));
+      }
+    }
     console.log(chalk.gray('\n[DRY RUN] No changes will be made'));
     return;
   }
@@ -309,14 +328,30 @@ export async function installProfile(options) {
   const configSpinner = ora('Updating configuration...').start();
   
   try {
-    const ampConfig = await generateAmpConfig(serverIds, credentialEnvVars);
-    await updateAmpConfig(ampConfig, ampInstall);
-    configSpinner.succeed('Amp configuration updated successfully');
+    if (options.gateway) {
+      // One sandboxed gateway entry replaces the per-server entries
+      const gatewayConfig = generateGatewayConfig(serverIds, options.profile);
+      await updateAmpConfig(gatewayConfig, ampInstall, { removeServers: serverIds });
+      configSpinner.succeed(`Amp configuration updated: ${serverIds.length} servers behind the AmpGI gateway`);
+    } else {
+      const ampConfig = await generateAmpConfig(serverIds, credentialEnvVars);
+      await updateAmpConfig(ampConfig, ampInstall);
+      configSpinner.succeed('Amp configuration updated successfully');
+    }
   } catch (error) {
     configSpinner.fail(`Failed to update Amp configuration: ${error.message}`);
     console.log(chalk.red(`Error details: ${error.message}`));
     return;
   }
+
+  // Protocol matrices recorded by compatibility tests; behind the gateway, servers speak to our client
+  await loadDynamicRegistry();
+  const protocolWarnings = options.gateway ?
+    getProtocolWarnings(serverIds, LATEST_PROTOCOL_VERSION) :
+    getProtocolWarnings(serverIds);
+  for (const warning of protocolWarnings) {
+    console.log(chalk.yellow(`⚠️  ${warning}`));
+  }
   
   // Success message
   console.log(chalk.green('\n✅ AmpGI installation complete!'));
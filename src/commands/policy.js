@@ -0,0 +1,137 @@
+/**
+ * Policy Commands
+ *
+ * Try a request against the policy file and see which rule decides it, and
+ * why the rules before it did not (`policy test`). Approve a server that a
+ * require-approval rule holds back (`policy approve`).
+ */
+
+import chalk from 'chalk';
+import { loadPolicy, evaluatePolicy, POLICY_FILES, POLICY_EFFECTS, POLICY_OPERATIONS } from '../utils/policy.js';
+import { describeServerForPolicy, getPermissionOverrides, getPolicyApprovals, approvePolicyRule } from '../utils/permissions.js';
+import { loadDynamicRegistry } from '../registry.js';
+
+// Operations decided for a whole server, which bring its declared capabilities
+const SERVER_OPERATIONS = ['install', 'start'];
+
+/**
+ * Explain how the policy decides an operation of a server
+ */
+export async function policyTest(serverId, options = {}) {
+  const { json = false, operation = 'start' } = options;
+  if (!POLICY_OPERATIONS.includes(operation)) {
+    throw new Error(`Unknown operation ${operation}; use one of ${POLICY_OPERATIONS.join(', ')}`);
+  }
+
+  const policy = await loadPolicyOrFail(options.file);
+  const request = await buildRequest(serverId, operation, options);
+  const decision = evaluatePolicy(policy, request);
+  const approvedAt = decision.effect === POLICY_EFFECTS.REQUIRE_APPROVAL ?
+    (await getPolicyApprovals())[serverId]?.[decision.rule.id] || null :
+    null;
+  const result = { policy: policy.path, request, ...decision, approvedAt };
+
+  if (json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    printDecision(result);
+  }
+
+  if (decision.effect === POLICY_EFFECTS.DENY || (decision.effect === POLICY_EFFECTS.REQUIRE_APPROVAL && !approvedAt)) {
+    process.exitCode = 1;
+  }
+  return result;
+}
+
+/**
+ * Approve a server under every require-approval rule that holds back its
+ * install or start
+ */
+export async function policyApprove(serverId, options = {}) {
+  const policy = await loadPolicyOrFail(options.file);
+  const ruleIds = new Set();
+
+  for (const operation of SERVER_OPERATIONS) {
+    const decision = evaluatePolicy(policy, await buildRequest(serverId, operation, options));
+    if (decision.effect === POLICY_EFFECTS.DENY) {
+      throw new Error(`${decision.reason}; denied servers cannot be approved`);
+    }
+    if (decision.effect === POLICY_EFFECTS.REQUIRE_APPROVAL) {
+      ruleIds.add(decision.rule.id);
+    }
+  }
+
+  if (ruleIds.size === 0) {
+    console.log(chalk.yellow(`No policy rule requires approval for ${serverId}`));
+    return [];
+  }
+
+  for (const ruleId of ruleIds) {
+    await approvePolicyRule(serverId, ruleId);
+    console.log(chalk.green(`✓ Approved ${serverId} under policy rule ${ruleId}`));
+  }
+  return [...ruleIds];
+}
+
+async function loadPolicyOrFail(file) {
+  await loadDynamicRegistry();
+  const policy = loadPolicy({ file });
+  if (!policy) {
+    throw new Error(`No policy file (${POLICY_FILES.join(', ')}) in ${process.cwd()}`);
+  }
+  return policy;
+}
+
+/**
+ * The request the permission checks would make for an operation
+ */
+async function buildRequest(serverId, operation, options) {
+  const overrides = await getPermissionOverrides();
+  const server = describeServerForPolicy(serverId, options.tier || overrides[serverId]?.tier);
+  const capabilities = SERVER_OPERATIONS.includes(operation) ?
+    server.capabilities :
+    (options.capability ? [options.capability] : []);
+
+  return {
+    ...server,
+    operation,
+    capabilities,
+    ...(options.domain ? { domain: options.domain, port: options.port ?? 443 } : {}),
+    ...(options.path ? { path: options.path } : {}),
+    ...(options.env ? { envVar: options.env } : {})
+  };
+}
+
+function printDecision(result) {
+  const { request } = result;
+  const target = request.domain ? ` ${request.domain}:${request.port}` : request.path ? ` ${request.path}` : request.envVar ? ` ${request.envVar}` : '';
+
+  console.log(chalk.blue(`📜 Policy test: ${request.operation} of ${request.serverId}${target}\n`));
+  console.log(chalk.gray(`Policy: ${result.policy}`));
+  console.log(chalk.gray(`Server: source ${request.source || 'unknown'}, tier ${request.tier || 'unknown'}, capabilities ${request.capabilities.join(', ') || 'none'}\n`));
+
+  for (const step of result.trace) {
+    console.log(step.matched ?
+      chalk.white(`  ✓ #${step.index} ${step.rule}: matched`) :
+      chalk.gray(`  ✗ #${step.index} ${step.rule}: ${step.mismatch}`));
+  }
+
+  if (!result.rule) {
+    console.log(chalk.green('\nNo rule matched: the policy allows it (tier checks still apply)'));
+    return;
+  }
+
+  switch (result.effect) {
+    case POLICY_EFFECTS.DENY:
+      console.log(chalk.red(`\nDecision: deny. ${result.reason}`));
+      break;
+    case POLICY_EFFECTS.REQUIRE_APPROVAL:
+      console.log(chalk.yellow(`\nDecision: require approval. ${result.reason}`));
+      console.log(result.approvedAt ?
+        chalk.gray(`Approved on ${new Date(result.approvedAt).toLocaleString()}`) :
+        chalk.gray(`Not approved yet. Use: ampgi policy approve ${request.serverId}`));
+      break;
+    default:
+      console.log(chalk.green(`\nDecision: allow. ${result.reason} (tier checks still apply)`));
+  }
+}
@@ -0,0 +1,156 @@
+/**
+ * Profile Command
+ *
+ * Checks a profile's servers as a set: starts each one in its sandbox, lists
+ * its tools, and reports names and descriptions that overlap across servers,
+ * or what the tool definitions cost in the model's context window.
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import { getProfileConfig, loadDynamicRegistry } from '../registry.js';
+import { gatherServerTools, analyzeToolOverlap } from '../utils/tool-overlap.js';
+import { analyzeTokenBudget, getConfiguredTokenBudget } from '../utils/token-budget.js';
+
+/**
+ * Lint a profile for tool collisions and near duplicates
+ */
+export async function lintProfile(profileId, options = {}) {
+  const { json = false, timeout, threshold } = options;
+  const profile = getProfileConfig(profileId);
+
+  await loadDynamicRegistry();
+
+  const report = await analyzeServers(profile.servers, { json, timeout, threshold });
+  report.profile = profileId;
+
+  if (json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(chalk.blue(`\n🔍 Tool overlap in ${profile.name}`));
+    printToolOverlapReport(report);
+  }
+
+  if (report.collisions.length > 0 || report.nearDuplicates.length > 0) {
+    process.exitCode = 1;
+  }
+  return report;
+}
+
+/**
+ * Estimate the context tokens a profile's tool definitions cost
+ */
+export async function budgetProfile(profileId, options = {}) {
+  const { json = false, timeout, top } = options;
+  const profile = getProfileConfig(profileId);
+  const budget = options.budget ?? await getConfiguredTokenBudget();
+
+  await loadDynamicRegistry();
+
+  const servers = await listServerTools(profile.servers, { json, timeout });
+  const report = { profile: profileId, ...analyzeTokenBudget(servers, { budget, top }) };
+
+  if (json) {
+    console.log(JSON.stringify(report, null, 2));
+  } else {
+    console.log(chalk.blue(`\n🧮 Context budget of ${profile.name}`));
+    printTokenBudgetReport(report);
+  }
+
+  if (report.overBudget) {
+    process.exitCode = 1;
+  }
+  return report;
+}
+
+/**
+ * Gather tools from live servers and analyze them, with a progress spinner
+ */
+export async function analyzeServers(serverIds, options = {}) {
+  const servers = await listServerTools(serverIds, options);
+  return analyzeToolOverlap(servers, { threshold: options.threshold });
+}
+
+async function listServerTools(serverIds, options) {
+  const spinner = ora({ text: `Listing tools of ${serverIds.length} servers...`, isSilent: options.json }).start();
+
+  const servers = await gatherServerTools(serverIds, {
+    timeout: options.timeout,
+    onServer: ({ serverId }) => {
+      spinner.text = `Listed tools of ${serverId}...`;
+    }
+  });
+
+  const listed = servers.filter(server => server.tools);
+  const toolCount = listed.reduce((sum, server) => sum + server.tools.length, 0);
+  spinner.succeed(`Listed ${toolCount} tools from ${listed.length} of ${serverIds.length} servers`);
+  return servers;
+}
+
+/**
+ * Print per-server costs, the heaviest tools and budget warnings
+ */
+export function printTokenBudgetReport(report) {
+  const percent = Math.round((report.total / report.budget) * 100);
+  const color = report.overBudget ? chalk.red : percent >= 80 ? chalk.yellow : chalk.green;
+  console.log(color(`  ~${report.total} of ${report.budget} tokens (${percent}%)`));
+
+  console.log(chalk.blue('\n  Per server:'));
+  for (const server of report.servers) {
+    if (server.tokens === null) {
+      console.log(chalk.yellow(`    ? ${server.serverId}: could not list tools (${server.error})`));
+    } else {
+      console.log(`    ${server.serverId.padEnd(20)} ${String(server.tokens).padStart(6)} tokens` +
+        chalk.gray(`  ${server.tools} tools, ${Math.round(server.share * 100)}%`));
+    }
+  }
+
+  if (report.heaviest.length > 0) {
+    console.log(chalk.blue('\n  Heaviest tools:'));
+    for (const tool of report.heaviest) {
+      const { description, schema } = tool.breakdown;
+      console.log(`    ${`${tool.serverId}.${tool.name}`.padEnd(40)} ${String(tool.tokens).padStart(6)} tokens` +
+        chalk.gray(`  description ${description}, schema ${schema}`));
+    }
+  }
+
+  for (const warning of report.warnings) {
+    console.log(chalk.yellow(`\n  ⚠️  ${warning}`));
+  }
+}
+
+/**
+ * Print collisions, near duplicates and suggestions
+ */
+export function printToolOverlapReport(report) {
+  for (const server of report.servers.filter(server => server.error)) {
+    console.log(chalk.yellow(`  ? ${server.serverId}: could not list tools (${server.error})`));
+  }
+
+  if (report.collisions.length === 0 && report.nearDuplicates.length === 0) {
+    console.log(chalk.green('  ✓ No overlapping tools'));
+    return;
+  }
+
+  if (report.collisions.length > 0) {
+    console.log(chalk.red('\n  Name collisions:'));
+    for (const collision of report.collisions) {
+      console.log(chalk.red(`    ✗ ${collision.name}`) + chalk.gray(` - ${collision.servers.join(', ')}`));
+    }
+  }
+
+  if (report.nearDuplicates.length > 0) {
+    console.log(chalk.yellow('\n  Near duplicates:'));
+    for (const { tools: [a, b], reason, similarity } of report.nearDuplicates) {
+      const why = reason === 'name' ? 'equivalent names' : `${Math.round(similarity * 100)}% similar descriptions`;
+      console.log(chalk.yellow(`    ~ ${a.serverId}.${a.name} ↔ ${b.serverId}.${b.name}`) + chalk.gray(` (${why})`));
+    }
+  }
+
+  if (report.suggestions.length > 0) {
+    console.log(chalk.blue('\n  💡 Suggestions:'));
+    for (const suggestion of report.suggestions) {
+      console.log(chalk.gray(`    • ${suggestion.message}`));
+    }
+  }
+}
@@ -8,7 +8,7 @@
 import chalk from 'chalk';
 import inquirer from 'inquirer';
 import { discoverAllServers, searchServers, getServersByCategory, getCategories } from '../utils/discovery.js';
-import { MCP_SERVERS } from '../registry.js';
+import { MCP_SERVERS, loadDynamicRegistry, getExtractedCapabilities } from '../registry.js';
 import fs from 'fs-extra';
 import path from 'path';
 
@@ -34,6 +34,13 @@ export async function searchCommand(query, options = {}) {
   try {
     // Load servers (from cache or discovery)
     let servers = await loadServers();
+
+    // Prefer capabilities extracted from live tool catalogs over inferred ones
+    await loadDynamicRegistry();
+    servers = servers.map(server => {
+      const extraction = getExtractedCapabilities(server.id);
+      return extraction ? { ...server, capabilities: extraction.capabilities.map(entry => entry.capability) } : server;
+    });
     
     if (servers.length === 0) {
       console.log(chalk.yellow('No servers available. Run "ampgi discover" first.'));
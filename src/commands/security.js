@@ -8,9 +8,10 @@ import {
   getSecurityAudit,
   generatePermissionRecommendations
 } from '../utils/permissions.js';
-import { PERMISSION_TIERS } from '../utils/sandbox.js';
-import { getAllServers, getServerStatus } from '../utils/process-manager.js';
-import { getServerConfig } from '../registry.js';
+import { PERMISSION_TIERS, createSandbox, getConfiguredSandboxOverrides } from '../utils/sandbox.js';
+import { listManagedServers } from '../utils/daemon.js';
+import { formatUptime } from './servers.js';
+import { getServerConfig, getAllServers, loadDynamicRegistry } from '../registry.js';
 
 /**
  * Show current security status
@@ -55,20 +56,31 @@ export async function securityStatus() {
     }
     
     // Show running servers
-    const runningServers = getAllServers();
+    const runningServers = await listManagedServers();
+    const knownServers = await loadKnownServers();
     const runningCount = Object.keys(runningServers).length;
     
     console.log(chalk.yellow('\nRunning Servers:'), runningCount);
     
     if (runningCount > 0) {
       for (const [serverId, status] of Object.entries(runningServers)) {
-        const serverConfig = getServerConfig(serverId);
+        const serverConfig = knownServers[serverId];
         const serverName = serverConfig?.name || serverId;
         const tierColor = getTierColor(status.permissionTier);
         
         console.log(chalk.gray(`  • ${serverName} (PID: ${status.pid})`));
         console.log(chalk.gray(`    Permission: ${tierColor(status.permissionTier)}`));
         console.log(chalk.gray(`    Uptime: ${Math.round(status.uptime / 1000)}s`));
+        
+        if (status.resourceLimits) {
+          const limits = Object.entries(status.resourceLimits);
+          const enforced = limits.filter(([, limit]) => limit.enforced).map(([name]) => name);
+          const advisory = limits.filter(([, limit]) => !limit.enforced).map(([name]) => name);
+          console.log(chalk.gray(`    Limits enforced: ${enforced.join(', ') || 'none'}`));
+          if (advisory.length > 0) {
+            console.log(chalk.yellow(`    Limits advisory only: ${advisory.join(', ')}`));
+          }
+        }
       }
     } else {
       console.log(chalk.gray('  No servers currently running'));
@@ -146,7 +158,7 @@ export async function manageServerPermissions(serverId, newTier) {
     return;
   }
   
-  const serverConfig = getServerConfig(serverId);
+  const serverConfig = (await loadKnownServers())[serverId];
   if (!serverConfig) {
     console.log(chalk.red(`Error: Server ${serverId} not found`));
     return;
@@ -172,6 +184,13 @@ export async function manageServerPermissions(serverId, newTier) {
       console.log(chalk.gray('No override configured (using default)'));
     }
     
+    const sandboxOverride = (await getConfiguredSandboxOverrides())[serverId];
+    printEffectivePolicy(
+      createSandbox({ id: serverId, ...serverConfig }, effectiveTier, sandboxOverride),
+      createSandbox({ id: serverId }, effectiveTier),
+      [serverConfig.sandbox && 'registry entry', sandboxOverride && '.ampgi-config.json sandboxOverrides'].filter(Boolean)
+    );
+    
     // Show tier capabilities
     console.log(chalk.yellow('\nPermission Tiers:'));
     console.log(chalk.gray(`  ${getTierColor(PERMISSION_TIERS.LOW)(PERMISSION_TIERS.LOW)}: Read-only access, no network`));
@@ -264,12 +283,13 @@ export async function performSecurityAudit() {
     }
     
     // Server analysis
-    const runningServers = getAllServers();
+    const runningServers = await listManagedServers();
+    const knownServers = await loadKnownServers();
     if (Object.keys(runningServers).length > 0) {
       console.log(chalk.yellow('\nRunning Server Analysis:'));
       
       for (const [serverId, status] of Object.entries(runningServers)) {
-        const serverConfig = getServerConfig(serverId);
+        const serverConfig = knownServers[serverId];
         const serverName = serverConfig?.name || serverId;
         
         console.log(chalk.gray(`\n  ${serverName}:`));
@@ -277,8 +297,18 @@ export async function performSecurityAudit() {
         console.log(chalk.gray(`    PID: ${status.pid}`));
         console.log(chalk.gray(`    Uptime: ${Math.round(status.uptime / 1000)}s`));
         
+        if (status.resourceLimits) {
+          console.log(chalk.gray('    Resource Limits:'));
+          for (const [name, limit] of Object.entries(status.resourceLimits)) {
+            const value = formatLimitValue(name, limit.value);
+            console.log(limit.enforced ?
+              chalk.gray(`      ✓ ${name} ${value} (${limit.via.join(', ')})`) :
+              chalk.yellow(`      ○ ${name} ${value}: advisory, ${limit.reason}`));
+          }
+        }
+        
         // Security recommendations for this server
-        const recommendations = generatePermissionRecommendations(serverConfig);
+        const recommendations = serverConfig ? generatePermissionRecommendations(serverConfig) : [];
         if (recommendations.length > 0) {
           console.log(chalk.yellow('    Recommendations:'));
           for (const rec of recommendations) {
@@ -305,6 +335,75 @@ export async function performSecurityAudit() {
   }
 }
 
+/**
+ * Registry entries by ID, including installed community servers; managed
+ * servers may be ones the static registry doesn't know
+ */
+async function loadKnownServers() {
+  await loadDynamicRegistry();
+  return getAllServers();
+}
+
+/**
+ * Print the sandbox a server gets, highlighting what its overrides changed
+ * from the tier's defaults
+ */
+function printEffectivePolicy(sandbox, tierSandbox, sources) {
+  const list = (values, defaults) => values.length > 0 ?
+    values.map(value => defaults.includes(value) ? String(value) : chalk.cyan(value)).join(', ') :
+    'none';
+  const { filePermissions: files, networkPermissions: network } = sandbox;
+  const tierFiles = tierSandbox.filePermissions;
+  const tierNetwork = tierSandbox.networkPermissions;
+  
+  console.log(chalk.yellow('\nEffective Policy:'));
+  console.log(chalk.gray(`  Readable: ${list(files.readablePaths, tierFiles.readablePaths)}`));
+  console.log(chalk.gray(`  Writable: ${list(files.writablePaths, tierFiles.writablePaths)}`));
+  console.log(chalk.gray(`  Blocked:  ${list(files.blockedPaths, tierFiles.blockedPaths)}`));
+  console.log(chalk.gray(network.allowNetwork ?
+    `  Network:  ${list(network.allowedDomains, tierNetwork.allowedDomains)} on ports ${list(network.allowedPorts, tierNetwork.allowedPorts)}` :
+    '  Network:  none'));
+  console.log(chalk.gray(`  Env:      ${list(sandbox.envPassthrough, [])}`));
+  
+  const limits = {
+    memory: 'maxMemory',
+    cpu: 'maxCpuPercent',
+    processes: 'maxConcurrentProcesses',
+    executionTime: 'maxExecutionTime',
+    idleTimeout: 'idleTimeout'
+  };
+  const formatted = Object.entries(limits).map(([name, key]) => {
+    const value = `${name} ${formatLimitValue(name, sandbox.resourceLimits[key])}`;
+    return sandbox.resourceLimits[key] === tierSandbox.resourceLimits[key] ? value : chalk.cyan(value);
+  });
+  console.log(chalk.gray(`  Limits:   ${formatted.join(', ')}`));
+  
+  if (sources.length > 0) {
+    console.log(chalk.gray(`  Overrides from ${sources.join(' and ')} are shown in ${chalk.cyan('cyan')}`));
+  }
+}
+
+/**
+ * Human-readable value of a sandbox resource limit
+ */
+function formatLimitValue(name, value) {
+  if (value === null || value === undefined) {
+    return 'none';
+  }
+  switch (name) {
+    case 'memory':
+      return `${Math.round(value / 1024 / 1024)}MB`;
+    case 'cpu':
+      return `${value}% of a CPU`;
+    case 'executionTime':
+      return `${formatUptime(value)} per request`;
+    case 'idleTimeout':
+      return value ? formatUptime(value) : 'off';
+    default:
+      return String(value);
+  }
+}
+
 /**
  * Get color for permission tier
  */
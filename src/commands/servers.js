@@ -0,0 +1,197 @@
+/**
+ * Managed Server Commands
+ *
+ * Operate the servers the daemon keeps running: list them with their health
+ * (`ps`), read or follow their output (`logs`), and stop, restart or kill
+ * them. Every command can print JSON for scripts.
+ */
+
+import chalk from 'chalk';
+import ora from 'ora';
+import { connectDaemon, listManagedServers, requestDaemon } from '../utils/daemon.js';
+
+const CONTROL_ACTIONS = {
+  stop: { method: 'servers/stop', verb: 'Stopping', done: 'stopped' },
+  restart: { method: 'servers/restart', verb: 'Restarting', done: 'restarted' },
+  kill: { method: 'servers/kill', verb: 'Killing', done: 'killed' }
+};
+
+/**
+ * List managed servers with pid, tier, uptime, restarts and health
+ */
+export async function psCommand(options = {}) {
+  const servers = await listManagedServers();
+  const rows = Object.entries(servers).map(([serverId, status]) => ({ serverId, ...status }));
+
+  if (options.json) {
+    console.log(JSON.stringify(rows, null, 2));
+    return rows;
+  }
+
+  if (rows.length === 0) {
+    console.log(chalk.yellow('No managed servers. Start some with: ampgi daemon start --servers <servers...>'));
+    return rows;
+  }
+
+  printServerTable(rows);
+  return rows;
+}
+
+/**
+ * Print managed server statuses ({ serverId, ...getServerStatus() }) as a table
+ */
+export function printServerTable(rows) {
+  const table = [
+    ['ID', 'PID', 'TIER', 'STATUS', 'UPTIME', 'RESTARTS', 'HEALTH'],
+    ...rows.map(row => [
+      row.serverId,
+      String(row.pid ?? '-'),
+      row.permissionTier || '-',
+      row.status,
+      formatUptime(row.uptime),
+      String(row.restartCount),
+      formatHealth(row)
+    ])
+  ];
+  const widths = table[0].map((_, column) => Math.max(...table.map(cells => cells[column].length)));
+
+  table.forEach((cells, index) => {
+    const line = cells.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd();
+    console.log(index === 0 ? chalk.bold(line) : colorRow(rows[index - 1], line));
+  });
+}
+
+/**
+ * Print a server's captured stdout and stderr, and optionally keep streaming
+ */
+export async function logsCommand(serverId, options = {}) {
+  const { follow = false, lines, json = false } = options;
+  const daemon = await connectDaemonOrFail();
+
+  try {
+    const logs = await daemon.request('servers/logs', { serverId, lines, follow });
+
+    if (json && !follow) {
+      console.log(JSON.stringify(logs, null, 2));
+      return logs;
+    }
+
+    logs.entries.forEach(entry => printLogEntry({ serverId, ...entry }, json));
+
+    if (follow) {
+      await followLogs(daemon, serverId, json);
+    }
+    return logs;
+  } finally {
+    daemon.close();
+  }
+}
+
+/**
+ * Stop, restart or kill a managed server
+ */
+export async function controlServer(action, serverId, options = {}) {
+  const { method, verb, done } = CONTROL_ACTIONS[action];
+  const spinner = ora({ text: `${verb} ${serverId}...`, isSilent: options.json }).start();
+
+  let result;
+  try {
+    result = await requestDaemon(method, { serverId });
+  } finally {
+    spinner.stop();
+  }
+
+  if (result === null) {
+    throw new Error(notRunningMessage());
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else {
+    ora().succeed(`${serverId} ${done}${result.pid ? ` (pid ${result.pid})` : ''}`);
+  }
+  return result;
+}
+
+/**
+ * Print streamed output until the server stops, the daemon exits or Ctrl+C
+ */
+function followLogs(daemon, serverId, json) {
+  return new Promise((resolve) => {
+    const finish = () => {
+      process.off('SIGINT', finish);
+      resolve();
+    };
+
+    daemon.client.on('notification', ({ method, params }) => {
+      if (method === 'notifications/servers/log') {
+        printLogEntry(params, json);
+      } else if (method === 'notifications/servers/stopped') {
+        if (!json) {
+          console.log(chalk.yellow(`${serverId} stopped (${params.reason})`));
+        }
+        finish();
+      }
+    });
+    daemon.client.on('close', finish);
+    process.once('SIGINT', finish);
+  });
+}
+
+function printLogEntry(entry, json) {
+  if (json) {
+    console.log(JSON.stringify(entry));
+    return;
+  }
+  const color = { stderr: chalk.red, egress: chalk.yellow }[entry.stream] || chalk.gray;
+  const label = color(`[${entry.stream}]`);
+  console.log(`${chalk.gray(entry.time ?? '')} ${label} ${entry.line}`);
+}
+
+async function connectDaemonOrFail() {
+  const daemon = await connectDaemon();
+  if (!daemon) {
+    throw new Error(notRunningMessage());
+  }
+  return daemon;
+}
+
+function notRunningMessage() {
+  return 'Daemon is not running; start servers with: ampgi daemon start --servers <servers...>';
+}
+
+function colorRow(row, line) {
+  if (row.status === 'backoff') {
+    return chalk.yellow(line);
+  }
+  if (row.status !== 'running') {
+    return chalk.red(line);
+  }
+  return row.health === 'unhealthy' ? chalk.yellow(line) : line;
+}
+
+/**
+ * Health with the latency of the last answered ping, e.g. "healthy 1.2ms"
+ */
+function formatHealth(row) {
+  const health = row.health || 'unknown';
+  const last = row.latencyHistory?.at(-1);
+  return last && last.latency !== null ? `${health} ${last.latency}ms` : health;
+}
+
+/**
+ * Compact uptime, e.g. 42s, 3m 5s, 2h 10m
+ */
+export function formatUptime(ms) {
+  if (typeof ms !== 'number') {
+    return '-';
+  }
+  const seconds = Math.round(ms / 1000);
+  if (seconds < 60) {
+    return `${seconds}s`;
+  }
+  if (seconds < 3600) {
+    return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+  }
+  return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+}
@@ -5,6 +5,10 @@
  * It provides functionality to discover, validate, and install MCP servers.
  */
 
+import path from 'path';
+import { getServerTransport, TRANSPORT_TYPES } from './utils/mcp-transports.js';
+import { AMP_PROTOCOL_VERSION } from './utils/amp.js';
+
 export const MCP_SERVERS = {
   // File & Document Management - VERIFIED WORKING
   filesystem: {
@@ -284,6 +288,9 @@ export const PROFILES = {
   }
 };
 
+// Amp config key of the gateway entry written by `ampgi install --gateway`
+export const GATEWAY_SERVER_ID = 'ampgi-gateway';
+
 /**
  * Get MCP server configuration by ID
  */
@@ -345,7 +352,26 @@ export async function generateAmpConfig(serverIds, credentialEnvVars = {}) {
       Object.assign(envVars, credentialEnvVars[serverId]);
     }
     
-    if (server.command && server.args) {
+    const transport = getServerTransport(server);
+
+    if (transport !== TRANSPORT_TYPES.STDIO) {
+      if (!server.url) {
+        throw new Error(`Server ${serverId} uses ${transport} transport but has no url`);
+      }
+
+      // Fill header placeholders from credentials, leaving unknown ones for the user
+      const headers = {};
+      for (const [name, value] of Object.entries(server.headers || {})) {
+        headers[name] = String(value).replace(/\$\{(\w+)\}/g, (match, varName) => envVars[varName] ?? match);
+      }
+
+      mcpServers[serverId] = {
+        url: server.url,
+        // Only spell out the transport when the URL wouldn't imply it
+        ...(transport !== getServerTransport({ url: server.url }) && { transport }),
+        ...(Object.keys(headers).length > 0 && { headers })
+      };
+    } else if (server.command && server.args) {
       mcpServers[serverId] = {
         command: server.command,
         args: server.args,
@@ -366,11 +392,51 @@ export async function generateAmpConfig(serverIds, credentialEnvVars = {}) {
   };
 }
 
+/**
+ * Generate a single Amp entry that runs the given servers behind `ampgi gateway`
+ *
+ * Amp may launch the gateway from any directory, so the entry names the
+ * project whose config, installed servers and policy file it serves.
+ */
+export function generateGatewayConfig(serverIds, profileId = null, projectDir = process.cwd()) {
+  for (const serverId of serverIds) {
+    if (!getAllServers()[serverId]) {
+      throw new Error(`Unknown MCP server: ${serverId}`);
+    }
+  }
+
+  // Refer to the profile while it still describes exactly these servers
+  const profile = profileId ? getProfileConfig(profileId) : null;
+  const args = profile && profile.servers.length === serverIds.length &&
+    profile.servers.every(serverId => serverIds.includes(serverId)) ?
+    ['--profile', profileId] :
+    ['--servers', ...serverIds];
+
+  return {
+    'amp.mcpServers': {
+      [GATEWAY_SERVER_ID]: {
+        command: 'ampgi',
+        args: ['gateway', '--project', path.resolve(projectDir), ...args]
+      }
+    }
+  };
+}
+
 /**
  * Dynamic server registry for discovered servers
  */
 let dynamicServers = {};
 
+/**
+ * Capabilities extracted from live tool catalogs, by server ID
+ */
+let extractedCapabilities = {};
+
+/**
+ * Protocol version matrices from compatibility tests, by server ID
+ */
+let protocolMatrices = {};
+
 /**
  * Add discovered server to dynamic registry
  */
@@ -440,19 +506,87 @@ export function getServersByCategory(category) {
     .map(([id, config]) => ({ id, ...config }));
 }
 
+/**
+ * Record capabilities extracted from a server's tools/list output
+ */
+export function setExtractedCapabilities(serverId, extraction) {
+  extractedCapabilities[serverId] = extraction;
+}
+
+/**
+ * Get the extracted capabilities of a server, if it has been inspected
+ */
+export function getExtractedCapabilities(serverId) {
+  return extractedCapabilities[serverId] || null;
+}
+
+/**
+ * Record which protocol versions a server accepted in a compatibility test
+ */
+export function setProtocolMatrix(serverId, matrix) {
+  protocolMatrices[serverId] = matrix;
+}
+
+/**
+ * Get the protocol version matrix of a server, if it has been tested
+ */
+export function getProtocolMatrix(serverId) {
+  return protocolMatrices[serverId] || null;
+}
+
+/**
+ * Warnings for servers whose protocol matrix shows they reject the version
+ * the client speaks; untested servers are not reported
+ */
+export function getProtocolWarnings(serverIds, protocolVersion = AMP_PROTOCOL_VERSION) {
+  const warnings = [];
+
+  for (const serverId of serverIds) {
+    const entry = protocolMatrices[serverId]?.versions?.[protocolVersion];
+    if (entry && !entry.accepted) {
+      const accepted = Object.entries(protocolMatrices[serverId].versions)
+        .filter(([, result]) => result.accepted)
+        .map(([version]) => version);
+      warnings.push(`${serverId} does not accept MCP protocol ${protocolVersion}` +
+        (accepted.length > 0 ? ` (accepts ${accepted.join(', ')})` : ' (accepted no tested version)'));
+    }
+  }
+
+  return warnings;
+}
+
 /**
  * Search servers by capability
+ *
+ * Servers whose tools have been inspected match on their extracted
+ * capabilities (at or above minConfidence); the rest on their declared ones.
  */
-export function searchServersByCapability(capability) {
+export function searchServersByCapability(capability, options = {}) {
+  const { minConfidence = 0.5 } = options;
+  const query = capability.toLowerCase();
   const allServers = getAllServers();
-  return Object.entries(allServers)
-    .filter(([_, config]) => 
-      config.capabilities && 
-      config.capabilities.some(cap => 
-        cap.toLowerCase().includes(capability.toLowerCase())
-      )
-    )
-    .map(([id, config]) => ({ id, ...config }));
+  const matches = [];
+
+  for (const [id, config] of Object.entries(allServers)) {
+    const extraction = extractedCapabilities[id];
+    const candidates = extraction ?
+      extraction.capabilities.filter(entry => entry.confidence >= minConfidence) :
+      (config.capabilities || []).map(name => ({ capability: name, confidence: null }));
+
+    const matched = candidates.filter(entry => entry.capability.toLowerCase().includes(query));
+    if (matched.length > 0) {
+      matches.push({
+        id,
+        ...config,
+        ...(extraction && { capabilities: extraction.capabilities.map(entry => entry.capability) }),
+        capabilitySource: extraction ? 'tools' : 'declared',
+        capabilityConfidence: extraction ? Math.max(...matched.map(entry => entry.confidence)) : null
+      });
+    }
+  }
+
+  // Verified matches first, most confident first
+  return matches.sort((a, b) => (b.capabilityConfidence ?? -1) - (a.capabilityConfidence ?? -1));
 }
 
 /**
@@ -545,13 +679,15 @@ export function updateRegistryFromDiscovery(discoveredServers) {
  */
 export async function saveDynamicRegistry() {
   try {
-    const fs = await import('fs-extra');
+    const { default: fs } = await import('fs-extra');
     const path = await import('path');
     
     const registryFile = path.join(process.cwd(), '.ampgi-dynamic-registry.json');
     await fs.writeJson(registryFile, {
       timestamp: new Date().toISOString(),
-      servers: dynamicServers
+      servers: dynamicServers,
+      capabilities: extractedCapabilities,
+      protocols: protocolMatrices
     }, { spaces: 2 });
     
     return registryFile;
@@ -565,7 +701,7 @@ export async function saveDynamicRegistry() {
  */
 export async function loadDynamicRegistry() {
   try {
-    const fs = await import('fs-extra');
+    const { default: fs } = await import('fs-extra');
     const path = await import('path');
     
     const registryFile = path.join(process.cwd(), '.ampgi-dynamic-registry.json');
@@ -573,6 +709,8 @@ export async function loadDynamicRegistry() {
     if (await fs.pathExists(registryFile)) {
       const data = await fs.readJson(registryFile);
       dynamicServers = data.servers || {};
+      extractedCapabilities = data.capabilities || {};
+      protocolMatrices = data.protocols || {};
       return data.timestamp;
     }
   } catch (error) {
@@ -3,6 +3,11 @@ import path from 'path';
 import os from 'os';
 import { spawn } from 'child_process';
 
+/**
+ * MCP protocol revision the supported Amp build sends in initialize
+ */
+export const AMP_PROTOCOL_VERSION = '2025-06-18';
+
 /**
  * Detect Amp installation type and configuration paths
  */
@@ -122,7 +127,7 @@ export async function getCurrentAmpConfig(ampInstall) {
 /**
  * Update Amp configuration with new settings
  */
-export async function updateAmpConfig(newConfig, ampInstall) {
+export async function updateAmpConfig(newConfig, ampInstall, options = {}) {
   const configPath = ampInstall.configPath;
   
   // Ensure config directory exists
@@ -154,6 +159,11 @@ export async function updateAmpConfig(newConfig, ampInstall) {
     };
   }
   
+  // Drop entries that are now served another way (e.g. through the gateway)
+  for (const serverId of options.removeServers || []) {
+    delete mergedConfig['amp.mcpServers']?.[serverId];
+  }
+  
   // Write updated configuration
   try {
     const configContent = JSON.stringify(mergedConfig, null, 2);
@@ -0,0 +1,321 @@
+/**
+ * Server Benchmarks
+ *
+ * Measures a server the way Amp uses it: cold start from spawn to the
+ * initialize response, tools/list and tools/call latency percentiles over a
+ * number of iterations, and peak resident memory of the whole process tree
+ * (npx, shells and the server itself) sampled from /proc. Results are saved
+ * per server version so releases can be compared.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { performance } from 'perf_hooks';
+import { openMCPSession } from './mcp.js';
+import { JSONRPC_ERRORS } from './mcp-client.js';
+import { processManager } from './process-manager.js';
+import { generateCases, createRandom, DEFAULT_FUZZ_SEED } from './fuzz.js';
+
+export const BENCHMARK_FILE = '.ampgi-benchmarks.json';
+
+export const BENCHMARK_DEFAULTS = {
+  iterations: 20,
+  sampleInterval: 100 // ms between memory samples
+};
+
+// Metrics compared between versions: [label, path into a result]
+export const BENCHMARK_METRICS = [
+  ['cold start', ['coldStart', 'ms']],
+  ['tools/list p50', ['listTools', 'p50']],
+  ['tools/list p95', ['listTools', 'p95']],
+  ['tools/list p99', ['listTools', 'p99']],
+  ['tools/call p50', ['callTool', 'p50']],
+  ['tools/call p95', ['callTool', 'p95']],
+  ['tools/call p99', ['callTool', 'p99']],
+  ['peak RSS', ['memory', 'peakRss']]
+];
+
+/**
+ * Benchmark a registry server under its effective permission tier
+ */
+export async function benchmarkServer(serverId, options = {}) {
+  const result = await runBenchmark(serverId, () => openMCPSession(serverId, { timeout: options.timeout }), options);
+  return { serverId, ...result };
+}
+
+/**
+ * Benchmark the session returned by `open`; `serverId` is the process
+ * manager id it starts, so memory sampling can begin at spawn
+ */
+export async function runBenchmark(serverId, open, options = {}) {
+  const { iterations = BENCHMARK_DEFAULTS.iterations, sampleInterval = BENCHMARK_DEFAULTS.sampleInterval } = options;
+  const sampler = new MemorySampler(sampleInterval);
+
+  const onStarted = ({ serverId: startedId, processInfo }) => {
+    if (startedId === serverId) {
+      sampler.start(processInfo.pid);
+    }
+  };
+
+  processManager.on('serverStarted', onStarted);
+  const startTime = performance.now();
+  let session;
+  try {
+    session = await open();
+  } catch (error) {
+    sampler.stop();
+    throw error;
+  } finally {
+    processManager.off('serverStarted', onStarted);
+  }
+  const coldStart = round(performance.now() - startTime);
+
+  try {
+    const { client } = session;
+    const tools = await client.listTools(); // Also warms up the session
+
+    const result = {
+      version: client.serverInfo?.version || 'unknown',
+      serverName: client.serverInfo?.name || null,
+      protocolVersion: client.protocolVersion,
+      measuredAt: new Date().toISOString(),
+      iterations,
+      coldStart: { ms: coldStart },
+      listTools: await measure(iterations, () => client.listTools()),
+      callTool: null,
+      memory: null
+    };
+
+    const target = selectTool(tools, options);
+    if (target.tool) {
+      const args = options.args ?? generateCases(target.tool.inputSchema, createRandom(DEFAULT_FUZZ_SEED), { count: 1 })[0].args;
+      result.callTool = {
+        tool: target.tool.name,
+        ...await measure(iterations, () => client.callTool(target.tool.name, args), { allowErrors: true })
+      };
+    } else {
+      result.callTool = { skipped: target.reason };
+    }
+
+    await sampler.sample();
+    result.memory = sampler.report();
+    return result;
+  } finally {
+    sampler.stop();
+    await session.close('benchmark_complete');
+  }
+}
+
+/**
+ * Time `iterations` sequential requests
+ */
+export async function measure(iterations, request, options = {}) {
+  const samples = [];
+  let errors = 0;
+
+  for (let i = 0; i < iterations; i++) {
+    const startTime = performance.now();
+    try {
+      await request();
+    } catch (error) {
+      // A JSON-RPC error is still a response; timeouts and closed connections are not
+      const noResponse = error.code === JSONRPC_ERRORS.CONNECTION_CLOSED || error.code === JSONRPC_ERRORS.REQUEST_TIMEOUT;
+      if (!options.allowErrors || !Number.isInteger(error.code) || noResponse) {
+        throw error;
+      }
+      errors++;
+    }
+    samples.push(performance.now() - startTime);
+  }
+
+  const total = samples.reduce((sum, sample) => sum + sample, 0);
+  return {
+    ...summarizeSamples(samples),
+    throughput: total > 0 ? round(samples.length / (total / 1000)) : null, // sequential requests per second
+    errors
+  };
+}
+
+/**
+ * Min, mean, max and nearest-rank percentiles of latency samples
+ */
+export function summarizeSamples(samples) {
+  const sorted = [...samples].sort((a, b) => a - b);
+  const percentile = (p) => round(sorted[Math.max(0, Math.ceil((p / 100) * sorted.length) - 1)]);
+
+  return {
+    samples: sorted.length,
+    min: round(sorted[0]),
+    mean: round(sorted.reduce((sum, sample) => sum + sample, 0) / sorted.length),
+    p50: percentile(50),
+    p95: percentile(95),
+    p99: percentile(99),
+    max: round(sorted[sorted.length - 1])
+  };
+}
+
+/**
+ * Load saved benchmarks: { serverId: { version: result } }
+ */
+export async function loadBenchmarks(filePath = BENCHMARK_FILE) {
+  try {
+    return await fs.readJson(filePath);
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Save a result under its server and version, replacing an earlier run of
+ * the same version
+ */
+export async function saveBenchmark(result, filePath = BENCHMARK_FILE) {
+  const benchmarks = await loadBenchmarks(filePath);
+  benchmarks[result.serverId] = { ...benchmarks[result.serverId], [result.version]: result };
+  await fs.outputJson(filePath, benchmarks, { spaces: 2 });
+  return path.resolve(filePath);
+}
+
+/**
+ * Compare two results metric by metric; positive changes are regressions
+ */
+export function compareBenchmarks(before, after) {
+  return BENCHMARK_METRICS
+    .map(([label, [group, key]]) => ({ label, before: before?.[group]?.[key], after: after?.[group]?.[key] }))
+    .filter(({ before, after }) => typeof before === 'number' && typeof after === 'number')
+    .map(({ label, before, after }) => ({
+      metric: label,
+      before,
+      after,
+      change: before > 0 ? round(((after - before) / before) * 100) : null
+    }));
+}
+
+/**
+ * Saved versions of a server, oldest run first
+ */
+export function benchmarkHistory(benchmarks, serverId) {
+  return Object.values(benchmarks[serverId] || {})
+    .sort((a, b) => a.measuredAt.localeCompare(b.measuredAt));
+}
+
+/**
+ * The tool to time: the one requested, or the first tool annotated read-only
+ * so benchmarking has no side effects
+ */
+function selectTool(tools, options) {
+  if (options.tool) {
+    const tool = tools.find(candidate => candidate.name === options.tool);
+    if (!tool) {
+      throw new Error(`Tool ${options.tool} not found`);
+    }
+    return { tool };
+  }
+
+  const tool = tools.find(candidate => candidate.annotations?.readOnlyHint === true);
+  return tool ? { tool } : { reason: 'No tool is annotated read-only; choose one to call' };
+}
+
+/**
+ * Samples the resident memory of a process and all of its descendants
+ */
+class MemorySampler {
+  constructor(interval) {
+    this.interval = interval;
+    this.rootPid = null;
+    this.timer = null;
+    this.sampling = null;
+    this.supported = process.platform === 'linux';
+    this.peakRss = 0;
+    this.peakProcesses = 0;
+    this.samples = 0;
+  }
+
+  start(pid) {
+    if (!this.supported || !pid) {
+      return;
+    }
+    this.rootPid = pid;
+    this.sample();
+    this.timer = setInterval(() => this.sample(), this.interval);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Take one sample, skipping it while the previous one is still reading /proc
+   */
+  async sample() {
+    if (!this.rootPid || this.sampling) {
+      return this.sampling;
+    }
+
+    this.sampling = readTreeRss(this.rootPid)
+      .then(({ rss, processes }) => {
+        if (processes > 0) {
+          this.samples++;
+          this.peakRss = Math.max(this.peakRss, rss);
+          this.peakProcesses = Math.max(this.peakProcesses, processes);
+        }
+      })
+      .catch(() => {})
+      .finally(() => { this.sampling = null; });
+
+    return this.sampling;
+  }
+
+  report() {
+    // No samples: unsupported platform, or a remote server with no local process
+    if (this.samples === 0) {
+      return { supported: this.supported, peakRss: null, processes: null, samples: 0 };
+    }
+    return { supported: true, peakRss: this.peakRss, processes: this.peakProcesses, samples: this.samples };
+  }
+}
+
+/**
+ * Total VmRSS in bytes of a process and its descendants
+ */
+async function readTreeRss(rootPid) {
+  const children = new Map(); // ppid -> pids
+
+  for (const entry of await fs.readdir('/proc')) {
+    if (!/^\d+$/.test(entry)) {
+      continue;
+    }
+    try {
+      // The command name may contain spaces and parentheses; fields resume after the last ")"
+      const stat = await fs.readFile(`/proc/${entry}/stat`, 'utf8');
+      const ppid = Number(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[1]);
+      children.set(ppid, [...(children.get(ppid) || []), Number(entry)]);
+    } catch (error) {
+      // The process exited while we were listing
+    }
+  }
+
+  let rss = 0;
+  let processes = 0;
+  const queue = [rootPid];
+
+  while (queue.length > 0) {
+    const pid = queue.shift();
+    try {
+      const status = await fs.readFile(`/proc/${pid}/status`, 'utf8');
+      const match = status.match(/^VmRSS:\s+(\d+)\s+kB/m);
+      rss += match ? Number(match[1]) * 1024 : 0;
+      processes++;
+    } catch (error) {
+      continue;
+    }
+    queue.push(...(children.get(pid) || []));
+  }
+
+  return { rss, processes };
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,249 @@
+/**
+ * Capability Extraction
+ *
+ * Maps a server's actual tools/list output onto the `category:action`
+ * capability vocabulary used by the registry (file:read, git:commit, ...).
+ * Each capability carries a confidence score: tool names are stronger
+ * evidence than descriptions, and tools that fit no category lower the
+ * overall score.
+ */
+
+import { openMCPSession } from './mcp.js';
+import { setExtractedCapabilities } from '../registry.js';
+
+// Order matters: a description is attributed to the first category it mentions
+export const CAPABILITY_VOCABULARY = [
+  {
+    category: 'git',
+    keywords: ['git', 'commit', 'commits', 'branch', 'branches', 'repository', 'repo'],
+    actions: {
+      status: ['status'],
+      log: ['log', 'history'],
+      diff: ['diff'],
+      commit: ['commit', 'add', 'stage', 'reset'],
+      branch: ['branch', 'checkout', 'switch'],
+      remote: ['remote', 'push', 'pull', 'clone']
+    }
+  },
+  {
+    category: 'db',
+    keywords: ['sql', 'sqlite', 'database', 'db', 'table', 'tables', 'postgres', 'mysql'],
+    actions: {
+      query: ['query', 'select', 'execute'],
+      read: ['read', 'get', 'fetch'],
+      write: ['write', 'insert', 'update', 'delete', 'create', 'drop', 'append'],
+      schema: ['schema', 'describe', 'tables', 'columns']
+    }
+  },
+  {
+    category: 'memory',
+    keywords: ['memory', 'memories', 'entity', 'entities', 'relation', 'relations', 'observation', 'observations', 'graph', 'knowledge'],
+    actions: {
+      store: ['create', 'add', 'store', 'save', 'remember'],
+      retrieve: ['read', 'get', 'open', 'retrieve', 'recall'],
+      search: ['search', 'find', 'query'],
+      relate: ['relation', 'relations', 'relate', 'link']
+    }
+  },
+  {
+    category: 'file',
+    keywords: ['file', 'files', 'directory', 'directories', 'folder', 'folders', 'path', 'paths', 'filesystem'],
+    actions: {
+      read: ['read', 'get', 'cat', 'view', 'open', 'info', 'stat'],
+      write: ['write', 'create', 'edit', 'update', 'save', 'append', 'mkdir'],
+      list: ['list', 'ls', 'tree', 'allowed'],
+      delete: ['delete', 'remove', 'rm', 'unlink'],
+      move: ['move', 'rename', 'mv', 'copy'],
+      search: ['search', 'find', 'grep', 'glob']
+    }
+  },
+  {
+    category: 'note',
+    keywords: ['note', 'notes', 'vault', 'obsidian', 'markdown'],
+    actions: {
+      read: ['read', 'get', 'open', 'view'],
+      write: ['write', 'create', 'edit', 'update', 'append'],
+      search: ['search', 'find', 'query']
+    }
+  },
+  {
+    category: 'page',
+    keywords: ['page', 'pages', 'notion', 'block', 'blocks'],
+    actions: {
+      read: ['read', 'get', 'retrieve', 'view'],
+      write: ['write', 'create', 'update', 'append', 'edit']
+    }
+  },
+  {
+    category: 'time',
+    keywords: ['time', 'timezone', 'timezones', 'date', 'clock'],
+    actions: {
+      current: ['current', 'now', 'today'],
+      convert: ['convert', 'conversion'],
+      format: ['format'],
+      calculate: ['calculate', 'difference', 'add', 'subtract']
+    }
+  },
+  {
+    category: 'search',
+    keywords: ['search', 'web', 'news', 'images', 'semantic'],
+    actions: {
+      web: ['web', 'internet'],
+      news: ['news'],
+      images: ['image', 'images'],
+      semantic: ['semantic', 'neural', 'similar', 'similarity']
+    }
+  },
+  {
+    category: 'web',
+    keywords: ['url', 'urls', 'http', 'https', 'fetch', 'browser', 'webpage', 'website', 'navigate'],
+    actions: {
+      fetch: ['fetch', 'download', 'get', 'request'],
+      navigate: ['navigate', 'browse', 'click', 'goto', 'open'],
+      parse: ['parse', 'extract', 'scrape']
+    }
+  },
+  {
+    category: 'thinking',
+    keywords: ['think', 'thinking', 'thought', 'thoughts', 'reasoning', 'reflect'],
+    actions: {
+      sequential: ['sequential', 'sequentialthinking', 'step', 'steps'],
+      reflect: ['reflect', 'reflection', 'revise', 'revision'],
+      analyze: ['analyze', 'analysis', 'evaluate']
+    }
+  }
+];
+
+// Confidence of one mapping, by where the category and action were found
+const CONFIDENCE = {
+  nameAndName: 0.9,
+  mixed: 0.7,
+  description: 0.5
+};
+
+/**
+ * Map a list of tools to registry capabilities
+ */
+export function extractCapabilities(tools, options = {}) {
+  const vocabulary = options.vocabulary || CAPABILITY_VOCABULARY;
+  const capabilities = new Map(); // capability -> { confidence, tools }
+  const unmapped = [];
+  let confidenceTotal = 0;
+
+  for (const tool of tools) {
+    const mappings = mapTool(tool, vocabulary);
+
+    if (mappings.length === 0) {
+      unmapped.push(tool.name);
+      continue;
+    }
+
+    confidenceTotal += Math.max(...mappings.map(mapping => mapping.confidence));
+
+    for (const { capability, confidence } of mappings) {
+      const entry = capabilities.get(capability) || { capability, confidence: 0, tools: [] };
+      entry.confidence = Math.max(entry.confidence, confidence);
+      entry.tools.push(tool.name);
+      capabilities.set(capability, entry);
+    }
+  }
+
+  return {
+    source: 'tools/list',
+    extractedAt: new Date().toISOString(),
+    // Unmapped tools count as zero, so a catalog that fits the vocabulary poorly scores low
+    confidence: tools.length > 0 ? round(confidenceTotal / tools.length) : 0,
+    capabilities: [...capabilities.values()].sort((a, b) => b.confidence - a.confidence || a.capability.localeCompare(b.capability)),
+    unmapped,
+    toolCount: tools.length
+  };
+}
+
+/**
+ * Start a server, map its tools and store the result in the dynamic registry
+ */
+export async function extractServerCapabilities(serverId, options = {}) {
+  let session;
+
+  try {
+    session = await openMCPSession(serverId, { timeout: options.timeout });
+    const tools = await session.client.listTools();
+    const extraction = extractCapabilities(tools);
+
+    if (options.save !== false) {
+      setExtractedCapabilities(serverId, extraction);
+    }
+    return extraction;
+  } finally {
+    if (session) {
+      await session.close('capability_extraction');
+    }
+  }
+}
+
+/**
+ * Capabilities of one tool, from its name first and its description second
+ */
+function mapTool(tool, vocabulary) {
+  const nameWords = words(tool.name);
+  const descriptionWords = words(tool.description);
+
+  // Categories in the tool name (git_log) are the strongest evidence
+  const named = vocabulary.filter(entry => mentions(entry.keywords, nameWords));
+  const mappings = named.flatMap(entry => mapActions(entry, nameWords, descriptionWords, true));
+  if (mappings.length > 0) {
+    return mappings;
+  }
+
+  // Otherwise take the first category the description mentions that yields an action
+  for (const entry of vocabulary.filter(entry => mentions(entry.keywords, descriptionWords))) {
+    const described = mapActions(entry, nameWords, descriptionWords, false);
+    if (described.length > 0) {
+      return described;
+    }
+  }
+  return [];
+}
+
+/**
+ * Actions of one category named by the tool, falling back to its description
+ */
+function mapActions(entry, nameWords, descriptionWords, categoryInName) {
+  let actions = matchActions(entry, nameWords);
+  const actionInName = actions.length > 0;
+
+  if (!actionInName) {
+    actions = matchActions(entry, descriptionWords).slice(0, 1);
+  }
+
+  const confidence = categoryInName && actionInName ? CONFIDENCE.nameAndName :
+    categoryInName || actionInName ? CONFIDENCE.mixed :
+    CONFIDENCE.description;
+
+  return actions.map(action => ({ capability: `${entry.category}:${action}`, confidence }));
+}
+
+function matchActions(entry, textWords) {
+  return Object.entries(entry.actions)
+    .filter(([, verbs]) => mentions(verbs, textWords))
+    .map(([action]) => action);
+}
+
+function mentions(candidates, textWords) {
+  return candidates.some(candidate => textWords.includes(candidate));
+}
+
+/**
+ * Lowercase words of a name or sentence, splitting camelCase and separators
+ */
+function words(text) {
+  return String(text || '')
+    .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,338 @@
+/**
+ * MCP Session Cassettes
+ *
+ * Records the JSON-RPC traffic between AmpGI and a server into a cassette
+ * file, and replays a cassette's requests against another server version to
+ * report which responses (tool results, schemas, catalogs) changed.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+
+export const CASSETTE_VERSION = 1;
+
+// Requests that are part of the session lifecycle rather than its content
+const UNREPLAYED_METHODS = ['initialize', 'ping'];
+
+/**
+ * Records a client's traffic as it happens
+ */
+export class CassetteRecorder {
+  constructor(client, server = {}) {
+    this.client = client;
+    this.server = describeServer(server);
+    this.recordedAt = new Date().toISOString();
+    this.interactions = [];
+    this.serverMessages = [];
+    this.pending = new Map(); // request id -> interaction
+    this.stopped = false;
+
+    this.handleMessage = ({ direction, message }) => this.record(direction, message);
+    client.on('message', this.handleMessage);
+  }
+
+  /**
+   * Track one message in either direction
+   */
+  record(direction, message) {
+    const isRequest = message.method !== undefined && message.id !== undefined;
+    const isResponse = message.method === undefined && message.id !== undefined;
+
+    if (direction === 'outgoing' && isRequest) {
+      const interaction = {
+        method: message.method,
+        params: stripVolatile(message.params),
+        response: null,
+        durationMs: null,
+        sentAt: Date.now()
+      };
+      this.pending.set(message.id, interaction);
+      this.interactions.push(interaction);
+    } else if (direction === 'incoming' && isResponse) {
+      const interaction = this.pending.get(message.id);
+      if (interaction) {
+        this.pending.delete(message.id);
+        interaction.response = message.error ? { error: message.error } : { result: message.result };
+        interaction.durationMs = Date.now() - interaction.sentAt;
+      }
+    } else if (direction === 'incoming') {
+      // Server notifications and server-initiated requests
+      this.serverMessages.push({ method: message.method, params: stripVolatile(message.params) });
+    }
+  }
+
+  /**
+   * Stop recording and return the cassette
+   */
+  stop() {
+    if (!this.stopped) {
+      this.stopped = true;
+      this.client.off('message', this.handleMessage);
+    }
+    return this.toCassette();
+  }
+
+  toCassette() {
+    const handshake = this.interactions.find(i => i.method === 'initialize')?.response?.result;
+
+    return {
+      version: CASSETTE_VERSION,
+      recordedAt: this.recordedAt,
+      server: this.server,
+      serverInfo: handshake?.serverInfo || null,
+      protocolVersion: handshake?.protocolVersion || null,
+      interactions: this.interactions.map(({ sentAt, ...interaction }) => interaction),
+      serverMessages: this.serverMessages
+    };
+  }
+
+  /**
+   * Stop recording and write the cassette to disk
+   */
+  async save(filePath) {
+    const cassette = this.stop();
+    await saveCassette(cassette, filePath);
+    return cassette;
+  }
+}
+
+/**
+ * Write a cassette as pretty-printed JSON
+ */
+export async function saveCassette(cassette, filePath) {
+  await fs.ensureDir(path.dirname(path.resolve(filePath)));
+  await fs.writeJson(filePath, cassette, { spaces: 2 });
+}
+
+/**
+ * Read and validate a cassette file
+ */
+export async function loadCassette(filePath) {
+  if (!await fs.pathExists(filePath)) {
+    throw new Error(`Cassette not found: ${filePath}`);
+  }
+
+  const cassette = await fs.readJson(filePath);
+  if (cassette.version !== CASSETTE_VERSION || !Array.isArray(cassette.interactions)) {
+    throw new Error(`${filePath} is not a version ${CASSETTE_VERSION} cassette`);
+  }
+  return cassette;
+}
+
+/**
+ * Re-send a cassette's requests over a connected client and compare responses
+ */
+export async function replayCassette(cassette, client, options = {}) {
+  const entries = [];
+
+  // The handshake already happened when the client connected
+  const recordedHandshake = cassette.interactions.find(i => i.method === 'initialize')?.response;
+  if (recordedHandshake) {
+    entries.push(compareEntry('initialize', null, normalizeHandshake(recordedHandshake), normalizeHandshake({
+      result: {
+        protocolVersion: client.protocolVersion,
+        capabilities: client.serverCapabilities,
+        serverInfo: client.serverInfo
+      }
+    })));
+  }
+
+  for (const interaction of cassette.interactions) {
+    if (UNREPLAYED_METHODS.includes(interaction.method) || interaction.method.startsWith('notifications/')) {
+      continue;
+    }
+
+    let replayed;
+    try {
+      replayed = { result: await client.request(interaction.method, interaction.params, { timeout: options.timeout }) };
+    } catch (error) {
+      replayed = { error: { code: error.code, message: error.message, ...(error.data !== undefined && { data: error.data }) } };
+    }
+
+    entries.push(compareEntry(interaction.method, interaction.params, interaction.response, replayed));
+  }
+
+  return {
+    recordedAt: cassette.recordedAt,
+    server: cassette.server,
+    recordedServerInfo: cassette.serverInfo,
+    replayedServerInfo: client.serverInfo,
+    entries,
+    summary: {
+      unchanged: entries.filter(entry => entry.status === 'unchanged').length,
+      changed: entries.filter(entry => entry.status === 'changed').length,
+      total: entries.length
+    }
+  };
+}
+
+/**
+ * Compare the interactions of two cassettes without a live server
+ */
+export function diffCassettes(before, after) {
+  const entries = [];
+  const remaining = [...after.interactions];
+
+  for (const interaction of before.interactions) {
+    if (interaction.method === 'ping') {
+      continue;
+    }
+
+    // Match requests by method and params, in order
+    const key = interactionKey(interaction);
+    const index = remaining.findIndex(candidate => interactionKey(candidate) === key);
+    const match = index === -1 ? null : remaining.splice(index, 1)[0];
+
+    const normalize = interaction.method === 'initialize' ? normalizeHandshake : (response) => response;
+    entries.push(compareEntry(
+      interaction.method,
+      interaction.method === 'initialize' ? null : interaction.params,
+      normalize(interaction.response),
+      match ? normalize(match.response) : undefined
+    ));
+  }
+
+  return {
+    recordedAt: before.recordedAt,
+    server: before.server,
+    recordedServerInfo: before.serverInfo,
+    replayedServerInfo: after.serverInfo,
+    entries,
+    summary: {
+      unchanged: entries.filter(entry => entry.status === 'unchanged').length,
+      changed: entries.filter(entry => entry.status !== 'unchanged').length,
+      total: entries.length
+    }
+  };
+}
+
+/**
+ * Structural diff of two JSON values, keying named lists (tools, resources, prompts)
+ */
+export function diffValues(before, after, pathPrefix = '') {
+  if (isEqual(before, after)) {
+    return [];
+  }
+
+  if (before === undefined) {
+    return [{ path: pathPrefix, kind: 'added', after }];
+  }
+  if (after === undefined) {
+    return [{ path: pathPrefix, kind: 'removed', before }];
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const key = listKey(before) && listKey(before) === listKey(after) ? listKey(before) : null;
+    const changes = [];
+
+    if (key) {
+      const beforeItems = new Map(before.map(item => [item[key], item]));
+      const afterItems = new Map(after.map(item => [item[key], item]));
+      for (const name of new Set([...beforeItems.keys(), ...afterItems.keys()])) {
+        changes.push(...diffValues(beforeItems.get(name), afterItems.get(name), `${pathPrefix}[${name}]`));
+      }
+    } else {
+      for (let i = 0; i < Math.max(before.length, after.length); i++) {
+        changes.push(...diffValues(before[i], after[i], `${pathPrefix}[${i}]`));
+      }
+    }
+    return changes;
+  }
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const changes = [];
+    for (const field of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      changes.push(...diffValues(before[field], after[field], pathPrefix ? `${pathPrefix}.${field}` : field));
+    }
+    return changes;
+  }
+
+  return [{ path: pathPrefix, kind: 'changed', before, after }];
+}
+
+/**
+ * Short human label for an interaction, e.g. "tools/call echo"
+ */
+export function describeInteraction(method, params) {
+  if (method === 'tools/call' || method === 'prompts/get') {
+    return `${method} ${params?.name}`;
+  }
+  if (method === 'resources/read') {
+    return `${method} ${params?.uri}`;
+  }
+  if (params?.cursor) {
+    return `${method} (cursor ${params.cursor})`;
+  }
+  return method;
+}
+
+function compareEntry(method, params, recorded, replayed) {
+  const label = describeInteraction(method, params);
+
+  if (replayed === undefined) {
+    return { method, params, label, status: 'missing', changes: [] };
+  }
+
+  // Diff inside the result when both sides succeeded, for shorter paths
+  const changes = recorded?.result !== undefined && replayed?.result !== undefined ?
+    diffValues(recorded.result, replayed.result) :
+    diffValues(recorded, replayed);
+
+  return { method, params, label, status: changes.length > 0 ? 'changed' : 'unchanged', changes };
+}
+
+function normalizeHandshake(response) {
+  if (!response?.result) {
+    return response;
+  }
+  const { protocolVersion, capabilities, serverInfo } = response.result;
+  return { result: { protocolVersion, capabilities, serverInfo } };
+}
+
+function interactionKey(interaction) {
+  return `${interaction.method} ${JSON.stringify(interaction.params ?? null)}`;
+}
+
+/**
+ * Field that identifies items in a list of MCP definitions, if any
+ */
+function listKey(items) {
+  for (const key of ['name', 'uri', 'uriTemplate']) {
+    if (items.length > 0 && items.every(item => isPlainObject(item) && typeof item[key] === 'string')) {
+      return key;
+    }
+  }
+  return null;
+}
+
+/**
+ * Drop per-session values (progress tokens) that would always differ
+ */
+function stripVolatile(params) {
+  if (!params?._meta) {
+    return params;
+  }
+  const { progressToken, ...meta } = params._meta;
+  const { _meta, ...rest } = params;
+  return Object.keys(meta).length > 0 ? { ...rest, _meta: meta } : rest;
+}
+
+function describeServer(server) {
+  return Object.fromEntries(Object.entries({
+    id: server.id,
+    name: server.name,
+    command: server.command,
+    args: server.args,
+    package: server.package,
+    transport: server.transport,
+    url: server.url
+  }).filter(([, value]) => value !== undefined));
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEqual(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
@@ -0,0 +1,315 @@
+/**
+ * Filesystem Confinement
+ *
+ * Starts a server inside a mount namespace in which only the paths its tier
+ * allows exist: readable paths are bind-mounted read-only, writable paths
+ * read-write, and the system directories a runtime needs to start read-only.
+ * bubblewrap is used when installed, otherwise unshare(1). Where neither can
+ * create a namespace, file permissions stay advisory only. Tiers without
+ * network access also get an empty network namespace.
+ */
+
+import { spawnSync } from 'child_process';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { findExecutable } from './sandbox.js';
+
+// Mounted read-only for every confined server so runtimes can start
+const RUNTIME_PATHS = [
+  '/usr', '/bin', '/sbin', '/lib', '/lib32', '/lib64',
+  ...['ld.so.cache', 'ld.so.conf', 'ld.so.conf.d', 'alternatives', 'ssl', 'ca-certificates', 'pki',
+    'crypto-policies', 'resolv.conf', 'hosts', 'nsswitch.conf', 'passwd', 'group', 'localtime']
+    .map(name => path.join('/etc', name))
+];
+
+// npx runs servers from the npm cache, so it is readable unless blocked;
+// only tiers that may write there get it writable
+const NPM_CACHE = path.join(os.homedir(), '.npm');
+
+// PID 1 of a namespace ignores signals it has no handler for, even its own, so
+// a shell stays PID 1 (as bwrap's init does) and runs the server as its child,
+// exiting with its status: 128 + the signal's number when it was killed
+const UNSHARE_INIT = [
+  'cd "$0" || exit 1',
+  // Background jobs get /dev/null as stdin unless it is given to them explicitly
+  'exec 3<&0',
+  '"$@" <&3 3<&- &',
+  'wait $!'
+].join('\n');
+
+let detected = null;
+
+/**
+ * The confinement tool that works here: { tool, path } or { tool: null, reason }
+ */
+export function detectConfinement() {
+  if (!detected) {
+    detected = probeConfinement();
+  }
+  return detected;
+}
+
+function probeConfinement() {
+  if (process.platform !== 'linux') {
+    return { tool: null, reason: 'mount namespaces are only available on Linux' };
+  }
+
+  const bwrap = findExecutable('bwrap');
+  if (bwrap && succeeds(bwrap, ['--ro-bind', '/', '/', '--unshare-pid', 'true'])) {
+    return { tool: 'bwrap', path: bwrap };
+  }
+
+  const unshare = findExecutable('unshare');
+  if (unshare && succeeds(unshare, [...unshareFlags(), 'true'])) {
+    return { tool: 'unshare', path: unshare };
+  }
+
+  return {
+    tool: null,
+    reason: bwrap || unshare ? 'creating a mount namespace is not permitted here' : 'neither bwrap nor unshare is installed'
+  };
+}
+
+/**
+ * Mounts that make up a confined server's view of the filesystem, parents first
+ *
+ * Blocked paths win over tier paths, as in validateFileAccess, but not over
+ * the runtime or the server's own files named on its command line.
+ */
+export function planMounts(sandbox, { command, args = [] }) {
+  const { readablePaths, writablePaths, blockedPaths } = sandbox.filePermissions;
+  const mounts = new Map(); // path -> { path, mode, directory, required }
+
+  // required: the runtime and the server's own files, which blocked paths don't remove
+  const add = (target, mode, required = false) => {
+    const resolved = path.resolve(target);
+    const existing = mounts.get(resolved);
+    if (!fs.existsSync(resolved)) {
+      return;
+    }
+    mounts.set(resolved, {
+      path: resolved,
+      mode: existing?.mode === 'rw' ? 'rw' : mode,
+      directory: fs.statSync(resolved).isDirectory(),
+      required: required || Boolean(existing?.required)
+    });
+  };
+
+  // Merged-/usr systems link /bin, /lib and friends into /usr; keep them links
+  for (const runtimePath of RUNTIME_PATHS) {
+    if (fs.existsSync(runtimePath) && fs.lstatSync(runtimePath).isSymbolicLink()) {
+      mounts.set(runtimePath, { path: runtimePath, mode: 'symlink', target: fs.readlinkSync(runtimePath), required: true });
+    } else {
+      add(runtimePath, 'ro', true);
+    }
+  }
+  add(runtimePrefix(command), 'ro', true);
+  args.filter(arg => path.isAbsolute(arg)).forEach(arg => add(arg, 'ro', true));
+  readablePaths.filter(readable => readable !== '*').forEach(readable => add(readable, 'ro'));
+  writablePaths.filter(writable => writable !== '*').forEach(writable => add(writable, 'rw'));
+  add(NPM_CACHE, 'ro');
+
+  for (const blocked of blockedPaths.map(blockedPath => path.resolve(blockedPath))) {
+    for (const [mounted, mount] of mounts) {
+      if (!mount.required && isWithin(mounted, blocked)) {
+        mounts.delete(mounted);
+      }
+    }
+    // Blocked paths below a mounted one are covered up
+    const covering = [...mounts.values()].some(mount => mount.mode !== 'symlink' && isWithin(blocked, mount.path));
+    if (covering && fs.existsSync(blocked) && !mounts.get(blocked)?.required) {
+      mounts.set(blocked, { path: blocked, mode: 'mask', directory: fs.statSync(blocked).isDirectory(), required: false });
+    }
+  }
+
+  const sorted = [...mounts.values()].sort((a, b) => depth(a.path) - depth(b.path) || a.path.localeCompare(b.path));
+
+  // A mount inside another of the same mode adds nothing
+  return sorted.filter(mount => {
+    const parent = sorted.filter(other => other !== mount && other.mode !== 'symlink' && isWithin(mount.path, other.path)).pop();
+    return !parent || parent.mode !== mount.mode || mount.mode === 'mask';
+  });
+}
+
+/**
+ * Command and arguments that start a server confined to its tier's paths
+ *
+ * @returns {object} { command, args, confinement, cleanup } where confinement
+ *   reports { enforced, via, mounts, isolatedNetwork } or { enforced: false, reason }
+ */
+export function prepareConfinedCommand(sandbox, command, args = [], options = {}) {
+  const { readablePaths, writablePaths } = sandbox.filePermissions;
+  const cwd = options.cwd || process.cwd();
+  const unconfined = (confinement) => ({ command, args, confinement: { enforced: false, ...confinement }, cleanup: () => {} });
+
+  if (readablePaths.includes('*') && writablePaths.includes('*')) {
+    return unconfined({ unrestricted: true, reason: `the ${sandbox.permissionTier} tier may use every path` });
+  }
+
+  const { tool, path: toolPath, reason } = detectConfinement();
+  if (!tool) {
+    return unconfined({ reason });
+  }
+
+  const mounts = planMounts(sandbox, { command: resolveCommand(command), args: [...args] });
+  const workingDirectory = mounts.some(mount => mount.mode !== 'mask' && isWithin(cwd, mount.path)) ? cwd : '/';
+  const isolatedNetwork = !sandbox.networkPermissions.allowNetwork;
+  const confinement = {
+    enforced: true,
+    via: [tool],
+    mounts: mounts.map(({ path: mounted, mode }) => ({ path: mounted, mode })),
+    isolatedNetwork
+  };
+
+  if (tool === 'bwrap') {
+    return {
+      command: toolPath,
+      args: [...bwrapArgs(mounts, workingDirectory), ...(isolatedNetwork ? ['--unshare-net'] : []), '--', command, ...args],
+      confinement,
+      cleanup: () => {}
+    };
+  }
+
+  // unshare(1) has no mount options of its own; a shell builds the new root
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'ampgi-root-'));
+  return {
+    command: toolPath,
+    args: [...unshareFlags(), ...(isolatedNetwork ? ['--net'] : []), '/bin/sh', '-c', unshareScript(mounts, root), 'sh', workingDirectory, command, ...args],
+    confinement,
+    cleanup: () => {
+      try {
+        fs.removeSync(root);
+      } catch (error) {
+        // An empty directory left in tmp is harmless
+      }
+    }
+  };
+}
+
+function bwrapArgs(mounts, workingDirectory) {
+  const args = ['--die-with-parent', '--unshare-pid', '--proc', '/proc', '--dev', '/dev', '--tmpfs', '/tmp'];
+
+  for (const mount of mounts) {
+    switch (mount.mode) {
+      case 'symlink':
+        args.push('--symlink', mount.target, mount.path);
+        break;
+      case 'rw':
+        args.push('--bind', mount.path, mount.path);
+        break;
+      case 'mask':
+        args.push(...(mount.directory ? ['--tmpfs', mount.path] : ['--ro-bind', '/dev/null', mount.path]));
+        break;
+      default:
+        args.push('--ro-bind', mount.path, mount.path);
+    }
+  }
+
+  return [...args, '--chdir', workingDirectory];
+}
+
+/**
+ * Shell script that mounts a new root at `root`, then chroots into it and
+ * runs "$@" in the working directory given as $1
+ */
+function unshareScript(mounts, root) {
+  const at = (target) => quote(path.join(root, target));
+  const lines = [
+    'set -e',
+    `mount -t tmpfs -o mode=755 ampgi ${quote(root)}`,
+    `mkdir -p ${at('/proc')} ${at('/dev')} ${at('/tmp')}`,
+    `mount -t proc proc ${at('/proc')}`,
+    `mount --rbind /dev ${at('/dev')}`,
+    `mount -t tmpfs -o mode=1777 tmpfs ${at('/tmp')}`
+  ];
+
+  for (const mount of mounts) {
+    // Paths inside an earlier (possibly read-only) mount exist already
+    const target = at(mount.path);
+    if (mount.mode === 'symlink') {
+      lines.push(`mkdir -p ${at(path.dirname(mount.path))}`);
+    } else if (mount.directory) {
+      lines.push(`[ -e ${target} ] || mkdir -p ${target}`);
+    } else {
+      lines.push(`[ -e ${target} ] || { mkdir -p ${at(path.dirname(mount.path))} && touch ${target}; }`);
+    }
+
+    switch (mount.mode) {
+      case 'symlink':
+        lines.push(`ln -s ${quote(mount.target)} ${target}`);
+        break;
+      case 'mask':
+        lines.push(mount.directory ? `mount -t tmpfs -o size=4k,mode=555 tmpfs ${target}` : `mount --bind /dev/null ${target}`);
+        break;
+      case 'rw':
+        lines.push(`mount --rbind ${quote(mount.path)} ${target}`);
+        break;
+      default:
+        lines.push(`mount --rbind ${quote(mount.path)} ${target}`, `mount -o remount,bind,ro ${target}`);
+    }
+  }
+
+  lines.push(`exec ${quote(findExecutable('chroot') || '/usr/sbin/chroot')} ${quote(root)} /bin/sh -c ${quote(UNSHARE_INIT)} "$@"`);
+  return lines.join('\n');
+}
+
+/**
+ * Namespaces for unshare: user namespaces stand in for root when we aren't
+ */
+function unshareFlags() {
+  const asRoot = typeof process.getuid === 'function' && process.getuid() === 0;
+  return [
+    ...(asRoot ? [] : ['--user', '--map-root-user']),
+    '--mount', '--propagation', 'private', '--pid', '--fork', '--kill-child'
+  ];
+}
+
+/**
+ * Settings from .ampgi-config.json: whether servers are confined (confinement)
+ */
+export async function isConfinementEnabled() {
+  try {
+    const configPath = path.join(process.cwd(), '.ampgi-config.json');
+    if (await fs.pathExists(configPath)) {
+      const config = await fs.readJson(configPath);
+      return config.confinement === true;
+    }
+  } catch (error) {
+    // Confinement stays off
+  }
+  return false;
+}
+
+/**
+ * Installation prefix of a runtime, e.g. ~/.nvm/versions/node/v20 for its bin/node
+ */
+function runtimePrefix(command) {
+  if (!path.isAbsolute(command)) {
+    return '/usr';
+  }
+  const directory = path.dirname(fs.realpathSync(command));
+  return path.basename(directory) === 'bin' ? path.dirname(directory) : directory;
+}
+
+function resolveCommand(command) {
+  return path.isAbsolute(command) ? command : (findExecutable(command) || command);
+}
+
+function succeeds(command, args) {
+  const result = spawnSync(command, args, { stdio: 'ignore', timeout: 5000 });
+  return result.status === 0;
+}
+
+function isWithin(target, directory) {
+  const relative = path.relative(directory, target);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
+
+function depth(target) {
+  return target.split(path.sep).filter(Boolean).length;
+}
+
+function quote(value) {
+  return `'${String(value).replace(/'/g, `'\\''`)}'`;
+}
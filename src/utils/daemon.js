@@ -0,0 +1,592 @@
+/**
+ * AmpGI Daemon
+ *
+ * The process manager lives in memory, so servers started by one CLI
+ * invocation die with it. The daemon hosts the process manager in a
+ * long-lived background process instead, and CLI commands talk to it over a
+ * Unix-domain control socket using newline-delimited JSON-RPC, the same
+ * framing MCP uses on stdio.
+ */
+
+import { spawn } from 'child_process';
+import { EventEmitter } from 'events';
+import { createHash } from 'crypto';
+import net from 'net';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { MCPClient, MCPError, JSONRPC_ERRORS } from './mcp-client.js';
+import { StdioTransport } from './mcp-transports.js';
+import { openMCPSession } from './mcp.js';
+import { processManager } from './process-manager.js';
+import { getConfiguredRestartPolicy } from './restart-policy.js';
+import { getConfiguredHealthCheckOptions } from './health-check.js';
+import { formatEgressDecision } from './egress-proxy.js';
+import { readLogFiles, getConfiguredLogOptions, LOG_DEFAULTS, DEFAULT_LOG_DIRECTORY } from './server-logs.js';
+import { loadDynamicRegistry } from '../registry.js';
+
+export const DAEMON_SOCKET_FILE = '.ampgi-daemon.sock';
+export const DAEMON_LOG_FILE = '.ampgi-daemon.log';
+
+export const DAEMON_DEFAULTS = {
+  startTimeout: 10000, // ms for a spawned daemon to accept connections
+  stopTimeout: 15000,  // ms for a daemon to stop its servers and exit
+  requestTimeout: 30000
+};
+
+const CLI_PATH = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'cli.js');
+
+// Unix socket paths are limited to ~104 bytes on macOS and 108 on Linux
+const MAX_SOCKET_PATH = 100;
+
+/**
+ * Control socket and log file of the daemon serving a working directory
+ *
+ * Like the rest of AmpGI's state, a daemon belongs to the directory it was
+ * started in; AMPGI_DAEMON_SOCKET overrides the socket location. Sockets of
+ * directories too deep to bind in go to a directory only the user can enter.
+ */
+export function getDaemonPaths(cwd = process.cwd()) {
+  let socketPath = process.env.AMPGI_DAEMON_SOCKET || path.join(cwd, DAEMON_SOCKET_FILE);
+
+  if (!process.env.AMPGI_DAEMON_SOCKET) {
+    const hash = createHash('sha1').update(cwd).digest('hex').slice(0, 12);
+    if (process.platform === 'win32') {
+      socketPath = `\\\\.\\pipe\\ampgi-daemon-${hash}`;
+    } else if (socketPath.length > MAX_SOCKET_PATH) {
+      socketPath = path.join(getPrivateSocketDirectory(), `ampgi-daemon-${hash}.sock`);
+    }
+  }
+
+  return { socketPath, logFile: path.join(cwd, DAEMON_LOG_FILE) };
+}
+
+/**
+ * $XDG_RUNTIME_DIR is private to the user already; otherwise a per-user
+ * directory in the temp dir, which prepareSocketDirectory creates as 0700
+ */
+function getPrivateSocketDirectory() {
+  return process.env.XDG_RUNTIME_DIR || getTempSocketDirectory();
+}
+
+function getTempSocketDirectory() {
+  return path.join(os.tmpdir(), `ampgi-${process.getuid()}`);
+}
+
+/**
+ * Create the per-user socket directory, refusing one another user could
+ * have planted or can write to
+ */
+async function prepareSocketDirectory(socketPath) {
+  const directory = path.dirname(socketPath);
+  if (process.platform === 'win32' || directory !== getTempSocketDirectory()) {
+    return;
+  }
+
+  await fs.mkdir(directory, { mode: 0o700 }).catch((error) => {
+    if (error.code !== 'EEXIST') {
+      throw error;
+    }
+  });
+
+  const stats = await fs.lstat(directory);
+  if (!stats.isDirectory() || stats.uid !== process.getuid() || (stats.mode & 0o077) !== 0) {
+    throw new Error(`${directory} must be a directory owned by you and closed to other users (mode 0700)`);
+  }
+}
+
+/**
+ * Refuse to talk to a control socket another user created
+ */
+function checkSocketOwner(socketPath) {
+  if (process.platform === 'win32') {
+    return;
+  }
+
+  let stats;
+  try {
+    stats = fs.lstatSync(socketPath);
+  } catch (error) {
+    return; // No socket: no daemon to connect to
+  }
+  if (stats.uid !== process.getuid()) {
+    throw new Error(`Refusing to connect to ${socketPath}: it belongs to another user (uid ${stats.uid})`);
+  }
+}
+
+/**
+ * Long-lived host for managed servers, answering control requests
+ *
+ * Events:
+ * - listening: the control socket accepts connections ({ socketPath })
+ * - serverStarted / serverFailed: a managed server started or failed to
+ * - close: the daemon stopped its servers and closed the socket
+ */
+export class AmpgiDaemon extends EventEmitter {
+  constructor(options = {}) {
+    super();
+    this.socketPath = options.socketPath || getDaemonPaths().socketPath;
+    this.timeout = options.timeout || DAEMON_DEFAULTS.requestTimeout;
+    this.server = null;
+    this.connections = new Set();
+    this.startedAt = null;
+    this.closed = false;
+  }
+
+  /**
+   * Open the control socket, replacing a stale one left by a crashed daemon
+   */
+  async listen() {
+    await prepareSocketDirectory(this.socketPath);
+    if (await isDaemonRunning({ socketPath: this.socketPath })) {
+      throw new Error(`A daemon is already listening on ${this.socketPath}`);
+    }
+    if (process.platform !== 'win32') {
+      await fs.remove(this.socketPath);
+    }
+
+    this.server = net.createServer((socket) => this.handleConnection(socket));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.socketPath, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+
+    this.startedAt = new Date();
+    this.emit('listening', { socketPath: this.socketPath });
+  }
+
+  /**
+   * Start a registry server under its effective permission tier and keep it running
+   */
+  async startServer(serverId) {
+    // Servers may have been installed since the daemon started
+    await loadDynamicRegistry();
+
+    try {
+      const session = await openMCPSession(serverId, { timeout: this.timeout });
+      if (!session.pid) {
+        await session.close('remote_server');
+        throw new Error(`${serverId} is a remote server; there is no process to manage`);
+      }
+
+      const status = { serverId, ...processManager.getServerStatus(serverId) };
+      this.emit('serverStarted', status);
+      return status;
+    } catch (error) {
+      this.emit('serverFailed', { serverId, error });
+      throw error;
+    }
+  }
+
+  /**
+   * Restart a managed server and complete the MCP handshake again
+   */
+  async restartServer(serverId) {
+    await processManager.restartMCPServer(serverId);
+    await processManager.connectMCPServer(serverId, { timeout: this.timeout });
+    return { serverId, ...processManager.getServerStatus(serverId) };
+  }
+
+  /**
+   * Recent output lines of a server: from memory while it is managed,
+   * otherwise from its log files
+   */
+  async serverLogs(serverId, lines) {
+    const log = processManager.getServerLog(serverId);
+    if (log) {
+      return { serverId, entries: log.tail(lines) };
+    }
+
+    const { directory, maxFiles } = { ...LOG_DEFAULTS, ...processManager.logOptions };
+    const entries = directory ? await readLogFiles(directory, serverId, { lines, maxFiles }) : [];
+    if (entries.length === 0) {
+      throw new MCPError(`Server ${serverId} is not managed by the daemon and has no logs`, JSONRPC_ERRORS.INVALID_PARAMS);
+    }
+    return { serverId, entries };
+  }
+
+  /**
+   * Forward a server's output lines to a connection until it stops or the client leaves
+   */
+  followOutput(connection, serverId) {
+    const notify = (method, params) => connection.transport.send({ jsonrpc: '2.0', method, params }).catch(() => {});
+    const onOutput = (event) => {
+      if (event.serverId === serverId) {
+        notify('notifications/servers/log', event);
+      }
+    };
+    const onStopped = (event) => {
+      // A restart stops and starts the same server; keep following it
+      if (event.serverId === serverId && event.reason !== 'restart') {
+        notify('notifications/servers/stopped', event);
+      }
+    };
+
+    processManager.on('serverLog', onOutput);
+    processManager.on('serverStopped', onStopped);
+    connection.subscriptions.push(() => {
+      processManager.off('serverLog', onOutput);
+      processManager.off('serverStopped', onStopped);
+    });
+  }
+
+  handleConnection(socket) {
+    const connection = {
+      socket,
+      transport: new StdioTransport({ stdin: socket, stdout: socket }),
+      subscriptions: []
+    };
+    this.connections.add(socket);
+
+    connection.transport.on('message', (message) => this.handleMessage(connection, message));
+    socket.on('error', () => {}); // Clients may disconnect mid-reply
+    socket.on('close', () => {
+      connection.subscriptions.forEach(unsubscribe => unsubscribe());
+      connection.transport.close();
+      this.connections.delete(socket);
+    });
+  }
+
+  /**
+   * Answer one control request
+   */
+  async handleMessage(connection, message) {
+    if (message.method === undefined || message.id === undefined) {
+      return;
+    }
+
+    let reply;
+    try {
+      reply = { jsonrpc: '2.0', id: message.id, result: await this.handleRequest(message) };
+    } catch (error) {
+      reply = {
+        jsonrpc: '2.0',
+        id: message.id,
+        error: { code: error.code ?? JSONRPC_ERRORS.INTERNAL_ERROR, message: error.message }
+      };
+    }
+
+    await connection.transport.send(reply).catch(() => {});
+
+    // Streaming starts after the reply so the backlog arrives first
+    if (message.method === 'servers/logs' && message.params?.follow && reply.result &&
+        processManager.processes.has(reply.result.serverId)) {
+      this.followOutput(connection, reply.result.serverId);
+    }
+    if (message.method === 'daemon/shutdown' && reply.result) {
+      this.close('shutdown_requested');
+    }
+  }
+
+  /**
+   * Compute the result of a control request
+   */
+  async handleRequest(message) {
+    const params = message.params || {};
+
+    switch (message.method) {
+      case 'ping':
+        return {};
+
+      case 'daemon/status':
+        return {
+          pid: process.pid,
+          cwd: process.cwd(),
+          socketPath: this.socketPath,
+          startedAt: this.startedAt.toISOString(),
+          uptime: Date.now() - this.startedAt.getTime(),
+          servers: processManager.processes.size
+        };
+
+      case 'daemon/shutdown':
+        return { stopping: [...processManager.processes.keys()] };
+
+      case 'servers/list':
+        return { servers: processManager.getAllServers() };
+
+      case 'servers/status':
+        return { serverId: requireServerId(params), ...processManager.getServerStatus(params.serverId) };
+
+      case 'servers/start':
+        return await this.startServer(requireServerId(params));
+
+      case 'servers/stop': {
+        const serverId = requireManagedServer(params);
+        const result = await processManager.stopMCPServer(serverId, 'manual');
+        if (!result.success) {
+          throw new Error(`Failed to stop ${serverId}: ${result.error}`);
+        }
+        return { serverId, ...result };
+      }
+
+      case 'servers/restart':
+        return await this.restartServer(requireManagedServer(params));
+
+      case 'servers/kill': {
+        const serverId = requireManagedServer(params);
+        if (!processManager.killServer(serverId, 'manual')) {
+          throw new Error(`Failed to kill ${serverId}: it has no running process`);
+        }
+        return { serverId, killed: true };
+      }
+
+      case 'servers/logs':
+        return await this.serverLogs(requireServerId(params), params.lines);
+
+      default:
+        throw new MCPError(`Method not found: ${message.method}`, JSONRPC_ERRORS.METHOD_NOT_FOUND);
+    }
+  }
+
+  /**
+   * Stop every managed server and close the control socket
+   */
+  async close(reason = 'daemon_closed') {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+
+    const serverIds = [...processManager.processes.keys()];
+    await Promise.allSettled(serverIds.map(serverId => processManager.stopMCPServer(serverId, reason)));
+
+    if (this.server) {
+      for (const socket of this.connections) {
+        socket.end();
+      }
+      await new Promise(resolve => this.server.close(() => resolve()));
+    }
+
+    this.emit('close', { reason, stopped: serverIds });
+  }
+}
+
+/**
+ * Connect to the daemon's control socket, or return null when none is running
+ *
+ * @throws {Error} When the socket belongs to another user
+ */
+export async function connectDaemon(options = {}) {
+  const socketPath = options.socketPath || getDaemonPaths(options.cwd).socketPath;
+  checkSocketOwner(socketPath);
+
+  const socket = await new Promise((resolve) => {
+    const connection = net.createConnection(socketPath);
+    // ENOENT: never started; ECONNREFUSED: a stale socket from a crashed daemon
+    const onError = () => resolve(null);
+    connection.once('error', onError);
+    connection.once('connect', () => {
+      connection.off('error', onError);
+      resolve(connection);
+    });
+  });
+
+  if (!socket) {
+    return null;
+  }
+
+  socket.on('error', () => {}); // Surfaces as a closed connection on the client
+  const client = new MCPClient({ stdin: socket, stdout: socket }, {
+    requestTimeout: options.timeout || DAEMON_DEFAULTS.requestTimeout
+  });
+
+  return {
+    socketPath,
+    client,
+    request: (method, params, requestOptions) => client.request(method, params, requestOptions),
+    close: () => {
+      client.close('daemon_client_closed');
+      socket.end();
+    }
+  };
+}
+
+/**
+ * Whether a daemon answers on the control socket
+ */
+export async function isDaemonRunning(options = {}) {
+  const daemon = await connectDaemon(options);
+  if (!daemon) {
+    return false;
+  }
+
+  try {
+    await daemon.request('ping', {}, { timeout: 2000 });
+    return true;
+  } catch (error) {
+    return false;
+  } finally {
+    daemon.close();
+  }
+}
+
+/**
+ * Send one control request to the running daemon, or return null without one
+ */
+export async function requestDaemon(method, params = {}, options = {}) {
+  const daemon = await connectDaemon(options);
+  if (!daemon) {
+    return null;
+  }
+
+  try {
+    return await daemon.request(method, params, { timeout: options.timeout });
+  } finally {
+    daemon.close();
+  }
+}
+
+/**
+ * Status of every server the process manager runs: the daemon's when one is
+ * running, otherwise this process's own
+ */
+export async function listManagedServers(options = {}) {
+  const result = await requestDaemon('servers/list', {}, options);
+  return result ? result.servers : processManager.getAllServers();
+}
+
+/**
+ * Spawn the daemon in the background and wait until it accepts connections
+ */
+export async function startDaemon(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const { socketPath, logFile } = getDaemonPaths(cwd);
+  const startTimeout = options.startTimeout || DAEMON_DEFAULTS.startTimeout;
+
+  const running = await requestDaemon('daemon/status', {}, { socketPath }).catch(() => null);
+  if (running) {
+    throw new Error(`Daemon is already running (pid ${running.pid})`);
+  }
+
+  const logFd = fs.openSync(logFile, 'a');
+  const args = [CLI_PATH, 'daemon', 'run', ...(options.timeout ? ['--timeout', String(options.timeout)] : [])];
+  const child = spawn(process.execPath, args, {
+    cwd,
+    detached: true,
+    stdio: ['ignore', logFd, logFd],
+    env: { ...process.env, AMPGI_DAEMON_SOCKET: socketPath }
+  });
+  fs.closeSync(logFd);
+
+  let exited = null;
+  child.once('exit', (code, signal) => { exited = { code, signal }; });
+  child.unref();
+
+  const deadline = Date.now() + startTimeout;
+  while (Date.now() < deadline) {
+    if (exited) {
+      throw new Error(`Daemon exited during startup (code: ${exited.code}); see ${logFile}`);
+    }
+
+    const status = await requestDaemon('daemon/status', {}, { socketPath }).catch(() => null);
+    if (status) {
+      return { ...status, logFile };
+    }
+    await delay(100);
+  }
+
+  throw new Error(`Daemon did not start listening within ${startTimeout}ms; see ${logFile}`);
+}
+
+/**
+ * Ask the running daemon to stop its servers and exit
+ */
+export async function stopDaemon(options = {}) {
+  const socketPath = options.socketPath || getDaemonPaths(options.cwd).socketPath;
+  const stopTimeout = options.stopTimeout || DAEMON_DEFAULTS.stopTimeout;
+
+  const result = await requestDaemon('daemon/shutdown', {}, { socketPath });
+  if (!result) {
+    return null;
+  }
+
+  const deadline = Date.now() + stopTimeout;
+  while (Date.now() < deadline) {
+    if (!(await connectDaemonQuietly(socketPath))) {
+      return result;
+    }
+    await delay(100);
+  }
+
+  throw new Error(`Daemon did not exit within ${stopTimeout}ms`);
+}
+
+/**
+ * Run the daemon in the foreground until it is asked to stop or signalled
+ */
+export async function runDaemon(options = {}) {
+  const daemon = new AmpgiDaemon(options);
+  const log = (message) => console.log(`[${new Date().toISOString()}] ${message}`);
+
+  daemon.on('serverStarted', ({ serverId, pid, permissionTier }) => log(`started ${serverId} (pid ${pid}, ${permissionTier})`));
+  daemon.on('serverFailed', ({ serverId, error }) => log(`failed to start ${serverId}: ${error.message}`));
+  processManager.on('serverExit', ({ serverId, code, signal }) => log(`${serverId} exited (code: ${code}, signal: ${signal})`));
+  processManager.on('serverBackoff', ({ serverId, attempt, delay, crashLoop }) =>
+    log(`restarting ${serverId} in ${delay}ms (attempt ${attempt}${crashLoop ? ', crash loop' : ''})`));
+  processManager.on('serverUnresponsive', ({ serverId, failures }) => log(`killing ${serverId}: ${failures} pings failed in a row`));
+  // Every decision is in the server's log; the daemon's log keeps the refusals
+  processManager.on('egressDecision', (decision) => {
+    if (!decision.allowed) {
+      log(`${decision.serverId}: ${formatEgressDecision(decision)}`);
+    }
+  });
+  processManager.on('serverFailed', ({ serverId, attempts, error }) =>
+    log(`gave up on ${serverId} after ${attempts} restart(s)${error ? `: ${error.message}` : ''}`));
+
+  // Restarts after a crash happen in the process manager; redo the handshake here
+  processManager.on('serverRestarted', ({ serverId, pid }) => {
+    log(`restarted ${serverId} (pid ${pid})`);
+    processManager.connectMCPServer(serverId, { timeout: daemon.timeout })
+      .catch(error => log(`MCP handshake with restarted ${serverId} failed: ${error.message}`));
+  });
+
+  const closed = new Promise(resolve => daemon.once('close', resolve));
+  const shutdown = (signal) => daemon.close(signal);
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+
+  // Servers outlive any one command here, so their output also goes to rotated files
+  processManager.configureLogs({ directory: DEFAULT_LOG_DIRECTORY, ...await getConfiguredLogOptions() });
+  processManager.configureRestarts(await getConfiguredRestartPolicy());
+  processManager.configureHealthChecks(await getConfiguredHealthCheckOptions());
+
+  await loadDynamicRegistry();
+  await daemon.listen();
+  log(`listening on ${daemon.socketPath} (pid ${process.pid})`);
+
+  const { reason, stopped } = await closed;
+  log(`stopped (${reason}); stopped ${stopped.length} server(s)`);
+
+  if (process.platform !== 'win32') {
+    await fs.remove(daemon.socketPath);
+  }
+}
+
+async function connectDaemonQuietly(socketPath) {
+  const daemon = await connectDaemon({ socketPath });
+  daemon?.close();
+  return daemon !== null;
+}
+
+function requireServerId(params) {
+  if (typeof params.serverId !== 'string' || !params.serverId) {
+    throw new MCPError('serverId is required', JSONRPC_ERRORS.INVALID_PARAMS);
+  }
+  return params.serverId;
+}
+
+function requireManagedServer(params) {
+  const serverId = requireServerId(params);
+  if (!processManager.processes.has(serverId)) {
+    throw new MCPError(`Server ${serverId} is not managed by the daemon`, JSONRPC_ERRORS.INVALID_PARAMS);
+  }
+  return serverId;
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
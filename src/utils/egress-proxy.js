@@ -0,0 +1,182 @@
+/**
+ * Egress Proxy
+ *
+ * Every sandbox gets a local HTTP proxy, handed to its server through
+ * HTTP_PROXY and HTTPS_PROXY, that checks each outbound connection against the
+ * policy file and the tier's allowed domains and ports (see enforcePermissions).
+ * HTTPS goes through CONNECT tunnels, plain HTTP through absolute-form requests.
+ *
+ * Events:
+ * - decision: every connection allowed or denied ({ time, method, host, port, allowed, reason, policyRule })
+ */
+
+import http from 'http';
+import net from 'net';
+import { EventEmitter } from 'events';
+import { enforcePermissions } from './permissions.js';
+
+// Headers that belong to the hop to the proxy, not to the request it forwards
+const HOP_BY_HOP_HEADERS = ['connection', 'keep-alive', 'proxy-connection', 'proxy-authorization', 'te', 'trailer', 'upgrade'];
+
+export class EgressProxy extends EventEmitter {
+  constructor(sandbox) {
+    super();
+    this.sandbox = sandbox;
+    this.url = null;
+    this.sockets = new Set();
+    this.server = http.createServer((request, response) => this.handleRequest(request, response));
+    this.server.on('connect', (request, socket, head) => this.handleConnect(request, socket, head));
+    this.server.on('connection', (socket) => this.track(socket));
+  }
+
+  /**
+   * Listen on a free loopback port
+   *
+   * @returns {Promise<string>} The proxy URL
+   */
+  async listen() {
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(0, '127.0.0.1', () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this.url;
+  }
+
+  /**
+   * Stop listening and cut every open connection
+   */
+  close() {
+    this.server.close();
+    for (const socket of this.sockets) {
+      socket.destroy();
+    }
+  }
+
+  /**
+   * Check a connection against the sandbox and report the decision
+   */
+  decide(method, host, port) {
+    const result = host ?
+      enforcePermissions(this.sandbox, 'network_access', host, { port }) :
+      { allowed: false, reason: 'No target host given' };
+    const decision = {
+      time: new Date().toISOString(),
+      method,
+      host: host || null,
+      port,
+      allowed: result.allowed,
+      ...(result.allowed ? {} : { reason: result.reason }),
+      ...(result.policyRule ? { policyRule: result.policyRule } : {})
+    };
+    this.emit('decision', decision);
+    return decision;
+  }
+
+  /**
+   * CONNECT host:port opens a tunnel, used for HTTPS
+   */
+  handleConnect(request, clientSocket, head) {
+    const { host, port } = parseAuthority(request.url);
+    const decision = this.decide('CONNECT', host, port);
+    if (!decision.allowed) {
+      clientSocket.end(rawResponse(403, 'Forbidden', decision.reason));
+      return;
+    }
+
+    const upstream = net.connect(port, host, () => {
+      clientSocket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+      if (head.length > 0) {
+        upstream.write(head);
+      }
+      upstream.pipe(clientSocket);
+      clientSocket.pipe(upstream);
+    });
+    this.track(upstream);
+
+    upstream.on('error', (error) => {
+      if (upstream.connecting) {
+        clientSocket.end(rawResponse(502, 'Bad Gateway', error.message));
+      } else {
+        clientSocket.destroy();
+      }
+    });
+    clientSocket.on('error', () => upstream.destroy());
+  }
+
+  /**
+   * GET http://host/path and friends, used for plain HTTP
+   */
+  handleRequest(request, response) {
+    let target = null;
+    try {
+      target = new URL(request.url);
+    } catch (error) {
+      // Origin-form requests are not meant for a proxy
+    }
+
+    if (!target || target.protocol !== 'http:') {
+      response.writeHead(400, { 'content-type': 'text/plain' });
+      response.end('Only absolute http:// URLs can be proxied; use CONNECT for HTTPS\n');
+      return;
+    }
+
+    const host = normalizeHost(target.hostname);
+    const port = Number(target.port) || 80;
+    const decision = this.decide(request.method, host, port);
+    if (!decision.allowed) {
+      response.writeHead(403, { 'content-type': 'text/plain' });
+      response.end(`${decision.reason}\n`);
+      return;
+    }
+
+    const headers = { ...request.headers };
+    HOP_BY_HOP_HEADERS.forEach(header => delete headers[header]);
+
+    const upstream = http.request({ host, port, method: request.method, path: `${target.pathname}${target.search}`, headers }, (upstreamResponse) => {
+      response.writeHead(upstreamResponse.statusCode, upstreamResponse.headers);
+      upstreamResponse.pipe(response);
+    });
+    upstream.on('error', (error) => {
+      if (!response.headersSent) {
+        response.writeHead(502, { 'content-type': 'text/plain' });
+      }
+      response.end(`${error.message}\n`);
+    });
+    request.pipe(upstream);
+  }
+
+  track(socket) {
+    this.sockets.add(socket);
+    socket.on('close', () => this.sockets.delete(socket));
+  }
+}
+
+/**
+ * One line describing a decision, as kept in the server's log
+ */
+export function formatEgressDecision({ method, host, port, allowed, reason }) {
+  return `${allowed ? 'allow' : 'deny'} ${method} ${host}:${port}${reason ? ` (${reason})` : ''}`;
+}
+
+/**
+ * host:port of a CONNECT request; IPv6 addresses come in brackets
+ */
+function parseAuthority(authority = '') {
+  const match = authority.match(/^(\[[^\]]+\]|[^:]+):(\d+)$/);
+  if (!match) {
+    return { host: null, port: null };
+  }
+  return { host: normalizeHost(match[1]), port: Number(match[2]) };
+}
+
+function normalizeHost(host) {
+  return host.replace(/^\[|\]$/g, '').replace(/\.$/, '').toLowerCase();
+}
+
+function rawResponse(status, statusText, message) {
+  return `HTTP/1.1 ${status} ${statusText}\r\nContent-Type: text/plain\r\nConnection: close\r\n\r\n${message}\n`;
+}
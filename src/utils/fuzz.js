@@ -0,0 +1,692 @@
+/**
+ * Schema-Driven Tool Fuzzing
+ *
+ * Generates valid, boundary-case and invalid arguments from each tool's
+ * inputSchema with a seeded generator, calls the tools in a LOW-tier sandbox
+ * whose working directory is a throwaway scratch directory, and records
+ * crashes, hangs, non-JSON stdout and responses that violate the MCP spec.
+ * The same seed always produces the same calls, so findings reproduce.
+ *
+ * Servers are started without stored credentials, and generated strings
+ * never contain path separators, so file tools stay inside the scratch
+ * directory. The sandbox is confined to the tier's paths plus the scratch
+ * directory; where confinement isn't available, fuzzing is refused unless
+ * the caller allows unconfined runs (allowUnconfined).
+ */
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { JSONRPC_ERRORS } from './mcp-client.js';
+import { PERMISSION_TIERS } from './sandbox.js';
+import { detectConfinement } from './confinement.js';
+import { createValidator } from './schema-lint.js';
+import {
+  processManager,
+  startMCPServer,
+  stopMCPServer,
+  connectMCPServer
+} from './process-manager.js';
+
+export const DEFAULT_FUZZ_SEED = 20240601;
+
+export const FUZZ_DEFAULTS = {
+  seed: DEFAULT_FUZZ_SEED,
+  casesPerTool: 8,
+  timeout: 5000 // per call; a call that takes longer counts as a hang
+};
+
+export const FINDING_KINDS = {
+  CRASH: 'crash',                  // The server exited or was killed during the call
+  HANG: 'hang',                    // No response before the timeout, from a live server
+  INVALID_OUTPUT: 'invalidOutput', // Non-JSON-RPC text on stdout
+  SPEC_VIOLATION: 'specViolation'  // Response does not match the MCP schema
+};
+
+// Required fields per content block type (CallToolResult.content)
+const CONTENT_FIELDS = {
+  text: ['text'],
+  image: ['data', 'mimeType'],
+  audio: ['data', 'mimeType'],
+  resource: ['resource'],
+  resource_link: ['uri', 'name']
+};
+
+const FORMAT_SAMPLES = {
+  'date-time': '2024-01-01T00:00:00Z',
+  date: '2024-01-01',
+  time: '00:00:00Z',
+  email: 'fuzz@example.com',
+  uri: 'https://example.com/fuzz',
+  url: 'https://example.com/fuzz',
+  'uri-reference': 'https://example.com/fuzz',
+  hostname: 'example.com',
+  ipv4: '192.0.2.1',
+  uuid: '00000000-0000-4000-8000-000000000000'
+};
+
+const WORD_CHARACTERS = 'abcdefghijklmnopqrstuvwxyz0123456789';
+const LONG_STRING_LENGTH = 10000;
+const LARGE_ARRAY_LENGTH = 100;
+const MAX_DEPTH = 4;
+const MAX_STDERR = 4096;
+const EXIT_GRACE_PERIOD = 2000; // ms to wait for the exit status after the connection drops
+
+/**
+ * Seeded pseudo-random generator (mulberry32)
+ */
+export function createRandom(seed = DEFAULT_FUZZ_SEED) {
+  let state = seed >>> 0;
+
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  return {
+    next,
+    int: (min, max) => min + Math.floor(next() * (max - min + 1)),
+    pick: (items) => items[Math.floor(next() * items.length)],
+    bool: () => next() < 0.5
+  };
+}
+
+/**
+ * Generate the argument sets to call a tool with: valid arguments first,
+ * then invalid ones, then boundary values sampled to fill `count`
+ */
+export function generateCases(schema, random, options = {}) {
+  const count = options.count ?? FUZZ_DEFAULTS.casesPerTool;
+  const context = { root: isObject(schema) ? schema : { type: 'object' }, random };
+  const root = normalize(context.root, context);
+  const properties = isObject(root.properties) ? root.properties : {};
+  const required = Array.isArray(root.required) ? root.required : [];
+
+  const valid = generateObject(root, context, { allProperties: true });
+  const cases = [
+    { label: 'required arguments only', kind: 'valid', args: generateObject(root, context, { requiredOnly: true }) },
+    { label: 'all arguments', kind: 'valid', args: valid }
+  ];
+
+  if (required.length > 0) {
+    cases.push({ label: 'missing required arguments', kind: 'invalid', args: {} });
+  }
+
+  const mistyped = Object.keys(properties).find(name => wrongTypeValue(normalize(properties[name], context)) !== undefined);
+  if (mistyped) {
+    cases.push({
+      label: `wrong type for "${mistyped}"`,
+      kind: 'invalid',
+      args: { ...valid, [mistyped]: wrongTypeValue(normalize(properties[mistyped], context)) }
+    });
+  }
+
+  cases.push({ label: 'unknown argument', kind: 'invalid', args: { ...valid, ampgi_fuzz_unknown: true } });
+
+  // One property at a time at the edge of its range
+  const boundaries = Object.entries(properties).flatMap(([name, property]) =>
+    boundaryValues(normalize(property, context))
+      .filter(({ value }) => value !== valid[name])
+      .map(({ label, value }) => ({
+      label: `${name}: ${label}`,
+      kind: 'boundary',
+      args: { ...valid, [name]: value }
+    })));
+
+  while (cases.length < count && boundaries.length > 0) {
+    cases.push(boundaries.splice(random.int(0, boundaries.length - 1), 1)[0]);
+  }
+
+  return cases.slice(0, count);
+}
+
+/**
+ * Fuzz every tool of a server; each tool gets a fresh sandboxed process and
+ * an emptied scratch directory, so findings don't depend on tool order
+ */
+export async function fuzzServer(serverConfig, options = {}) {
+  const {
+    seed = FUZZ_DEFAULTS.seed,
+    casesPerTool = FUZZ_DEFAULTS.casesPerTool,
+    timeout = FUZZ_DEFAULTS.timeout
+  } = options;
+
+  // Generated arguments can make tools do anything they are able to, so
+  // file permissions that are only advisory aren't enough by default
+  const { tool: confinement, reason } = detectConfinement();
+  if (!confinement && !options.allowUnconfined) {
+    throw new Error(`Fuzzing needs filesystem confinement, which is unavailable here (${reason}); allow unconfined fuzzing to run it anyway`);
+  }
+
+  const runId = `fuzz_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+  const scratchDir = await fs.mkdtemp(path.join(options.tempDir || os.tmpdir(), 'ampgi-fuzz-'));
+  let sessionCount = 0;
+  const openSession = () => openFuzzSession(serverConfig, `${runId}_${sessionCount++}`, scratchDir, timeout, Boolean(confinement));
+
+  const report = { seed, casesPerTool, confined: Boolean(confinement), tools: [], findings: [], summary: null };
+
+  try {
+    const listing = await openSession();
+    let tools;
+    try {
+      tools = await listing.client.listTools();
+    } finally {
+      await listing.close();
+    }
+
+    for (const tool of tools) {
+      options.onTool?.(tool);
+      await fs.emptyDir(scratchDir);
+
+      const random = createRandom(seed ^ hashString(tool.name));
+      const cases = generateCases(tool.inputSchema, random, { count: casesPerTool });
+      const entry = await fuzzTool(tool, cases, openSession, timeout);
+
+      report.tools.push({ name: entry.name, cases: entry.cases, skipped: entry.skipped, ...(entry.error && { error: entry.error }) });
+      report.findings.push(...entry.findings);
+    }
+  } finally {
+    await fs.remove(scratchDir);
+  }
+
+  const count = (kind) => report.findings.filter(finding => finding.kind === kind).length;
+  report.summary = {
+    tools: report.tools.length,
+    cases: report.tools.reduce((total, tool) => total + tool.cases, 0),
+    crashes: count(FINDING_KINDS.CRASH),
+    hangs: count(FINDING_KINDS.HANG),
+    invalidOutput: count(FINDING_KINDS.INVALID_OUTPUT),
+    specViolations: count(FINDING_KINDS.SPEC_VIOLATION)
+  };
+
+  return report;
+}
+
+/**
+ * Check a tools/call result against the CallToolResult schema, and its
+ * structuredContent against the tool's outputSchema when one is declared
+ */
+export function checkToolResult(result, validateOutput = null) {
+  if (!isObject(result)) {
+    return ['Result is not an object'];
+  }
+
+  const problems = [];
+
+  if (!Array.isArray(result.content)) {
+    problems.push('Result has no "content" array');
+  } else {
+    result.content.forEach((block, index) => {
+      const problem = checkContentBlock(block);
+      if (problem) {
+        problems.push(`content[${index}] ${problem}`);
+      }
+    });
+  }
+
+  if (result.isError !== undefined && typeof result.isError !== 'boolean') {
+    problems.push('"isError" is not a boolean');
+  }
+
+  if (result.structuredContent !== undefined && !isObject(result.structuredContent)) {
+    problems.push('"structuredContent" is not an object');
+  } else if (validateOutput && !result.isError) {
+    if (result.structuredContent === undefined) {
+      problems.push('Tool declares an outputSchema but returned no "structuredContent"');
+    } else if (!validateOutput(result.structuredContent)) {
+      const [error] = validateOutput.errors;
+      problems.push(`"structuredContent" does not match the outputSchema: ${error.instancePath || '/'} ${error.message}`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Call one tool with each case until the server crashes or stops answering
+ */
+async function fuzzTool(tool, cases, openSession, timeout) {
+  const entry = { name: tool.name, cases: 0, skipped: 0, findings: [] };
+  const validateOutput = compileOutputSchema(tool.outputSchema);
+  let session;
+
+  try {
+    session = await openSession();
+  } catch (error) {
+    entry.error = error.message;
+    entry.skipped = cases.length;
+    return entry;
+  }
+
+  try {
+    for (const [index, testCase] of cases.entries()) {
+      const { finding, fatal } = await runCase(session, tool, testCase, timeout, validateOutput);
+      entry.cases++;
+
+      if (finding) {
+        entry.findings.push(finding);
+      }
+      // A dead or wedged server would turn every remaining case into the same finding
+      if (fatal) {
+        entry.skipped = cases.length - index - 1;
+        break;
+      }
+    }
+  } finally {
+    await session.close();
+  }
+
+  return entry;
+}
+
+/**
+ * Make one call and classify what went wrong, if anything
+ */
+async function runCase(session, tool, testCase, timeout, validateOutput) {
+  const outputBefore = session.invalidOutput.length;
+  let result;
+  let error;
+
+  try {
+    result = await session.client.callTool(tool.name, testCase.args, { timeout });
+  } catch (caught) {
+    error = caught;
+  }
+
+  const finding = (kind, message) => ({
+    kind,
+    tool: tool.name,
+    case: testCase.label,
+    caseKind: testCase.kind,
+    args: summarizeValue(testCase.args),
+    message
+  });
+  const crash = (exit) => {
+    const lastError = session.stderr.trim().split('\n').pop();
+    const status = exit?.signal ? `Server was killed by ${exit.signal}` :
+      exit ? `Server exited with code ${exit.code}` : 'Server closed the connection';
+    return { finding: finding(FINDING_KINDS.CRASH, lastError ? `${status}: ${lastError}` : status), fatal: true };
+  };
+  const output = session.invalidOutput.slice(outputBefore);
+
+  if (error?.code === JSONRPC_ERRORS.CONNECTION_CLOSED) {
+    // A signal is a crash too: the server's own (SIGSEGV, SIGABRT) or the OOM killer's SIGKILL
+    return crash(await Promise.race([session.exited, sleep(EXIT_GRACE_PERIOD)]));
+  }
+
+  if (output.length > 0) {
+    const sample = truncate(output[0].line, 80);
+    return {
+      finding: finding(FINDING_KINDS.INVALID_OUTPUT, `Wrote ${output.length} non-JSON-RPC line(s) to stdout: ${sample}`),
+      fatal: error?.code === JSONRPC_ERRORS.REQUEST_TIMEOUT
+    };
+  }
+
+  if (error?.code === JSONRPC_ERRORS.REQUEST_TIMEOUT) {
+    // Only a server still running when the call times out hangs
+    if (session.exit) {
+      return crash(session.exit);
+    }
+    return { finding: finding(FINDING_KINDS.HANG, `No response within ${timeout}ms`), fatal: true };
+  }
+
+  if (error) {
+    // Rejecting arguments is fine, as long as the error object is well formed
+    const problem = Number.isInteger(error.code) ? null : 'Error response has no integer "code"';
+    return { finding: problem && finding(FINDING_KINDS.SPEC_VIOLATION, problem), fatal: false };
+  }
+
+  const problems = checkToolResult(result, validateOutput);
+  return {
+    finding: problems.length > 0 ? finding(FINDING_KINDS.SPEC_VIOLATION, problems.join('; ')) : null,
+    fatal: false
+  };
+}
+
+/**
+ * Start a throwaway LOW-tier server in the scratch directory, confined where
+ * possible, and connect
+ */
+async function openFuzzSession(serverConfig, serverId, scratchDir, timeout, confine) {
+  const session = { serverId, client: null, invalidOutput: [], stderr: '', exit: null };
+  let resolveExit;
+  session.exited = new Promise(resolve => { resolveExit = resolve; });
+
+  const onExit = (event) => {
+    if (event.serverId === serverId) {
+      session.exit = event;
+      resolveExit(event);
+    }
+  };
+  const onOutput = (event) => {
+    if (event.serverId === serverId && event.type === 'stderr') {
+      session.stderr = (session.stderr + event.data).slice(-MAX_STDERR);
+    }
+  };
+
+  processManager.on('serverExit', onExit);
+  processManager.on('serverOutput', onOutput);
+
+  session.close = async () => {
+    await stopMCPServer(serverId, 'fuzz_complete');
+    processManager.off('serverExit', onExit);
+    processManager.off('serverOutput', onOutput);
+  };
+
+  try {
+    // The scratch directory is the one place the server may write. The policy
+    // judges the server being fuzzed, from the project it was asked from
+    const sandbox = { ...serverConfig.sandbox, writablePaths: [...(serverConfig.sandbox?.writablePaths || []), scratchDir] };
+    await startMCPServer({ ...serverConfig, id: serverId, sandbox }, PERMISSION_TIERS.LOW, {
+      cwd: scratchDir,
+      stdio: ['pipe', 'pipe', 'pipe'],
+      requestTimeout: timeout,
+      confine,
+      policyId: serverConfig.id,
+      policyCwd: process.cwd()
+    });
+    session.client = await connectMCPServer(serverId);
+  } catch (error) {
+    await session.close();
+    throw error;
+  }
+
+  // Startup noise is the protocol tests' concern; only output during calls counts here
+  session.client.on('invalidOutput', (event) => session.invalidOutput.push(event));
+  return session;
+}
+
+function compileOutputSchema(schema) {
+  if (!isObject(schema)) {
+    return null;
+  }
+
+  try {
+    const { ajv, dialect } = createValidator(schema.$schema);
+    const { $schema, ...rest } = schema;
+    return ajv.compile(dialect ? schema : rest);
+  } catch (error) {
+    return null; // Broken output schemas are reported by the schema lint
+  }
+}
+
+/**
+ * Generate a value that satisfies a schema
+ */
+function generateValue(schema, context, depth = 0) {
+  schema = normalize(schema, context);
+  const { random } = context;
+
+  if (!isObject(schema) || depth > MAX_DEPTH) {
+    return randomWord(random, 8);
+  }
+  if (schema.const !== undefined) {
+    return schema.const;
+  }
+  if (Array.isArray(schema.enum) && schema.enum.length > 0) {
+    return random.pick(schema.enum);
+  }
+
+  const branches = schema.anyOf || schema.oneOf;
+  if (Array.isArray(branches) && branches.length > 0) {
+    return generateValue(random.pick(branches), context, depth + 1);
+  }
+
+  switch (schemaType(schema)) {
+    case 'object':
+      return generateObject(schema, context, { depth });
+    case 'array': {
+      const min = schema.minItems ?? 0;
+      const length = random.int(min, Math.max(min, Math.min(schema.maxItems ?? 3, min + 3)));
+      return Array.from({ length }, () => generateValue(schema.items, context, depth + 1));
+    }
+    case 'integer':
+    case 'number':
+      return generateNumber(schema, random);
+    case 'boolean':
+      return random.bool();
+    case 'null':
+      return null;
+    default:
+      return generateString(schema, random);
+  }
+}
+
+/**
+ * Generate an object with its required properties and, depending on the
+ * options, all or a random selection of the optional ones
+ */
+function generateObject(schema, context, options = {}) {
+  const { requiredOnly = false, allProperties = false, depth = 0 } = options;
+  const properties = isObject(schema.properties) ? schema.properties : {};
+  const required = Array.isArray(schema.required) ? schema.required : [];
+  const value = {};
+
+  for (const [name, property] of Object.entries(properties)) {
+    const include = required.includes(name) || (!requiredOnly && (allProperties || context.random.bool()));
+    if (include) {
+      value[name] = generateValue(property, context, depth + 1);
+    }
+  }
+
+  return value;
+}
+
+function generateString(schema, random) {
+  if (FORMAT_SAMPLES[schema.format]) {
+    return FORMAT_SAMPLES[schema.format];
+  }
+
+  const min = schema.minLength ?? 1;
+  const max = Math.max(min, Math.min(schema.maxLength ?? 12, min + 12));
+  return randomWord(random, random.int(min, max));
+}
+
+function generateNumber(schema, random) {
+  const { min, max, integer } = numberRange(schema);
+
+  if (integer) {
+    return random.int(min, max);
+  }
+  return Math.min(max, Math.round((min + random.next() * (max - min)) * 100) / 100);
+}
+
+/**
+ * Values at the edges of what a schema allows
+ */
+function boundaryValues(schema) {
+  if (!isObject(schema) || schema.const !== undefined || Array.isArray(schema.enum)) {
+    return [];
+  }
+
+  switch (schemaType(schema)) {
+    case 'string': {
+      const minLength = schema.minLength ?? 0;
+      const maxLength = schema.maxLength ?? LONG_STRING_LENGTH;
+      return [
+        { label: minLength === 0 ? 'empty string' : `${minLength} characters`, value: 'x'.repeat(minLength) },
+        { label: `${maxLength} characters`, value: 'x'.repeat(maxLength) },
+        { label: 'unicode', value: 'ünïcödé ✓ 😀 \u202etxt' },
+        { label: 'control characters', value: 'a\u0000b\u001b[31mc\r\n' }
+      ].filter(({ value }) => value.length >= minLength && value.length <= maxLength);
+    }
+    case 'integer':
+    case 'number': {
+      const { min, max, integer } = numberRange(schema, true);
+      const values = [...new Set([min, max, 0, -1, integer ? 1 : 0.5])].filter(value => value >= min && value <= max);
+      return values.map(value => ({ label: String(value), value }));
+    }
+    case 'array': {
+      const minItems = schema.minItems ?? 0;
+      const maxItems = schema.maxItems ?? LARGE_ARRAY_LENGTH;
+      const item = isObject(schema.items) && schemaType(schema.items) !== 'object' ? 'x' : {};
+      return [
+        ...(minItems === 0 ? [{ label: 'empty array', value: [] }] : []),
+        { label: `${maxItems} items`, value: Array.from({ length: maxItems }, () => item) }
+      ];
+    }
+    case 'object':
+      return Array.isArray(schema.required) && schema.required.length > 0 ? [] : [{ label: 'empty object', value: {} }];
+    default:
+      return [];
+  }
+}
+
+/**
+ * A value of the wrong JSON type for a schema, or undefined if any type fits
+ */
+function wrongTypeValue(schema) {
+  switch (isObject(schema) && schema.type) {
+    case 'string':
+      return 12345;
+    case 'integer':
+    case 'number':
+      return 'not a number';
+    case 'boolean':
+      return 'true';
+    case 'array':
+      return 'not an array';
+    case 'object':
+      return 'not an object';
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Numeric range of a schema; unbounded sides default to a small range, or
+ * to the largest safe values when `extremes` is set
+ */
+function numberRange(schema, extremes = false) {
+  const integer = schemaType(schema) === 'integer';
+  const step = integer ? 1 : 0.01;
+  const unbounded = integer ? Number.MAX_SAFE_INTEGER : Number.MAX_VALUE;
+
+  let min = schema.minimum ?? (typeof schema.exclusiveMinimum === 'number' ? schema.exclusiveMinimum + step : undefined);
+  let max = schema.maximum ?? (typeof schema.exclusiveMaximum === 'number' ? schema.exclusiveMaximum - step : undefined);
+
+  if (min === undefined) {
+    min = extremes ? -unbounded : Math.min(0, max ?? 0);
+  }
+  if (max === undefined) {
+    max = extremes ? unbounded : min + 100;
+  }
+  if (integer) {
+    min = Math.ceil(min);
+    max = Math.floor(max);
+  }
+
+  return { min, max, integer };
+}
+
+function schemaType(schema) {
+  if (Array.isArray(schema.type)) {
+    return schema.type.find(type => type !== 'null') || 'null';
+  }
+  if (schema.type) {
+    return schema.type;
+  }
+  if (isObject(schema.properties)) {
+    return 'object';
+  }
+  return schema.items !== undefined ? 'array' : 'string';
+}
+
+/**
+ * Resolve local $refs and merge allOf so generators see one flat schema
+ */
+function normalize(schema, context, depth = 0) {
+  if (!isObject(schema) || depth > MAX_DEPTH) {
+    return schema;
+  }
+
+  if (typeof schema.$ref === 'string' && schema.$ref.startsWith('#')) {
+    const { $ref, ...siblings } = schema;
+    const target = resolvePointer(context.root, $ref.slice(1));
+    return normalize({ ...(isObject(target) ? target : {}), ...siblings }, context, depth + 1);
+  }
+
+  if (Array.isArray(schema.allOf)) {
+    const { allOf, ...rest } = schema;
+    const parts = [rest, ...allOf.map(part => normalize(part, context, depth + 1)).filter(isObject)];
+    return {
+      ...Object.assign({}, ...parts),
+      properties: Object.assign({}, ...parts.map(part => part.properties || {})),
+      required: [...new Set(parts.flatMap(part => part.required || []))]
+    };
+  }
+
+  return schema;
+}
+
+function resolvePointer(root, pointer) {
+  return pointer.split('/').slice(1).reduce((node, segment) =>
+    node?.[segment.replace(/~1/g, '/').replace(/~0/g, '~')], root);
+}
+
+/**
+ * Shorten long strings and arrays so findings stay readable
+ */
+function summarizeValue(value) {
+  if (typeof value === 'string') {
+    return value.length > 80 ? `${value.slice(0, 20)}… (${value.length} characters)` : value;
+  }
+  if (Array.isArray(value)) {
+    return value.length > 10 ? `[${value.length} items]` : value.map(summarizeValue);
+  }
+  if (isObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, summarizeValue(item)]));
+  }
+  return value;
+}
+
+function randomWord(random, length) {
+  let word = '';
+  for (let i = 0; i < length; i++) {
+    word += WORD_CHARACTERS[random.int(0, WORD_CHARACTERS.length - 1)];
+  }
+  return word;
+}
+
+function hashString(text) {
+  let hash = 2166136261;
+  for (const character of String(text)) {
+    hash = Math.imul(hash ^ character.codePointAt(0), 16777619);
+  }
+  return hash >>> 0;
+}
+
+function checkContentBlock(block) {
+  if (!isObject(block)) {
+    return 'is not an object';
+  }
+
+  const fields = CONTENT_FIELDS[block.type];
+  if (!fields) {
+    return `has unknown type ${JSON.stringify(block.type)}`;
+  }
+
+  const missing = fields.filter(field => block[field] === undefined);
+  if (missing.length > 0) {
+    return `(${block.type}) is missing ${missing.join(', ')}`;
+  }
+  if (block.type === 'text' && typeof block.text !== 'string') {
+    return '(text) "text" is not a string';
+  }
+  return null;
+}
+
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length)}…` : text;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms).unref());
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
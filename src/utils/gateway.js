@@ -0,0 +1,425 @@
+/**
+ * MCP Gateway
+ *
+ * Serves a set of MCP servers behind a single stdio endpoint. Each member is
+ * started through the process manager in its own sandbox; its tools and
+ * prompts are exposed as `<serverId>__<name>`, resources keep their URIs, and
+ * every tool call is checked against AmpGI's permission layer before it is
+ * routed to the member that owns it.
+ */
+
+import { EventEmitter } from 'events';
+import { openMCPSession } from './mcp.js';
+import { getEffectivePermissionTier } from './permissions.js';
+import { canEscalatePermissions } from './sandbox.js';
+import { StdioTransport } from './mcp-transports.js';
+import { MCPError, JSONRPC_ERRORS, SUPPORTED_PROTOCOL_VERSIONS, LATEST_PROTOCOL_VERSION } from './mcp-client.js';
+
+export const GATEWAY_INFO = {
+  name: 'ampgi-gateway',
+  version: '1.0.1'
+};
+
+export const NAMESPACE_SEPARATOR = '__';
+
+// Member notifications that invalidate part of the aggregated catalog
+const LIST_CHANGED = {
+  'notifications/tools/list_changed': 'tools',
+  'notifications/prompts/list_changed': 'prompts',
+  'notifications/resources/list_changed': 'resources'
+};
+
+/**
+ * Qualify a member's tool or prompt name, e.g. git + status -> git__status
+ */
+export function namespaceName(serverId, name) {
+  return `${serverId}${NAMESPACE_SEPARATOR}${name}`;
+}
+
+/**
+ * Split a qualified name back into its server ID and member-local name
+ */
+export function parseNamespacedName(qualifiedName) {
+  const index = typeof qualifiedName === 'string' ? qualifiedName.indexOf(NAMESPACE_SEPARATOR) : -1;
+  if (index <= 0) {
+    return null;
+  }
+  return {
+    serverId: qualifiedName.slice(0, index),
+    name: qualifiedName.slice(index + NAMESPACE_SEPARATOR.length)
+  };
+}
+
+/**
+ * Multiplexes member servers behind one MCP server connection
+ *
+ * Events:
+ * - memberStarted / memberFailed / memberClosed: member lifecycle
+ * - toolCall: every routed or rejected tools/call ({ serverId, tool, allowed, ... })
+ * - close: the upstream connection ended and members were stopped
+ */
+export class MCPGateway extends EventEmitter {
+  constructor(serverIds, options = {}) {
+    super();
+    this.serverIds = serverIds;
+    this.input = options.input || process.stdin;
+    this.output = options.output || process.stdout;
+    this.timeout = options.timeout;
+    this.authorize = options.authorize || authorizeToolCall;
+    this.members = new Map(); // serverId -> { session, tools, prompts, resources, resourceTemplates }
+    this.resourceOwners = new Map(); // uri -> serverId
+    this.transport = null;
+    this.closed = false;
+  }
+
+  /**
+   * Start all members, then begin serving the upstream connection
+   */
+  async start() {
+    const results = await Promise.allSettled(this.serverIds.map(serverId => this.startMember(serverId)));
+
+    results.forEach((result, index) => {
+      if (result.status === 'rejected') {
+        this.emit('memberFailed', { serverId: this.serverIds[index], error: result.reason });
+      }
+    });
+
+    if (this.members.size === 0) {
+      throw new Error('No gateway members could be started');
+    }
+
+    // Members start concurrently; keep the configured order so listings are stable
+    const started = new Map(this.members);
+    this.members.clear();
+    for (const serverId of this.serverIds.filter(id => started.has(id))) {
+      this.members.set(serverId, started.get(serverId));
+    }
+
+    // The upstream client writes to our stdin and reads our stdout
+    this.transport = new StdioTransport({ stdin: this.output, stdout: this.input });
+    this.transport.on('message', (message) => this.handleUpstream(message));
+    this.transport.on('close', () => this.close('upstream_closed'));
+
+    return {
+      started: [...this.members.keys()],
+      failed: this.serverIds.filter(serverId => !this.members.has(serverId))
+    };
+  }
+
+  /**
+   * Open a sandboxed session with one member and cache its catalog
+   */
+  async startMember(serverId) {
+    if (serverId.includes(NAMESPACE_SEPARATOR)) {
+      throw new Error(`Server ID ${serverId} cannot contain "${NAMESPACE_SEPARATOR}"`);
+    }
+
+    // Refused when the policy denies it, run at low privilege in safe mode, as for every launch
+    const session = await openMCPSession(serverId, { timeout: this.timeout });
+    const member = { session, tools: [], prompts: [], resources: [], resourceTemplates: [] };
+
+    try {
+      await this.refreshMember(member, ['tools', 'prompts', 'resources']);
+    } catch (error) {
+      await session.close('gateway_catalog_failed');
+      throw new Error(`Failed to list capabilities of ${serverId}: ${error.message}`);
+    }
+
+    session.client.on('notification', (message) => this.handleMemberNotification(serverId, message));
+    session.client.on('close', ({ reason }) => this.handleMemberClose(serverId, reason));
+
+    this.members.set(serverId, member);
+    this.emit('memberStarted', {
+      serverId,
+      permissionTier: session.permissionTier,
+      pid: session.pid,
+      tools: member.tools.length
+    });
+    return member;
+  }
+
+  /**
+   * Re-list part of a member's catalog
+   */
+  async refreshMember(member, kinds) {
+    const { client } = member.session;
+
+    if (kinds.includes('tools')) {
+      member.tools = await client.listTools();
+    }
+    if (kinds.includes('prompts')) {
+      member.prompts = await client.listPrompts();
+    }
+    if (kinds.includes('resources')) {
+      member.resources = await client.listResources();
+      member.resourceTemplates = await client.listResourceTemplates();
+    }
+
+    this.indexResources();
+  }
+
+  indexResources() {
+    this.resourceOwners.clear();
+    for (const [serverId, member] of this.members) {
+      for (const resource of member.resources) {
+        this.resourceOwners.set(resource.uri, serverId);
+      }
+    }
+  }
+
+  /**
+   * Answer one message from the upstream client
+   */
+  async handleUpstream(message) {
+    if (message.method === undefined) {
+      return; // Responses to requests we never send
+    }
+    if (message.id === undefined) {
+      return; // notifications/initialized, cancellations
+    }
+
+    try {
+      const result = await this.handleRequest(message);
+      await this.reply({ jsonrpc: '2.0', id: message.id, result });
+    } catch (error) {
+      await this.reply({
+        jsonrpc: '2.0',
+        id: message.id,
+        error: {
+          code: error.code ?? JSONRPC_ERRORS.INTERNAL_ERROR,
+          message: error.message,
+          ...(error.data !== undefined && { data: error.data })
+        }
+      });
+    }
+  }
+
+  /**
+   * Compute the result of an upstream request
+   */
+  async handleRequest(message) {
+    const params = message.params || {};
+
+    switch (message.method) {
+      case 'initialize':
+        return this.initializeResult(params);
+
+      case 'ping':
+        return {};
+
+      case 'tools/list':
+        return { tools: this.collect('tools', (serverId, tool) => ({ ...tool, name: namespaceName(serverId, tool.name) })) };
+
+      case 'tools/call':
+        return await this.callTool(params, message.params?._meta?.progressToken);
+
+      case 'prompts/list':
+        return { prompts: this.collect('prompts', (serverId, prompt) => ({ ...prompt, name: namespaceName(serverId, prompt.name) })) };
+
+      case 'prompts/get': {
+        const { member, name } = this.resolveMember(params.name, 'prompt');
+        return await member.session.client.getPrompt(name, params.arguments, { timeout: this.timeout });
+      }
+
+      case 'resources/list':
+        return { resources: this.collect('resources', (serverId, resource) => resource) };
+
+      case 'resources/templates/list':
+        return { resourceTemplates: this.collect('resourceTemplates', (serverId, template) => template) };
+
+      case 'resources/read': {
+        const serverId = this.resourceOwners.get(params.uri);
+        if (!serverId) {
+          throw new MCPError(`Unknown resource: ${params.uri}`, JSONRPC_ERRORS.INVALID_PARAMS);
+        }
+        return await this.members.get(serverId).session.client.readResource(params.uri, { timeout: this.timeout });
+      }
+
+      default:
+        throw new MCPError(`Method not found: ${message.method}`, JSONRPC_ERRORS.METHOD_NOT_FOUND);
+    }
+  }
+
+  initializeResult(params) {
+    const protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(params.protocolVersion) ?
+      params.protocolVersion :
+      LATEST_PROTOCOL_VERSION;
+
+    const members = [...this.members.values()];
+    const capabilities = { tools: { listChanged: true } };
+    if (members.some(member => member.session.client.supports('prompts'))) {
+      capabilities.prompts = { listChanged: true };
+    }
+    if (members.some(member => member.session.client.supports('resources'))) {
+      capabilities.resources = { listChanged: true };
+    }
+
+    const instructions = [...this.members]
+      .filter(([, member]) => member.session.client.instructions)
+      .map(([serverId, member]) => `${serverId}: ${member.session.client.instructions}`)
+      .join('\n\n');
+
+    return {
+      protocolVersion,
+      capabilities,
+      serverInfo: GATEWAY_INFO,
+      ...(instructions && { instructions })
+    };
+  }
+
+  /**
+   * Check a tool call against the permission layer and forward it
+   */
+  async callTool(params, progressToken) {
+    const { serverId, member, name } = this.resolveMember(params.name, 'tool');
+
+    if (!member.tools.some(tool => tool.name === name)) {
+      throw new MCPError(`Unknown tool: ${params.name}`, JSONRPC_ERRORS.INVALID_PARAMS);
+    }
+
+    const decision = await this.authorize(serverId, name, member.session);
+    if (!decision.allowed) {
+      this.emit('toolCall', { serverId, tool: name, allowed: false, reason: decision.reason });
+      return {
+        content: [{ type: 'text', text: `AmpGI blocked ${params.name}: ${decision.reason}` }],
+        isError: true
+      };
+    }
+
+    // Relay member progress under the token the upstream client chose
+    const onProgress = progressToken === undefined ? undefined : (progress) => {
+      this.reply({ jsonrpc: '2.0', method: 'notifications/progress', params: { ...progress, progressToken } });
+    };
+
+    const startTime = Date.now();
+    try {
+      const result = await member.session.client.callTool(name, params.arguments || {}, { timeout: this.timeout, onProgress });
+      this.emit('toolCall', { serverId, tool: name, allowed: true, isError: !!result?.isError, durationMs: Date.now() - startTime });
+      return result;
+    } catch (error) {
+      this.emit('toolCall', { serverId, tool: name, allowed: true, error: error.message, durationMs: Date.now() - startTime });
+      throw error;
+    }
+  }
+
+  /**
+   * Find the member that owns a namespaced tool or prompt
+   */
+  resolveMember(qualifiedName, kind) {
+    const parsed = parseNamespacedName(qualifiedName);
+    const member = parsed && this.members.get(parsed.serverId);
+
+    if (!member) {
+      throw new MCPError(`Unknown ${kind}: ${qualifiedName}`, JSONRPC_ERRORS.INVALID_PARAMS);
+    }
+    return { serverId: parsed.serverId, member, name: parsed.name };
+  }
+
+  /**
+   * Concatenate one catalog list across members
+   */
+  collect(kind, transform) {
+    const items = [];
+    for (const [serverId, member] of this.members) {
+      items.push(...member[kind].map(item => transform(serverId, item)));
+    }
+    return items;
+  }
+
+  /**
+   * Refresh the catalog on list changes and pass notifications upstream
+   */
+  async handleMemberNotification(serverId, message) {
+    const member = this.members.get(serverId);
+    if (!member || this.closed) {
+      return;
+    }
+
+    const kind = LIST_CHANGED[message.method];
+    if (kind) {
+      try {
+        await this.refreshMember(member, [kind]);
+      } catch (error) {
+        // Keep serving the last known catalog
+      }
+      await this.reply({ jsonrpc: '2.0', method: message.method });
+      return;
+    }
+
+    if (message.method === 'notifications/message') {
+      await this.reply({ ...message, params: { ...message.params, logger: message.params?.logger ? `${serverId}/${message.params.logger}` : serverId } });
+    } else if (message.method === 'notifications/resources/updated') {
+      await this.reply(message);
+    }
+    // Progress is relayed per request; cancellations refer to member-local ids
+  }
+
+  /**
+   * Drop a member whose connection ended and tell the client its tools are gone
+   */
+  async handleMemberClose(serverId, reason) {
+    const member = this.members.get(serverId);
+    if (!member || this.closed) {
+      return;
+    }
+
+    this.members.delete(serverId);
+    this.indexResources();
+    this.emit('memberClosed', { serverId, reason });
+
+    await member.session.close('gateway_member_closed').catch(() => {});
+    await this.reply({ jsonrpc: '2.0', method: 'notifications/tools/list_changed' });
+  }
+
+  /**
+   * Write a message to the upstream client
+   */
+  async reply(message) {
+    if (!this.transport || this.closed) {
+      return;
+    }
+    try {
+      await this.transport.send(message);
+    } catch (error) {
+      // The client went away; close() follows from the transport
+    }
+  }
+
+  /**
+   * Stop every member and stop serving
+   */
+  async close(reason = 'gateway_closed') {
+    if (this.closed) {
+      return;
+    }
+    this.closed = true;
+
+    if (this.transport) {
+      await this.transport.close();
+    }
+
+    const members = [...this.members.values()];
+    this.members.clear();
+    await Promise.allSettled(members.map(member => member.session.close(reason)));
+
+    this.emit('close', { reason });
+  }
+}
+
+/**
+ * Default permission check for routed tool calls; re-read on every call so
+ * policy and safe mode changes apply to a running gateway. A member started
+ * above the tier it would get now is refused until the gateway restarts.
+ */
+async function authorizeToolCall(serverId, toolName, session) {
+  const runningTier = session.permissionTier;
+  try {
+    const allowedTier = await getEffectivePermissionTier(serverId, runningTier);
+    if (runningTier && canEscalatePermissions(allowedTier, runningTier)) {
+      return { allowed: false, reason: `${serverId} runs at ${runningTier} privilege but may now only run at ${allowedTier}; restart the gateway` };
+    }
+  } catch (error) {
+    return { allowed: false, reason: error.message };
+  }
+  return { allowed: true };
+}
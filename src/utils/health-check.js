@@ -0,0 +1,58 @@
+/**
+ * Server Health Checks
+ *
+ * A server is healthy when it answers an MCP ping over its live session in
+ * time, not merely when its process is still alive: a hung server keeps its
+ * process but stops answering.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+
+export const HEALTH_CHECK_DEFAULTS = {
+  interval: 30000,          // ms between checks
+  timeout: 5000,            // ms a ping may take before it counts as failed
+  failureThreshold: 3,      // consecutive failures before the restart policy applies
+  historySize: 20           // checks kept in the latency history
+};
+
+/**
+ * Ping a server's MCP client once
+ *
+ * @returns {Promise<object>} { time, latency } or { time, latency: null, error }
+ */
+export async function pingServer(client, timeout) {
+  const time = new Date().toISOString();
+  const startTime = performance.now();
+
+  try {
+    await client.ping({ timeout });
+    return { time, latency: Math.round((performance.now() - startTime) * 100) / 100 };
+  } catch (error) {
+    return { time, latency: null, error: error.message };
+  }
+}
+
+/**
+ * Health check settings from .ampgi-config.json (healthCheck)
+ */
+export async function getConfiguredHealthCheckOptions() {
+  try {
+    const configPath = path.join(process.cwd(), '.ampgi-config.json');
+    if (await fs.pathExists(configPath)) {
+      const { healthCheck } = await fs.readJson(configPath);
+      if (healthCheck && typeof healthCheck === 'object') {
+        const options = {};
+        for (const key of Object.keys(HEALTH_CHECK_DEFAULTS)) {
+          if (Number.isInteger(healthCheck[key]) && healthCheck[key] > 0) {
+            options[key] = healthCheck[key];
+          }
+        }
+        return options;
+      }
+    }
+  } catch (error) {
+    // Fall back to the defaults
+  }
+  return {};
+}
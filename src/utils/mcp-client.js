@@ -0,0 +1,453 @@
+/**
+ * MCP JSON-RPC Client
+ *
+ * Speaks the Model Context Protocol to a server over a transport (stdio by
+ * default, or streamable HTTP / SSE for remote servers). Handles
+ * request/response matching, timeouts, notifications, the initialize
+ * handshake and paginated list calls.
+ */
+
+import { EventEmitter } from 'events';
+import { StdioTransport, createRemoteTransport } from './mcp-transports.js';
+
+/**
+ * Protocol revisions this client can speak, newest first
+ */
+export const SUPPORTED_PROTOCOL_VERSIONS = [
+  '2025-06-18',
+  '2025-03-26',
+  '2024-11-05'
+];
+
+export const LATEST_PROTOCOL_VERSION = SUPPORTED_PROTOCOL_VERSIONS[0];
+
+/**
+ * Standard JSON-RPC error codes plus the MCP request timeout code
+ */
+export const JSONRPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  CONNECTION_CLOSED: -32000,
+  REQUEST_TIMEOUT: -32001
+};
+
+const CLIENT_INFO = {
+  name: 'ampgi',
+  version: '1.0.1'
+};
+
+const DEFAULT_REQUEST_TIMEOUT = 10000; // 10 seconds
+const MAX_LIST_PAGES = 100;
+
+/**
+ * Error carrying a JSON-RPC error code and optional data
+ */
+export class MCPError extends Error {
+  constructor(message, code = JSONRPC_ERRORS.INTERNAL_ERROR, data = undefined) {
+    super(message);
+    this.name = 'MCPError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+/**
+ * JSON-RPC client bound to a server process or transport
+ *
+ * Events:
+ * - message: every JSON-RPC message sent or received ({ direction, message })
+ * - notification: server notifications
+ * - progress: params of notifications/progress
+ * - request: server-initiated requests
+ * - invalidOutput: output that is not a JSON-RPC message
+ * - close: the connection ended
+ */
+export class MCPClient extends EventEmitter {
+  constructor(target, options = {}) {
+    super();
+    // Accept a child process (stdio) or a ready-made transport
+    this.transport = typeof target.send === 'function' && !target.stdin ?
+      target :
+      new StdioTransport(target);
+    this.requestTimeout = options.requestTimeout || DEFAULT_REQUEST_TIMEOUT;
+    this.maxRequestTimeout = options.maxRequestTimeout || Infinity; // caps per-request timeouts too
+    this.clientInfo = options.clientInfo || CLIENT_INFO;
+    this.nextId = 1;
+    this.nextProgressToken = 1;
+    this.pending = new Map(); // id -> { resolve, reject, timer, method }
+    this.closed = false;
+    this.closeReason = null;
+    this.initialized = false;
+    this.protocolVersion = null;
+    this.serverInfo = null;
+    this.serverCapabilities = null;
+    this.instructions = null;
+
+    this.handleMessage = (message) => this.dispatch(message);
+    this.handleInvalidOutput = (event) => this.emit('invalidOutput', event);
+    this.handleTransportClose = ({ reason }) => this.close(reason);
+
+    this.transport.on('message', this.handleMessage);
+    this.transport.on('invalidOutput', this.handleInvalidOutput);
+    this.transport.on('close', this.handleTransportClose);
+  }
+
+  /**
+   * Perform the initialize / notifications/initialized handshake
+   */
+  async initialize(options = {}) {
+    const {
+      protocolVersion = LATEST_PROTOCOL_VERSION,
+      capabilities = {},
+      timeout
+    } = options;
+
+    const result = await this.request('initialize', {
+      protocolVersion,
+      capabilities,
+      clientInfo: this.clientInfo
+    }, { timeout });
+
+    if (!result || typeof result !== 'object') {
+      throw new MCPError('Invalid initialize result', JSONRPC_ERRORS.INVALID_REQUEST, result);
+    }
+
+    this.protocolVersion = result.protocolVersion || null;
+    this.transport.setProtocolVersion?.(this.protocolVersion);
+    this.serverInfo = result.serverInfo || null;
+    this.serverCapabilities = result.capabilities || {};
+    this.instructions = result.instructions || null;
+
+    this.notify('notifications/initialized');
+    this.initialized = true;
+
+    return result;
+  }
+
+  /**
+   * Send a request and wait for its response
+   */
+  request(method, params = undefined, options = {}) {
+    if (this.closed) {
+      return Promise.reject(new MCPError(`Connection closed (${this.closeReason})`, JSONRPC_ERRORS.CONNECTION_CLOSED));
+    }
+
+    const id = this.nextId++;
+    const timeout = Math.min(options.timeout || this.requestTimeout, this.maxRequestTimeout);
+    const message = { jsonrpc: '2.0', id, method };
+
+    let progressToken = null;
+    if (options.onProgress) {
+      progressToken = `ampgi-${this.nextProgressToken++}`;
+      params = { ...(params || {}), _meta: { ...(params?._meta || {}), progressToken } };
+    }
+
+    if (params !== undefined) {
+      message.params = params;
+    }
+
+    return new Promise((resolve, reject) => {
+      const entry = { method, resolve, reject, timer: null, progressToken, onProgress: options.onProgress };
+
+      const startTimer = () => {
+        entry.timer = setTimeout(() => {
+          this.pending.delete(id);
+          this.notify('notifications/cancelled', { requestId: id, reason: 'Request timed out' });
+          reject(new MCPError(`Request ${method} timed out after ${timeout}ms`, JSONRPC_ERRORS.REQUEST_TIMEOUT));
+        }, timeout);
+      };
+
+      entry.resetTimer = () => {
+        clearTimeout(entry.timer);
+        startTimer();
+      };
+
+      startTimer();
+      this.pending.set(id, entry);
+
+      this.send(message).catch((error) => {
+        if (this.pending.get(id) === entry) {
+          clearTimeout(entry.timer);
+          this.pending.delete(id);
+          reject(new MCPError(`Failed to send ${method}: ${error.message}`, JSONRPC_ERRORS.CONNECTION_CLOSED));
+        }
+      });
+    });
+  }
+
+  /**
+   * Send a notification (no response expected)
+   */
+  notify(method, params = undefined) {
+    if (this.closed) {
+      return;
+    }
+
+    const message = { jsonrpc: '2.0', method };
+    if (params !== undefined) {
+      message.params = params;
+    }
+
+    // Notifications are fire-and-forget
+    this.send(message).catch(() => {});
+  }
+
+  /**
+   * Write a raw JSON-RPC message to the transport
+   */
+  async send(message) {
+    this.emit('message', { direction: 'outgoing', message });
+    await this.transport.send(message);
+  }
+
+  /**
+   * Send a ping request
+   */
+  async ping(options = {}) {
+    return await this.request('ping', undefined, options);
+  }
+
+  /**
+   * List all tools, following pagination cursors
+   */
+  async listTools(options = {}) {
+    if (!this.supports('tools')) {
+      return [];
+    }
+    return await this.listAll('tools/list', 'tools', options);
+  }
+
+  /**
+   * List all resources, following pagination cursors
+   */
+  async listResources(options = {}) {
+    if (!this.supports('resources')) {
+      return [];
+    }
+    return await this.listAll('resources/list', 'resources', options);
+  }
+
+  /**
+   * List all resource templates, following pagination cursors
+   */
+  async listResourceTemplates(options = {}) {
+    if (!this.supports('resources')) {
+      return [];
+    }
+    return await this.listAll('resources/templates/list', 'resourceTemplates', options);
+  }
+
+  /**
+   * List all prompts, following pagination cursors
+   */
+  async listPrompts(options = {}) {
+    if (!this.supports('prompts')) {
+      return [];
+    }
+    return await this.listAll('prompts/list', 'prompts', options);
+  }
+
+  /**
+   * Call a tool
+   */
+  async callTool(name, args = {}, options = {}) {
+    return await this.request('tools/call', { name, arguments: args }, options);
+  }
+
+  /**
+   * Read a resource by URI
+   */
+  async readResource(uri, options = {}) {
+    return await this.request('resources/read', { uri }, options);
+  }
+
+  /**
+   * Get a prompt with arguments
+   */
+  async getPrompt(name, args = {}, options = {}) {
+    return await this.request('prompts/get', { name, arguments: args }, options);
+  }
+
+  /**
+   * Collect the full tool, resource and prompt catalog
+   */
+  async getCatalog(options = {}) {
+    return {
+      tools: await this.listTools(options),
+      resources: await this.listResources(options),
+      resourceTemplates: await this.listResourceTemplates(options),
+      prompts: await this.listPrompts(options)
+    };
+  }
+
+  /**
+   * Check whether the server advertised a capability during initialize
+   */
+  supports(capability) {
+    // Before initialize (or for servers that omit capabilities) just try
+    if (!this.serverCapabilities) {
+      return true;
+    }
+    return !!this.serverCapabilities[capability];
+  }
+
+  /**
+   * Call a paginated list method and concatenate all pages
+   */
+  async listAll(method, key, options = {}) {
+    const items = [];
+    let cursor;
+
+    for (let page = 0; page < MAX_LIST_PAGES; page++) {
+      const result = await this.request(method, cursor ? { cursor } : undefined, options);
+
+      if (!result || !Array.isArray(result[key])) {
+        throw new MCPError(`Invalid ${method} result: missing "${key}" array`, JSONRPC_ERRORS.INVALID_REQUEST, result);
+      }
+
+      items.push(...result[key]);
+
+      if (!result.nextCursor) {
+        return items;
+      }
+      cursor = result.nextCursor;
+    }
+
+    throw new MCPError(`${method} returned more than ${MAX_LIST_PAGES} pages`, JSONRPC_ERRORS.INTERNAL_ERROR);
+  }
+
+  /**
+   * Route a parsed message to its pending request or as an event
+   */
+  dispatch(message) {
+    if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0') {
+      this.emit('invalidOutput', { line: JSON.stringify(message), reason: 'Not a JSON-RPC 2.0 message' });
+      return;
+    }
+
+    this.emit('message', { direction: 'incoming', message });
+
+    if (message.method && message.id !== undefined) {
+      this.handleServerRequest(message);
+    } else if (message.method) {
+      this.handleNotification(message);
+    } else if (message.id !== undefined) {
+      this.handleResponse(message);
+    } else {
+      this.emit('invalidOutput', { line: JSON.stringify(message), reason: 'Message has neither method nor id' });
+    }
+  }
+
+  /**
+   * Resolve or reject the pending request for a response
+   */
+  handleResponse(message) {
+    const entry = this.pending.get(message.id);
+    if (!entry) {
+      this.emit('invalidOutput', { line: JSON.stringify(message), reason: `Response for unknown request id ${message.id}` });
+      return;
+    }
+
+    clearTimeout(entry.timer);
+    this.pending.delete(message.id);
+
+    if (message.error) {
+      const { message: errorMessage = 'Unknown error', code, data } = message.error;
+      entry.reject(new MCPError(errorMessage, code, data));
+    } else {
+      entry.resolve(message.result);
+    }
+  }
+
+  /**
+   * Emit notifications and route progress to its request
+   */
+  handleNotification(message) {
+    if (message.method === 'notifications/progress' && message.params) {
+      this.emit('progress', message.params);
+
+      for (const entry of this.pending.values()) {
+        if (entry.progressToken && entry.progressToken === message.params.progressToken) {
+          entry.resetTimer();
+          entry.onProgress(message.params);
+        }
+      }
+    }
+
+    this.emit('notification', message);
+  }
+
+  /**
+   * Answer requests the server sends to the client
+   */
+  handleServerRequest(message) {
+    this.emit('request', message);
+
+    const reply = { jsonrpc: '2.0', id: message.id };
+
+    if (message.method === 'ping') {
+      reply.result = {};
+    } else {
+      reply.error = {
+        code: JSONRPC_ERRORS.METHOD_NOT_FOUND,
+        message: `Client does not support ${message.method}`
+      };
+    }
+
+    this.send(reply).catch(() => {
+      // Server went away before we could answer
+    });
+  }
+
+  /**
+   * Stop listening and fail any outstanding requests
+   */
+  close(reason = 'Client closed') {
+    if (this.closed) {
+      return;
+    }
+
+    this.closed = true;
+    this.closeReason = reason;
+
+    this.transport.off('message', this.handleMessage);
+    this.transport.off('invalidOutput', this.handleInvalidOutput);
+    this.transport.off('close', this.handleTransportClose);
+    this.transport.close().catch(() => {});
+
+    for (const entry of this.pending.values()) {
+      clearTimeout(entry.timer);
+      entry.reject(new MCPError(`Connection closed before ${entry.method} completed (${reason})`, JSONRPC_ERRORS.CONNECTION_CLOSED));
+    }
+    this.pending.clear();
+
+    this.emit('close', { reason });
+  }
+}
+
+/**
+ * Create a client for a process or transport and complete the handshake
+ */
+export async function connectMCPClient(target, options = {}) {
+  const client = new MCPClient(target, options);
+
+  try {
+    await client.initialize(options);
+  } catch (error) {
+    client.close(error.message);
+    throw error;
+  }
+
+  return client;
+}
+
+/**
+ * Connect to a remote (streamable-http or sse) server and complete the handshake
+ */
+export async function connectRemoteMCPClient(serverConfig, options = {}) {
+  const transport = createRemoteTransport(serverConfig, options);
+  return await connectMCPClient(transport, options);
+}
@@ -0,0 +1,416 @@
+/**
+ * MCP Transports
+ *
+ * Message transports used by the MCP client:
+ * - stdio: newline-delimited JSON-RPC over a child process's stdin/stdout
+ * - streamable-http: JSON-RPC POSTed to one endpoint, answered with JSON or SSE
+ * - sse: legacy HTTP+SSE, an event stream plus a POST endpoint it announces
+ */
+
+import { EventEmitter } from 'events';
+import { StringDecoder } from 'string_decoder';
+import fetch from 'node-fetch';
+
+/**
+ * Supported transport types for registry entries
+ */
+export const TRANSPORT_TYPES = {
+  STDIO: 'stdio',
+  SSE: 'sse',
+  STREAMABLE_HTTP: 'streamable-http'
+};
+
+/**
+ * Determine the transport a server configuration uses
+ */
+export function getServerTransport(serverConfig) {
+  if (serverConfig.transport) {
+    if (!Object.values(TRANSPORT_TYPES).includes(serverConfig.transport)) {
+      throw new Error(`Unknown transport "${serverConfig.transport}" (expected stdio, sse or streamable-http)`);
+    }
+    return serverConfig.transport;
+  }
+
+  if (serverConfig.url) {
+    // Legacy HTTP+SSE endpoints are conventionally served at /sse
+    return /\/sse\/?$/.test(new URL(serverConfig.url).pathname) ?
+      TRANSPORT_TYPES.SSE :
+      TRANSPORT_TYPES.STREAMABLE_HTTP;
+  }
+
+  return TRANSPORT_TYPES.STDIO;
+}
+
+/**
+ * Check whether a server configuration points at a remote endpoint
+ */
+export function isRemoteServer(serverConfig) {
+  return getServerTransport(serverConfig) !== TRANSPORT_TYPES.STDIO;
+}
+
+/**
+ * Substitute ${VAR} references in header values from an environment
+ */
+export function resolveHeaders(headers = {}, env = process.env) {
+  const resolved = {};
+  for (const [name, value] of Object.entries(headers)) {
+    resolved[name] = String(value).replace(/\$\{(\w+)\}/g, (match, varName) => env[varName] ?? '');
+  }
+  return resolved;
+}
+
+/**
+ * Create the transport for a remote server configuration
+ */
+export function createRemoteTransport(serverConfig, options = {}) {
+  const transport = getServerTransport(serverConfig);
+
+  if (!serverConfig.url) {
+    throw new Error(`Server ${serverConfig.id || serverConfig.name} uses ${transport} transport but has no url`);
+  }
+
+  const headers = resolveHeaders(serverConfig.headers, { ...process.env, ...(options.env || {}) });
+
+  switch (transport) {
+    case TRANSPORT_TYPES.STREAMABLE_HTTP:
+      return new StreamableHTTPTransport(serverConfig.url, { headers });
+    case TRANSPORT_TYPES.SSE:
+      return new SSETransport(serverConfig.url, { headers });
+    default:
+      throw new Error(`Server ${serverConfig.id || serverConfig.name} is not a remote server`);
+  }
+}
+
+/**
+ * Newline-delimited JSON-RPC over a process's stdin/stdout
+ */
+export class StdioTransport extends EventEmitter {
+  constructor(serverProcess) {
+    super();
+    this.process = serverProcess;
+    this.stdin = serverProcess.stdin;
+    this.stdout = serverProcess.stdout;
+    this.decoder = new StringDecoder('utf8');
+    this.buffer = '';
+
+    if (!this.stdin || !this.stdout) {
+      throw new Error('MCP client requires piped stdin and stdout');
+    }
+
+    this.handleData = (chunk) => this.receive(chunk);
+    this.exitReason = null;
+    this.handleEnd = () => this.emit('close', { reason: this.exitReason || 'Server output closed' });
+    this.handleExit = (code, signal) => {
+      this.exitReason = `Server exited (code: ${code}, signal: ${signal})`;
+      // Give buffered stdout a moment to drain before reporting the exit
+      setTimeout(() => this.emit('close', { reason: this.exitReason }), 50).unref();
+    };
+    this.handleProcessError = (error) =>
+      this.emit('close', { reason: `Server process error: ${error.message}` });
+    this.handleWriteError = () => {}; // EPIPE surfaces through close/exit instead
+
+    this.stdout.on('data', this.handleData);
+    this.stdout.on('end', this.handleEnd);
+    this.stdin.on('error', this.handleWriteError);
+
+    if (typeof serverProcess.on === 'function') {
+      serverProcess.on('exit', this.handleExit);
+      serverProcess.on('error', this.handleProcessError);
+    }
+  }
+
+  async send(message) {
+    if (!this.stdin.writable) {
+      throw new Error('Server stdin is not writable');
+    }
+    this.stdin.write(JSON.stringify(message) + '\n');
+  }
+
+  /**
+   * Buffer stdout data and dispatch complete lines
+   */
+  receive(chunk) {
+    this.buffer += typeof chunk === 'string' ? chunk : this.decoder.write(chunk);
+
+    let newlineIndex;
+    while ((newlineIndex = this.buffer.indexOf('\n')) !== -1) {
+      const line = this.buffer.slice(0, newlineIndex).replace(/\r$/, '');
+      this.buffer = this.buffer.slice(newlineIndex + 1);
+
+      if (line.trim()) {
+        emitParsedMessages(this, line);
+      }
+    }
+  }
+
+  async close() {
+    this.stdout.off('data', this.handleData);
+    this.stdout.off('end', this.handleEnd);
+    this.stdin.off('error', this.handleWriteError);
+
+    if (typeof this.process.off === 'function') {
+      this.process.off('exit', this.handleExit);
+      this.process.off('error', this.handleProcessError);
+    }
+  }
+}
+
+/**
+ * Streamable HTTP transport (MCP 2025-03-26 and later)
+ */
+export class StreamableHTTPTransport extends EventEmitter {
+  constructor(url, options = {}) {
+    super();
+    this.url = url;
+    this.headers = options.headers || {};
+    this.sessionId = null;
+    this.protocolVersion = null;
+    this.controller = new AbortController();
+  }
+
+  setProtocolVersion(version) {
+    this.protocolVersion = version;
+  }
+
+  async send(message) {
+    const headers = {
+      ...this.headers,
+      'Content-Type': 'application/json',
+      'Accept': 'application/json, text/event-stream'
+    };
+    if (this.sessionId) {
+      headers['Mcp-Session-Id'] = this.sessionId;
+    }
+    if (this.protocolVersion) {
+      headers['MCP-Protocol-Version'] = this.protocolVersion;
+    }
+
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(message),
+      signal: this.controller.signal
+    });
+
+    const sessionId = response.headers.get('mcp-session-id');
+    if (sessionId) {
+      this.sessionId = sessionId;
+    }
+
+    if (response.status === 404 && this.sessionId) {
+      this.emit('close', { reason: 'HTTP session expired' });
+      throw new Error('HTTP session expired (404)');
+    }
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      throw new Error(`HTTP ${response.status} ${response.statusText}${body ? `: ${body.slice(0, 200)}` : ''}`);
+    }
+
+    // Notifications and responses are acknowledged without a body
+    if (response.status === 202 || message.id === undefined || message.method === undefined) {
+      response.body?.resume?.();
+      return;
+    }
+
+    const contentType = response.headers.get('content-type') || '';
+
+    if (contentType.includes('text/event-stream')) {
+      // Read the stream in the background; the response arrives as an event
+      readEventStream(response.body, (event) => {
+        if (event.event === 'message' && event.data) {
+          emitParsedMessages(this, event.data);
+        }
+      }).catch((error) => {
+        if (error.name !== 'AbortError') {
+          this.emit('invalidOutput', { line: '', reason: `Event stream failed: ${error.message}` });
+        }
+      });
+    } else if (contentType.includes('application/json')) {
+      emitParsedMessages(this, await response.text());
+    } else {
+      const body = await response.text();
+      this.emit('invalidOutput', { line: body, reason: `Unexpected content type "${contentType}"` });
+    }
+  }
+
+  async close() {
+    this.controller.abort();
+
+    if (this.sessionId) {
+      // Politely end the session; servers may not support DELETE
+      await fetch(this.url, {
+        method: 'DELETE',
+        headers: { ...this.headers, 'Mcp-Session-Id': this.sessionId }
+      }).catch(() => {});
+    }
+  }
+}
+
+/**
+ * Legacy HTTP+SSE transport (MCP 2024-11-05)
+ */
+export class SSETransport extends EventEmitter {
+  constructor(url, options = {}) {
+    super();
+    this.url = url;
+    this.headers = options.headers || {};
+    this.endpoint = null;
+    this.controller = new AbortController();
+    this.ready = null;
+  }
+
+  /**
+   * Open the event stream and wait for the POST endpoint
+   */
+  start() {
+    if (this.ready) {
+      return this.ready;
+    }
+
+    this.ready = new Promise((resolve, reject) => {
+      fetch(this.url, {
+        headers: { ...this.headers, 'Accept': 'text/event-stream' },
+        signal: this.controller.signal
+      }).then((response) => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status} ${response.statusText} opening event stream`);
+        }
+
+        return readEventStream(response.body, (event) => {
+          if (event.event === 'endpoint') {
+            this.endpoint = new URL(event.data.trim(), this.url).toString();
+            resolve();
+          } else if (event.event === 'message' && event.data) {
+            emitParsedMessages(this, event.data);
+          }
+        });
+      }).then(() => {
+        reject(new Error('Event stream ended before an endpoint was announced'));
+        this.emit('close', { reason: 'Event stream ended' });
+      }).catch((error) => {
+        reject(error);
+        if (error.name !== 'AbortError') {
+          this.emit('close', { reason: `Event stream failed: ${error.message}` });
+        }
+      });
+    });
+
+    // Avoid unhandled rejections when nothing is sent before a failure
+    this.ready.catch(() => {});
+    return this.ready;
+  }
+
+  async send(message) {
+    await this.start();
+
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: { ...this.headers, 'Content-Type': 'application/json' },
+      body: JSON.stringify(message),
+      signal: this.controller.signal
+    });
+
+    if (!response.ok) {
+      const body = await response.text().catch(() => '');
+      throw new Error(`HTTP ${response.status} ${response.statusText}${body ? `: ${body.slice(0, 200)}` : ''}`);
+    }
+
+    // Responses arrive over the event stream
+    await response.text().catch(() => '');
+  }
+
+  async close() {
+    this.controller.abort();
+  }
+}
+
+/**
+ * Parse a line or HTTP body and emit each JSON-RPC message it contains
+ */
+function emitParsedMessages(transport, text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    transport.emit('invalidOutput', { line: text, reason: 'Not valid JSON' });
+    return;
+  }
+
+  for (const message of Array.isArray(parsed) ? parsed : [parsed]) {
+    transport.emit('message', message);
+  }
+}
+
+/**
+ * Read a text/event-stream body, calling onEvent for each dispatched event
+ */
+export async function readEventStream(body, onEvent) {
+  const decoder = new StringDecoder('utf8');
+  let buffer = '';
+  let pendingCR = false;
+
+  const dispatch = () => {
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      const event = parseEventBlock(block);
+      if (event) {
+        onEvent(event);
+      }
+    }
+  };
+
+  for await (const chunk of body) {
+    let text = (pendingCR ? '\r' : '') + (typeof chunk === 'string' ? chunk : decoder.write(chunk));
+
+    // A trailing CR may be the first half of a CRLF split across chunks
+    pendingCR = text.endsWith('\r');
+    if (pendingCR) {
+      text = text.slice(0, -1);
+    }
+
+    buffer += text.replace(/\r\n?/g, '\n');
+    dispatch();
+  }
+
+  if (pendingCR) {
+    buffer += '\n';
+    dispatch();
+  }
+}
+
+/**
+ * Parse one SSE event block into { event, data, id }
+ */
+function parseEventBlock(block) {
+  const event = { event: 'message', data: '', id: null };
+  const dataLines = [];
+
+  for (const line of block.split('\n')) {
+    if (!line || line.startsWith(':')) {
+      continue;
+    }
+
+    const separator = line.indexOf(':');
+    const field = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+    if (field === 'event') {
+      event.event = value;
+    } else if (field === 'data') {
+      dataLines.push(value);
+    } else if (field === 'id') {
+      event.id = value;
+    }
+  }
+
+  if (dataLines.length === 0 && event.event === 'message') {
+    return null;
+  }
+
+  event.data = dataLines.join('\n');
+  return event;
+}
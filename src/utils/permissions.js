@@ -1,5 +1,6 @@
-import { validateFileAccess, validateNetworkAccess, PERMISSION_TIERS } from './sandbox.js';
-import { getServerConfig } from '../registry.js';
+import { validateFileAccess, validateNetworkAccess, getDefaultPermissionTier, PERMISSION_TIERS } from './sandbox.js';
+import { loadPolicy, evaluatePolicy, POLICY_EFFECTS } from './policy.js';
+import { getServerConfig, getServerConfigExtended } from '../registry.js';
 import fs from 'fs-extra';
 import path from 'path';
 import readline from 'readline';
@@ -91,12 +92,162 @@ export async function setPermissionOverride(serverId, permissionTier) {
   }
 }
 
+/**
+ * Get the policy rules a user approved, by server ID and then rule ID
+ */
+export async function getPolicyApprovals() {
+  return readPolicyApprovals();
+}
+
+/**
+ * Synchronous so that the policy checks, enforcePermissions among them, can stay so
+ */
+function readPolicyApprovals(cwd = process.cwd()) {
+  try {
+    const configPath = path.join(cwd, '.ampgi-config.json');
+    if (fs.pathExistsSync(configPath)) {
+      const config = fs.readJsonSync(configPath);
+      return config.policyApprovals || {};
+    }
+  } catch (error) {
+    // Ignore errors
+  }
+  return {};
+}
+
+/**
+ * Record that the user approved a server under a require-approval policy rule
+ */
+export async function approvePolicyRule(serverId, ruleId) {
+  try {
+    const configPath = path.join(process.cwd(), '.ampgi-config.json');
+    let config = {};
+    
+    if (await fs.pathExists(configPath)) {
+      config = await fs.readJson(configPath);
+    }
+    
+    config.policyApprovals = config.policyApprovals || {};
+    config.policyApprovals[serverId] = {
+      ...config.policyApprovals[serverId],
+      [ruleId]: new Date().toISOString()
+    };
+    
+    await fs.writeJson(configPath, config, { spaces: 2 });
+    return true;
+  } catch (error) {
+    throw new Error(`Failed to record policy approval: ${error.message}`);
+  }
+}
+
+/**
+ * Decide a request against the policy file, if there is one
+ *
+ * A policy file that cannot be read denies everything rather than nothing.
+ */
+export function checkPolicy(request, options = {}) {
+  try {
+    return evaluatePolicy(loadPolicy(options), request);
+  } catch (error) {
+    return { effect: POLICY_EFFECTS.DENY, rule: null, reason: error.message, trace: [] };
+  }
+}
+
+/**
+ * What a policy knows about a server: where it came from, its tier and what it can do
+ */
+export function describeServerForPolicy(serverId, permissionTier = null) {
+  let serverConfig = null;
+  try {
+    serverConfig = getServerConfigExtended(serverId);
+  } catch (error) {
+    // Unknown servers match no source or capability conditions
+  }
+  
+  return {
+    serverId,
+    source: serverConfig ? (serverConfig.isCommunity ? 'community' : 'registry') : null,
+    tier: permissionTier || (serverConfig ? getDefaultPermissionTier(serverConfig) : null),
+    capabilities: serverConfig?.capabilities || []
+  };
+}
+
+/**
+ * A policy decision as a denial in the shape of a permission result, or null
+ * when the policy allows it or the user approved the rule holding it back
+ */
+function toPolicyDenial(decision, serverId, cwd) {
+  if (decision.effect === POLICY_EFFECTS.DENY) {
+    return { reason: decision.reason, policyRule: decision.rule?.id || null, requiresEscalation: false };
+  }
+  if (decision.effect === POLICY_EFFECTS.REQUIRE_APPROVAL && !readPolicyApprovals(cwd)[serverId]?.[decision.rule.id]) {
+    return { reason: decision.reason, policyRule: decision.rule.id, requiresApproval: true, requiresEscalation: false };
+  }
+  return null;
+}
+
+/**
+ * Check a whole server (install or start) against the policy
+ *
+ * @param {string} [cwd] - Project directory holding the policy and approvals
+ * @returns {object|null} A denial in the shape of a permission result, or null
+ */
+function checkServerPolicy(serverId, operation, permissionTier, cwd = process.cwd()) {
+  const decision = checkPolicy({ ...describeServerForPolicy(serverId, permissionTier), operation }, { cwd });
+  return toPolicyDenial(decision, serverId, cwd);
+}
+
+/**
+ * A server's start refused by the policy file
+ */
+export class PolicyDeniedError extends Error {
+  constructor(denial) {
+    super(denial.reason);
+    this.name = 'PolicyDeniedError';
+    this.policyRule = denial.policyRule;
+    this.requiresApproval = denial.requiresApproval || false;
+  }
+}
+
+/**
+ * Refuse to start a server at a tier the policy denies or holds for approval
+ *
+ * Every launch path calls this; permission overrides and safe mode do not
+ * change the outcome.
+ *
+ * @param {string} [cwd] - Project directory holding the policy and approvals
+ * @throws {PolicyDeniedError} When the policy refuses the start
+ */
+export function assertPolicyAllowsStart(serverId, permissionTier, cwd = process.cwd()) {
+  const denial = checkServerPolicy(serverId, 'start', permissionTier, cwd);
+  if (denial) {
+    throw new PolicyDeniedError(denial);
+  }
+}
+
 /**
  * Enforce permission checks at runtime
+ *
+ * The policy file is checked first; only what it doesn't deny or hold for
+ * unapproved goes on to the tier's checks. options.capability names the
+ * capability an operation exercises, e.g. file:delete.
  */
 export function enforcePermissions(sandbox, operation, target, options = {}) {
   const { serverId, permissionTier } = sandbox;
   
+  const decision = checkPolicy({
+    ...describeServerForPolicy(serverId, permissionTier),
+    operation,
+    capabilities: options.capability ? [options.capability] : [],
+    ...(operation === 'file_read' || operation === 'file_write' ? { path: target } : {}),
+    ...(operation === 'network_access' ? { domain: options.domain || target, port: options.port ?? 443 } : {}),
+    ...(operation === 'environment_access' ? { envVar: target } : {})
+  });
+  const policyDenial = toPolicyDenial(decision, serverId);
+  if (policyDenial) {
+    return { allowed: false, requiresApproval: false, ...policyDenial };
+  }
+  
   switch (operation) {
     case 'file_read':
     case 'file_write':
@@ -140,15 +291,29 @@ export function enforcePermissions(sandbox, operation, target, options = {}) {
 }
 
 /**
- * Check if a server is blocked by safe mode
+ * Check if a server is blocked by the policy file or safe mode
  */
 export async function isServerBlockedByQuarantinemode(serverId) {
+  // The policy applies whether or not safe mode is on, to the tier the server will run at
+  const overrides = await getPermissionOverrides();
+  const policyDenial = checkServerPolicy(serverId, 'start', overrides[serverId]?.tier);
+  if (policyDenial) {
+    return { blocked: true, ...policyDenial };
+  }
+  
+  return isServerBlockedBySafeMode(serverId);
+}
+
+/**
+ * Check if safe mode blocks a server for the privileges it needs
+ */
+async function isServerBlockedBySafeMode(serverId) {
   const safeMode = await isSafeModeEnabled();
   if (!safeMode) {
     return { blocked: false };
   }
   
-  const serverConfig = getServerConfig(serverId);
+  const serverConfig = getServerConfigExtended(serverId);
   if (!serverConfig) {
     return { blocked: true, reason: 'Server configuration not found' };
   }
@@ -230,18 +395,23 @@ export async function requestPermissionEscalation(serverId, currentTier, request
 
 /**
  * Get effective permission tier for a server
+ *
+ * @throws {PolicyDeniedError} When the policy refuses to start the server
  */
 export async function getEffectivePermissionTier(serverId, defaultTier) {
   // Check for permission overrides
   const overrides = await getPermissionOverrides();
   const override = overrides[serverId];
   
+  // The policy refuses a server whatever its override says
+  assertPolicyAllowsStart(serverId, override?.tier || defaultTier);
+  
   if (override) {
     return override.tier;
   }
   
   // Check if safe mode blocks this server
-  const safeModeCheck = await isServerBlockedByQuarantinemode(serverId);
+  const safeModeCheck = await isServerBlockedBySafeMode(serverId);
   if (safeModeCheck.blocked) {
     return PERMISSION_TIERS.LOW; // Force low privilege in safe mode
   }
@@ -268,6 +438,18 @@ export async function validateInstallationPermissions(serverIds, options = {}) {
       continue;
     }
     
+    // The policy file comes before everything else, curated profiles included
+    const policyDenial = checkServerPolicy(serverId, 'install');
+    if (policyDenial) {
+      results.push({
+        serverId,
+        serverName: serverConfig.name,
+        allowed: false,
+        ...policyDenial
+      });
+      continue;
+    }
+    
     // For profile installations, allow all servers (profiles are curated and trusted)
     if (isProfileInstallation) {
       results.push({
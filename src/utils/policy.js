@@ -0,0 +1,228 @@
+/**
+ * Policy Files
+ *
+ * An organisation's security rules, checked into a repository as
+ * ampgi-policy.json or ampgi-policy.yaml. Each rule matches installs, starts
+ * or runtime operations of servers and denies them, requires approval for
+ * them, or allows them. Rules are checked in file order and the first that
+ * matches decides, so exceptions go above the rules they make exceptions to.
+ * A policy only ever restricts: allow means the policy has no objection, and
+ * the tier's own checks still apply.
+ */
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import Ajv from 'ajv';
+import YAML from 'yaml';
+import { PERMISSION_TIERS } from './sandbox.js';
+
+export const POLICY_FILES = ['ampgi-policy.json', 'ampgi-policy.yaml', 'ampgi-policy.yml'];
+
+export const POLICY_EFFECTS = {
+  ALLOW: 'allow',
+  DENY: 'deny',
+  REQUIRE_APPROVAL: 'require-approval'
+};
+
+// install and start are checked for whole servers; the rest are enforcePermissions operations
+export const POLICY_OPERATIONS = [
+  'install', 'start', 'file_read', 'file_write', 'network_access', 'subprocess_spawn', 'environment_access'
+];
+
+const stringList = { type: 'array', items: { type: 'string', minLength: 1 } };
+
+const POLICY_SCHEMA = {
+  type: 'object',
+  required: ['rules'],
+  additionalProperties: false,
+  properties: {
+    version: { const: 1 },
+    description: { type: 'string' },
+    rules: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['effect'],
+        additionalProperties: false,
+        properties: {
+          id: { type: 'string', minLength: 1 },
+          description: { type: 'string' },
+          effect: { enum: Object.values(POLICY_EFFECTS) },
+          servers: stringList,
+          except: stringList,
+          source: { enum: ['registry', 'community'] },
+          tiers: { type: 'array', items: { enum: Object.values(PERMISSION_TIERS) } },
+          operations: { type: 'array', items: { enum: POLICY_OPERATIONS } },
+          capabilities: stringList,
+          domains: stringList,
+          ports: { type: 'array', items: { type: 'integer', minimum: 1, maximum: 65535 } },
+          paths: stringList,
+          env: stringList
+        }
+      }
+    }
+  }
+};
+
+const validatePolicy = new Ajv({ allErrors: true }).compile(POLICY_SCHEMA);
+
+let cached = null; // { filePath, mtimeMs, size, policy }
+
+/**
+ * The policy file in a directory, or null
+ */
+export function findPolicyFile(cwd = process.cwd()) {
+  return POLICY_FILES.map(name => path.join(cwd, name)).find(candidate => fs.existsSync(candidate)) || null;
+}
+
+/**
+ * Read and validate a policy file, re-reading it only when it changes
+ *
+ * Synchronous so that enforcePermissions can stay so.
+ *
+ * @param {object} options - { file, cwd }; without file, the policy file in cwd
+ * @returns {object|null} { path, description, rules } or null when there is no policy
+ */
+export function loadPolicy(options = {}) {
+  const filePath = options.file ? path.resolve(options.file) : findPolicyFile(options.cwd);
+  if (!filePath) {
+    return null;
+  }
+
+  const stats = fs.statSync(filePath);
+  if (cached?.filePath === filePath && cached.mtimeMs === stats.mtimeMs && cached.size === stats.size) {
+    return cached.policy;
+  }
+
+  const text = fs.readFileSync(filePath, 'utf8');
+  let document;
+  try {
+    document = /\.ya?ml$/i.test(filePath) ? YAML.parse(text) : JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Policy ${filePath} cannot be parsed: ${error.message}`);
+  }
+
+  if (!validatePolicy(document)) {
+    const problems = validatePolicy.errors.map(error => `${error.instancePath || '/'} ${error.message}`);
+    throw new Error(`Policy ${filePath} is invalid: ${problems.join('; ')}`);
+  }
+
+  // Rules are named by their id, or by their position when they have none
+  const rules = document.rules.map((rule, index) => ({ ...rule, id: rule.id || `rule-${index + 1}`, index: index + 1 }));
+  const duplicate = rules.find((rule, index) => rules.findIndex(other => other.id === rule.id) !== index);
+  if (duplicate) {
+    throw new Error(`Policy ${filePath} is invalid: rule id ${duplicate.id} is used twice`);
+  }
+
+  const policy = { path: filePath, description: document.description || null, rules, directory: path.dirname(filePath) };
+  cached = { filePath, mtimeMs: stats.mtimeMs, size: stats.size, policy };
+  return policy;
+}
+
+/**
+ * Decide a request against a policy
+ *
+ * @param {object} policy - A loaded policy, or null
+ * @param {object} request - { serverId, source, tier, operation, capabilities,
+ *   domain, port, path, envVar }; facts a request lacks fail the conditions on them
+ * @returns {object} { effect, rule, reason, trace } where rule is the matching
+ *   rule or null, and trace says for each rule checked why it did not match
+ */
+export function evaluatePolicy(policy, request) {
+  const trace = [];
+
+  for (const rule of policy?.rules || []) {
+    const mismatch = ruleMismatch(rule, request, policy.directory);
+    trace.push({ rule: rule.id, index: rule.index, matched: !mismatch, mismatch });
+    if (!mismatch) {
+      return {
+        effect: rule.effect,
+        rule: { id: rule.id, index: rule.index, description: rule.description || null },
+        reason: describeDecision(rule, policy),
+        trace
+      };
+    }
+  }
+
+  return { effect: POLICY_EFFECTS.ALLOW, rule: null, reason: policy ? 'No policy rule matched' : 'No policy file', trace };
+}
+
+/**
+ * Why a rule does not match a request, or null if it does
+ */
+function ruleMismatch(rule, request, directory) {
+  const { serverId, source, tier, operation, capabilities = [], domain, port, path: target, envVar } = request;
+
+  if (rule.servers && !rule.servers.some(pattern => globMatch(pattern, serverId))) {
+    return `server ${serverId} is not one of ${rule.servers.join(', ')}`;
+  }
+  if (rule.except?.some(pattern => globMatch(pattern, serverId))) {
+    return `server ${serverId} is excepted`;
+  }
+  if (rule.source && source !== rule.source) {
+    return `server source is ${source || 'unknown'}, not ${rule.source}`;
+  }
+  if (rule.tiers && !rule.tiers.includes(tier)) {
+    return `tier is ${tier || 'unknown'}, not ${rule.tiers.join(' or ')}`;
+  }
+  if (rule.operations && !rule.operations.includes(operation)) {
+    return `operation is ${operation}, not ${rule.operations.join(' or ')}`;
+  }
+  if (rule.capabilities && !capabilities.some(capability => rule.capabilities.includes(capability))) {
+    return capabilities.length > 0 ?
+      `capabilities ${capabilities.join(', ')} include none of ${rule.capabilities.join(', ')}` :
+      'no capability is involved';
+  }
+  if (rule.domains && !(domain && rule.domains.some(pattern => globMatch(pattern, domain.toLowerCase())))) {
+    return domain ? `domain ${domain} is not one of ${rule.domains.join(', ')}` : 'no domain is involved';
+  }
+  if (rule.ports && !rule.ports.includes(port)) {
+    return port ? `port ${port} is not one of ${rule.ports.join(', ')}` : 'no port is involved';
+  }
+  if (rule.paths && !(target && rule.paths.some(rulePath => isWithin(path.resolve(target), expandPath(rulePath, directory))))) {
+    return target ? `path ${target} is not within ${rule.paths.join(', ')}` : 'no path is involved';
+  }
+  if (rule.env && !(envVar && rule.env.some(pattern => globMatch(pattern, envVar)))) {
+    return envVar ? `variable ${envVar} is not one of ${rule.env.join(', ')}` : 'no environment variable is involved';
+  }
+  return null;
+}
+
+function describeDecision(rule, policy) {
+  const name = `policy rule ${rule.id}${rule.description ? ` (${rule.description})` : ''}`;
+  switch (rule.effect) {
+    case POLICY_EFFECTS.DENY:
+      return `Denied by ${name} in ${path.basename(policy.path)}`;
+    case POLICY_EFFECTS.REQUIRE_APPROVAL:
+      return `Approval required by ${name} in ${path.basename(policy.path)}`;
+    default:
+      return `Allowed by ${name} in ${path.basename(policy.path)}`;
+  }
+}
+
+/**
+ * `*` matches any run of characters; *.example.com matches subdomains only
+ */
+function globMatch(pattern, value) {
+  if (value === undefined || value === null) {
+    return false;
+  }
+  const expression = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${expression}$`).test(value);
+}
+
+/**
+ * Policy paths may start with ~ and are otherwise relative to the policy file
+ */
+function expandPath(rulePath, directory) {
+  if (rulePath === '~' || rulePath.startsWith('~/')) {
+    return path.join(os.homedir(), rulePath.slice(1));
+  }
+  return path.resolve(directory, rulePath);
+}
+
+function isWithin(target, directory) {
+  const relative = path.relative(directory, target);
+  return relative === '' || (!relative.startsWith('..') && !path.isAbsolute(relative));
+}
@@ -1,6 +1,14 @@
 import { spawn } from 'child_process';
 import { EventEmitter } from 'events';
-import { createSandbox, applyResourceLimits, createSandboxedEnv, PERMISSION_TIERS } from './sandbox.js';
+import { createSandbox, prepareLimitedCommand, applyResourceLimits, createSandboxedEnv, getConfiguredSandboxOverrides, PERMISSION_TIERS } from './sandbox.js';
+import { prepareConfinedCommand, isConfinementEnabled } from './confinement.js';
+import { assertPolicyAllowsStart } from './permissions.js';
+import { EgressProxy, formatEgressDecision } from './egress-proxy.js';
+import { MCPClient } from './mcp-client.js';
+import { CassetteRecorder } from './cassettes.js';
+import { ServerLog, RingBuffer } from './server-logs.js';
+import { HEALTH_CHECK_DEFAULTS, pingServer } from './health-check.js';
+import { resolveRestartPolicy, planRestart } from './restart-policy.js';
 import fs from 'fs-extra';
 import path from 'path';
 import os from 'os';
@@ -14,6 +22,10 @@ class ProcessManager extends EventEmitter {
     this.processes = new Map(); // serverId -> ProcessInfo
     this.sandboxes = new Map(); // sandboxId -> Sandbox
     this.healthChecks = new Map(); // serverId -> interval
+    this.logs = new Map(); // serverId -> ServerLog, kept across restarts
+    this.logOptions = {};
+    this.restartOptions = {};
+    this.healthCheckOptions = { ...HEALTH_CHECK_DEFAULTS };
     this.maxConcurrentProcesses = 10;
     this.cleanupInterval = null;
     this.initialized = false;
@@ -36,6 +48,34 @@ class ProcessManager extends EventEmitter {
     }
   }
   
+  /**
+   * Set buffer size, log directory and rotation of server logs started from now on
+   */
+  configureLogs(options = {}) {
+    this.logOptions = { ...this.logOptions, ...options };
+  }
+  
+  /**
+   * Set the user's restart policies (see resolveRestartPolicy) for servers started from now on
+   */
+  configureRestarts(options = {}) {
+    this.restartOptions = options;
+  }
+  
+  /**
+   * Set ping interval, timeout and failure threshold of health checks started from now on
+   */
+  configureHealthChecks(options = {}) {
+    this.healthCheckOptions = { ...this.healthCheckOptions, ...options };
+  }
+  
+  /**
+   * Captured output of a server, or null if it has none
+   */
+  getServerLog(serverId) {
+    return this.logs.get(serverId) || null;
+  }
+  
   /**
    * Start an MCP server in a sandbox
    */
@@ -45,12 +85,19 @@ class ProcessManager extends EventEmitter {
     
     const serverId = serverConfig.id || serverConfig.name;
     
+    // Read before the checks below, so that nothing awaits between them and tracking the server
+    const sandboxOverrides = await getConfiguredSandboxOverrides();
+    
     // Check if server is already running
     if (this.processes.has(serverId)) {
       const existing = this.processes.get(serverId);
       if (existing.status === 'running') {
         throw new Error(`Server ${serverId} is already running`);
       }
+      
+      // Starting afresh replaces a server waiting to restart or given up on
+      clearTimeout(existing.restartTimer);
+      this.sandboxes.delete(existing.sandboxId);
     }
     
     // Check concurrent process limit
@@ -66,12 +113,15 @@ class ProcessManager extends EventEmitter {
       permissionTier = this.getDefaultPermissionTier(serverConfig);
     }
     
-    // Create sandbox
-    const sandbox = createSandbox(serverConfig, permissionTier);
+    // Whoever starts a server, the policy file may refuse it. Throwaway copies
+    // (compatibility tests, fuzzing) run under made-up IDs and in scratch
+    // directories, so they name the server and project the policy judges
+    assertPolicyAllowsStart(options.policyId || serverId, permissionTier, options.policyCwd);
+    
+    // Create sandbox, with the server's own policy over the tier's
+    const sandbox = createSandbox(serverConfig, permissionTier, sandboxOverrides[serverId]);
     this.sandboxes.set(sandbox.id, sandbox);
     
-    // Prepare execution environment
-    const env = createSandboxedEnv(sandbox, options.env);
     const args = this.prepareArgs(serverConfig, sandbox);
     
     // Create process info
@@ -81,19 +131,44 @@ class ProcessManager extends EventEmitter {
       pid: null,
       status: 'starting',
       startTime: new Date(),
+      lastActivity: Date.now(), // last request other than a health check ping
       lastHealthCheck: null,
       restartCount: 0,
+      restartAttempts: 0, // automatic restarts since the server last ran stably
+      restartPolicy: resolveRestartPolicy({ id: serverId, ...serverConfig }, this.restartOptions),
+      nextRestart: null,
       childProcess: null,
-      stdout: '',
-      stderr: '',
+      client: null,
+      recorder: null,
+      cassettePath: options.record || null,
+      // Restarts reuse the environment (credentials) and stdio of the first start
+      startOptions: {
+        env: options.env,
+        stdio: options.stdio,
+        cwd: options.cwd,
+        requestTimeout: options.requestTimeout,
+        policyId: options.policyId,
+        policyCwd: options.policyCwd
+      },
+      health: 'unknown',
+      healthFailures: 0, // consecutive failed pings
+      latencyHistory: new RingBuffer(this.healthCheckOptions.historySize),
+      log: this.openServerLog(serverId),
       config: serverConfig
     };
     
     this.processes.set(serverId, processInfo);
+    let egressProxy = null;
     
     try {
-      // Spawn the process
-      const childProcess = spawn(serverConfig.command, args, {
+      // Outbound HTTP(S) goes through a proxy that applies the tier's allowlists
+      egressProxy = await this.startEgressProxy(processInfo, sandbox);
+      const env = createSandboxedEnv(sandbox, options.env);
+      
+      // Spawn the process confined to its tier's paths when asked to, and
+      // under rlimits where the platform has them
+      const launch = await this.prepareLaunch(serverId, serverConfig, args, sandbox, options);
+      const childProcess = spawn(launch.command, launch.args, {
         env,
         stdio: options.stdio || ['pipe', 'pipe', 'pipe'],
         cwd: options.cwd || process.cwd(),
@@ -105,12 +180,38 @@ class ProcessManager extends EventEmitter {
       sandbox.pid = childProcess.pid;
       
       // Apply resource limits
-      const resourceControls = applyResourceLimits(childProcess, sandbox);
+      const resourceControls = applyResourceLimits(childProcess, sandbox, {
+        ...launch,
+        egressProxy: egressProxy.url,
+        cleanup: () => {
+          launch.cleanup();
+          egressProxy.close();
+        }
+      });
       processInfo.resourceControls = resourceControls;
       
       // Set up process event handlers
       this.setupProcessHandlers(childProcess, processInfo, sandbox);
       
+      // Attach an MCP client when stdio is piped
+      if (childProcess.stdin && childProcess.stdout) {
+        // No request may take longer than the tier's execution time
+        processInfo.client = new MCPClient(childProcess, {
+          requestTimeout: options.requestTimeout,
+          maxRequestTimeout: sandbox.resourceLimits.maxExecutionTime
+        });
+        processInfo.client.on('message', ({ direction, message }) => {
+          if (direction === 'outgoing' && message.method && message.method !== 'ping') {
+            processInfo.lastActivity = Date.now();
+          }
+        });
+        
+        // Record the session's traffic into a cassette when requested
+        if (options.record) {
+          processInfo.recorder = new CassetteRecorder(processInfo.client, serverConfig);
+        }
+      }
+      
       // Start health monitoring
       this.startHealthMonitoring(serverId);
       
@@ -127,8 +228,10 @@ class ProcessManager extends EventEmitter {
       
     } catch (error) {
       processInfo.status = 'failed';
+      egressProxy?.close();
       this.processes.delete(serverId);
       this.sandboxes.delete(sandbox.id);
+      this.closeServerLog(serverId);
       
       throw new Error(`Failed to start server ${serverId}: ${error.message}`);
     }
@@ -150,17 +253,34 @@ class ProcessManager extends EventEmitter {
       processInfo.status = 'stopping';
       this.emit('serverStopping', { serverId, reason });
       
-      // Stop health monitoring
+      // Stop health monitoring, and a pending restart after a crash
       this.stopHealthMonitoring(serverId);
+      clearTimeout(processInfo.restartTimer);
+      
+      // Save the recorded cassette before the session goes away
+      if (processInfo.recorder) {
+        try {
+          await processInfo.recorder.save(processInfo.cassettePath);
+          this.emit('cassetteSaved', { serverId, path: processInfo.cassettePath });
+        } catch (error) {
+          // A failed save must not keep the server running
+          this.emit('cassetteError', { serverId, path: processInfo.cassettePath, error });
+        }
+      }
+      
+      // Close the MCP session
+      if (processInfo.client) {
+        processInfo.client.close(`Server ${reason}`);
+      }
       
       // Graceful shutdown first
-      if (childProcess && !childProcess.killed) {
+      if (childProcess && !hasExited(childProcess)) {
         childProcess.kill('SIGTERM');
         
         // Wait for graceful shutdown
         await new Promise((resolve) => {
           const timeout = setTimeout(() => {
-            if (!childProcess.killed) {
+            if (!hasExited(childProcess)) {
               childProcess.kill('SIGKILL');
             }
             resolve();
@@ -178,9 +298,12 @@ class ProcessManager extends EventEmitter {
         processInfo.resourceControls.cleanup();
       }
       
-      // Remove from tracking
+      // Remove from tracking; a restart keeps appending to the same log
       this.processes.delete(serverId);
       this.sandboxes.delete(sandboxId);
+      if (reason !== 'restart') {
+        this.closeServerLog(serverId);
+      }
       
       this.emit('serverStopped', { serverId, reason });
       
@@ -204,14 +327,13 @@ class ProcessManager extends EventEmitter {
     const sandbox = this.sandboxes.get(processInfo.sandboxId);
     const permissionTier = sandbox?.permissionTier;
     
-    // Increment restart count
-    processInfo.restartCount++;
-    
     // Stop the current process
     await this.stopMCPServer(serverId, 'restart');
     
-    // Start it again
-    return await this.startMCPServer(serverConfig, permissionTier, options);
+    // Start it again, carrying the count over to the new process
+    const result = await this.startMCPServer(serverConfig, permissionTier, { ...processInfo.startOptions, ...options });
+    this.processes.get(serverId).restartCount = processInfo.restartCount + 1;
+    return result;
   }
   
   /**
@@ -233,6 +355,32 @@ class ProcessManager extends EventEmitter {
     }
   }
   
+  /**
+   * Get the MCP client for a server, completing the handshake on first use
+   */
+  async connectMCPServer(serverId, options = {}) {
+    const processInfo = this.processes.get(serverId);
+    if (!processInfo) {
+      throw new Error(`Server ${serverId} not found`);
+    }
+    
+    const { client } = processInfo;
+    if (!client) {
+      throw new Error(`Server ${serverId} was not started with piped stdio`);
+    }
+    
+    if (!client.initialized) {
+      if (!processInfo.initializing) {
+        processInfo.initializing = client.initialize(options).finally(() => {
+          processInfo.initializing = null;
+        });
+      }
+      await processInfo.initializing;
+    }
+    
+    return client;
+  }
+  
   /**
    * Get server status
    */
@@ -249,9 +397,17 @@ class ProcessManager extends EventEmitter {
       pid: processInfo.pid,
       startTime: processInfo.startTime,
       lastHealthCheck: processInfo.lastHealthCheck,
+      health: processInfo.health,
+      healthFailures: processInfo.healthFailures,
+      latencyHistory: processInfo.latencyHistory.toArray(),
       restartCount: processInfo.restartCount,
+      restartPolicy: processInfo.restartPolicy.policy,
+      restartAttempts: processInfo.restartAttempts,
+      nextRestart: processInfo.nextRestart,
       permissionTier: sandbox?.permissionTier,
       sandboxId: processInfo.sandboxId,
+      egressProxy: sandbox?.egressProxy || null,
+      resourceLimits: processInfo.resourceControls?.report || null,
       uptime: Date.now() - processInfo.startTime.getTime()
     };
   }
@@ -275,7 +431,8 @@ class ProcessManager extends EventEmitter {
     
     const interval = setInterval(() => {
       this.performHealthCheck(serverId);
-    }, 30000); // Check every 30 seconds
+    }, this.healthCheckOptions.interval);
+    interval.unref(); // Don't keep the CLI alive just for monitoring
     
     this.healthChecks.set(serverId, interval);
   }
@@ -292,18 +449,20 @@ class ProcessManager extends EventEmitter {
   }
   
   /**
-   * Perform health check on a server
+   * Perform health check on a server: ping it over its MCP session, or only
+   * check that the process lives when there is no initialized session
    */
   async performHealthCheck(serverId) {
     const processInfo = this.processes.get(serverId);
-    if (!processInfo || !processInfo.childProcess) {
+    if (!processInfo || !processInfo.childProcess || processInfo.healthCheckPending) {
       return;
     }
     
-    const { childProcess } = processInfo;
+    const { childProcess, client } = processInfo;
     
     // Check if process is still alive
     if (childProcess.killed || childProcess.exitCode !== null) {
+      processInfo.health = 'unhealthy';
       this.emit('serverUnhealthy', { 
         serverId, 
         reason: 'Process terminated unexpectedly',
@@ -312,11 +471,42 @@ class ProcessManager extends EventEmitter {
       return;
     }
     
-    // Update last health check
+    if (!client?.initialized) {
+      processInfo.lastHealthCheck = new Date();
+      processInfo.health = 'healthy';
+      this.emit('healthCheck', { serverId, healthy: true });
+      return;
+    }
+    
+    processInfo.healthCheckPending = true;
+    const check = await pingServer(client, this.healthCheckOptions.timeout);
+    processInfo.healthCheckPending = false;
+    
+    // The server may have been stopped or restarted while the ping was out
+    if (this.processes.get(serverId) !== processInfo || processInfo.status !== 'running') {
+      return;
+    }
+    
     processInfo.lastHealthCheck = new Date();
+    processInfo.latencyHistory.push(check);
+    
+    if (check.latency !== null) {
+      processInfo.healthFailures = 0;
+      processInfo.health = 'healthy';
+      this.emit('healthCheck', { serverId, healthy: true, latency: check.latency });
+      return;
+    }
     
-    // Emit health check event
-    this.emit('healthCheck', { serverId, healthy: true });
+    processInfo.healthFailures++;
+    processInfo.health = 'unhealthy';
+    this.emit('serverUnhealthy', { serverId, reason: check.error, failures: processInfo.healthFailures });
+    
+    // A hung server is killed so its exit goes through the restart policy
+    if (processInfo.healthFailures >= this.healthCheckOptions.failureThreshold &&
+        processInfo.restartPolicy.policy !== 'never') {
+      this.emit('serverUnresponsive', { serverId, failures: processInfo.healthFailures });
+      childProcess.kill('SIGKILL');
+    }
   }
   
   /**
@@ -324,15 +514,44 @@ class ProcessManager extends EventEmitter {
    */
   startCleanup() {
     this.cleanupInterval = setInterval(() => {
+      this.stopIdleServers();
+      
       for (const [serverId, processInfo] of this.processes) {
         if (processInfo.childProcess && 
-            (processInfo.childProcess.killed || processInfo.childProcess.exitCode !== null)) {
+            (processInfo.childProcess.killed || processInfo.childProcess.exitCode !== null) &&
+            !['backoff', 'failed'].includes(processInfo.status)) {
           
           console.log(`Cleaning up dead process for server ${serverId}`);
           this.stopMCPServer(serverId, 'cleanup');
         }
       }
     }, 60000); // Cleanup every minute
+    this.cleanupInterval.unref();
+  }
+  
+  /**
+   * Stop running servers that have had no requests for their tier's idle
+   * timeout (health check pings don't count)
+   */
+  stopIdleServers() {
+    const stopped = [];
+    
+    for (const [serverId, processInfo] of this.processes) {
+      const idleTimeout = processInfo.resourceControls?.idleTimeout;
+      const { client } = processInfo;
+      if (processInfo.status !== 'running' || !idleTimeout || !client) {
+        continue;
+      }
+      
+      const busy = [...client.pending.values()].some(entry => entry.method !== 'ping');
+      if (!busy && Date.now() - processInfo.lastActivity >= idleTimeout) {
+        this.emit('serverIdle', { serverId, idleTimeout });
+        this.stopMCPServer(serverId, 'idle');
+        stopped.push(serverId);
+      }
+    }
+    
+    return stopped;
   }
   
   /**
@@ -361,27 +580,29 @@ class ProcessManager extends EventEmitter {
     const { serverId } = processInfo;
     
     childProcess.stdout.on('data', (data) => {
-      processInfo.stdout += data.toString();
+      processInfo.log.write('stdout', data);
       this.emit('serverOutput', { serverId, type: 'stdout', data: data.toString() });
     });
     
     childProcess.stderr.on('data', (data) => {
-      processInfo.stderr += data.toString();
+      processInfo.log.write('stderr', data);
       this.emit('serverOutput', { serverId, type: 'stderr', data: data.toString() });
     });
     
-    childProcess.on('exit', (code, signal) => {
+    childProcess.on('exit', (exitCode, exitSignal) => {
+      // Confined servers run under an init of their own (bwrap's, or a shell
+      // for unshare), which exits with 128 + the signal that killed the server
+      const killedInside = exitCode > 128 && processInfo.resourceControls?.report.files.enforced ?
+        Object.keys(os.constants.signals).find(name => os.constants.signals[name] === exitCode - 128) : undefined;
+      const code = killedInside ? null : exitCode;
+      const signal = killedInside || exitSignal;
+      processInfo.log.flush();
+      const intentional = processInfo.status === 'stopping' || processInfo.status === 'killed';
       processInfo.status = 'stopped';
       this.emit('serverExit', { serverId, code, signal });
       
-      // Auto-restart on unexpected exit (up to 3 times)
-      if (code !== 0 && processInfo.restartCount < 3) {
-        console.log(`Server ${serverId} exited unexpectedly (code: ${code}), attempting restart...`);
-        setTimeout(() => {
-          this.restartMCPServer(serverId).catch(error => {
-            console.error(`Failed to restart server ${serverId}:`, error.message);
-          });
-        }, 5000);
+      if (!intentional) {
+        this.applyRestartPolicy(processInfo, code, signal);
       }
     });
     
@@ -391,6 +612,105 @@ class ProcessManager extends EventEmitter {
     });
   }
   
+  /**
+   * Restart a server that exited on its own after a backoff delay, or give up
+   * on it when it keeps crashing
+   */
+  applyRestartPolicy(processInfo, code, signal) {
+    const { serverId, restartPolicy } = processInfo;
+    const uptime = Date.now() - processInfo.startTime.getTime();
+    const plan = planRestart(restartPolicy, processInfo.restartAttempts, { code, signal, uptime });
+    
+    if (plan.action === 'none') {
+      return;
+    }
+    
+    this.stopHealthMonitoring(serverId);
+    
+    if (plan.action === 'fail') {
+      processInfo.status = 'failed';
+      this.emit('serverFailed', { serverId, attempts: plan.attempt, code, signal });
+      return;
+    }
+    
+    processInfo.status = 'backoff';
+    processInfo.nextRestart = new Date(Date.now() + plan.delay);
+    this.emit('serverBackoff', { serverId, attempt: plan.attempt, delay: plan.delay, crashLoop: plan.crashLoop, code, signal });
+    
+    processInfo.restartTimer = setTimeout(async () => {
+      try {
+        await this.restartMCPServer(serverId);
+        const restarted = this.processes.get(serverId);
+        restarted.restartAttempts = plan.attempt;
+        this.emit('serverRestarted', { serverId, attempt: plan.attempt, pid: restarted.pid });
+      } catch (error) {
+        this.emit('serverFailed', { serverId, attempts: plan.attempt, error });
+      }
+    }, plan.delay);
+  }
+  
+  /**
+   * Get or create the log of a server, forwarding its lines as serverLog events
+   */
+  openServerLog(serverId) {
+    let log = this.logs.get(serverId);
+    if (!log) {
+      log = new ServerLog(serverId, this.logOptions);
+      log.on('line', (entry) => this.emit('serverLog', { serverId, ...entry }));
+      log.on('fileError', (error) => this.emit('serverLogError', { serverId, error }));
+      this.logs.set(serverId, log);
+    }
+    return log;
+  }
+  
+  closeServerLog(serverId) {
+    const log = this.logs.get(serverId);
+    if (log) {
+      log.close();
+      this.logs.delete(serverId);
+    }
+  }
+  
+  /**
+   * Start the egress proxy of a sandbox, keeping its decisions in the server's
+   * log and announcing them as egressDecision events
+   */
+  async startEgressProxy(processInfo, sandbox) {
+    const { serverId } = processInfo;
+    const proxy = new EgressProxy(sandbox);
+    proxy.on('decision', (decision) => {
+      processInfo.log.record('egress', [formatEgressDecision(decision)]);
+      this.emit('egressDecision', { serverId, ...decision });
+    });
+    
+    sandbox.egressProxy = await proxy.listen();
+    return proxy;
+  }
+  
+  /**
+   * Command line that starts a server, wrapped for confinement and rlimits
+   *
+   * Confinement is on when .ampgi-config.json says so, or options.confine does.
+   */
+  async prepareLaunch(serverId, serverConfig, args, sandbox, options) {
+    const confine = options.confine ?? await isConfinementEnabled();
+    const confined = confine ?
+      prepareConfinedCommand(sandbox, serverConfig.command, args, { cwd: options.cwd }) :
+      {
+        command: serverConfig.command,
+        args,
+        confinement: { enforced: false, reason: 'confinement is off (set "confinement": true in .ampgi-config.json)' },
+        cleanup: () => {}
+      };
+    
+    if (confine && !confined.confinement.enforced && !confined.confinement.unrestricted) {
+      console.warn(`Warning: ${serverId} is not confined (${confined.confinement.reason}); its file permissions are advisory only`);
+    }
+    
+    const limited = prepareLimitedCommand(sandbox, confined.command, confined.args);
+    return { ...confined, command: limited.command, args: limited.args, rlimits: limited.rlimits };
+  }
+  
   /**
    * Prepare command arguments for sandbox execution
    */
@@ -423,6 +743,13 @@ class ProcessManager extends EventEmitter {
   }
 }
 
+/**
+ * Check whether a child process has exited (killed only means a signal was sent)
+ */
+function hasExited(childProcess) {
+  return childProcess.exitCode !== null || childProcess.signalCode !== null;
+}
+
 // Global instance
 const processManager = new ProcessManager();
 
@@ -441,6 +768,9 @@ export const restartMCPServer = (serverId, options) =>
 export const killServer = (serverId, reason) => 
   processManager.killServer(serverId, reason);
 
+export const connectMCPServer = (serverId, options) => 
+  processManager.connectMCPServer(serverId, options);
+
 export const getServerStatus = (serverId) => 
   processManager.getServerStatus(serverId);
 
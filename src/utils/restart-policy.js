@@ -0,0 +1,126 @@
+/**
+ * Restart Policies
+ *
+ * Decide whether and when a managed server that exited on its own is started
+ * again: never, only after a failure, or always. Delays between attempts grow
+ * exponentially with some jitter, and a server that keeps crashing before it
+ * has run stably is given up on after a bounded number of attempts.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+
+export const RESTART_POLICIES = ['never', 'on-failure', 'always'];
+
+export const RESTART_DEFAULTS = {
+  policy: 'on-failure',
+  maxAttempts: 5,           // consecutive restarts before the server is failed
+  initialDelay: 1000,       // ms before the first restart
+  maxDelay: 60000,          // ms the delay grows to at most
+  multiplier: 2,            // delay growth per attempt
+  jitter: 0.2,              // fraction each delay is randomly moved by, either way
+  stableAfter: 60000        // ms of uptime after which a crash starts counting afresh
+};
+
+/**
+ * Effective policy of a server: the defaults, then the user's general settings,
+ * then the registry entry's `restart`, then the user's settings for the server
+ *
+ * `restart` values are a policy name or an object of RESTART_DEFAULTS keys.
+ */
+export function resolveRestartPolicy(serverConfig, configured = {}) {
+  const serverId = serverConfig.id || serverConfig.name;
+
+  return {
+    ...RESTART_DEFAULTS,
+    ...pickRestartOptions(configured),
+    ...pickRestartOptions(serverConfig.restart),
+    ...pickRestartOptions(configured.servers?.[serverId])
+  };
+}
+
+/**
+ * Delay before a restart attempt (1-based): exponential, capped, then jittered
+ */
+export function restartDelay(policy, attempt, random = Math.random) {
+  const base = Math.min(policy.maxDelay, policy.initialDelay * Math.pow(policy.multiplier, attempt - 1));
+  const jittered = base * (1 + policy.jitter * (2 * random() - 1));
+  return Math.max(0, Math.round(jittered));
+}
+
+/**
+ * What to do after a server exited on its own
+ *
+ * @param {object} policy - A resolved restart policy
+ * @param {number} attempts - Restarts already made since the server last ran stably
+ * @param {object} exit - { code, signal, uptime } of the exited process
+ * @returns {object} { action: 'none' | 'restart' | 'fail', attempt, delay, crashLoop }
+ */
+export function planRestart(policy, attempts, exit, random = Math.random) {
+  const failed = exit.code !== 0 || Boolean(exit.signal);
+  if (policy.policy === 'never' || (policy.policy === 'on-failure' && !failed)) {
+    return { action: 'none' };
+  }
+
+  // Running stably for a while forgives earlier crashes
+  const previous = exit.uptime >= policy.stableAfter ? 0 : attempts;
+  const attempt = previous + 1;
+
+  if (attempt > policy.maxAttempts) {
+    return { action: 'fail', attempt: previous, crashLoop: true };
+  }
+  return {
+    action: 'restart',
+    attempt,
+    delay: restartDelay(policy, attempt, random),
+    crashLoop: previous > 0
+  };
+}
+
+/**
+ * Restart settings from .ampgi-config.json (restart)
+ */
+export async function getConfiguredRestartPolicy() {
+  try {
+    const configPath = path.join(process.cwd(), '.ampgi-config.json');
+    if (await fs.pathExists(configPath)) {
+      const { restart } = await fs.readJson(configPath);
+      if (restart && typeof restart === 'object') {
+        const servers = {};
+        for (const [serverId, options] of Object.entries(restart.servers || {})) {
+          servers[serverId] = pickRestartOptions(options);
+        }
+        return { ...pickRestartOptions(restart), servers };
+      }
+    }
+  } catch (error) {
+    // Fall back to the defaults
+  }
+  return {};
+}
+
+function pickRestartOptions(restart) {
+  if (typeof restart === 'string') {
+    return RESTART_POLICIES.includes(restart) ? { policy: restart } : {};
+  }
+  if (!restart || typeof restart !== 'object') {
+    return {};
+  }
+
+  const options = {};
+  if (RESTART_POLICIES.includes(restart.policy)) {
+    options.policy = restart.policy;
+  }
+  for (const key of ['maxAttempts', 'initialDelay', 'maxDelay', 'stableAfter']) {
+    if (Number.isInteger(restart[key]) && restart[key] >= 0) {
+      options[key] = restart[key];
+    }
+  }
+  if (typeof restart.multiplier === 'number' && restart.multiplier >= 1) {
+    options.multiplier = restart.multiplier;
+  }
+  if (typeof restart.jitter === 'number' && restart.jitter >= 0 && restart.jitter <= 1) {
+    options.jitter = restart.jitter;
+  }
+  return options;
+}
@@ -15,28 +15,39 @@ export const PERMISSION_TIERS = {
 
 /**
  * Default resource limits for each permission tier
+ *
+ * Servers are long-lived, so maxExecutionTime bounds each request rather than
+ * the process, and idleTimeout stops servers nobody has used for a while.
+ * maxCpuPercent is a share of one CPU.
  */
 const RESOURCE_LIMITS = {
   [PERMISSION_TIERS.LOW]: {
     maxMemory: 256 * 1024 * 1024, // 256MB
     maxCpuPercent: 25,
-    maxExecutionTime: 15000, // 15 seconds
+    maxExecutionTime: 15000, // 15 seconds per request
+    idleTimeout: 15 * 60 * 1000, // 15 minutes
     maxConcurrentProcesses: 3
   },
   [PERMISSION_TIERS.MEDIUM]: {
     maxMemory: 512 * 1024 * 1024, // 512MB
     maxCpuPercent: 50,
-    maxExecutionTime: 30000, // 30 seconds
+    maxExecutionTime: 30000, // 30 seconds per request
+    idleTimeout: 30 * 60 * 1000, // 30 minutes
     maxConcurrentProcesses: 5
   },
   [PERMISSION_TIERS.HIGH]: {
     maxMemory: 1024 * 1024 * 1024, // 1GB
     maxCpuPercent: 80,
-    maxExecutionTime: 60000, // 60 seconds
+    maxExecutionTime: 60000, // 60 seconds per request
+    idleTimeout: 60 * 60 * 1000, // 1 hour
     maxConcurrentProcesses: 10
   }
 };
 
+// Where cgroup v2 is mounted, and the cpu.max period (µs) CPU shares are expressed in
+const CGROUP_ROOT = '/sys/fs/cgroup';
+const CPU_PERIOD = 100000;
+
 /**
  * File system access permissions by tier
  */
@@ -118,12 +129,18 @@ const NETWORK_PERMISSIONS = {
 
 /**
  * Create a sandbox environment for MCP server execution
+ *
+ * The registry entry's `sandbox` and then the user's override for the server
+ * (see getConfiguredSandboxOverrides) are merged over the tier defaults:
+ * paths, domains, ports and passed-through env vars are added to the tier's,
+ * resource limits replace the tier's.
  */
-export function createSandbox(serverConfig, permissionTier = PERMISSION_TIERS.MEDIUM) {
+export function createSandbox(serverConfig, permissionTier = PERMISSION_TIERS.MEDIUM, userOverride = null) {
   const sandboxId = crypto.randomUUID();
-  const limits = RESOURCE_LIMITS[permissionTier];
-  const filePerms = FILE_PERMISSIONS[permissionTier];
-  const networkPerms = NETWORK_PERMISSIONS[permissionTier];
+  const overrides = [serverConfig.sandbox, userOverride].map(normalizeSandboxOverride).filter(Boolean);
+  const limits = Object.assign({}, RESOURCE_LIMITS[permissionTier], ...overrides.map(override => override.resourceLimits));
+  const filePerms = mergeFilePermissions(FILE_PERMISSIONS[permissionTier], overrides);
+  const networkPerms = mergeNetworkPermissions(NETWORK_PERMISSIONS[permissionTier], overrides);
   
   return {
     id: sandboxId,
@@ -132,12 +149,93 @@ export function createSandbox(serverConfig, permissionTier = PERMISSION_TIERS.ME
     resourceLimits: limits,
     filePermissions: filePerms,
     networkPermissions: networkPerms,
+    envPassthrough: unique(overrides.flatMap(override => override.env)),
+    customized: overrides.length > 0,
     createdAt: new Date(),
     pid: null,
     status: 'created'
   };
 }
 
+/**
+ * Valid parts of a per-server sandbox override, or null if it isn't one
+ *
+ * { readablePaths, writablePaths, blockedPaths, allowedDomains, allowedPorts,
+ *   env, resourceLimits }; paths may start with ~ or be relative to the cwd.
+ */
+function normalizeSandboxOverride(override) {
+  if (!override || typeof override !== 'object' || Array.isArray(override)) {
+    return null;
+  }
+  
+  const strings = (value) => Array.isArray(value) ? value.filter(item => typeof item === 'string' && item.length > 0) : [];
+  const paths = (value) => strings(value).map(item =>
+    path.resolve(item === '~' || item.startsWith('~/') ? path.join(os.homedir(), item.slice(1)) : item));
+  const limits = {};
+  for (const key of Object.keys(RESOURCE_LIMITS[PERMISSION_TIERS.LOW])) {
+    const value = override.resourceLimits?.[key];
+    // An idle timeout of 0 turns idle stopping off
+    if (Number.isInteger(value) && (value > 0 || (key === 'idleTimeout' && value === 0))) {
+      limits[key] = value;
+    }
+  }
+  
+  return {
+    readablePaths: paths(override.readablePaths),
+    writablePaths: paths(override.writablePaths),
+    blockedPaths: paths(override.blockedPaths),
+    allowedDomains: strings(override.allowedDomains).map(domain => domain.toLowerCase()),
+    allowedPorts: Array.isArray(override.allowedPorts) ?
+      override.allowedPorts.filter(port => port === '*' || (Number.isInteger(port) && port > 0 && port < 65536)) : [],
+    env: strings(override.env).filter(name => /^[A-Za-z_][A-Za-z0-9_]*$/.test(name)),
+    resourceLimits: limits
+  };
+}
+
+function mergeFilePermissions(tierPermissions, overrides) {
+  const writable = overrides.flatMap(override => override.writablePaths);
+  return {
+    // What a server may write it may also read
+    readablePaths: unique([...tierPermissions.readablePaths, ...overrides.flatMap(override => override.readablePaths), ...writable]),
+    writablePaths: unique([...tierPermissions.writablePaths, ...writable]),
+    blockedPaths: unique([...tierPermissions.blockedPaths, ...overrides.flatMap(override => override.blockedPaths)])
+  };
+}
+
+function mergeNetworkPermissions(tierPermissions, overrides) {
+  const domains = overrides.flatMap(override => override.allowedDomains);
+  const allowedPorts = unique([...tierPermissions.allowedPorts, ...overrides.flatMap(override => override.allowedPorts)]);
+  
+  // Domains given to a tier without network access open it, on HTTPS unless ports say otherwise
+  return {
+    allowNetwork: tierPermissions.allowNetwork || domains.length > 0,
+    allowedDomains: unique([...tierPermissions.allowedDomains, ...domains]),
+    allowedPorts: !tierPermissions.allowNetwork && domains.length > 0 && allowedPorts.length === 0 ? [443] : allowedPorts
+  };
+}
+
+function unique(values) {
+  return [...new Set(values)];
+}
+
+/**
+ * Per-server sandbox overrides from .ampgi-config.json (sandboxOverrides), by server ID
+ */
+export async function getConfiguredSandboxOverrides() {
+  try {
+    const configPath = path.join(process.cwd(), '.ampgi-config.json');
+    if (await fs.pathExists(configPath)) {
+      const { sandboxOverrides } = await fs.readJson(configPath);
+      if (sandboxOverrides && typeof sandboxOverrides === 'object' && !Array.isArray(sandboxOverrides)) {
+        return sandboxOverrides;
+      }
+    }
+  } catch (error) {
+    // No overrides
+  }
+  return {};
+}
+
 /**
  * Validate file system access based on permission tier
  */
@@ -205,8 +303,8 @@ export function validateNetworkAccess(sandbox, domain, port = 443) {
   if (!allowedDomains.includes('*')) {
     const domainAllowed = allowedDomains.some(allowedDomain => {
       if (allowedDomain.startsWith('*.')) {
-        const wildcardDomain = allowedDomain.slice(2);
-        return domain.endsWith(wildcardDomain);
+        // Subdomains only: *.googleapis.com must not let in evilgoogleapis.com
+        return domain.endsWith(allowedDomain.slice(1));
       }
       return domain === allowedDomain;
     });
@@ -235,51 +333,208 @@ export function validateNetworkAccess(sandbox, domain, port = 443) {
   return { allowed: true };
 }
 
+/**
+ * Command and arguments that start a server under the sandbox's rlimits
+ *
+ * On Linux the server runs through prlimit, so the memory limit holds from its
+ * first instruction. RLIMIT_DATA is used rather than RLIMIT_AS because runtimes
+ * like V8 reserve far more address space than they ever use.
+ */
+export function prepareLimitedCommand(sandbox, command, args = []) {
+  const { maxMemory } = sandbox.resourceLimits;
+  const prlimit = process.platform === 'linux' && maxMemory ? findExecutable('prlimit') : null;
+
+  if (!prlimit) {
+    return { command, args, rlimits: null };
+  }
+  return {
+    command: prlimit,
+    args: [`--data=${maxMemory}`, '--', command, ...args],
+    rlimits: { data: maxMemory }
+  };
+}
+
 /**
  * Apply resource limits to a child process
+ *
+ * The process joins a cgroup v2 scope of its own when the current cgroup lets
+ * us create one. The returned report says for every limit whether it is
+ * enforced, and how, or only advisory, and why. `launch` describes how the
+ * process was started: { rlimits, confinement, egressProxy, cleanup } (see
+ * prepareLimitedCommand, prepareConfinedCommand and EgressProxy).
  */
-export function applyResourceLimits(childProcess, sandbox) {
-  const { resourceLimits } = sandbox;
-  
-  // Set memory limit (platform specific) - skip for now to avoid import issues
-  // Memory limits can be implemented later with a different approach
-  // if (process.platform !== 'win32') {
-  //   try {
-  //     const { execSync } = await import('child_process');
-  //     const memoryLimitKB = Math.floor(resourceLimits.maxMemory / 1024);
-  //     execSync(`ulimit -v ${memoryLimitKB}`, { stdio: 'ignore' });
-  //   } catch (error) {
-  //     // Silently ignore memory limit issues during testing
-  //   }
-  // }
-  
-  // Set execution timeout
-  const timeout = setTimeout(() => {
-    if (childProcess && !childProcess.killed) {
-      console.warn(`Process ${childProcess.pid} exceeded execution time limit, terminating`);
-      childProcess.kill('SIGTERM');
-      
-      // Force kill if SIGTERM doesn't work
-      setTimeout(() => {
-        if (!childProcess.killed) {
-          childProcess.kill('SIGKILL');
-        }
-      }, 5000);
+export function applyResourceLimits(childProcess, sandbox, launch = {}) {
+  const { rlimits, confinement, egressProxy } = launch;
+  const { resourceLimits, networkPermissions } = sandbox;
+  const { scope, reason: cgroupReason } = createCgroupScope(sandbox, childProcess.pid);
+  const hasSession = Boolean(childProcess.stdin && childProcess.stdout);
+  
+  const via = (mechanisms, reason) => mechanisms.length > 0 ?
+    { enforced: true, via: mechanisms } :
+    { enforced: false, reason };
+  const withoutCgroup = (controller) => scope ? `${controller} controller not available` : cgroupReason;
+  
+  const report = {
+    memory: {
+      value: resourceLimits.maxMemory,
+      ...via([
+        ...(scope?.controllers.includes('memory') ? ['cgroup memory.max'] : []),
+        ...(rlimits?.data ? ['RLIMIT_DATA'] : [])
+      ], `${withoutCgroup('memory')}; prlimit is not available`)
+    },
+    cpu: {
+      value: resourceLimits.maxCpuPercent,
+      ...via(scope?.controllers.includes('cpu') ? ['cgroup cpu.max'] : [], withoutCgroup('cpu'))
+    },
+    processes: {
+      value: resourceLimits.maxConcurrentProcesses,
+      enforced: false,
+      reason: 'a pids limit would also count the runtime\'s threads'
+    },
+    executionTime: {
+      value: resourceLimits.maxExecutionTime,
+      ...via(hasSession ? ['request timeout'] : [], 'stdio is not piped, so requests are not seen')
+    },
+    idleTimeout: {
+      value: resourceLimits.idleTimeout,
+      ...via(hasSession && resourceLimits.idleTimeout ? ['idle monitor'] : [],
+        resourceLimits.idleTimeout ? 'stdio is not piped, so activity is not seen' : 'disabled')
+    },
+    files: {
+      value: `${sandbox.permissionTier} tier paths`,
+      ...(confinement?.enforced ?
+        { enforced: true, via: confinement.via, mounts: confinement.mounts } :
+        { enforced: false, reason: confinement?.reason || 'confinement is off' })
+    },
+    network: {
+      value: !networkPermissions.allowNetwork ? 'no egress' :
+        networkPermissions.allowedDomains.includes('*') ? 'any domain' : `${sandbox.permissionTier} tier domains`,
+      // The proxy only sees clients that use it; a network namespace leaves nothing to bypass it with
+      ...(confinement?.isolatedNetwork ?
+        { enforced: true, via: ['network namespace'] } :
+        { enforced: false, reason: egressProxy ? `only clients that honour HTTP(S)_PROXY go through ${egressProxy}` : 'no egress proxy' })
+    }
+  };
+  
+  let cleanedUp = false;
+  const cleanup = () => {
+    if (!cleanedUp) {
+      cleanedUp = true;
+      if (scope) {
+        removeCgroupScope(scope.path);
+      }
+      launch.cleanup?.();
     }
-  }, resourceLimits.maxExecutionTime);
+  };
   
-  // Clean up timeout when process exits
-  childProcess.on('exit', () => {
-    clearTimeout(timeout);
-  });
+  // The scope and the confined root go away with the process; a stop cleans up as well
+  childProcess.on('exit', cleanup);
   
   return {
     memoryLimit: resourceLimits.maxMemory,
     executionTimeout: resourceLimits.maxExecutionTime,
-    cleanup: () => clearTimeout(timeout)
+    idleTimeout: resourceLimits.idleTimeout,
+    cgroup: scope?.path || null,
+    report,
+    cleanup
   };
 }
 
+/**
+ * Create a cgroup v2 scope for a sandbox below our own cgroup (or
+ * AMPGI_CGROUP_PARENT) and move the process into it
+ *
+ * @returns {object} { scope: { path, controllers } } or { scope: null, reason }
+ */
+function createCgroupScope(sandbox, pid) {
+  if (process.platform !== 'linux') {
+    return { scope: null, reason: 'cgroups are only available on Linux' };
+  }
+  if (!pid) {
+    return { scope: null, reason: 'the process did not start' };
+  }
+  if (!fs.existsSync(path.join(CGROUP_ROOT, 'cgroup.controllers'))) {
+    return { scope: null, reason: `cgroup v2 is not mounted at ${CGROUP_ROOT}` };
+  }
+  
+  const parent = process.env.AMPGI_CGROUP_PARENT || ownCgroupPath();
+  const { maxMemory, maxCpuPercent } = sandbox.resourceLimits;
+  let scopePath = null;
+  
+  try {
+    const available = fs.readFileSync(path.join(parent, 'cgroup.controllers'), 'utf8').split(/\s+/);
+    const controllers = ['memory', 'cpu'].filter(controller => available.includes(controller));
+    if (controllers.length === 0) {
+      return { scope: null, reason: `no memory or cpu controller is delegated to ${parent}` };
+    }
+    
+    const enabled = fs.readFileSync(path.join(parent, 'cgroup.subtree_control'), 'utf8').split(/\s+/);
+    const missing = controllers.filter(controller => !enabled.includes(controller));
+    if (missing.length > 0) {
+      fs.writeFileSync(path.join(parent, 'cgroup.subtree_control'), missing.map(controller => `+${controller}`).join(' '));
+    }
+    
+    scopePath = path.join(parent, `ampgi-${sandbox.id}`);
+    fs.mkdirSync(scopePath);
+    if (controllers.includes('memory')) {
+      fs.writeFileSync(path.join(scopePath, 'memory.max'), String(maxMemory));
+    }
+    if (controllers.includes('cpu')) {
+      fs.writeFileSync(path.join(scopePath, 'cpu.max'), `${Math.round(CPU_PERIOD * maxCpuPercent / 100)} ${CPU_PERIOD}`);
+    }
+    fs.writeFileSync(path.join(scopePath, 'cgroup.procs'), String(pid));
+    
+    return { scope: { path: scopePath, controllers } };
+  } catch (error) {
+    if (scopePath) {
+      removeCgroupScope(scopePath);
+    }
+    return { scope: null, reason: `cannot create a cgroup under ${parent} (${error.code || error.message})` };
+  }
+}
+
+/**
+ * Kill what is left in a scope and remove it
+ */
+function removeCgroupScope(scopePath) {
+  try {
+    if (fs.existsSync(path.join(scopePath, 'cgroup.kill'))) {
+      fs.writeFileSync(path.join(scopePath, 'cgroup.kill'), '1');
+    }
+    fs.rmdirSync(scopePath);
+  } catch (error) {
+    // Killed processes may not have left yet; try once more shortly
+    setTimeout(() => fs.rmdir(scopePath).catch(() => {}), 1000).unref();
+  }
+}
+
+function ownCgroupPath() {
+  const entry = fs.readFileSync('/proc/self/cgroup', 'utf8').split('\n').find(line => line.startsWith('0::'));
+  return path.join(CGROUP_ROOT, entry ? entry.slice(3) : '/');
+}
+
+const executableCache = new Map();
+
+/**
+ * Absolute path of an executable on PATH, or null
+ */
+export function findExecutable(name) {
+  if (!executableCache.has(name)) {
+    const found = (process.env.PATH || '').split(path.delimiter)
+      .map(directory => path.join(directory, name))
+      .find(candidate => {
+        try {
+          fs.accessSync(candidate, fs.constants.X_OK);
+          return true;
+        } catch (error) {
+          return false;
+        }
+      });
+    executableCache.set(name, found || null);
+  }
+  return executableCache.get(name);
+}
+
 /**
  * Create sandboxed environment variables
  */
@@ -303,7 +558,7 @@ export function createSandboxedEnv(sandbox, originalEnv = process.env) {
   // For LOW tier, remove potentially sensitive variables
   if (permissionTier === PERMISSION_TIERS.LOW) {
     // Only include essential variables
-    return sandboxedEnv;
+    return withPolicyVariables(sandboxedEnv, sandbox, originalEnv);
   }
   
   // For MEDIUM and HIGH tiers, include more environment variables
@@ -340,7 +595,34 @@ export function createSandboxedEnv(sandbox, originalEnv = process.env) {
     }
   }
   
-  return sandboxedEnv;
+  return withPolicyVariables(sandboxedEnv, sandbox, originalEnv);
+}
+
+/**
+ * Add the variables the server's policy passes through, sensitive or not, then
+ * point HTTP clients at the sandbox's egress proxy, if it has one
+ *
+ * Both proxy spellings are set since tools disagree on which they read, and no
+ * inherited NO_PROXY may route around the proxy.
+ */
+function withPolicyVariables(env, sandbox, originalEnv) {
+  for (const name of sandbox.envPassthrough || []) {
+    if (originalEnv[name] !== undefined) {
+      env[name] = originalEnv[name];
+    }
+  }
+  
+  if (!sandbox.egressProxy) {
+    return env;
+  }
+  
+  for (const name of ['NO_PROXY', 'no_proxy', 'ALL_PROXY', 'all_proxy']) {
+    delete env[name];
+  }
+  for (const name of ['HTTP_PROXY', 'HTTPS_PROXY', 'http_proxy', 'https_proxy']) {
+    env[name] = sandbox.egressProxy;
+  }
+  return env;
 }
 
 /**
@@ -424,7 +706,7 @@ export function generateSecuritySummary(sandbox) {
     permissionTier,
     restrictions: {
       memory: `${Math.round(resourceLimits.maxMemory / 1024 / 1024)}MB`,
-      executionTime: `${resourceLimits.maxExecutionTime / 1000}s`,
+      executionTime: `${resourceLimits.maxExecutionTime / 1000}s per request`,
       fileAccess: filePermissions.writablePaths.length > 0 ? 'Limited write access' : 'Read-only',
       networkAccess: networkPermissions.allowNetwork ? 'Restricted domains' : 'No network access'
     },
@@ -0,0 +1,179 @@
+/**
+ * Tool Schema Linting
+ *
+ * Checks the inputSchema of every tool a server lists: each must be valid
+ * JSON Schema for its dialect, compile with all `$ref`s resolved, and
+ * describe an object. Common anti-patterns that make calls fail or let the
+ * model send anything (open additionalProperties, no `required`, untyped
+ * properties) are reported with a severity.
+ */
+
+import Ajv from 'ajv';
+import Ajv2019 from 'ajv/dist/2019.js';
+import Ajv2020 from 'ajv/dist/2020.js';
+
+export const SCHEMA_SEVERITY = {
+  ERROR: 'error',     // Amp cannot use the schema; calls will fail
+  WARNING: 'warning', // Usable, but lets the model send invalid arguments
+  INFO: 'info'        // Missing documentation
+};
+
+// Keywords that give a property a shape even without `type`
+const SHAPE_KEYWORDS = ['type', '$ref', 'enum', 'const', 'anyOf', 'oneOf', 'allOf', 'not'];
+
+/**
+ * Lint the input schemas of a tool list
+ */
+export function lintToolSchemas(tools) {
+  const results = tools.map(tool => ({ name: tool.name, issues: lintToolSchema(tool) }));
+  const issues = results.flatMap(result => result.issues);
+  const count = (severity) => issues.filter(issue => issue.severity === severity).length;
+
+  return {
+    tools: results,
+    summary: {
+      tools: tools.length,
+      errors: count(SCHEMA_SEVERITY.ERROR),
+      warnings: count(SCHEMA_SEVERITY.WARNING),
+      info: count(SCHEMA_SEVERITY.INFO)
+    }
+  };
+}
+
+/**
+ * Lint one tool's inputSchema
+ */
+export function lintToolSchema(tool) {
+  const schema = tool.inputSchema;
+  const issues = [];
+  const report = (severity, rule, pointer, message) => issues.push({ severity, rule, path: pointer, message });
+
+  if (!isObject(schema)) {
+    report(SCHEMA_SEVERITY.ERROR, 'missing-schema', '', 'Tool has no inputSchema object');
+    return issues;
+  }
+
+  const { ajv, dialect } = createValidator(schema.$schema);
+  let target = schema;
+  if (!dialect) {
+    report(SCHEMA_SEVERITY.WARNING, 'unknown-dialect', '/$schema', `Unrecognized $schema ${schema.$schema}; validated as draft-07`);
+    const { $schema, ...rest } = schema;
+    target = rest;
+  }
+
+  // Structural validity against the dialect's meta-schema
+  if (!ajv.validateSchema(target)) {
+    // One issue per location; anyOf branches otherwise repeat the same problem
+    const seen = new Set();
+    for (const error of ajv.errors || []) {
+      if (seen.has(error.instancePath)) {
+        continue;
+      }
+      seen.add(error.instancePath);
+      report(SCHEMA_SEVERITY.ERROR, 'meta-schema', error.instancePath, `${error.instancePath || 'schema'} ${error.message}`);
+    }
+    return issues;
+  }
+
+  // Compiling resolves every $ref
+  try {
+    ajv.compile(target);
+  } catch (error) {
+    const ref = error.missingRef || error.missingSchema;
+    if (ref && /^https?:/.test(ref)) {
+      report(SCHEMA_SEVERITY.ERROR, 'remote-ref', '', `Remote $ref ${ref} cannot be resolved when the tool is called`);
+    } else if (ref !== undefined) {
+      report(SCHEMA_SEVERITY.ERROR, 'unresolved-ref', '', `$ref ${ref} does not resolve within the schema`);
+    } else {
+      report(SCHEMA_SEVERITY.ERROR, 'compile', '', `Schema does not compile: ${error.message}`);
+    }
+  }
+
+  if (schema.type !== 'object') {
+    report(SCHEMA_SEVERITY.ERROR, 'root-type', '/type', 'Tool arguments must be described by a schema with type "object"');
+  }
+
+  lintObjectSchema(schema, '', report);
+  return issues;
+}
+
+/**
+ * Check an object schema and recurse into its properties and array items
+ */
+function lintObjectSchema(schema, pointer, report) {
+  const properties = isObject(schema.properties) ? schema.properties : {};
+  const names = Object.keys(properties);
+
+  if (Array.isArray(schema.required)) {
+    for (const name of schema.required.filter(name => !names.includes(name))) {
+      report(SCHEMA_SEVERITY.ERROR, 'required-unknown-property', `${pointer}/required`,
+        `"${name}" is required but not defined in properties`);
+    }
+  } else if (names.length > 0) {
+    report(SCHEMA_SEVERITY.WARNING, 'missing-required', pointer || '/',
+      'No "required" list; every argument is treated as optional');
+  }
+
+  if (names.length > 0 && schema.additionalProperties === undefined && schema.unevaluatedProperties === undefined) {
+    report(SCHEMA_SEVERITY.WARNING, 'open-additional-properties', pointer || '/',
+      'additionalProperties is not set, so misspelled arguments are accepted silently');
+  }
+
+  for (const name of names) {
+    const property = properties[name];
+    const propertyPointer = `${pointer}/properties/${escapePointer(name)}`;
+
+    if (!isObject(property)) {
+      continue; // Boolean schemas are valid and need no further checks
+    }
+
+    if (!SHAPE_KEYWORDS.some(keyword => property[keyword] !== undefined)) {
+      report(SCHEMA_SEVERITY.WARNING, 'untyped-property', propertyPointer, `"${name}" has no type, so any value is accepted`);
+    }
+    if (!property.description && !property.$ref) {
+      report(SCHEMA_SEVERITY.INFO, 'undocumented-property', propertyPointer, `"${name}" has no description`);
+    }
+
+    lintNestedSchema(property, propertyPointer, report);
+  }
+}
+
+function lintNestedSchema(schema, pointer, report) {
+  if (schema.type === 'object' && isObject(schema.properties)) {
+    lintObjectSchema(schema, pointer, report);
+  }
+
+  if (schema.type === 'array') {
+    if (schema.items === undefined && schema.prefixItems === undefined) {
+      report(SCHEMA_SEVERITY.WARNING, 'untyped-array', pointer, 'Array has no "items" schema');
+    } else if (isObject(schema.items)) {
+      lintNestedSchema(schema.items, `${pointer}/items`, report);
+    }
+  }
+}
+
+/**
+ * Ajv instance for the schema's declared dialect (draft-07 when unspecified)
+ */
+export function createValidator(schemaUri) {
+  const options = { strict: false, allErrors: true, validateFormats: false };
+
+  if (schemaUri === undefined || /draft-07/.test(schemaUri)) {
+    return { ajv: new Ajv(options), dialect: 'draft-07' };
+  }
+  if (/2020-12/.test(schemaUri)) {
+    return { ajv: new Ajv2020(options), dialect: '2020-12' };
+  }
+  if (/2019-09/.test(schemaUri)) {
+    return { ajv: new Ajv2019(options), dialect: '2019-09' };
+  }
+  return { ajv: new Ajv(options), dialect: null };
+}
+
+function escapePointer(segment) {
+  return segment.replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,273 @@
+/**
+ * Server Log Capture
+ *
+ * Keeps the stdout and stderr of managed servers as timestamped, labelled
+ * lines: the most recent ones in a fixed-size ring buffer in memory, and
+ * optionally all of them in a log file per server that is rotated by size
+ * with a bounded number of old files kept.
+ */
+
+import { EventEmitter } from 'events';
+import { StringDecoder } from 'string_decoder';
+import fs from 'fs-extra';
+import path from 'path';
+
+export const LOG_DEFAULTS = {
+  bufferLines: 1000,              // lines kept in memory per server
+  maxFileSize: 5 * 1024 * 1024,   // bytes before a log file is rotated
+  maxFiles: 3,                    // rotated files kept besides the current one
+  maxLineLength: 64 * 1024,       // longer output without a newline is split
+  directory: null                 // no log files unless a directory is set
+};
+
+// Where the daemon writes log files unless configured otherwise
+export const DEFAULT_LOG_DIRECTORY = '.ampgi-logs';
+
+// Streams a server writes, and every stream a log holds: egress decisions
+// of the server's proxy are recorded alongside its output
+export const OUTPUT_STREAMS = ['stdout', 'stderr'];
+export const LOG_STREAMS = [...OUTPUT_STREAMS, 'egress'];
+
+// "<ISO time> [<stream>] <line>", the format log files are written in
+const LOG_LINE = new RegExp(`^(\\S+) \\[(${LOG_STREAMS.join('|')})\\] (.*)$`);
+
+/**
+ * Fixed-capacity buffer that overwrites its oldest entries
+ */
+export class RingBuffer {
+  constructor(capacity) {
+    this.capacity = Math.max(1, capacity);
+    this.entries = new Array(this.capacity);
+    this.start = 0;
+    this.size = 0;
+  }
+
+  push(entry) {
+    this.entries[(this.start + this.size) % this.capacity] = entry;
+    if (this.size < this.capacity) {
+      this.size++;
+    } else {
+      this.start = (this.start + 1) % this.capacity;
+    }
+  }
+
+  /**
+   * Entries oldest first, optionally only the last `count`
+   */
+  toArray(count = this.size) {
+    const length = Math.min(count, this.size);
+    const result = [];
+    for (let i = this.size - length; i < this.size; i++) {
+      result.push(this.entries[(this.start + i) % this.capacity]);
+    }
+    return result;
+  }
+}
+
+/**
+ * Line-oriented capture of one server's output
+ *
+ * Events:
+ * - line: every complete line ({ time, stream, line })
+ * - fileError: writing the log file failed (lines are still kept in memory)
+ */
+export class ServerLog extends EventEmitter {
+  constructor(serverId, options = {}) {
+    super();
+    this.serverId = serverId;
+    this.options = { ...LOG_DEFAULTS, ...options };
+    this.buffer = new RingBuffer(this.options.bufferLines);
+    this.partial = Object.fromEntries(OUTPUT_STREAMS.map(stream => [stream, '']));
+    this.decoders = Object.fromEntries(OUTPUT_STREAMS.map(stream => [stream, new StringDecoder('utf8')]));
+    this.filePath = this.options.directory ? logFilePath(this.options.directory, serverId) : null;
+    this.fd = null;
+    this.fileSize = 0;
+  }
+
+  /**
+   * Add a chunk of output; complete lines are recorded, the rest waits for more
+   */
+  write(stream, chunk) {
+    const text = this.partial[stream] + (typeof chunk === 'string' ? chunk : this.decoders[stream].write(chunk));
+    const lines = text.split('\n');
+    this.partial[stream] = lines.pop();
+
+    // A server that never writes a newline must not grow the partial line forever
+    while (this.partial[stream].length > this.options.maxLineLength) {
+      lines.push(this.partial[stream].slice(0, this.options.maxLineLength));
+      this.partial[stream] = this.partial[stream].slice(this.options.maxLineLength);
+    }
+
+    this.record(stream, lines.map(line => line.replace(/\r$/, '')));
+  }
+
+  /**
+   * Record unterminated output, e.g. when the process exits
+   */
+  flush() {
+    for (const stream of OUTPUT_STREAMS) {
+      if (this.partial[stream]) {
+        this.record(stream, [this.partial[stream]]);
+        this.partial[stream] = '';
+      }
+    }
+  }
+
+  /**
+   * The most recent entries kept in memory
+   */
+  tail(lines) {
+    return this.buffer.toArray(Number.isInteger(lines) && lines > 0 ? lines : undefined);
+  }
+
+  /**
+   * Flush pending output and close the log file
+   */
+  close() {
+    this.flush();
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+
+  record(stream, lines) {
+    if (lines.length === 0) {
+      return;
+    }
+
+    const time = new Date().toISOString();
+    const entries = lines.map(line => ({ time, stream, line }));
+    entries.forEach(entry => {
+      this.buffer.push(entry);
+      this.emit('line', entry);
+    });
+
+    if (this.filePath) {
+      this.append(entries.map(formatLogLine).join(''));
+    }
+  }
+
+  /**
+   * Append to the log file, rotating it first when it would grow too large
+   */
+  append(text) {
+    try {
+      if (this.fd === null) {
+        fs.ensureDirSync(path.dirname(this.filePath));
+        this.fd = fs.openSync(this.filePath, 'a');
+        this.fileSize = fs.fstatSync(this.fd).size;
+      }
+
+      const bytes = Buffer.byteLength(text);
+      if (this.fileSize > 0 && this.fileSize + bytes > this.options.maxFileSize) {
+        this.rotate();
+      }
+
+      fs.writeSync(this.fd, text);
+      this.fileSize += bytes;
+    } catch (error) {
+      // Losing the file copy must not take the server down; memory still has it
+      this.emit('fileError', error);
+    }
+  }
+
+  /**
+   * server.log -> server.log.1 -> ... -> server.log.<maxFiles>, dropping the oldest
+   */
+  rotate() {
+    fs.closeSync(this.fd);
+    this.fd = null;
+
+    fs.removeSync(`${this.filePath}.${this.options.maxFiles}`);
+    for (let index = this.options.maxFiles - 1; index >= 1; index--) {
+      if (fs.existsSync(`${this.filePath}.${index}`)) {
+        fs.renameSync(`${this.filePath}.${index}`, `${this.filePath}.${index + 1}`);
+      }
+    }
+    if (this.options.maxFiles > 0) {
+      fs.renameSync(this.filePath, `${this.filePath}.1`);
+    } else {
+      fs.removeSync(this.filePath);
+    }
+
+    this.fd = fs.openSync(this.filePath, 'a');
+    this.fileSize = 0;
+  }
+}
+
+/**
+ * Log file of a server in a log directory
+ */
+export function logFilePath(directory, serverId) {
+  return path.join(path.resolve(directory), `${serverId.replace(/[^\w.-]/g, '_')}.log`);
+}
+
+/**
+ * Read the last lines of a server's log files back into entries, oldest first
+ */
+export async function readLogFiles(directory, serverId, options = {}) {
+  const { lines, maxFiles = LOG_DEFAULTS.maxFiles } = options;
+  const filePath = logFilePath(directory, serverId);
+  const files = [filePath, ...Array.from({ length: maxFiles }, (_, i) => `${filePath}.${i + 1}`)];
+
+  const entries = [];
+  for (const file of files) {
+    if (!(await fs.pathExists(file))) {
+      continue;
+    }
+    const content = await fs.readFile(file, 'utf8');
+    entries.unshift(...content.split('\n').filter(Boolean).map(parseLogLine));
+    if (Number.isInteger(lines) && entries.length >= lines) {
+      break;
+    }
+  }
+
+  return Number.isInteger(lines) && lines > 0 ? entries.slice(-lines) : entries;
+}
+
+/**
+ * Log settings from .ampgi-config.json (logs), over the defaults
+ */
+export async function getConfiguredLogOptions() {
+  try {
+    const configPath = path.join(process.cwd(), '.ampgi-config.json');
+    if (await fs.pathExists(configPath)) {
+      const { logs } = await fs.readJson(configPath);
+      if (logs && typeof logs === 'object') {
+        return pickLogOptions(logs);
+      }
+    }
+  } catch (error) {
+    // Fall back to the defaults
+  }
+  return {};
+}
+
+function pickLogOptions(logs) {
+  const options = {};
+  for (const key of ['bufferLines', 'maxFileSize', 'maxLineLength']) {
+    if (Number.isInteger(logs[key]) && logs[key] > 0) {
+      options[key] = logs[key];
+    }
+  }
+  // No rotated files means the current file is truncated when full
+  if (Number.isInteger(logs.maxFiles) && logs.maxFiles >= 0) {
+    options.maxFiles = logs.maxFiles;
+  }
+  if (typeof logs.directory === 'string' || logs.directory === null) {
+    options.directory = logs.directory;
+  }
+  return options;
+}
+
+function formatLogLine({ time, stream, line }) {
+  return `${time} [${stream}] ${line}\n`;
+}
+
+function parseLogLine(text) {
+  const match = text.match(LOG_LINE);
+  return match ?
+    { time: match[1], stream: match[2], line: match[3] } :
+    { time: null, stream: 'stdout', line: text };
+}
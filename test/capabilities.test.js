@@ -0,0 +1,73 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert';
+import { extractCapabilities, extractServerCapabilities } from '../src/utils/capabilities.js';
+import { searchServersByCapability, getExtractedCapabilities } from '../src/registry.js';
+import { registerMockServer } from './helpers/mock-server.js';
+
+const capabilityNames = (extraction) => extraction.capabilities.map(entry => entry.capability);
+
+describe('Capability Extraction', () => {
+  const mocks = [];
+
+  after(() => {
+    mocks.forEach(mock => mock.unregister());
+  });
+
+  it('should map real server catalogs to the registry vocabulary', () => {
+    const filesystem = extractCapabilities([
+      { name: 'read_file', description: 'Read the complete contents of a file' },
+      { name: 'write_file', description: 'Create a new file or overwrite an existing one' },
+      { name: 'list_directory', description: 'Get a detailed listing of files and directories' },
+      { name: 'move_file', description: 'Move or rename files and directories' },
+      { name: 'search_files', description: 'Recursively search for files matching a pattern' }
+    ]);
+    assert.deepStrictEqual(capabilityNames(filesystem).sort(), ['file:list', 'file:move', 'file:read', 'file:search', 'file:write']);
+    assert.strictEqual(filesystem.confidence, 0.9);
+
+    const git = extractCapabilities([
+      { name: 'git_status', description: 'Shows the working tree status' },
+      { name: 'git_commit', description: 'Records changes to the repository' },
+      { name: 'git_create_branch', description: 'Creates a new branch' }
+    ]);
+    assert.deepStrictEqual(capabilityNames(git).sort(), ['git:branch', 'git:commit', 'git:status']);
+
+    const time = extractCapabilities([{ name: 'get_current_time', description: 'Get current time in a specific timezone' }]);
+    assert.deepStrictEqual(capabilityNames(time), ['time:current']);
+  });
+
+  it('should score description-only matches lower and count unmapped tools', () => {
+    const extraction = extractCapabilities([
+      { name: 'search_nodes', description: 'Search for nodes in the knowledge graph' },
+      { name: 'echo', description: 'Echo the arguments back' }
+    ]);
+
+    assert.deepStrictEqual(extraction.capabilities, [
+      { capability: 'memory:search', confidence: 0.7, tools: ['search_nodes'] }
+    ]);
+    assert.deepStrictEqual(extraction.unmapped, ['echo']);
+    assert.strictEqual(extraction.confidence, 0.35);
+  });
+
+  it('should store extracted capabilities and use them for capability search', async () => {
+    mocks.push(registerMockServer('files-mock', {
+      tools: [
+        { name: 'read_file', description: 'Read a file', inputSchema: { type: 'object' } },
+        { name: 'delete_file', description: 'Delete a file', inputSchema: { type: 'object' } }
+      ]
+    }, { capabilities: ['web:fetch'] }));
+
+    const before = searchServersByCapability('web:fetch').map(server => server.id);
+    assert.ok(before.includes('files-mock'), 'declared capabilities match until the server is inspected');
+
+    await extractServerCapabilities('files-mock');
+    assert.deepStrictEqual(capabilityNames(getExtractedCapabilities('files-mock')), ['file:delete', 'file:read']);
+
+    assert.ok(!searchServersByCapability('web:fetch').some(server => server.id === 'files-mock'));
+
+    const matches = searchServersByCapability('file:delete');
+    assert.strictEqual(matches[0].id, 'files-mock');
+    assert.strictEqual(matches[0].capabilitySource, 'tools');
+    assert.strictEqual(matches[0].capabilityConfidence, 0.9);
+    assert.ok(matches.some(server => server.id === 'filesystem' && server.capabilitySource === 'declared'));
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { diffValues, diffCassettes, loadCassette, replayCassette } from '../src/utils/cassettes.js';
+import { startMCPServer, stopMCPServer, connectMCPServer } from '../src/utils/process-manager.js';
+import { testServerCompatibility, TEST_LEVELS } from '../src/utils/compatibility.js';
+import { mockServerConfig, MOCK_FIXTURES_DIR } from './helpers/mock-server.js';
+
+// The basic fixture after an "upgrade" that changes a schema, a result and drops a tool
+async function upgradedFixture() {
+  const fixture = await fs.readJson(path.join(MOCK_FIXTURES_DIR, 'basic.json'));
+  fixture.serverInfo.version = '1.1.0';
+  fixture.tools[0].inputSchema.properties.message.type = 'number';
+  fixture.tools[1].response = 'Hi there, {{name}}!';
+  fixture.tools = fixture.tools.filter(tool => tool.name !== 'count');
+  return fixture;
+}
+
+/**
+ * Record a session against a fixture through the process manager
+ */
+async function recordSession(serverId, fixture, cassettePath) {
+  const startResult = await startMCPServer({ id: serverId, ...mockServerConfig(fixture) }, null, { record: cassettePath });
+  try {
+    const client = await connectMCPServer(startResult.serverId);
+    await client.listTools();
+    await client.callTool('greet', { name: 'Ada' });
+  } finally {
+    await stopMCPServer(startResult.serverId, 'test');
+  }
+  return loadCassette(cassettePath);
+}
+
+describe('Cassette Tests', () => {
+  let tmpDir;
+
+  before(async () => {
+    tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ampgi-cassettes-'));
+  });
+
+  after(async () => {
+    await fs.remove(tmpDir);
+  });
+
+  it('should diff named lists by key rather than position', () => {
+    const changes = diffValues(
+      { tools: [{ name: 'a', inputSchema: { type: 'object' } }, { name: 'b' }] },
+      { tools: [{ name: 'c' }, { name: 'a', inputSchema: { type: 'string' } }] }
+    );
+
+    assert.deepStrictEqual(changes, [
+      { path: 'tools[a].inputSchema.type', kind: 'changed', before: 'object', after: 'string' },
+      { path: 'tools[b]', kind: 'removed', before: { name: 'b' } },
+      { path: 'tools[c]', kind: 'added', after: { name: 'c' } }
+    ]);
+  });
+
+  it('should record traffic from servers started by the process manager', async () => {
+    const cassette = await recordSession('cassette-record', 'basic', path.join(tmpDir, 'record.json'));
+
+    assert.strictEqual(cassette.server.id, 'cassette-record');
+    assert.strictEqual(cassette.serverInfo.name, 'mock-basic');
+    assert.deepStrictEqual(cassette.interactions.map(i => i.method), ['initialize', 'tools/list', 'tools/call']);
+    assert.strictEqual(cassette.interactions[2].response.result.content[0].text, 'Hello, Ada!');
+    assert.strictEqual(cassette.interactions[2].params._meta, undefined, 'progress tokens are not recorded');
+  });
+
+  it('should report changed results and schemas when replaying', async () => {
+    const cassette = await recordSession('cassette-v1', 'basic', path.join(tmpDir, 'v1.json'));
+    const startResult = await startMCPServer({ id: 'cassette-v2', ...mockServerConfig(await upgradedFixture()) });
+
+    try {
+      const client = await connectMCPServer(startResult.serverId);
+      const report = await replayCassette(cassette, client);
+      const byLabel = Object.fromEntries(report.entries.map(entry => [entry.label, entry]));
+
+      assert.deepStrictEqual(report.summary, { unchanged: 0, changed: 3, total: 3 });
+      assert.deepStrictEqual(byLabel.initialize.changes.map(c => c.path), ['serverInfo.version']);
+      assert.deepStrictEqual(byLabel['tools/list'].changes.map(c => `${c.kind} ${c.path}`), [
+        'changed tools[echo].inputSchema.properties.message.type',
+        'removed tools[count]'
+      ]);
+      assert.deepStrictEqual(byLabel['tools/call greet'].changes[0].after, 'Hi there, Ada!');
+    } finally {
+      await stopMCPServer(startResult.serverId, 'test');
+    }
+  });
+
+  it('should compare two cassettes offline', async () => {
+    const v1 = await recordSession('cassette-diff-1', 'basic', path.join(tmpDir, 'diff1.json'));
+    const v1Again = await recordSession('cassette-diff-2', 'basic', path.join(tmpDir, 'diff2.json'));
+
+    const report = diffCassettes(v1, v1Again);
+    assert.strictEqual(report.summary.changed, 0);
+    assert.strictEqual(report.summary.unchanged, 3);
+  });
+
+  it('should record and replay through the compatibility tester', async () => {
+    const cassettePath = path.join(tmpDir, 'compat.json');
+    const options = { level: TEST_LEVELS.FUNCTIONAL, includeSecurity: false, probeTimeout: 1000 };
+
+    await testServerCompatibility({ id: 'compat-v1', ...mockServerConfig('basic') }, { ...options, record: cassettePath });
+    assert.ok(await fs.pathExists(cassettePath));
+
+    const same = await testServerCompatibility({ id: 'compat-v1', ...mockServerConfig('basic') }, { ...options, replay: cassettePath });
+    assert.strictEqual(same.tests.regression.replay.passed, true);
+
+    const upgraded = await testServerCompatibility({ id: 'compat-v2', ...mockServerConfig(await upgradedFixture()) }, { ...options, replay: cassettePath });
+    assert.strictEqual(upgraded.tests.regression.replay.passed, false);
+    assert.ok(upgraded.cassetteDiff.summary.changed > 0);
+    assert.ok(upgraded.warnings.some(warning => warning.includes('tools/list')));
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import path from 'path';
+import { testServerCompatibility, testMultipleServers, TEST_LEVELS } from '../src/utils/compatibility.js';
+import { getProtocolMatrix, getProtocolWarnings } from '../src/registry.js';
+import { AMP_PROTOCOL_VERSION } from '../src/utils/amp.js';
+import { processManager } from '../src/utils/process-manager.js';
+import { mockServerConfig } from './helpers/mock-server.js';
+
+function mockServer(name, fixture) {
+  return { id: name, ...mockServerConfig(fixture), name };
+}
+
+describe('Compatibility Testing', () => {
+  it('should pass protocol checks for a compliant server', async () => {
+    const result = await testServerCompatibility(mockServer('compliant', 'basic'), {
+      level: TEST_LEVELS.PROTOCOL,
+      includeSecurity: false,
+      probeTimeout: 1000
+    });
+
+    const { basic, functional, protocol } = result.tests;
+    assert.strictEqual(basic.connection.passed, true);
+    assert.strictEqual(basic.connection.evidence.serverInfo.name, 'mock-basic');
+    assert.strictEqual(functional.tools.passed, true);
+    assert.deepStrictEqual(functional.tools.evidence.tools, ['echo', 'greet', 'count']);
+    assert.strictEqual(functional.resources.evidence.read.contents, 1);
+    assert.strictEqual(functional.prompts.evidence.rendered.messages, 1);
+    assert.strictEqual(protocol.initialization.passed, true);
+    assert.strictEqual(protocol.notifications.passed, true);
+    assert.strictEqual(protocol.errorHandling.passed, true, JSON.stringify(protocol.errorHandling.evidence));
+    assert.strictEqual(protocol.versions.passed, true);
+    assert.strictEqual(result.tests.schema.validity.passed, true);
+    assert.strictEqual(result.schemaLint.summary.tools, 3);
+  });
+
+  it('should fail checks a sloppy server does not meet', async () => {
+    const result = await testServerCompatibility(mockServer('sloppy', 'faulty'), {
+      level: TEST_LEVELS.PROTOCOL,
+      includeSecurity: false,
+      probeTimeout: 1000
+    });
+
+    const { functional, protocol } = result.tests;
+    assert.strictEqual(result.tests.basic.connection.passed, true);
+    assert.strictEqual(functional.tools.passed, false);
+    assert.match(functional.tools.evidence.problems[0], /inputSchema/);
+    assert.strictEqual(result.tests.schema.validity.passed, false);
+    assert.deepStrictEqual(result.tests.schema.validity.evidence.broken, ['run']);
+    assert.strictEqual(functional.resources.evidence.advertised, false);
+    assert.strictEqual(protocol.notifications.passed, false);
+    assert.deepStrictEqual(protocol.notifications.evidence.invalidOutput, ['Server starting...']);
+    assert.strictEqual(protocol.errorHandling.passed, false);
+    assert.notStrictEqual(result.recommendation, 'recommended');
+    assert.notStrictEqual(result.recommendation, 'highly_recommended');
+  });
+
+  it('should not fail servers for capabilities they do not advertise', async () => {
+    const result = await testServerCompatibility({
+      id: 'resources-only',
+      ...mockServerConfig({
+        serverInfo: { name: 'mock-resources', version: '0.1.0' },
+        capabilities: { resources: {} },
+        resources: [{ uri: 'file:///notes.md', name: 'notes', mimeType: 'text/markdown', text: '# Notes' }]
+      }),
+      name: 'resources-only'
+    }, { level: TEST_LEVELS.FUNCTIONAL, includeSecurity: false, probeTimeout: 1000 });
+
+    const { tools, resources, prompts } = result.tests.functional;
+    assert.strictEqual(tools.passed, true, tools.message);
+    assert.strictEqual(tools.evidence.advertised, false);
+    assert.strictEqual(resources.passed, true, resources.message);
+    assert.strictEqual(prompts.passed, true, prompts.message);
+  });
+
+  it('should test servers side by side without moving the working directory', async () => {
+    const cwd = process.cwd();
+    const directories = new Map();
+    const onStarted = ({ serverId, processInfo }) => directories.set(serverId, processInfo.startOptions.cwd);
+    processManager.on('serverStarted', onStarted);
+
+    let results;
+    try {
+      results = await testMultipleServers([mockServer('side-a', 'basic'), mockServer('side-b', 'basic')], {
+        level: TEST_LEVELS.FUNCTIONAL,
+        includeSecurity: false,
+        probeTimeout: 1000
+      });
+    } finally {
+      processManager.off('serverStarted', onStarted);
+    }
+
+    assert.deepStrictEqual(results.map(result => result.tests.functional.tools.passed), [true, true]);
+    assert.strictEqual(process.cwd(), cwd);
+
+    // Each server runs in its own test's directory
+    for (const result of results) {
+      assert.strictEqual(directories.get(`compat_${result.testId}`), path.join(cwd, '.ampgi-test', result.testId));
+    }
+  });
+
+  it('should record which protocol versions a server accepts', async () => {
+    const result = await testServerCompatibility({
+      id: 'legacy',
+      ...mockServerConfig({
+        serverInfo: { name: 'mock-legacy', version: '0.1.0' },
+        protocolVersions: ['2024-11-05'],
+        tools: [{ name: 'echo', inputSchema: { type: 'object' }, echo: true }]
+      }),
+      name: 'legacy'
+    }, {
+      level: TEST_LEVELS.PROTOCOL,
+      includeSecurity: false,
+      probeTimeout: 1000
+    });
+
+    const { versions } = result.protocolMatrix;
+    assert.deepStrictEqual(versions['2024-11-05'], { accepted: true, negotiated: '2024-11-05', capabilities: ['tools'], error: null });
+    assert.strictEqual(versions[AMP_PROTOCOL_VERSION].accepted, false);
+    assert.strictEqual(versions[AMP_PROTOCOL_VERSION].negotiated, '2024-11-05');
+    assert.strictEqual(result.tests.protocol.versions.passed, false);
+    assert.ok(result.warnings.some(warning => warning.includes(AMP_PROTOCOL_VERSION)));
+
+    // The matrix is kept in the registry so generated configs can warn about it
+    assert.strictEqual(getProtocolMatrix('legacy'), result.protocolMatrix);
+    assert.deepStrictEqual(getProtocolWarnings(['legacy', 'compliant', 'untested']), [
+      `legacy does not accept MCP protocol ${AMP_PROTOCOL_VERSION} (accepts 2024-11-05)`
+    ]);
+  });
+
+  it('should not award protocol points when the server cannot start', async () => {
+    const result = await testServerCompatibility({ id: 'missing', name: 'missing', command: 'ampgi-no-such-binary' }, {
+      level: TEST_LEVELS.FUNCTIONAL,
+      includeSecurity: false,
+      probeTimeout: 1000
+    });
+
+    assert.strictEqual(result.tests.basic.connection.passed, false);
+    assert.ok(Object.values(result.tests.functional).every(test => !test.passed));
+    assert.ok(Object.values(result.tests.schema).every(test => !test.passed));
+    assert.strictEqual(result.recommendation, 'not_recommended');
+  });
+});
@@ -0,0 +1,176 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import {
+  AmpgiDaemon,
+  connectDaemon,
+  requestDaemon,
+  isDaemonRunning,
+  listManagedServers,
+  startDaemon,
+  stopDaemon,
+  getDaemonPaths
+} from '../src/utils/daemon.js';
+import { JSONRPC_ERRORS } from '../src/utils/mcp-client.js';
+import { processManager } from '../src/utils/process-manager.js';
+import { registerMockServer } from './helpers/mock-server.js';
+
+// Notifications travel on another connection than the reply that caused them
+async function waitFor(check, timeout = 2000) {
+  const deadline = Date.now() + timeout;
+  while (!check()) {
+    if (Date.now() > deadline) {
+      assert.fail(`Condition not met within ${timeout}ms`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+describe('Daemon', () => {
+  const mocks = [];
+
+  after(() => {
+    mocks.forEach(mock => mock.unregister());
+  });
+
+  it('should keep socket paths short enough to bind', () => {
+    assert.strictEqual(getDaemonPaths('/srv/project').socketPath, '/srv/project/.ampgi-daemon.sock');
+
+    const deepDirectory = `/srv/${'nested/'.repeat(20)}project`;
+    const deep = getDaemonPaths(deepDirectory);
+    assert.ok(deep.socketPath.length <= 100);
+    assert.ok(deep.logFile.endsWith('.ampgi-daemon.log'));
+
+    // Never a guessable name in the shared temp dir
+    const runtimeDirectory = process.env.XDG_RUNTIME_DIR;
+    try {
+      process.env.XDG_RUNTIME_DIR = '/run/user/1000';
+      assert.strictEqual(path.dirname(getDaemonPaths(deepDirectory).socketPath), '/run/user/1000');
+      delete process.env.XDG_RUNTIME_DIR;
+      assert.strictEqual(path.dirname(getDaemonPaths(deepDirectory).socketPath), path.join(os.tmpdir(), `ampgi-${process.getuid()}`));
+    } finally {
+      if (runtimeDirectory === undefined) {
+        delete process.env.XDG_RUNTIME_DIR;
+      } else {
+        process.env.XDG_RUNTIME_DIR = runtimeDirectory;
+      }
+    }
+  });
+
+  it('should only bind in a per-user temp directory closed to other users', async () => {
+    const directory = path.join(os.tmpdir(), `ampgi-${process.getuid()}`);
+    const socketPath = path.join(directory, `ampgi-daemon-test-${process.pid}.sock`);
+
+    const daemon = new AmpgiDaemon({ socketPath });
+    await daemon.listen();
+    await daemon.close('test_complete');
+    assert.strictEqual((await fs.stat(directory)).mode & 0o777, 0o700);
+
+    await fs.chmod(directory, 0o755);
+    try {
+      await assert.rejects(new AmpgiDaemon({ socketPath }).listen(), /closed to other users/);
+    } finally {
+      await fs.chmod(directory, 0o700);
+      await fs.remove(socketPath);
+    }
+  });
+
+  it('should host servers and answer control requests over the socket', async () => {
+    mocks.push(registerMockServer('daemon-mock'));
+    const socketPath = path.join(os.tmpdir(), `ampgi-daemon-test-${process.pid}.sock`);
+    const daemon = new AmpgiDaemon({ socketPath, timeout: 5000 });
+    const closed = new Promise(resolve => daemon.once('close', resolve));
+
+    await daemon.listen();
+    try {
+      assert.strictEqual(await isDaemonRunning({ socketPath }), true);
+      await assert.rejects(new AmpgiDaemon({ socketPath }).listen(), /already listening/);
+
+      const started = await requestDaemon('servers/start', { serverId: 'daemon-mock' }, { socketPath });
+      assert.strictEqual(started.status, 'running');
+      assert.ok(started.pid > 0);
+
+      // Statuses cross the socket as JSON
+      const servers = await listManagedServers({ socketPath });
+      assert.strictEqual(servers['daemon-mock'].pid, started.pid);
+      assert.strictEqual(typeof servers['daemon-mock'].startTime, 'string');
+
+      const client = await connectDaemon({ socketPath });
+      try {
+        await assert.rejects(client.request('servers/explode'), { code: JSONRPC_ERRORS.METHOD_NOT_FOUND });
+        await assert.rejects(client.request('servers/start', {}), { code: JSONRPC_ERRORS.INVALID_PARAMS });
+        await assert.rejects(client.request('servers/start', { serverId: 'no-such-server' }), /Unknown MCP server/);
+        assert.strictEqual((await client.request('daemon/status')).servers, 1);
+      } finally {
+        client.close();
+      }
+
+      assert.deepStrictEqual(await requestDaemon('daemon/shutdown', {}, { socketPath }), { stopping: ['daemon-mock'] });
+      assert.deepStrictEqual((await closed).stopped, ['daemon-mock']);
+      assert.strictEqual(processManager.processes.has('daemon-mock'), false);
+      assert.strictEqual(await connectDaemon({ socketPath }), null);
+    } finally {
+      await daemon.close('test_complete');
+    }
+  });
+
+  it('should stop, restart, kill and stream the logs of managed servers', async () => {
+    mocks.push(registerMockServer('daemon-ops'));
+    const socketPath = path.join(os.tmpdir(), `ampgi-daemon-ops-${process.pid}.sock`);
+    const daemon = new AmpgiDaemon({ socketPath, timeout: 5000 });
+    const request = (method, params) => requestDaemon(method, params, { socketPath });
+
+    await daemon.listen();
+    const follower = await connectDaemon({ socketPath });
+    try {
+      const { pid } = await request('servers/start', { serverId: 'daemon-ops' });
+
+      const logs = await request('servers/logs', { serverId: 'daemon-ops', lines: 1 });
+      assert.strictEqual(logs.entries.length, 1);
+      assert.strictEqual(logs.entries[0].stream, 'stdout');
+      assert.match(logs.entries[0].line, /"serverInfo":\{"name":"mock-basic"/);
+
+      // Following survives a restart and sees the new process's handshake
+      const streamed = [];
+      follower.client.on('notification', (message) => streamed.push(message));
+      await follower.request('servers/logs', { serverId: 'daemon-ops', follow: true });
+
+      const restarted = await request('servers/restart', { serverId: 'daemon-ops' });
+      assert.notStrictEqual(restarted.pid, pid);
+      assert.strictEqual(restarted.status, 'running');
+      await waitFor(() => streamed.some(({ method, params }) =>
+        method === 'notifications/servers/log' && params.stream === 'stdout' && params.line.includes('mock-basic')));
+
+      assert.deepStrictEqual(await request('servers/kill', { serverId: 'daemon-ops' }), { serverId: 'daemon-ops', killed: true });
+      assert.deepStrictEqual(await request('servers/stop', { serverId: 'daemon-ops' }), {
+        serverId: 'daemon-ops', success: true, reason: 'manual'
+      });
+      await waitFor(() => streamed.at(-1).method === 'notifications/servers/stopped');
+      assert.deepStrictEqual(streamed.at(-1).params, { serverId: 'daemon-ops', reason: 'manual' });
+
+      await assert.rejects(request('servers/stop', { serverId: 'daemon-ops' }), /not managed by the daemon/);
+    } finally {
+      follower.close();
+      await daemon.close('test_complete');
+    }
+  });
+
+  it('should run in the background until stopped', async () => {
+    const cwd = await fs.mkdtemp(path.join(os.tmpdir(), 'ampgi-daemon-'));
+
+    try {
+      const status = await startDaemon({ cwd });
+      assert.notStrictEqual(status.pid, process.pid);
+      assert.strictEqual(status.cwd, await fs.realpath(cwd));
+      await assert.rejects(startDaemon({ cwd }), /already running/);
+
+      assert.deepStrictEqual(await stopDaemon({ cwd }), { stopping: [] });
+      assert.strictEqual(await isDaemonRunning({ socketPath: status.socketPath }), false);
+      assert.strictEqual(await stopDaemon({ cwd }), null);
+    } finally {
+      await fs.remove(cwd);
+    }
+  });
+});
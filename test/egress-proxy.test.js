@@ -0,0 +1,139 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import { EgressProxy, formatEgressDecision } from '../src/utils/egress-proxy.js';
+import { createSandbox, createSandboxedEnv, validateNetworkAccess, PERMISSION_TIERS } from '../src/utils/sandbox.js';
+import { processManager } from '../src/utils/process-manager.js';
+
+/**
+ * Send a request through a proxy, resolving with { status, body }
+ */
+function proxyRequest(proxyUrl, options) {
+  const { hostname, port } = new URL(proxyUrl);
+  return new Promise((resolve, reject) => {
+    const request = http.request({ host: hostname, port, ...options });
+    const collect = (response, socket) => {
+      if (options.method === 'CONNECT') {
+        socket?.destroy();
+        resolve({ status: response.statusCode });
+        return;
+      }
+      let body = '';
+      response.on('data', chunk => body += chunk);
+      response.on('end', () => resolve({ status: response.statusCode, body }));
+    };
+    request.on('connect', collect);
+    request.on('response', collect);
+    request.on('error', reject);
+    request.end();
+  });
+}
+
+describe('Egress Proxy', () => {
+  let upstream;
+  let upstreamPort;
+
+  before(async () => {
+    upstream = http.createServer((request, response) => response.end(`hello from ${request.url}`));
+    await new Promise(resolve => upstream.listen(0, '127.0.0.1', resolve));
+    upstreamPort = upstream.address().port;
+  });
+
+  after(() => {
+    upstream.close();
+  });
+
+  function startProxy(networkPermissions) {
+    const sandbox = { ...createSandbox({ id: 'egress' }, PERMISSION_TIERS.MEDIUM), networkPermissions };
+    const proxy = new EgressProxy(sandbox);
+    const decisions = [];
+    proxy.on('decision', decision => decisions.push(decision));
+    return { proxy, decisions };
+  }
+
+  it('should only match subdomains of wildcard domains', () => {
+    const sandbox = createSandbox({ id: 'egress' }, PERMISSION_TIERS.MEDIUM);
+
+    assert.strictEqual(validateNetworkAccess(sandbox, 'storage.googleapis.com', 443).allowed, true);
+    assert.strictEqual(validateNetworkAccess(sandbox, 'evilgoogleapis.com', 443).allowed, false);
+  });
+
+  it('should forward allowed requests and tunnels and refuse the rest', async () => {
+    const { proxy, decisions } = startProxy({ allowNetwork: true, allowedDomains: ['127.0.0.1'], allowedPorts: [upstreamPort] });
+    const url = await proxy.listen();
+
+    try {
+      const forwarded = await proxyRequest(url, { path: `http://127.0.0.1:${upstreamPort}/tools` });
+      assert.deepStrictEqual(forwarded, { status: 200, body: 'hello from /tools' });
+
+      const tunnel = await proxyRequest(url, { method: 'CONNECT', path: `127.0.0.1:${upstreamPort}` });
+      assert.strictEqual(tunnel.status, 200);
+
+      const wrongPort = await proxyRequest(url, { method: 'CONNECT', path: '127.0.0.1:22' });
+      assert.strictEqual(wrongPort.status, 403);
+
+      const wrongDomain = await proxyRequest(url, { path: 'http://evil.com/' });
+      assert.strictEqual(wrongDomain.status, 403);
+      assert.match(wrongDomain.body, /evil\.com not permitted/);
+
+      assert.deepStrictEqual(decisions.map(formatEgressDecision).map(line => line.split(' (')[0]), [
+        `allow GET 127.0.0.1:${upstreamPort}`,
+        `allow CONNECT 127.0.0.1:${upstreamPort}`,
+        'deny CONNECT 127.0.0.1:22',
+        'deny GET evil.com:80'
+      ]);
+    } finally {
+      proxy.close();
+    }
+  });
+
+  it('should refuse all egress for the low tier', async () => {
+    const proxy = new EgressProxy(createSandbox({ id: 'egress' }, PERMISSION_TIERS.LOW));
+    const url = await proxy.listen();
+
+    try {
+      assert.strictEqual((await proxyRequest(url, { method: 'CONNECT', path: 'api.github.com:443' })).status, 403);
+      assert.strictEqual((await proxyRequest(url, { path: `http://127.0.0.1:${upstreamPort}/` })).status, 403);
+    } finally {
+      proxy.close();
+    }
+  });
+
+  it('should point sandboxed servers at the proxy', () => {
+    const sandbox = { ...createSandbox({ id: 'egress' }, PERMISSION_TIERS.HIGH), egressProxy: 'http://127.0.0.1:1234' };
+    const env = createSandboxedEnv(sandbox, { PATH: '/usr/bin', HTTPS_PROXY: 'http://corporate:3128', no_proxy: '*' });
+
+    assert.strictEqual(env.HTTP_PROXY, 'http://127.0.0.1:1234');
+    assert.strictEqual(env.https_proxy, 'http://127.0.0.1:1234');
+    assert.strictEqual(env.HTTPS_PROXY, 'http://127.0.0.1:1234');
+    assert.strictEqual(env.no_proxy, undefined);
+  });
+
+  it('should log the decisions of a sandboxed server', async () => {
+    const serverId = 'egress-probe';
+    const probe = `
+      const { hostname, port } = new URL(process.env.HTTP_PROXY);
+      require('http').get({ host: hostname, port, path: 'http://example.com/' }, response => console.log(response.statusCode));
+      setTimeout(() => {}, 10000);`;
+    const output = new Promise(resolve => processManager.on('serverOutput', function onOutput(event) {
+      if (event.serverId === serverId) {
+        processManager.off('serverOutput', onOutput);
+        resolve(event.data.trim());
+      }
+    }));
+    const decision = new Promise(resolve => processManager.once('egressDecision', resolve));
+
+    await processManager.startMCPServer({ id: serverId, command: process.execPath, args: ['-e', probe] }, PERMISSION_TIERS.LOW, { confine: false });
+    try {
+      assert.strictEqual(await output, '403');
+      const { allowed, host } = await decision;
+      assert.deepStrictEqual({ allowed, host }, { allowed: false, host: 'example.com' });
+
+      const entry = processManager.getServerLog(serverId).tail().find(line => line.stream === 'egress');
+      assert.match(entry.line, /^deny GET example\.com:80 \(Network access not permitted/);
+      assert.strictEqual(processManager.getServerStatus(serverId).resourceLimits.network.value, 'no egress');
+    } finally {
+      await processManager.stopMCPServer(serverId, 'test_complete');
+    }
+  });
+});
@@ -0,0 +1,316 @@
+#!/usr/bin/env node
+/**
+ * Mock MCP Server
+ *
+ * A configurable stdio MCP server driven by a JSON fixture, used to exercise
+ * the client, process manager and CLI without pulling servers from npm.
+ *
+ * Usage: node mock-mcp-server.js <fixture.json>
+ *        MOCK_MCP_FIXTURE='{"tools": [...]}' node mock-mcp-server.js
+ *
+ * Fixture fields (all optional):
+ * - serverInfo, instructions, capabilities (derived from the catalog when omitted)
+ * - protocolVersions: versions to accept; the first is offered otherwise (default: echo the client)
+ * - startupOutput: lines written to stdout before serving (malformed output)
+ * - startupDelay: ms to wait before reading stdin
+ * - exitOnStart: exit code to exit with immediately
+ * - pageSize: paginate list results with nextCursor
+ * - unknownMethods: "error" (default) or "ignore" to never answer them
+ * - tools: [{ name, description, inputSchema, ...behavior }]
+ * - resources: [{ uri, name, mimeType, text }]
+ * - prompts: [{ name, description, arguments, messages }]
+ * - methods: { "<method>": behavior } overrides for any request
+ *
+ * Behavior fields for tools and methods:
+ * - response: text (tools; "{{arg}}" is replaced from arguments) or a full result object
+ * - echo: reply with the arguments as JSON text
+ * - isError: mark the tool result as an error
+ * - error: { code, message, data } JSON-RPC error
+ * - delay: ms to wait before replying
+ * - progress: number of progress notifications to send first
+ * - notify: notifications ({ method, params }) to send before replying
+ * - malformed: raw text written instead of a reply
+ * - hang: never reply
+ * - crash: exit with this code instead of replying
+ * - signal: kill the process with this signal instead of replying
+ * - stderr: text written to stderr when invoked
+ */
+
+import fs from 'fs';
+import readline from 'readline';
+
+const fixture = loadFixture();
+
+function loadFixture() {
+  if (process.env.MOCK_MCP_FIXTURE) {
+    return JSON.parse(process.env.MOCK_MCP_FIXTURE);
+  }
+  if (process.argv[2]) {
+    return JSON.parse(fs.readFileSync(process.argv[2], 'utf8'));
+  }
+  return {};
+}
+
+const tools = fixture.tools || [];
+const resources = fixture.resources || [];
+const prompts = fixture.prompts || [];
+
+function send(message) {
+  process.stdout.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\n');
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Capabilities advertised when the fixture doesn't declare them
+ */
+function deriveCapabilities() {
+  return {
+    ...(tools.length > 0 && { tools: { listChanged: false } }),
+    ...(resources.length > 0 && { resources: {} }),
+    ...(prompts.length > 0 && { prompts: {} })
+  };
+}
+
+/**
+ * Slice a list result according to the fixture's page size
+ */
+function paginate(items, key, params = {}) {
+  const pageSize = fixture.pageSize || items.length || 1;
+  const start = params.cursor ? Number(params.cursor) : 0;
+  const page = items.slice(start, start + pageSize);
+  const next = start + pageSize;
+
+  return {
+    [key]: page,
+    ...(next < items.length && { nextCursor: String(next) })
+  };
+}
+
+/**
+ * Strip behavior fields so only the MCP definition is listed
+ */
+function definition(item, fields) {
+  return Object.fromEntries(Object.entries(item).filter(([key]) => fields.includes(key)));
+}
+
+function fillTemplate(text, args = {}) {
+  return text.replace(/\{\{(\w+)\}\}/g, (match, name) =>
+    args[name] === undefined ? match : (typeof args[name] === 'string' ? args[name] : JSON.stringify(args[name])));
+}
+
+/**
+ * Apply a behavior, returning the reply (or null for none)
+ */
+async function perform(message, behavior, buildResult) {
+  if (behavior.stderr) {
+    process.stderr.write(behavior.stderr + '\n');
+  }
+
+  for (let step = 1; step <= (behavior.progress || 0); step++) {
+    const progressToken = message.params?._meta?.progressToken;
+    if (progressToken !== undefined) {
+      send({ method: 'notifications/progress', params: { progressToken, progress: step, total: behavior.progress } });
+    }
+    await sleep(10);
+  }
+
+  for (const notification of behavior.notify || []) {
+    send(notification);
+  }
+
+  if (behavior.delay) {
+    await sleep(behavior.delay);
+  }
+
+  if (behavior.crash !== undefined) {
+    process.exit(behavior.crash);
+  }
+
+  if (behavior.signal) {
+    process.kill(process.pid, behavior.signal);
+    return null;
+  }
+
+  if (behavior.hang) {
+    return null;
+  }
+
+  if (behavior.malformed !== undefined) {
+    process.stdout.write(behavior.malformed + '\n');
+    return null;
+  }
+
+  if (behavior.error) {
+    return { id: message.id, error: behavior.error };
+  }
+
+  return { id: message.id, result: buildResult() };
+}
+
+function toolResult(tool, args) {
+  if (tool.echo) {
+    return { content: [{ type: 'text', text: JSON.stringify(args) }] };
+  }
+  if (tool.response && typeof tool.response === 'object') {
+    return tool.response;
+  }
+
+  const text = fillTemplate(tool.response ?? `${tool.name} called`, args);
+  return {
+    content: [{ type: 'text', text }],
+    ...(tool.isError && { isError: true })
+  };
+}
+
+function negotiateVersion(requested) {
+  const accepted = fixture.protocolVersions;
+  if (!accepted || accepted.includes(requested)) {
+    return requested;
+  }
+  return accepted[0];
+}
+
+/**
+ * Handle one request and return the reply, or null to stay silent
+ */
+async function handleRequest(message) {
+  const { method, params = {} } = message;
+
+  if (fixture.methods?.[method]) {
+    return perform(message, fixture.methods[method], () => fixture.methods[method].result ?? {});
+  }
+
+  switch (method) {
+    case 'initialize':
+      return {
+        id: message.id,
+        result: {
+          protocolVersion: negotiateVersion(params.protocolVersion),
+          capabilities: fixture.capabilities || deriveCapabilities(),
+          serverInfo: fixture.serverInfo || { name: 'mock-mcp-server', version: '1.0.0' },
+          ...(fixture.instructions && { instructions: fixture.instructions })
+        }
+      };
+
+    case 'ping':
+      return { id: message.id, result: {} };
+
+    case 'tools/list':
+      return {
+        id: message.id,
+        result: paginate(tools.map(tool => definition(tool, ['name', 'title', 'description', 'inputSchema', 'outputSchema', 'annotations'])), 'tools', params)
+      };
+
+    case 'tools/call': {
+      const tool = tools.find(t => t.name === params.name);
+      if (!tool) {
+        return { id: message.id, error: { code: -32602, message: `Unknown tool: ${params.name}` } };
+      }
+      return perform(message, tool, () => toolResult(tool, params.arguments || {}));
+    }
+
+    case 'resources/list':
+      return {
+        id: message.id,
+        result: paginate(resources.map(resource => definition(resource, ['uri', 'name', 'title', 'description', 'mimeType'])), 'resources', params)
+      };
+
+    case 'resources/templates/list':
+      return { id: message.id, result: paginate(fixture.resourceTemplates || [], 'resourceTemplates', params) };
+
+    case 'resources/read': {
+      const resource = resources.find(r => r.uri === params.uri);
+      if (!resource) {
+        return { id: message.id, error: { code: -32002, message: `Resource not found: ${params.uri}` } };
+      }
+      return {
+        id: message.id,
+        result: { contents: [{ uri: resource.uri, mimeType: resource.mimeType || 'text/plain', text: resource.text ?? '' }] }
+      };
+    }
+
+    case 'prompts/list':
+      return {
+        id: message.id,
+        result: paginate(prompts.map(prompt => definition(prompt, ['name', 'title', 'description', 'arguments'])), 'prompts', params)
+      };
+
+    case 'prompts/get': {
+      const prompt = prompts.find(p => p.name === params.name);
+      if (!prompt) {
+        return { id: message.id, error: { code: -32602, message: `Unknown prompt: ${params.name}` } };
+      }
+      const missing = (prompt.arguments || []).filter(arg => arg.required && params.arguments?.[arg.name] === undefined);
+      if (missing.length > 0) {
+        return { id: message.id, error: { code: -32602, message: `Missing required arguments: ${missing.map(arg => arg.name).join(', ')}` } };
+      }
+      const messages = (prompt.messages || [{ role: 'user', content: { type: 'text', text: prompt.name } }])
+        .map(entry => entry.content?.type === 'text' ?
+          { ...entry, content: { ...entry.content, text: fillTemplate(entry.content.text, params.arguments) } } :
+          entry);
+      return { id: message.id, result: { ...(prompt.description && { description: prompt.description }), messages } };
+    }
+
+    default:
+      if (fixture.unknownMethods === 'ignore') {
+        return null;
+      }
+      return { id: message.id, error: { code: -32601, message: `Method not found: ${method}` } };
+  }
+}
+
+async function main() {
+  if (fixture.exitOnStart !== undefined) {
+    process.exit(fixture.exitOnStart);
+  }
+
+  for (const line of fixture.startupOutput || []) {
+    process.stdout.write(line + '\n');
+  }
+
+  if (fixture.startupDelay) {
+    await sleep(fixture.startupDelay);
+  }
+
+  const rl = readline.createInterface({ input: process.stdin });
+  let inFlight = 0;
+  let closing = false;
+
+  rl.on('line', async (line) => {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      send({ id: null, error: { code: -32700, message: 'Parse error' } });
+      return;
+    }
+
+    // Notifications and responses to our own requests need no reply
+    if (message.id === undefined || message.method === undefined) {
+      return;
+    }
+
+    inFlight++;
+    const reply = await handleRequest(message);
+    inFlight--;
+    if (reply) {
+      send(reply);
+    }
+    if (closing && inFlight === 0) {
+      process.exit(0);
+    }
+  });
+
+  // Finish delayed replies before exiting when stdin closes
+  rl.on('close', () => {
+    closing = true;
+    if (inFlight === 0) {
+      process.exit(0);
+    }
+  });
+}
+
+main();
@@ -0,0 +1,116 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import path from 'path';
+import { generateCases, createRandom, checkToolResult, fuzzServer, FINDING_KINDS } from '../src/utils/fuzz.js';
+import { testServerCompatibility, TEST_LEVELS } from '../src/utils/compatibility.js';
+import { detectConfinement } from '../src/utils/confinement.js';
+import { processManager } from '../src/utils/process-manager.js';
+import { mockServerConfig } from './helpers/mock-server.js';
+
+const schema = {
+  type: 'object',
+  properties: {
+    path: { type: 'string', maxLength: 64 },
+    depth: { type: 'integer', minimum: 1, maximum: 5 },
+    mode: { $ref: '#/$defs/mode' }
+  },
+  required: ['path', 'mode'],
+  $defs: { mode: { enum: ['read', 'write'] } }
+};
+
+describe('Tool Fuzzing', () => {
+  it('should generate the same valid, invalid and boundary cases for a seed', () => {
+    const cases = generateCases(schema, createRandom(7), { count: 10 });
+
+    assert.deepStrictEqual(cases, generateCases(schema, createRandom(7), { count: 10 }));
+    assert.notDeepStrictEqual(cases, generateCases(schema, createRandom(8), { count: 10 }));
+
+    const [requiredOnly, all] = cases;
+    assert.deepStrictEqual(Object.keys(requiredOnly.args).sort(), ['mode', 'path']);
+    assert.ok(['read', 'write'].includes(all.args.mode));
+    assert.ok(all.args.depth >= 1 && all.args.depth <= 5);
+    assert.ok(!/[\\/]/.test(all.args.path), 'generated strings stay inside the scratch directory');
+
+    const labels = cases.map(testCase => testCase.label);
+    assert.ok(labels.includes('missing required arguments'));
+    assert.ok(labels.includes('wrong type for "path"'));
+    assert.ok(labels.includes('unknown argument'));
+
+    for (const testCase of cases.filter(testCase => testCase.kind === 'boundary')) {
+      assert.ok(testCase.args.path.length <= 64, `${testCase.label} respects maxLength`);
+      if (testCase.args.depth !== undefined) {
+        assert.ok(testCase.args.depth >= 1 && testCase.args.depth <= 5, `${testCase.label} stays in range`);
+      }
+    }
+  });
+
+  it('should check tool results against the spec', () => {
+    assert.deepStrictEqual(checkToolResult({ content: [{ type: 'text', text: 'ok' }] }), []);
+    assert.deepStrictEqual(checkToolResult('ok'), ['Result is not an object']);
+    assert.deepStrictEqual(checkToolResult({ content: [{ type: 'image', data: 'AA==' }, { type: 'html' }], isError: 'no' }), [
+      'content[0] (image) is missing mimeType',
+      'content[1] has unknown type "html"',
+      '"isError" is not a boolean'
+    ]);
+  });
+
+  it('should record crashes, hangs and non-JSON output in a sandbox', async () => {
+    const report = await fuzzServer({ id: 'fuzz-faulty', ...mockServerConfig('faulty') }, { timeout: 1000, casesPerTool: 3 });
+    const kinds = Object.fromEntries(report.findings.map(finding => [finding.tool, finding.kind]));
+
+    assert.deepStrictEqual(kinds, {
+      slow: FINDING_KINDS.HANG,
+      hang: FINDING_KINDS.HANG,
+      garbage: FINDING_KINDS.INVALID_OUTPUT,
+      crash: FINDING_KINDS.CRASH,
+      oom: FINDING_KINDS.CRASH
+    });
+    assert.match(report.findings.find(finding => finding.tool === 'crash').message, /code 3: fatal: out of cheese/);
+    assert.match(report.findings.find(finding => finding.tool === 'oom').message, /^Server was killed by SIGKILL/);
+
+    // Calling a dead or wedged server again would only repeat the finding
+    const crash = report.tools.find(tool => tool.name === 'crash');
+    assert.deepStrictEqual({ cases: crash.cases, skipped: crash.skipped }, { cases: 1, skipped: 2 });
+    assert.strictEqual(report.tools.find(tool => tool.name === 'fail').cases, 3);
+  });
+
+  it('should confine fuzzed servers to the tier\'s paths and the scratch directory', { skip: !detectConfinement().tool }, async () => {
+    const mounts = [];
+    const onStarted = ({ processInfo }) => mounts.push(processInfo.resourceControls.report.files.mounts);
+    processManager.on('serverStarted', onStarted);
+
+    try {
+      const report = await fuzzServer({ id: 'fuzz-confined', ...mockServerConfig('basic') }, { timeout: 1000, casesPerTool: 1 });
+      assert.strictEqual(report.confined, true);
+      assert.ok(mounts.length > 0);
+      for (const serverMounts of mounts) {
+        assert.ok(serverMounts.some(mount => mount.mode === 'rw' && path.basename(mount.path).startsWith('ampgi-fuzz-')));
+      }
+    } finally {
+      processManager.off('serverStarted', onStarted);
+    }
+  });
+
+  it('should refuse to fuzz unconfined unless allowed to', { skip: Boolean(detectConfinement().tool) }, async () => {
+    await assert.rejects(fuzzServer({ id: 'fuzz-unconfined', ...mockServerConfig('basic') }, { timeout: 1000, casesPerTool: 1 }),
+      /Fuzzing needs filesystem confinement/);
+
+    const report = await fuzzServer({ id: 'fuzz-unconfined', ...mockServerConfig('basic') }, { timeout: 1000, casesPerTool: 1, allowUnconfined: true });
+    assert.strictEqual(report.confined, false);
+    assert.strictEqual(report.summary.tools, 3);
+  });
+
+  it('should score well-behaved servers at the robustness level', async () => {
+    const result = await testServerCompatibility({ id: 'fuzz-basic', ...mockServerConfig('basic') }, {
+      level: TEST_LEVELS.ROBUSTNESS,
+      includeSecurity: false,
+      probeTimeout: 2000
+    });
+
+    assert.ok(result.tests.protocol, 'robustness includes the protocol tests');
+    assert.ok(Object.values(result.tests.robustness).every(test => test.passed));
+    assert.strictEqual(result.fuzz.summary.tools, 3);
+    assert.strictEqual(result.fuzz.findings.length, 0);
+    assert.match(result.tests.robustness.crashes.message, /seed \d+/);
+  });
+});
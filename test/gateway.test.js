@@ -0,0 +1,116 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { PassThrough } from 'stream';
+import { connectMCPClient, JSONRPC_ERRORS } from '../src/utils/mcp-client.js';
+import { MCPGateway, parseNamespacedName } from '../src/utils/gateway.js';
+import { generateGatewayConfig } from '../src/registry.js';
+import { registerMockServer } from './helpers/mock-server.js';
+
+/**
+ * Start a gateway over in-memory streams and connect a client to it
+ */
+async function startGateway(serverIds, options = {}) {
+  const toGateway = new PassThrough();
+  const fromGateway = new PassThrough();
+  const gateway = new MCPGateway(serverIds, { input: toGateway, output: fromGateway, ...options });
+
+  await gateway.start();
+  const client = await connectMCPClient({ stdin: toGateway, stdout: fromGateway }, { requestTimeout: 5000 });
+  return { gateway, client };
+}
+
+describe('MCP Gateway', () => {
+  let mocks = [];
+  let running;
+
+  afterEach(async () => {
+    running?.client.close();
+    await running?.gateway.close('test');
+    mocks.forEach(mock => mock.unregister());
+    mocks = [];
+    running = null;
+  });
+
+  it('should split namespaced names on the first separator', () => {
+    assert.deepStrictEqual(parseNamespacedName('git__status'), { serverId: 'git', name: 'status' });
+    assert.deepStrictEqual(parseNamespacedName('fs__read__file'), { serverId: 'fs', name: 'read__file' });
+    assert.strictEqual(parseNamespacedName('status'), null);
+  });
+
+  it('should aggregate and route tools from several members', async () => {
+    mocks = [registerMockServer('alpha', 'basic'), registerMockServer('beta', 'basic')];
+    running = await startGateway(['alpha', 'beta']);
+    const { client } = running;
+
+    assert.strictEqual(client.serverInfo.name, 'ampgi-gateway');
+
+    const tools = await client.listTools();
+    assert.deepStrictEqual(tools.map(t => t.name), [
+      'alpha__echo', 'alpha__greet', 'alpha__count',
+      'beta__echo', 'beta__greet', 'beta__count'
+    ]);
+
+    const greeting = await client.callTool('beta__greet', { name: 'Ada' });
+    assert.strictEqual(greeting.content[0].text, 'Hello, Ada!');
+
+    const progress = [];
+    await client.callTool('alpha__count', {}, { onProgress: (params) => progress.push(params.progress) });
+    assert.deepStrictEqual(progress, [1, 2, 3]);
+
+    const prompts = await client.listPrompts();
+    assert.deepStrictEqual(prompts.map(p => p.name), ['alpha__summarize', 'beta__summarize']);
+
+    const resource = await client.readResource('mock://notes/readme');
+    assert.ok(resource.contents.length > 0);
+  });
+
+  it('should reject unknown tools and calls the permission layer denies', async () => {
+    mocks = [registerMockServer('guarded', 'basic')];
+    const calls = [];
+    running = await startGateway(['guarded'], {
+      authorize: async (serverId, tool) => tool === 'echo' ? { allowed: false, reason: 'not allowed in test' } : { allowed: true }
+    });
+    running.gateway.on('toolCall', (call) => calls.push(call));
+
+    await assert.rejects(running.client.callTool('guarded__missing'), { code: JSONRPC_ERRORS.INVALID_PARAMS });
+    await assert.rejects(running.client.callTool('other__echo'), { code: JSONRPC_ERRORS.INVALID_PARAMS });
+
+    const denied = await running.client.callTool('guarded__echo', { message: 'hi' });
+    assert.strictEqual(denied.isError, true);
+    assert.match(denied.content[0].text, /not allowed in test/);
+
+    await running.client.callTool('guarded__greet', { name: 'Ada' });
+    assert.deepStrictEqual(calls.map(call => [call.tool, call.allowed]), [['echo', false], ['greet', true]]);
+  });
+
+  it('should drop members that exit and announce the changed tool list', async () => {
+    mocks = [registerMockServer('steady', 'basic'), registerMockServer('flaky', 'faulty')];
+    running = await startGateway(['steady', 'flaky', 'missing-server']);
+    const { client } = running;
+
+    assert.deepStrictEqual([...running.gateway.members.keys()], ['steady', 'flaky']);
+
+    const listChanged = new Promise(resolve => client.on('notification', (message) => {
+      if (message.method === 'notifications/tools/list_changed') {
+        resolve();
+      }
+    }));
+
+    await assert.rejects(client.callTool('flaky__crash'), { code: JSONRPC_ERRORS.CONNECTION_CLOSED });
+    await listChanged;
+
+    const tools = await client.listTools();
+    assert.ok(tools.every(tool => tool.name.startsWith('steady__')));
+  });
+
+  it('should write one Amp entry for a gateway install', () => {
+    const profileConfig = generateGatewayConfig(['filesystem', 'memory', 'notion', 'time'], 'personal');
+    assert.deepStrictEqual(profileConfig['amp.mcpServers']['ampgi-gateway'], {
+      command: 'ampgi',
+      args: ['gateway', '--project', process.cwd(), '--profile', 'personal']
+    });
+
+    const partialConfig = generateGatewayConfig(['filesystem', 'time'], 'personal', '/work/app');
+    assert.deepStrictEqual(partialConfig['amp.mcpServers']['ampgi-gateway'].args, ['gateway', '--project', '/work/app', '--servers', 'filesystem', 'time']);
+  });
+});
@@ -0,0 +1,91 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import { HEALTH_CHECK_DEFAULTS } from '../src/utils/health-check.js';
+import { processManager } from '../src/utils/process-manager.js';
+import { mockServerConfig } from './helpers/mock-server.js';
+
+async function startAndConnect(serverId, config) {
+  await processManager.startMCPServer({ id: serverId, ...config }, 'low');
+  await processManager.connectMCPServer(serverId, { timeout: 5000 });
+}
+
+describe('Health Checks', () => {
+  before(() => {
+    processManager.configureHealthChecks({ interval: 60000, timeout: 200, failureThreshold: 2, historySize: 3 });
+  });
+
+  after(() => {
+    processManager.configureHealthChecks(HEALTH_CHECK_DEFAULTS);
+  });
+
+  it('should ping live sessions and keep a bounded latency history', async () => {
+    const serverId = 'health-ping';
+    await startAndConnect(serverId, mockServerConfig());
+
+    try {
+      for (let i = 0; i < 4; i++) {
+        await processManager.performHealthCheck(serverId);
+      }
+
+      const status = processManager.getServerStatus(serverId);
+      assert.strictEqual(status.health, 'healthy');
+      assert.strictEqual(status.healthFailures, 0);
+      assert.strictEqual(status.latencyHistory.length, 3);
+      assert.ok(status.latencyHistory.every(check => typeof check.latency === 'number' && check.latency >= 0));
+    } finally {
+      await processManager.stopMCPServer(serverId, 'test_complete');
+    }
+  });
+
+  it('should restart a server that stops answering pings', async () => {
+    const serverId = 'health-hung';
+    const config = mockServerConfig({ methods: { ping: { hang: true } } }, {
+      restart: { maxAttempts: 1, initialDelay: 10, jitter: 0 }
+    });
+    await startAndConnect(serverId, config);
+    const { pid } = processManager.getServerStatus(serverId);
+    const unhealthy = [];
+    const onUnhealthy = event => event.serverId === serverId && unhealthy.push(event);
+    processManager.on('serverUnhealthy', onUnhealthy);
+
+    try {
+      const backoff = new Promise(resolve => processManager.once('serverBackoff', resolve));
+      await processManager.performHealthCheck(serverId);
+
+      let status = processManager.getServerStatus(serverId);
+      assert.strictEqual(status.health, 'unhealthy');
+      assert.strictEqual(status.pid, pid);
+      assert.strictEqual(status.latencyHistory[0].latency, null);
+      assert.match(status.latencyHistory[0].error, /timed out/i);
+
+      // The second failure in a row reaches the threshold and applies the restart policy
+      await processManager.performHealthCheck(serverId);
+      assert.deepStrictEqual(unhealthy.map(event => event.failures), [1, 2]);
+      assert.strictEqual((await backoff).signal, 'SIGKILL');
+
+      await new Promise(resolve => processManager.once('serverRestarted', resolve));
+      status = processManager.getServerStatus(serverId);
+      assert.notStrictEqual(status.pid, pid);
+      assert.strictEqual(status.restartCount, 1);
+    } finally {
+      processManager.off('serverUnhealthy', onUnhealthy);
+      await processManager.stopMCPServer(serverId, 'test_complete');
+    }
+  });
+
+  it('should leave unresponsive servers running under the never policy', async () => {
+    const serverId = 'health-never';
+    await startAndConnect(serverId, mockServerConfig({ methods: { ping: { hang: true } } }, { restart: 'never' }));
+
+    try {
+      await processManager.performHealthCheck(serverId);
+      await processManager.performHealthCheck(serverId);
+
+      const status = processManager.getServerStatus(serverId);
+      assert.strictEqual(status.status, 'running');
+      assert.strictEqual(status.healthFailures, 2);
+    } finally {
+      await processManager.stopMCPServer(serverId, 'test_complete');
+    }
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Mock Server Test Helpers
+ *
+ * Register the bundled mock MCP server in the dynamic registry, and point a
+ * throwaway home directory at an Amp config, so tests can drive the process
+ * manager, compatibility tester and CLI commands entirely offline.
+ */
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { addDynamicServer, removeDynamicServer } from '../../src/registry.js';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'fixtures');
+
+export const MOCK_SERVER_PATH = path.join(fixturesDir, 'mock-mcp-server.js');
+export const MOCK_FIXTURES_DIR = path.join(fixturesDir, 'mock-servers');
+
+const inlineFixtureFiles = new Set();
+process.once('exit', () => {
+  for (const file of inlineFixtureFiles) {
+    fs.removeSync(file);
+  }
+});
+
+/**
+ * Resolve a fixture name ("basic"), path or inline object to a fixture file
+ */
+export function resolveFixture(fixture) {
+  if (typeof fixture === 'object') {
+    // Sandboxes rebuild the environment, so inline fixtures travel as files
+    const fixturePath = path.join(os.tmpdir(), `ampgi-mock-${process.pid}-${Math.random().toString(36).slice(2)}.json`);
+    fs.writeJsonSync(fixturePath, fixture);
+    inlineFixtureFiles.add(fixturePath);
+    return fixturePath;
+  }
+
+  return fixture.endsWith('.json') ? fixture : path.join(MOCK_FIXTURES_DIR, `${fixture}.json`);
+}
+
+/**
+ * Build a registry entry that launches the mock server with a fixture
+ */
+export function mockServerConfig(fixture = 'basic', overrides = {}) {
+  return {
+    name: 'Mock MCP Server',
+    description: 'Bundled mock MCP server for offline tests',
+    capabilities: [],
+    command: process.execPath,
+    args: [MOCK_SERVER_PATH, resolveFixture(fixture)],
+    category: 'utility',
+    auth: 'none',
+    permissions: ['low'],
+    verified: false,
+    ...overrides
+  };
+}
+
+/**
+ * Add the mock server to the dynamic registry; call unregister() when done
+ */
+export function registerMockServer(serverId, fixture = 'basic', overrides = {}) {
+  const config = mockServerConfig(fixture, overrides);
+  addDynamicServer(serverId, config);
+
+  return {
+    serverId,
+    config: { id: serverId, ...config },
+    unregister: () => removeDynamicServer(serverId)
+  };
+}
+
+/**
+ * Create a temporary home directory with an Amp (VS Code) install whose
+ * settings contain the given MCP servers; call restore() when done
+ */
+export async function useMockAmpHome(mcpServers = {}) {
+  const home = await fs.mkdtemp(path.join(os.tmpdir(), 'ampgi-home-'));
+  const originalHome = process.env.HOME;
+
+  await fs.ensureDir(path.join(home, '.vscode', 'extensions', 'sourcegraph.amp-0.0.0'));
+
+  const settingsPath = os.platform() === 'darwin' ?
+    path.join(home, 'Library/Application Support/Code/User/settings.json') :
+    path.join(home, '.config/Code/User/settings.json');
+  await fs.outputJson(settingsPath, { 'amp.mcpServers': mcpServers }, { spaces: 2 });
+
+  process.env.HOME = home;
+
+  return {
+    home,
+    settingsPath,
+    restore: async () => {
+      process.env.HOME = originalHome;
+      await fs.remove(home);
+    }
+  };
+}
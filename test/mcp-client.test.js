@@ -0,0 +1,152 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { spawn } from 'child_process';
+import { MCPClient, MCPError, JSONRPC_ERRORS, connectMCPClient } from '../src/utils/mcp-client.js';
+import { startMCPServer, stopMCPServer, connectMCPServer } from '../src/utils/process-manager.js';
+
+// Minimal line-delimited JSON-RPC server used to exercise the client
+const INLINE_SERVER = `
+const readline = require('readline');
+const rl = readline.createInterface({ input: process.stdin });
+const send = (message) => process.stdout.write(JSON.stringify({ jsonrpc: '2.0', ...message }) + '\\n');
+rl.on('line', (line) => {
+  const msg = JSON.parse(line);
+  switch (msg.method) {
+    case 'initialize':
+      return send({ id: msg.id, result: {
+        protocolVersion: msg.params.protocolVersion,
+        capabilities: { tools: {}, prompts: {} },
+        serverInfo: { name: 'inline', version: '1.0.0' }
+      } });
+    case 'tools/list':
+      if (!msg.params || !msg.params.cursor) {
+        return send({ id: msg.id, result: { tools: [{ name: 'echo', inputSchema: { type: 'object' } }], nextCursor: 'page2' } });
+      }
+      return send({ id: msg.id, result: { tools: [{ name: 'add', inputSchema: { type: 'object' } }] } });
+    case 'prompts/list':
+      return send({ id: msg.id, result: { prompts: [{ name: 'greet' }] } });
+    case 'tools/call':
+      if (msg.params.name === 'slow') return;
+      if (msg.params.name === 'noisy') {
+        process.stdout.write('this is not json\\n');
+        send({ method: 'notifications/progress', params: { progressToken: msg.params._meta.progressToken, progress: 1, total: 2 } });
+      }
+      return send({ id: msg.id, result: { content: [{ type: 'text', text: JSON.stringify(msg.params.arguments) }] } });
+    case 'crash':
+      return process.exit(3);
+    default:
+      if (msg.id !== undefined) {
+        send({ id: msg.id, error: { code: -32601, message: 'Method not found: ' + msg.method } });
+      }
+  }
+});
+`;
+
+function spawnInlineServer() {
+  return spawn(process.execPath, ['-e', INLINE_SERVER], { stdio: ['pipe', 'pipe', 'pipe'] });
+}
+
+describe('MCP Client Tests', () => {
+  let child;
+  let client;
+
+  afterEach(() => {
+    client?.close();
+    child?.kill();
+  });
+
+  it('should complete the initialize handshake', async () => {
+    child = spawnInlineServer();
+    client = await connectMCPClient(child);
+
+    assert.strictEqual(client.initialized, true);
+    assert.strictEqual(client.serverInfo.name, 'inline');
+    assert.ok(client.protocolVersion);
+    assert.deepStrictEqual(Object.keys(client.serverCapabilities), ['tools', 'prompts']);
+  });
+
+  it('should follow pagination and skip unadvertised capabilities', async () => {
+    child = spawnInlineServer();
+    client = await connectMCPClient(child);
+
+    const catalog = await client.getCatalog();
+
+    assert.deepStrictEqual(catalog.tools.map(t => t.name), ['echo', 'add']);
+    assert.deepStrictEqual(catalog.prompts.map(p => p.name), ['greet']);
+    assert.deepStrictEqual(catalog.resources, []);
+    assert.deepStrictEqual(catalog.resourceTemplates, []);
+  });
+
+  it('should reject with MCPError for JSON-RPC errors', async () => {
+    child = spawnInlineServer();
+    client = await connectMCPClient(child);
+
+    await assert.rejects(client.request('does/not/exist'), (error) => {
+      assert.ok(error instanceof MCPError);
+      assert.strictEqual(error.code, JSONRPC_ERRORS.METHOD_NOT_FOUND);
+      return true;
+    });
+  });
+
+  it('should time out requests that never get a response', async () => {
+    child = spawnInlineServer();
+    client = await connectMCPClient(child);
+
+    await assert.rejects(client.callTool('slow', {}, { timeout: 200 }), (error) => {
+      assert.strictEqual(error.code, JSONRPC_ERRORS.REQUEST_TIMEOUT);
+      return true;
+    });
+  });
+
+  it('should report progress and invalid output', async () => {
+    child = spawnInlineServer();
+    client = await connectMCPClient(child);
+
+    const invalid = [];
+    const progress = [];
+    client.on('invalidOutput', (event) => invalid.push(event));
+
+    const result = await client.callTool('noisy', { a: 1 }, {
+      onProgress: (params) => progress.push(params)
+    });
+
+    assert.strictEqual(result.content[0].text, '{"a":1}');
+    assert.strictEqual(progress.length, 1);
+    assert.strictEqual(progress[0].progress, 1);
+    assert.strictEqual(invalid.length, 1);
+    assert.strictEqual(invalid[0].line, 'this is not json');
+  });
+
+  it('should reject pending requests when the server exits', async () => {
+    child = spawnInlineServer();
+    client = new MCPClient(child);
+    await client.initialize();
+
+    await assert.rejects(client.request('crash'), (error) => {
+      assert.strictEqual(error.code, JSONRPC_ERRORS.CONNECTION_CLOSED);
+      return true;
+    });
+    assert.strictEqual(client.closed, true);
+  });
+
+  it('should connect to servers started by the process manager', async () => {
+    const serverConfig = {
+      id: 'inline-test',
+      name: 'Inline Test Server',
+      command: process.execPath,
+      args: ['-e', INLINE_SERVER]
+    };
+
+    const startResult = await startMCPServer(serverConfig);
+    try {
+      const managedClient = await connectMCPServer(startResult.serverId);
+      const tools = await managedClient.listTools();
+
+      assert.strictEqual(managedClient.serverInfo.name, 'inline');
+      assert.strictEqual(tools.length, 2);
+    } finally {
+      const stopResult = await stopMCPServer(startResult.serverId, 'test');
+      assert.strictEqual(stopResult.success, true);
+    }
+  });
+});
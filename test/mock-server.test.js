@@ -0,0 +1,130 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert';
+import { spawn } from 'child_process';
+import { MCPClient, JSONRPC_ERRORS, connectMCPClient } from '../src/utils/mcp-client.js';
+import { startMCPServer, stopMCPServer, connectMCPServer } from '../src/utils/process-manager.js';
+import { openMCPSession } from '../src/utils/mcp.js';
+import { testMCPServers } from '../src/commands/test.js';
+import { MOCK_SERVER_PATH, resolveFixture, registerMockServer, mockServerConfig, useMockAmpHome } from './helpers/mock-server.js';
+
+function spawnMockServer(fixture) {
+  return spawn(process.execPath, [MOCK_SERVER_PATH, resolveFixture(fixture)], { stdio: ['pipe', 'pipe', 'pipe'] });
+}
+
+describe('Mock MCP Server', () => {
+  let child;
+  let client;
+
+  afterEach(() => {
+    client?.close();
+    child?.kill();
+    client = null;
+    child = null;
+  });
+
+  it('should serve the catalog declared in a fixture', async () => {
+    child = spawnMockServer('basic');
+    client = await connectMCPClient(child);
+
+    const catalog = await client.getCatalog();
+
+    assert.strictEqual(client.serverInfo.name, 'mock-basic');
+    assert.deepStrictEqual(catalog.tools.map(t => t.name), ['echo', 'greet', 'count']);
+    assert.deepStrictEqual(catalog.resources.map(r => r.uri), ['mock://notes/readme']);
+    assert.deepStrictEqual(catalog.prompts.map(p => p.name), ['summarize']);
+    assert.strictEqual(catalog.tools[0].echo, undefined, 'behavior fields are not listed');
+  });
+
+  it('should answer tool calls with canned responses and progress', async () => {
+    child = spawnMockServer('basic');
+    client = await connectMCPClient(child);
+
+    const greeting = await client.callTool('greet', { name: 'Ada' });
+    assert.strictEqual(greeting.content[0].text, 'Hello, Ada!');
+
+    const progress = [];
+    const counted = await client.callTool('count', {}, { onProgress: (params) => progress.push(params.progress) });
+    assert.strictEqual(counted.content[0].text, 'Counted to 3');
+    assert.deepStrictEqual(progress, [1, 2, 3]);
+  });
+
+  it('should paginate list results', async () => {
+    child = spawnMockServer({
+      pageSize: 1,
+      tools: [{ name: 'a', inputSchema: { type: 'object' } }, { name: 'b', inputSchema: { type: 'object' } }]
+    });
+    client = await connectMCPClient(child);
+
+    assert.deepStrictEqual((await client.listTools()).map(t => t.name), ['a', 'b']);
+  });
+
+  it('should inject faults from the fixture', async () => {
+    child = spawnMockServer('faulty');
+    client = new MCPClient(child, { requestTimeout: 500 });
+
+    const invalid = [];
+    client.on('invalidOutput', (event) => invalid.push(event.line));
+    await client.initialize();
+
+    await assert.rejects(client.callTool('fail'), { code: JSONRPC_ERRORS.INTERNAL_ERROR });
+    await assert.rejects(client.callTool('hang'), { code: JSONRPC_ERRORS.REQUEST_TIMEOUT });
+    await assert.rejects(client.callTool('garbage'), { code: JSONRPC_ERRORS.REQUEST_TIMEOUT });
+    assert.deepStrictEqual(invalid, ['Server starting...', '<html>oops</html>']);
+
+    await assert.rejects(client.callTool('crash', {}, { timeout: 5000 }), { code: JSONRPC_ERRORS.CONNECTION_CLOSED });
+    assert.strictEqual(client.closed, true);
+  });
+
+  it('should run under the process manager', async () => {
+    const serverConfig = { id: 'mock-managed', ...mockServerConfig('basic') };
+    const startResult = await startMCPServer(serverConfig);
+
+    try {
+      const managedClient = await connectMCPServer(startResult.serverId);
+      const result = await managedClient.callTool('echo', { message: 'hi' });
+
+      assert.strictEqual(startResult.permissionTier, 'low');
+      assert.strictEqual(result.content[0].text, '{"message":"hi"}');
+    } finally {
+      const stopResult = await stopMCPServer(startResult.serverId, 'test');
+      assert.strictEqual(stopResult.success, true);
+    }
+  });
+
+  it('should open sessions for servers registered in the dynamic registry', async () => {
+    const mock = registerMockServer('mock-session', 'basic');
+    let session;
+
+    try {
+      session = await openMCPSession(mock.serverId);
+      const tools = await session.client.listTools();
+      assert.strictEqual(tools.length, 3);
+    } finally {
+      await session?.close('test');
+      mock.unregister();
+    }
+  });
+
+  it('should be testable end-to-end with ampgi test', async () => {
+    const mock = registerMockServer('mock-cli', 'basic');
+    const ampHome = await useMockAmpHome({
+      'mock-cli': { command: mock.config.command, args: mock.config.args }
+    });
+
+    const originalLog = console.log;
+    const output = [];
+    console.log = (...args) => output.push(args.join(' '));
+
+    try {
+      const results = await testMCPServers({ server: 'mock-cli' });
+
+      assert.strictEqual(results.passed, 1);
+      assert.strictEqual(results.failed, 0);
+      assert.ok(output.some(line => line.includes('Tools: 3 available')));
+    } finally {
+      console.log = originalLog;
+      await ampHome.restore();
+      mock.unregister();
+    }
+  });
+});
@@ -0,0 +1,216 @@
+import { describe, it, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { loadPolicy, evaluatePolicy, POLICY_EFFECTS } from '../src/utils/policy.js';
+import {
+  enforcePermissions,
+  isServerBlockedByQuarantinemode,
+  validateInstallationPermissions,
+  approvePolicyRule,
+  setPermissionOverride,
+  getEffectivePermissionTier,
+  PolicyDeniedError
+} from '../src/utils/permissions.js';
+import { createSandbox, PERMISSION_TIERS } from '../src/utils/sandbox.js';
+import { addDynamicServer, removeDynamicServer } from '../src/registry.js';
+import { openMCPSession } from '../src/utils/mcp.js';
+import { processManager } from '../src/utils/process-manager.js';
+import { EgressProxy } from '../src/utils/egress-proxy.js';
+import { testServerCompatibility, TEST_LEVELS } from '../src/utils/compatibility.js';
+import { fuzzServer } from '../src/utils/fuzz.js';
+import { mockServerConfig } from './helpers/mock-server.js';
+
+const RULES = [
+  { id: 'no-high-community', description: 'No HIGH-tier community servers', effect: 'deny', source: 'community', tiers: ['high'] },
+  { id: 'cloudflare-aws', effect: 'allow', servers: ['cloudflare'], domains: ['*.amazonaws.com'] },
+  { id: 'no-aws', effect: 'deny', operations: ['network_access'], domains: ['*.amazonaws.com'] },
+  { id: 'approve-delete', effect: 'require-approval', capabilities: ['file:delete'] }
+];
+
+describe('Policy Files', () => {
+  let testDir;
+  const originalCwd = process.cwd();
+
+  before(async () => {
+    // Permission checks read the policy and config from the working directory
+    testDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ampgi-policy-'));
+    process.chdir(testDir);
+  });
+
+  after(async () => {
+    process.chdir(originalCwd);
+    await fs.remove(testDir);
+  });
+
+  beforeEach(async () => {
+    await fs.remove(path.join(testDir, 'ampgi-policy.yaml'));
+    await fs.writeJson(path.join(testDir, 'ampgi-policy.json'), { version: 1, rules: RULES });
+    await fs.writeJson(path.join(testDir, '.ampgi-config.json'), { safeMode: false });
+  });
+
+  it('should load JSON and YAML policies and name unnamed rules by position', async () => {
+    assert.deepStrictEqual(loadPolicy().rules.map(rule => rule.id), RULES.map(rule => rule.id));
+
+    await fs.remove(path.join(testDir, 'ampgi-policy.json'));
+    await fs.writeFile(path.join(testDir, 'ampgi-policy.yaml'), 'rules:\n  - effect: deny\n    servers: [git]\n');
+    const policy = loadPolicy();
+    assert.strictEqual(policy.path, path.join(testDir, 'ampgi-policy.yaml'));
+    assert.deepStrictEqual(policy.rules.map(rule => rule.id), ['rule-1']);
+
+    await fs.remove(path.join(testDir, 'ampgi-policy.yaml'));
+    assert.strictEqual(loadPolicy(), null);
+  });
+
+  it('should reject invalid policies', async () => {
+    await fs.writeJson(path.join(testDir, 'bad.json'), { rules: [{ effect: 'maybe' }] });
+    assert.throws(() => loadPolicy({ file: 'bad.json' }), /invalid: \/rules\/0\/effect/);
+
+    await fs.writeJson(path.join(testDir, 'twice.json'), { rules: [{ id: 'a', effect: 'deny' }, { id: 'a', effect: 'allow' }] });
+    assert.throws(() => loadPolicy({ file: 'twice.json' }), /rule id a is used twice/);
+  });
+
+  it('should let the first matching rule decide and explain the others', () => {
+    const policy = loadPolicy();
+    const network = (serverId, domain) => evaluatePolicy(policy, { serverId, source: 'registry', tier: 'medium', operation: 'network_access', domain, port: 443 });
+
+    assert.strictEqual(network('cloudflare', 's3.amazonaws.com').rule.id, 'cloudflare-aws');
+    assert.strictEqual(network('cloudflare', 's3.amazonaws.com').effect, POLICY_EFFECTS.ALLOW);
+
+    const denied = network('memory', 's3.amazonaws.com');
+    assert.strictEqual(denied.effect, POLICY_EFFECTS.DENY);
+    assert.deepStrictEqual(denied.trace.map(step => step.mismatch), [
+      'server source is registry, not community',
+      'server memory is not one of cloudflare',
+      null
+    ]);
+
+    assert.strictEqual(network('memory', 'amazonaws.com.evil.com').rule, null);
+    assert.strictEqual(network('memory', 'amazonaws.com.evil.com').effect, POLICY_EFFECTS.ALLOW);
+  });
+
+  it('should check runtime operations before the tier', async () => {
+    const memory = createSandbox({ id: 'memory' }, PERMISSION_TIERS.MEDIUM);
+    const cloudflare = createSandbox({ id: 'cloudflare' }, PERMISSION_TIERS.HIGH);
+
+    const denied = enforcePermissions(memory, 'network_access', 's3.amazonaws.com');
+    assert.strictEqual(denied.allowed, false);
+    assert.strictEqual(denied.policyRule, 'no-aws');
+    assert.strictEqual(enforcePermissions(cloudflare, 'network_access', 's3.amazonaws.com').allowed, true);
+
+    const deletion = enforcePermissions(memory, 'file_write', path.join(testDir, 'notes.md'), { capability: 'file:delete' });
+    assert.strictEqual(deletion.requiresApproval, true);
+
+    // An unreadable policy denies rather than allows
+    await fs.writeFile(path.join(testDir, 'ampgi-policy.json'), '{ "rules": [');
+    const broken = enforcePermissions(memory, 'file_read', path.join(testDir, 'notes.md'));
+    assert.strictEqual(broken.allowed, false);
+    assert.match(broken.reason, /cannot be parsed/);
+  });
+
+  it('should block servers the policy denies or holds for approval, whatever safe mode says', async () => {
+    addDynamicServer('community_acme_tools', { name: 'Acme Tools', command: 'node', isCommunity: true, permissions: ['high'] });
+
+    try {
+      const community = await isServerBlockedByQuarantinemode('community_acme_tools');
+      assert.strictEqual(community.blocked, true);
+      assert.strictEqual(community.policyRule, 'no-high-community');
+
+      const held = await isServerBlockedByQuarantinemode('filesystem');
+      assert.strictEqual(held.blocked, true);
+      assert.strictEqual(held.requiresApproval, true);
+
+      await approvePolicyRule('filesystem', 'approve-delete');
+      assert.deepStrictEqual(await isServerBlockedByQuarantinemode('filesystem'), { blocked: false });
+    } finally {
+      removeDynamicServer('community_acme_tools');
+    }
+  });
+
+  it('should refuse to start denied servers, permission overrides included', async () => {
+    addDynamicServer('community_acme_tools', { name: 'Acme Tools', command: 'node', isCommunity: true, permissions: ['high'] });
+    await setPermissionOverride('community_acme_tools', PERMISSION_TIERS.HIGH);
+
+    try {
+      await assert.rejects(getEffectivePermissionTier('community_acme_tools', PERMISSION_TIERS.LOW), (error) => {
+        assert.ok(error instanceof PolicyDeniedError);
+        assert.strictEqual(error.policyRule, 'no-high-community');
+        assert.match(error.message, /Denied by policy rule no-high-community/);
+        return true;
+      });
+      await assert.rejects(openMCPSession('community_acme_tools'), { policyRule: 'no-high-community' });
+      await assert.rejects(
+        processManager.startMCPServer({ id: 'community_acme_tools', command: process.execPath, args: ['-e', ''] }, PERMISSION_TIERS.HIGH),
+        { policyRule: 'no-high-community' }
+      );
+      assert.strictEqual(processManager.getServerStatus('community_acme_tools').status, 'not_found');
+
+      // The rule only covers the high tier, so the server may run below it
+      await setPermissionOverride('community_acme_tools', PERMISSION_TIERS.MEDIUM);
+      assert.strictEqual(await getEffectivePermissionTier('community_acme_tools', PERMISSION_TIERS.LOW), PERMISSION_TIERS.MEDIUM);
+    } finally {
+      removeDynamicServer('community_acme_tools');
+    }
+  });
+
+  it('should refuse denied servers under test, whatever ID and directory their copies run under', async () => {
+    await fs.writeJson(path.join(testDir, 'ampgi-policy.json'), {
+      rules: [{ id: 'no-mock', effect: 'deny', servers: ['mock-*'] }]
+    });
+    const denied = { id: 'mock-denied', ...mockServerConfig('basic'), name: 'mock-denied' };
+    const started = [];
+    const onStarted = ({ serverId }) => started.push(serverId);
+    processManager.on('serverStarted', onStarted);
+
+    try {
+      const result = await testServerCompatibility(denied, {
+        level: TEST_LEVELS.FUNCTIONAL,
+        includeSecurity: false,
+        probeTimeout: 1000
+      });
+      assert.match(result.errors.map(error => error.message).join('\n'), /Denied by policy rule no-mock/);
+
+      await assert.rejects(fuzzServer(denied, { casesPerTool: 1, allowUnconfined: true }), { policyRule: 'no-mock' });
+      assert.deepStrictEqual(started, []);
+
+      // Other servers under test still start, from their scratch directories
+      const allowed = await testServerCompatibility({ ...denied, id: 'allowed' }, {
+        level: TEST_LEVELS.BASIC,
+        includeSecurity: false,
+        probeTimeout: 1000
+      });
+      assert.deepStrictEqual(allowed.errors, []);
+      assert.ok(started.length > 0);
+    } finally {
+      processManager.off('serverStarted', onStarted);
+    }
+  });
+
+  it('should send egress through the policy and honour approvals at runtime', async () => {
+    const proxy = new EgressProxy(createSandbox({ id: 'memory' }, PERMISSION_TIERS.HIGH));
+    const denied = proxy.decide('CONNECT', 's3.amazonaws.com', 443);
+    assert.strictEqual(denied.allowed, false);
+    assert.strictEqual(denied.policyRule, 'no-aws');
+    assert.strictEqual(proxy.decide('CONNECT', 'api.github.com', 443).allowed, true);
+
+    const memory = createSandbox({ id: 'memory' }, PERMISSION_TIERS.MEDIUM);
+    const deletion = () => enforcePermissions(memory, 'file_write', path.join(testDir, 'notes.md'), { capability: 'file:delete' });
+    assert.strictEqual(deletion().policyRule, 'approve-delete');
+
+    await approvePolicyRule('memory', 'approve-delete');
+    assert.strictEqual(deletion().policyRule, undefined);
+  });
+
+  it('should apply the policy to installations, curated profiles included', async () => {
+    await fs.writeJson(path.join(testDir, 'ampgi-policy.json'), {
+      rules: [{ id: 'no-filesystem', effect: 'deny', servers: ['filesystem'], operations: ['install'] }]
+    });
+
+    const [filesystem, memory] = await validateInstallationPermissions(['filesystem', 'memory'], { isProfile: true });
+    assert.strictEqual(filesystem.allowed, false);
+    assert.strictEqual(filesystem.policyRule, 'no-filesystem');
+    assert.match(filesystem.reason, /Denied by policy rule no-filesystem/);
+    assert.strictEqual(memory.allowed, true);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { resolveRestartPolicy, restartDelay, planRestart, RESTART_DEFAULTS } from '../src/utils/restart-policy.js';
+import { processManager } from '../src/utils/process-manager.js';
+
+const crash = { code: 1, signal: null, uptime: 100 };
+
+describe('Restart Policies', () => {
+  it('should layer user settings and registry entries over the defaults', () => {
+    const configured = {
+      maxAttempts: 2,
+      jitter: 5,
+      servers: { git: { policy: 'never' }, memory: 'always' }
+    };
+
+    assert.deepStrictEqual(resolveRestartPolicy({ id: 'time' }), RESTART_DEFAULTS);
+    assert.strictEqual(resolveRestartPolicy({ id: 'time' }, configured).maxAttempts, 2);
+    assert.strictEqual(resolveRestartPolicy({ id: 'time' }, configured).jitter, RESTART_DEFAULTS.jitter);
+    assert.strictEqual(resolveRestartPolicy({ id: 'time', restart: 'always' }, configured).policy, 'always');
+    assert.strictEqual(resolveRestartPolicy({ id: 'git', restart: 'always' }, configured).policy, 'never');
+    assert.strictEqual(resolveRestartPolicy({ id: 'memory', restart: { policy: 'sometimes' } }, configured).policy, 'always');
+  });
+
+  it('should back off exponentially with bounded jitter', () => {
+    const policy = { ...RESTART_DEFAULTS, initialDelay: 100, maxDelay: 1000, jitter: 0.5 };
+
+    assert.deepStrictEqual([1, 2, 3, 4, 5].map(attempt => restartDelay(policy, attempt, () => 0.5)), [100, 200, 400, 800, 1000]);
+    assert.strictEqual(restartDelay(policy, 2, () => 0), 100);
+    assert.strictEqual(restartDelay(policy, 2, () => 1), 300);
+  });
+
+  it('should restart according to the policy and give up on crash loops', () => {
+    const policy = { ...RESTART_DEFAULTS, maxAttempts: 2 };
+    const clean = { code: 0, signal: null, uptime: 100 };
+
+    assert.strictEqual(planRestart({ ...policy, policy: 'never' }, 0, crash).action, 'none');
+    assert.strictEqual(planRestart(policy, 0, clean).action, 'none');
+    assert.strictEqual(planRestart(policy, 0, { code: null, signal: 'SIGSEGV', uptime: 100 }).action, 'restart');
+    assert.strictEqual(planRestart({ ...policy, policy: 'always' }, 0, clean).action, 'restart');
+
+    assert.deepStrictEqual(planRestart(policy, 0, crash, () => 0.5), { action: 'restart', attempt: 1, delay: 1000, crashLoop: false });
+    assert.deepStrictEqual(planRestart(policy, 1, crash, () => 0.5), { action: 'restart', attempt: 2, delay: 2000, crashLoop: true });
+    assert.deepStrictEqual(planRestart(policy, 2, crash), { action: 'fail', attempt: 2, crashLoop: true });
+
+    // A long stable run starts the count afresh
+    assert.strictEqual(planRestart(policy, 2, { ...crash, uptime: policy.stableAfter }).attempt, 1);
+  });
+
+  it('should restart a crashing server with backoff until it is failed', async () => {
+    const serverId = 'crash-loop';
+    const config = {
+      id: serverId,
+      name: 'Crash Loop',
+      command: process.execPath,
+      args: ['-e', 'process.exit(3)'],
+      restart: { policy: 'on-failure', maxAttempts: 2, initialDelay: 20, jitter: 0 }
+    };
+    const events = [];
+    const record = (name) => (event) => event.serverId === serverId && events.push({ name, ...event });
+    const listeners = {
+      serverBackoff: record('backoff'),
+      serverRestarted: record('restarted'),
+      serverFailed: record('failed')
+    };
+    Object.entries(listeners).forEach(([event, listener]) => processManager.on(event, listener));
+
+    try {
+      const failed = new Promise(resolve => processManager.once('serverFailed', resolve));
+      await processManager.startMCPServer(config, 'low');
+      await failed;
+
+      assert.deepStrictEqual(events.map(event => `${event.name}:${event.attempt ?? event.attempts}`), [
+        'backoff:1', 'restarted:1', 'backoff:2', 'restarted:2', 'failed:2'
+      ]);
+      assert.deepStrictEqual(events.filter(event => event.name === 'backoff').map(event => event.delay), [20, 40]);
+      assert.strictEqual(events[2].crashLoop, true);
+
+      const status = processManager.getServerStatus(serverId);
+      assert.strictEqual(status.status, 'failed');
+      assert.strictEqual(status.restartCount, 2);
+      assert.strictEqual(status.restartAttempts, 2);
+    } finally {
+      Object.entries(listeners).forEach(([event, listener]) => processManager.off(event, listener));
+      await processManager.stopMCPServer(serverId, 'test_complete');
+    }
+  });
+});
@@ -0,0 +1,76 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import { lintToolSchema, lintToolSchemas, SCHEMA_SEVERITY } from '../src/utils/schema-lint.js';
+
+const rules = (issues) => issues.map(issue => `${issue.severity} ${issue.rule} ${issue.path}`);
+
+describe('Tool Schema Linting', () => {
+  it('should accept strict schemas in draft-07 and 2020-12', () => {
+    const properties = { path: { type: 'string', description: 'File to read' } };
+
+    assert.deepStrictEqual(lintToolSchema({
+      name: 'read',
+      inputSchema: { type: 'object', properties, required: ['path'], additionalProperties: false }
+    }), []);
+
+    assert.deepStrictEqual(lintToolSchema({
+      name: 'read',
+      inputSchema: {
+        $schema: 'https://json-schema.org/draft/2020-12/schema',
+        type: 'object',
+        properties: { path: { $ref: '#/$defs/path' } },
+        $defs: { path: { type: 'string' } },
+        required: ['path'],
+        additionalProperties: false
+      }
+    }), []);
+  });
+
+  it('should report schemas Amp cannot use as errors', () => {
+    assert.deepStrictEqual(rules(lintToolSchema({ name: 'none' })), ['error missing-schema ']);
+
+    assert.deepStrictEqual(rules(lintToolSchema({
+      name: 'typo',
+      inputSchema: { type: 'object', properties: { a: { type: 'strin' } }, required: ['a'], additionalProperties: false }
+    })), ['error meta-schema /properties/a/type']);
+
+    const refs = lintToolSchema({
+      name: 'refs',
+      inputSchema: { type: 'object', properties: { a: { $ref: '#/definitions/missing' } }, required: ['a', 'b'], additionalProperties: false }
+    });
+    assert.deepStrictEqual(rules(refs), ['error unresolved-ref ', 'error required-unknown-property /required']);
+
+    const remote = lintToolSchema({
+      name: 'remote',
+      inputSchema: { type: 'object', properties: { a: { $ref: 'https://example.com/a.json' } }, required: ['a'], additionalProperties: false }
+    });
+    assert.strictEqual(remote[0].rule, 'remote-ref');
+  });
+
+  it('should flag permissive patterns with severities', () => {
+    const report = lintToolSchemas([{
+      name: 'loose',
+      inputSchema: {
+        type: 'object',
+        properties: {
+          anything: {},
+          tags: { type: 'array', description: 'Tags' },
+          options: { type: 'object', description: 'Options', properties: { depth: { type: 'number' } } }
+        }
+      }
+    }]);
+
+    assert.deepStrictEqual(rules(report.tools[0].issues), [
+      'warning missing-required /',
+      'warning open-additional-properties /',
+      'warning untyped-property /properties/anything',
+      'info undocumented-property /properties/anything',
+      'warning untyped-array /properties/tags',
+      'warning missing-required /properties/options',
+      'warning open-additional-properties /properties/options',
+      'info undocumented-property /properties/options/properties/depth'
+    ]);
+    assert.deepStrictEqual(report.summary, { tools: 1, errors: 0, warnings: 6, info: 2 });
+    assert.ok(report.tools[0].issues.every(issue => Object.values(SCHEMA_SEVERITY).includes(issue.severity)));
+  });
+});
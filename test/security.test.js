@@ -8,8 +8,13 @@ import {
   validateFileAccess, 
   validateNetworkAccess,
   getDefaultPermissionTier,
+  prepareLimitedCommand,
+  createSandboxedEnv,
   PERMISSION_TIERS 
 } from '../src/utils/sandbox.js';
+import { planMounts, prepareConfinedCommand, detectConfinement } from '../src/utils/confinement.js';
+import { processManager } from '../src/utils/process-manager.js';
+import { mockServerConfig } from './helpers/mock-server.js';
 import { 
   isSafeModeEnabled, 
   setSafeMode, 
@@ -62,6 +67,63 @@ describe('Security Sandbox Tests', () => {
     });
   });
 
+  describe('Per-Server Overrides', () => {
+    it('should merge registry and user overrides over the tier defaults', () => {
+      const project = path.join(testDir, 'project');
+      const serverConfig = {
+        id: 'filesystem',
+        sandbox: { writablePaths: [project], resourceLimits: { maxMemory: 128 * 1024 * 1024, maxCpuPercent: -1 } }
+      };
+      const userOverride = { blockedPaths: [path.join(project, '.git')], allowedDomains: ['API.Example.com'], resourceLimits: { maxMemory: 64 * 1024 * 1024 } };
+      
+      const sandbox = createSandbox(serverConfig, PERMISSION_TIERS.LOW, userOverride);
+      
+      assert.strictEqual(validateFileAccess(sandbox, path.join(project, 'notes.md'), 'write').allowed, true);
+      assert.strictEqual(validateFileAccess(sandbox, path.join(project, 'notes.md'), 'read').allowed, true);
+      assert.strictEqual(validateFileAccess(sandbox, path.join(project, '.git', 'config'), 'read').allowed, false);
+      assert.strictEqual(validateFileAccess(sandbox, path.join(testDir, 'other.md'), 'write').allowed, false);
+      
+      // Domains open the network of a tier without it, on HTTPS only
+      assert.deepStrictEqual(sandbox.networkPermissions, { allowNetwork: true, allowedDomains: ['api.example.com'], allowedPorts: [443] });
+      assert.strictEqual(validateNetworkAccess(sandbox, 'api.github.com', 443).allowed, false);
+      
+      // Later overrides win for limits, and invalid values are ignored
+      assert.strictEqual(sandbox.resourceLimits.maxMemory, 64 * 1024 * 1024);
+      assert.strictEqual(sandbox.resourceLimits.maxCpuPercent, createSandbox({ id: 'filesystem' }, PERMISSION_TIERS.LOW).resourceLimits.maxCpuPercent);
+      assert.strictEqual(sandbox.customized, true);
+    });
+    
+    it('should expand home-relative paths and leave tier defaults shared', () => {
+      const sandbox = createSandbox({ id: 'notes', sandbox: { readablePaths: ['~/notes'] } }, PERMISSION_TIERS.MEDIUM);
+      
+      assert.ok(sandbox.filePermissions.readablePaths.includes(path.join(os.homedir(), 'notes')));
+      assert.ok(!createSandbox({ id: 'notes' }, PERMISSION_TIERS.MEDIUM).filePermissions.readablePaths.includes(path.join(os.homedir(), 'notes')));
+    });
+    
+    it('should pass through the env vars a server is allowed', () => {
+      const sandbox = createSandbox({ id: 'github' }, PERMISSION_TIERS.LOW, { env: ['GITHUB_TOKEN', 'not a name'] });
+      const env = createSandboxedEnv(sandbox, { PATH: '/usr/bin', GITHUB_TOKEN: 'secret', AWS_SECRET: 'other' });
+      
+      assert.strictEqual(env.GITHUB_TOKEN, 'secret');
+      assert.strictEqual(env.AWS_SECRET, undefined);
+    });
+    
+    it('should start servers with the user\'s overrides from the config', async () => {
+      const serverId = 'override-probe';
+      const configPath = path.join(process.cwd(), '.ampgi-config.json');
+      const original = await fs.readFile(configPath, 'utf8');
+      await fs.writeJson(configPath, { ...JSON.parse(original), sandboxOverrides: { [serverId]: { resourceLimits: { idleTimeout: 0 } } } });
+      
+      try {
+        await processManager.startMCPServer(mockServerConfig('basic', { id: serverId }), PERMISSION_TIERS.LOW);
+        assert.strictEqual(processManager.getServerStatus(serverId).resourceLimits.idleTimeout.value, 0);
+      } finally {
+        await fs.writeFile(configPath, original);
+        await processManager.stopMCPServer(serverId, 'test_complete');
+      }
+    });
+  });
+
   describe('File Access Validation', () => {
     it('should allow read access to permitted directories', async () => {
       const sandbox = createSandbox({ id: 'test' }, PERMISSION_TIERS.MEDIUM);
@@ -128,6 +190,153 @@ describe('Security Sandbox Tests', () => {
     });
   });
 
+  describe('Resource Limits', () => {
+    it('should bound requests rather than the lifetime of persistent servers', async () => {
+      for (const tier of Object.values(PERMISSION_TIERS)) {
+        const { resourceLimits } = createSandbox({ id: 'test' }, tier);
+        assert.ok(resourceLimits.idleTimeout > resourceLimits.maxExecutionTime);
+      }
+    });
+    
+    it('should start servers through prlimit on Linux', { skip: process.platform !== 'linux' }, () => {
+      const sandbox = createSandbox({ id: 'test' }, PERMISSION_TIERS.LOW);
+      const launch = prepareLimitedCommand(sandbox, 'node', ['server.js']);
+      
+      if (launch.rlimits) {
+        assert.match(launch.command, /prlimit$/);
+        assert.deepStrictEqual(launch.args, [`--data=${sandbox.resourceLimits.maxMemory}`, '--', 'node', 'server.js']);
+      } else {
+        assert.deepStrictEqual(launch, { command: 'node', args: ['server.js'], rlimits: null });
+      }
+    });
+    
+    it('should report which limits a running server is held to', async () => {
+      const serverId = 'limits-report';
+      await processManager.startMCPServer({ id: serverId, ...mockServerConfig() }, PERMISSION_TIERS.LOW);
+      
+      try {
+        const { pid, resourceLimits } = processManager.getServerStatus(serverId);
+        const { maxMemory, maxExecutionTime } = createSandbox({ id: serverId }, PERMISSION_TIERS.LOW).resourceLimits;
+        
+        assert.deepStrictEqual(Object.keys(resourceLimits).sort(), ['cpu', 'executionTime', 'files', 'idleTimeout', 'memory', 'network', 'processes']);
+        assert.strictEqual(resourceLimits.memory.value, maxMemory);
+        assert.deepStrictEqual(resourceLimits.executionTime, { value: maxExecutionTime, enforced: true, via: ['request timeout'] });
+        assert.strictEqual(processManager.processes.get(serverId).client.maxRequestTimeout, maxExecutionTime);
+        
+        for (const limit of Object.values(resourceLimits)) {
+          assert.ok(limit.enforced ? limit.via.length > 0 : typeof limit.reason === 'string');
+        }
+        
+        // The kernel agrees with what the report claims
+        if (resourceLimits.memory.via?.includes('RLIMIT_DATA')) {
+          const limits = await fs.readFile(`/proc/${pid}/limits`, 'utf8');
+          assert.match(limits, new RegExp(`Max data size\\s+${maxMemory}\\s+${maxMemory}`));
+        }
+      } finally {
+        await processManager.stopMCPServer(serverId, 'test_complete');
+      }
+    });
+    
+    it('should stop servers that stay idle past their timeout', async () => {
+      const serverId = 'limits-idle';
+      await processManager.startMCPServer({ id: serverId, ...mockServerConfig() }, PERMISSION_TIERS.LOW);
+      const stopped = new Promise(resolve => processManager.once('serverStopped', resolve));
+      
+      try {
+        await processManager.connectMCPServer(serverId, { timeout: 5000 });
+        assert.deepStrictEqual(processManager.stopIdleServers(), []);
+        
+        // Health check pings don't keep a server busy
+        const processInfo = processManager.processes.get(serverId);
+        processInfo.lastActivity = Date.now() - processInfo.resourceControls.idleTimeout;
+        await processInfo.client.ping();
+        
+        assert.deepStrictEqual(processManager.stopIdleServers(), [serverId]);
+        assert.deepStrictEqual(await stopped, { serverId, reason: 'idle' });
+      } finally {
+        await processManager.stopMCPServer(serverId, 'test_complete');
+      }
+    });
+  });
+
+  describe('Filesystem Confinement', () => {
+    it('should mount only tier paths, covering blocked ones', async () => {
+      await fs.ensureDir(path.join(testDir, 'out'));
+      await fs.ensureDir(path.join(testDir, 'secret'));
+      const sandbox = {
+        permissionTier: PERMISSION_TIERS.MEDIUM,
+        filePermissions: {
+          readablePaths: [testDir],
+          writablePaths: [path.join(testDir, 'out'), path.join(testDir, 'missing')],
+          blockedPaths: [path.join(testDir, 'secret')]
+        }
+      };
+      
+      const mounts = planMounts(sandbox, { command: process.execPath, args: [path.join(testDir, 'out')] });
+      const modes = Object.fromEntries(mounts.map(mount => [mount.path, mount.mode]));
+      
+      assert.strictEqual(modes[testDir], 'ro');
+      assert.strictEqual(modes[path.join(testDir, 'out')], 'rw');
+      assert.strictEqual(modes[path.join(testDir, 'secret')], 'mask');
+      assert.ok(!(path.join(testDir, 'missing') in modes));
+      assert.ok(!(os.homedir() in modes));
+      assert.ok(mounts.some(mount => mount.path === '/usr'));
+      
+      // Parents are mounted before what lies inside them
+      assert.ok(mounts.findIndex(mount => mount.path === testDir) < mounts.findIndex(mount => mount.path === path.join(testDir, 'secret')));
+    });
+    
+    it('should mount the npm cache read-only unless the tier may write there', async () => {
+      const npmCache = path.join(os.homedir(), '.npm');
+      await fs.ensureDir(npmCache);
+      const cacheMode = (filePermissions) => planMounts(
+        { permissionTier: PERMISSION_TIERS.LOW, filePermissions: { readablePaths: [], writablePaths: [], blockedPaths: [], ...filePermissions } },
+        { command: process.execPath }
+      ).find(mount => mount.path === npmCache)?.mode;
+      
+      assert.strictEqual(cacheMode({}), 'ro');
+      assert.strictEqual(cacheMode({ writablePaths: [npmCache] }), 'rw');
+      assert.strictEqual(cacheMode({ blockedPaths: [os.homedir()] }), undefined);
+    });
+    
+    it('should leave unrestricted tiers unconfined', () => {
+      const sandbox = createSandbox({ id: 'test' }, PERMISSION_TIERS.HIGH);
+      const launch = prepareConfinedCommand(sandbox, 'node', ['server.js']);
+      
+      assert.deepStrictEqual(launch.args, ['server.js']);
+      assert.strictEqual(launch.confinement.enforced, false);
+      assert.strictEqual(launch.confinement.unrestricted, true);
+    });
+    
+    it('should hide paths outside the tier from a confined server', { skip: !detectConfinement().tool }, async () => {
+      const serverId = 'confined-probe';
+      const secret = path.join(testDir, 'secret.txt');
+      await fs.writeFile(secret, 'hunter2');
+      const probe = `
+        const fs = require('fs');
+        let writable = true;
+        try { fs.accessSync(process.cwd(), fs.constants.W_OK); } catch (error) { writable = false; }
+        console.log(JSON.stringify({ cwd: fs.existsSync('package.json'), secret: fs.existsSync(${JSON.stringify(secret)}), writable }));
+        setTimeout(() => {}, 10000);`;
+      const output = new Promise(resolve => processManager.on('serverOutput', function onOutput(event) {
+        if (event.serverId === serverId) {
+          processManager.off('serverOutput', onOutput);
+          resolve(JSON.parse(event.data));
+        }
+      }));
+      
+      await processManager.startMCPServer({ id: serverId, command: process.execPath, args: ['-e', probe] }, PERMISSION_TIERS.LOW, { confine: true });
+      try {
+        assert.deepStrictEqual(await output, { cwd: true, secret: false, writable: false });
+        const { files, network } = processManager.getServerStatus(serverId).resourceLimits;
+        assert.deepStrictEqual(files.via, [detectConfinement().tool]);
+        assert.deepStrictEqual(network.via, ['network namespace']);
+      } finally {
+        await processManager.stopMCPServer(serverId, 'test_complete');
+      }
+    });
+  });
+
   describe('Permission Tier Detection', () => {
     it('should detect high privilege requirements from server config', async () => {
       const serverConfig = {
@@ -0,0 +1,121 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert';
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { RingBuffer, ServerLog, readLogFiles, logFilePath, LOG_STREAMS } from '../src/utils/server-logs.js';
+import { processManager } from '../src/utils/process-manager.js';
+
+describe('Server Logs', () => {
+  it('should keep only the most recent entries in the ring buffer', () => {
+    const buffer = new RingBuffer(3);
+    [1, 2, 3, 4, 5].forEach(entry => buffer.push(entry));
+
+    assert.deepStrictEqual(buffer.toArray(), [3, 4, 5]);
+    assert.deepStrictEqual(buffer.toArray(2), [4, 5]);
+    assert.deepStrictEqual(buffer.toArray(10), [3, 4, 5]);
+  });
+
+  it('should split output into timestamped lines per stream', () => {
+    const log = new ServerLog('split', { maxLineLength: 8 });
+    const lines = [];
+    log.on('line', entry => lines.push(entry));
+
+    log.write('stdout', 'first\r\nsec');
+    log.write('stderr', Buffer.from('oops\n'));
+    log.write('stdout', 'ond\nunterminated');
+    assert.deepStrictEqual(lines.map(({ stream, line }) => `${stream}:${line}`), [
+      'stdout:first', 'stderr:oops', 'stdout:second', 'stdout:untermin'
+    ]);
+
+    log.flush();
+    assert.deepStrictEqual(log.tail(1).map(entry => entry.line), ['ated']);
+    assert.ok(lines.every(entry => !Number.isNaN(Date.parse(entry.time))));
+  });
+
+  it('should rotate log files by size and read them back', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'ampgi-logs-'));
+    const log = new ServerLog('rotating/server', { directory, maxFileSize: 120, maxFiles: 2, bufferLines: 2 });
+
+    try {
+      for (let i = 0; i < 12; i++) {
+        log.write(i % 2 ? 'stderr' : 'stdout', `line ${i}\n`);
+      }
+      log.close();
+
+      const filePath = logFilePath(directory, 'rotating/server');
+      assert.strictEqual(path.basename(filePath), 'rotating_server.log');
+      assert.ok(await fs.pathExists(`${filePath}.2`));
+      assert.strictEqual(await fs.pathExists(`${filePath}.3`), false);
+      for (const file of [filePath, `${filePath}.1`, `${filePath}.2`]) {
+        assert.ok((await fs.stat(file)).size <= 120);
+      }
+
+      // Memory holds the last two, the files everything that was not rotated away
+      assert.deepStrictEqual(log.tail().map(entry => entry.line), ['line 10', 'line 11']);
+      const entries = await readLogFiles(directory, 'rotating/server');
+      assert.strictEqual(entries.at(-1).line, 'line 11');
+      assert.strictEqual(entries.at(-1).stream, 'stderr');
+      assert.deepStrictEqual(entries.map(entry => Number(entry.line.split(' ')[1])),
+        Array.from({ length: entries.length }, (_, i) => 12 - entries.length + i));
+
+      const last = await readLogFiles(directory, 'rotating/server', { lines: 3 });
+      assert.deepStrictEqual(last.map(entry => entry.line), ['line 9', 'line 10', 'line 11']);
+    } finally {
+      await fs.remove(directory);
+    }
+  });
+
+  it('should read every stream back from log files as it was recorded', async () => {
+    const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'ampgi-logs-'));
+    const log = new ServerLog('streams', { directory });
+
+    try {
+      for (const stream of LOG_STREAMS) {
+        log.record(stream, [`${stream} [line]`]);
+      }
+      log.close();
+
+      const entries = await readLogFiles(directory, 'streams');
+      assert.deepStrictEqual(entries, log.tail());
+      assert.deepStrictEqual(entries.map(entry => entry.stream), ['stdout', 'stderr', 'egress']);
+    } finally {
+      await fs.remove(directory);
+    }
+  });
+
+  it('should capture managed server output alongside serverOutput events', async () => {
+    const serverId = 'log-capture';
+    const config = {
+      id: serverId,
+      name: 'Log Capture',
+      command: process.execPath,
+      args: ['-e', "console.log('to stdout'); console.error('to stderr'); setTimeout(() => {}, 10000);"]
+    };
+    const output = [];
+    const logged = [];
+    const onOutput = event => event.serverId === serverId && output.push(event);
+    const onLog = event => event.serverId === serverId && logged.push(event);
+    processManager.on('serverOutput', onOutput);
+    processManager.on('serverLog', onLog);
+
+    try {
+      await processManager.startMCPServer(config, 'low');
+      const deadline = Date.now() + 5000;
+      while (logged.length < 2 && Date.now() < deadline) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+      }
+
+      assert.deepStrictEqual(output.map(({ type, data }) => `${type}:${data.trim()}`).sort(),
+        ['stderr:to stderr', 'stdout:to stdout']);
+      assert.deepStrictEqual(logged.map(({ stream, line }) => `${stream}:${line}`).sort(),
+        ['stderr:to stderr', 'stdout:to stdout']);
+      assert.strictEqual(processManager.getServerLog(serverId).tail().length, 2);
+    } finally {
+      processManager.off('serverOutput', onOutput);
+      processManager.off('serverLog', onLog);
+      await processManager.stopMCPServer(serverId, 'test_complete');
+    }
+    assert.strictEqual(processManager.getServerLog(serverId), null);
+  });
+});
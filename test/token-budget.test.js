@@ -0,0 +1,63 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert';
+import { estimateTokens, estimateToolTokens, analyzeTokenBudget, TOOL_OVERHEAD_TOKENS } from '../src/utils/token-budget.js';
+import { gatherServerTools } from '../src/utils/tool-overlap.js';
+import { registerMockServer } from './helpers/mock-server.js';
+
+describe('Context Token Budget', () => {
+  const mocks = [];
+
+  after(() => {
+    mocks.forEach(mock => mock.unregister());
+  });
+
+  it('should approximate BPE token counts offline', () => {
+    assert.strictEqual(estimateTokens(''), 0);
+    assert.strictEqual(estimateTokens('Read the complete contents of a file'), 7);
+    assert.strictEqual(estimateTokens('readFile'), 2);
+    assert.strictEqual(estimateTokens('12345678'), 3);
+
+    // Schemas cost more than their word count suggests
+    const schema = JSON.stringify({ type: 'object', properties: { path: { type: 'string' } } });
+    assert.ok(estimateTokens(schema) >= 15 && estimateTokens(schema) <= 22);
+  });
+
+  it('should rank servers and tools by cost and flag an exceeded budget', () => {
+    const longDescription = 'Search the knowledge graph for entities and relations matching a query. '.repeat(10);
+    const servers = [
+      { serverId: 'small', tools: [{ name: 'now', description: 'Current time', inputSchema: { type: 'object' } }] },
+      {
+        serverId: 'large',
+        tools: [
+          { name: 'search_nodes', description: longDescription, inputSchema: { type: 'object' } },
+          { name: 'read_graph', description: 'Read the graph', inputSchema: { type: 'object' } }
+        ]
+      },
+      { serverId: 'down', tools: null, error: 'spawn ENOENT' }
+    ];
+
+    const report = analyzeTokenBudget(servers, { budget: 100, top: 2 });
+
+    assert.deepStrictEqual(report.servers.map(server => server.serverId), ['large', 'small', 'down']);
+    assert.deepStrictEqual(report.heaviest.map(tool => tool.name), ['search_nodes', 'read_graph']);
+    assert.strictEqual(report.total, report.tools.reduce((sum, tool) => sum + tool.tokens, 0));
+    assert.strictEqual(report.overBudget, true);
+    assert.match(report.warnings[0], /over the budget of 100/);
+    assert.match(report.warnings[1], /down/);
+
+    const { tokens, breakdown } = estimateToolTokens(servers[0].tools[0]);
+    assert.strictEqual(tokens, TOOL_OVERHEAD_TOKENS + breakdown.name + breakdown.description + breakdown.schema);
+    assert.strictEqual(analyzeTokenBudget(servers.slice(0, 1)).overBudget, false);
+  });
+
+  it('should measure live servers', async () => {
+    mocks.push(registerMockServer('budget-mock', 'basic'));
+
+    const report = analyzeTokenBudget(await gatherServerTools(['budget-mock']), { budget: 10000 });
+
+    assert.strictEqual(report.servers[0].tools, 3);
+    assert.strictEqual(report.servers[0].share, 1);
+    assert.ok(report.total > 3 * TOOL_OVERHEAD_TOKENS);
+    assert.deepStrictEqual(report.warnings, []);
+  });
+});
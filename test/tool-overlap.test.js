@@ -0,0 +1,71 @@
+import { describe, it, after } from 'node:test';
+import assert from 'node:assert';
+import { analyzeToolOverlap, gatherServerTools } from '../src/utils/tool-overlap.js';
+import { registerMockServer } from './helpers/mock-server.js';
+
+const filesystemTools = [
+  { name: 'read_file', description: 'Read the complete contents of a file from the file system' },
+  { name: 'write_file', description: 'Create a new file or overwrite an existing file' },
+  { name: 'search', description: 'Search for files matching a pattern' },
+  { name: 'list_directory', description: 'List the entries of a directory' }
+];
+
+const gitTools = [
+  { name: 'git_status', description: 'Show the working tree status' },
+  { name: 'git_log', description: 'Show the commit history' },
+  { name: 'git_diff', description: 'Show changes between commits' },
+  { name: 'search', description: 'Search commit messages' },
+  { name: 'readFile', description: 'Read a file at a given revision' }
+];
+
+const mirrorTools = [
+  { name: 'read_file', description: 'Read complete contents of a file from the file system' },
+  { name: 'get_file_contents', description: 'Read the complete contents of files from the file system' }
+];
+
+describe('Tool Overlap Analysis', () => {
+  const mocks = [];
+
+  after(() => {
+    mocks.forEach(mock => mock.unregister());
+  });
+
+  it('should flag exact name collisions and suggest aliases', () => {
+    const report = analyzeToolOverlap([
+      { serverId: 'filesystem', tools: filesystemTools },
+      { serverId: 'git', tools: gitTools }
+    ]);
+
+    assert.deepStrictEqual(report.collisions, [{ name: 'search', servers: ['filesystem', 'git'] }]);
+    assert.deepStrictEqual(report.nearDuplicates.map(d => [d.reason, d.tools.map(t => t.name)]), [
+      ['name', ['read_file', 'readFile']]
+    ]);
+
+    assert.deepStrictEqual(report.suggestions.map(s => s.type), ['alias']);
+    assert.match(report.suggestions[0].message, /filesystem__search and git__search/);
+  });
+
+  it('should suggest dropping a server whose tools are mostly covered by another', () => {
+    const report = analyzeToolOverlap([
+      { serverId: 'filesystem', tools: filesystemTools },
+      { serverId: 'mirror', tools: mirrorTools },
+      { serverId: 'broken', tools: null, error: 'spawn ENOENT' }
+    ]);
+
+    assert.ok(report.nearDuplicates.some(d => d.reason === 'description' && d.tools[1].name === 'get_file_contents'));
+    assert.deepStrictEqual(report.suggestions.map(s => [s.type, s.serverId]), [['drop', 'mirror']]);
+    assert.strictEqual(report.summary.servers, 2);
+    assert.deepStrictEqual(report.servers[2], { serverId: 'broken', tools: null, error: 'spawn ENOENT' });
+  });
+
+  it('should gather tools from sandboxed servers', async () => {
+    mocks.push(registerMockServer('overlap-a', 'basic'), registerMockServer('overlap-b', 'basic'));
+
+    const servers = await gatherServerTools(['overlap-a', 'overlap-b', 'overlap-missing']);
+    const report = analyzeToolOverlap(servers);
+
+    assert.deepStrictEqual(report.collisions.map(c => c.name), ['echo', 'greet', 'count']);
+    assert.ok(report.servers[2].error);
+    assert.deepStrictEqual(report.suggestions.map(s => s.type), ['drop']);
+  });
+});
@@ -0,0 +1,211 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert';
+import http from 'http';
+import { connectRemoteMCPClient } from '../src/utils/mcp-client.js';
+import { getServerTransport, resolveHeaders, readEventStream, TRANSPORT_TYPES } from '../src/utils/mcp-transports.js';
+import { generateAmpConfig, addDynamicServer, removeDynamicServer } from '../src/registry.js';
+
+// Answer a JSON-RPC message the way a tiny MCP server would
+function handleMessage(message) {
+  switch (message.method) {
+    case 'initialize':
+      return { id: message.id, result: {
+        protocolVersion: message.params.protocolVersion,
+        capabilities: { tools: {} },
+        serverInfo: { name: 'http-stand-in', version: '1.0.0' }
+      } };
+    case 'tools/list':
+      return { id: message.id, result: { tools: [{ name: 'echo', inputSchema: { type: 'object' } }] } };
+    case 'tools/call':
+      return { id: message.id, result: { content: [{ type: 'text', text: JSON.stringify(message.params.arguments) }] } };
+    default:
+      return { id: message.id, error: { code: -32601, message: 'Method not found' } };
+  }
+}
+
+function readBody(req) {
+  return new Promise((resolve) => {
+    let body = '';
+    req.on('data', (chunk) => { body += chunk; });
+    req.on('end', () => resolve(body));
+  });
+}
+
+/**
+ * Local stand-in for remote MCP servers speaking both HTTP transports
+ */
+function startStandInServer() {
+  const seen = { sessions: [], authorization: [], deleted: 0 };
+  let sseStream = null;
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+
+    // Streamable HTTP: JSON responses, SSE for tools/call
+    if (url.pathname === '/mcp') {
+      if (req.method === 'DELETE') {
+        seen.deleted++;
+        return res.writeHead(200).end();
+      }
+
+      const message = JSON.parse(await readBody(req));
+      seen.sessions.push(req.headers['mcp-session-id'] || null);
+      seen.authorization.push(req.headers.authorization || null);
+
+      if (message.id === undefined) {
+        return res.writeHead(202).end();
+      }
+
+      const reply = JSON.stringify({ jsonrpc: '2.0', ...handleMessage(message) });
+      const headers = message.method === 'initialize' ? { 'Mcp-Session-Id': 'session-1' } : {};
+
+      if (message.method === 'tools/call') {
+        res.writeHead(200, { ...headers, 'Content-Type': 'text/event-stream' });
+        return res.end(`event: message\ndata: ${reply}\n\n`);
+      }
+
+      res.writeHead(200, { ...headers, 'Content-Type': 'application/json' });
+      return res.end(reply);
+    }
+
+    // Legacy HTTP+SSE: event stream plus a POST endpoint
+    if (url.pathname === '/sse') {
+      res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+      res.write('event: endpoint\ndata: /messages?session=abc\n\n');
+      sseStream = res;
+      return;
+    }
+
+    if (url.pathname === '/messages') {
+      const message = JSON.parse(await readBody(req));
+      res.writeHead(202).end('Accepted');
+      if (message.id !== undefined) {
+        sseStream.write(`event: message\ndata: ${JSON.stringify({ jsonrpc: '2.0', ...handleMessage(message) })}\n\n`);
+      }
+      return;
+    }
+
+    res.writeHead(404).end();
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({
+        server,
+        seen,
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        close: () => {
+          sseStream?.end();
+          server.closeAllConnections();
+          return new Promise((done) => server.close(done));
+        }
+      });
+    });
+  });
+}
+
+describe('MCP Transport Tests', () => {
+  let standIn;
+
+  before(async () => {
+    standIn = await startStandInServer();
+  });
+
+  after(async () => {
+    await standIn.close();
+  });
+
+  it('should infer the transport from the configuration', () => {
+    assert.strictEqual(getServerTransport({ command: 'npx' }), TRANSPORT_TYPES.STDIO);
+    assert.strictEqual(getServerTransport({ url: 'https://example.com/mcp' }), TRANSPORT_TYPES.STREAMABLE_HTTP);
+    assert.strictEqual(getServerTransport({ url: 'https://example.com/sse' }), TRANSPORT_TYPES.SSE);
+    assert.strictEqual(getServerTransport({ url: 'https://example.com/sse', transport: 'streamable-http' }), TRANSPORT_TYPES.STREAMABLE_HTTP);
+    assert.throws(() => getServerTransport({ transport: 'websocket' }), /Unknown transport/);
+  });
+
+  it('should resolve header placeholders from the environment', () => {
+    const headers = resolveHeaders({ Authorization: 'Bearer ${TOKEN}' }, { TOKEN: 'secret' });
+    assert.deepStrictEqual(headers, { Authorization: 'Bearer secret' });
+  });
+
+  it('should keep CRLF line endings split across chunks together', async () => {
+    const events = [];
+    const chunks = ['data: one\r', '\ndata: two\r\n\r', '\nevent: endpoint\r\ndata: /messages\r\n\r'];
+    await readEventStream(chunks.map(chunk => Buffer.from(chunk)), event => events.push(event));
+
+    assert.deepStrictEqual(events.map(({ event, data }) => ({ event, data })), [
+      { event: 'message', data: 'one\ntwo' },
+      { event: 'endpoint', data: '/messages' }
+    ]);
+  });
+
+  it('should talk to streamable HTTP servers with a session', async () => {
+    const client = await connectRemoteMCPClient(
+      { id: 'remote', url: `${standIn.baseUrl}/mcp`, headers: { Authorization: 'Bearer ${TOKEN}' } },
+      { env: { TOKEN: 'abc' } }
+    );
+
+    try {
+      assert.strictEqual(client.serverInfo.name, 'http-stand-in');
+
+      const tools = await client.listTools();
+      assert.deepStrictEqual(tools.map(t => t.name), ['echo']);
+
+      const result = await client.callTool('echo', { value: 42 });
+      assert.strictEqual(result.content[0].text, '{"value":42}');
+
+      // Everything after initialize carries the session id and resolved headers
+      assert.strictEqual(standIn.seen.sessions[0], null);
+      assert.ok(standIn.seen.sessions.slice(1).every(id => id === 'session-1'));
+      assert.ok(standIn.seen.authorization.every(value => value === 'Bearer abc'));
+    } finally {
+      client.close();
+    }
+
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.strictEqual(standIn.seen.deleted, 1);
+  });
+
+  it('should talk to legacy SSE servers', async () => {
+    const client = await connectRemoteMCPClient({ id: 'legacy', url: `${standIn.baseUrl}/sse` });
+
+    try {
+      assert.strictEqual(client.serverInfo.name, 'http-stand-in');
+      const result = await client.callTool('echo', { ok: true });
+      assert.strictEqual(result.content[0].text, '{"ok":true}');
+    } finally {
+      client.close();
+    }
+  });
+
+  it('should generate Amp config entries for remote servers', async () => {
+    addDynamicServer('remote-test', {
+      name: 'Remote Test',
+      url: 'https://example.com/mcp',
+      headers: { Authorization: 'Bearer ${REMOTE_TOKEN}', 'X-Team': '${TEAM_ID}' }
+    });
+    addDynamicServer('remote-sse-test', {
+      name: 'Remote SSE Test',
+      transport: 'sse',
+      url: 'https://example.com/events'
+    });
+
+    try {
+      const config = await generateAmpConfig(['remote-test', 'remote-sse-test'], {
+        'remote-test': { REMOTE_TOKEN: 'token' }
+      });
+
+      assert.deepStrictEqual(config['amp.mcpServers']['remote-test'], {
+        url: 'https://example.com/mcp',
+        headers: { Authorization: 'Bearer token', 'X-Team': '${TEAM_ID}' }
+      });
+      assert.deepStrictEqual(config['amp.mcpServers']['remote-sse-test'], {
+        url: 'https://example.com/events',
+        transport: 'sse'
+      });
+    } finally {
+      removeDynamicServer('remote-test');
+      removeDynamicServer('remote-sse-test');
+    }
+  });
+});